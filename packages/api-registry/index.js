@@ -8,3 +8,8 @@
  */
 
 export { APIRegistry } from './lib/api-registry.js';
+export {
+	IpcTransport,
+	RedisTransport,
+	RemoteTransport
+} from './lib/remote-transport.js';
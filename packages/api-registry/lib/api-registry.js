@@ -2,7 +2,359 @@
  * Imports for this file
  * @ignore
  */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { isDeepStrictEqual } from 'node:util';
+
+import Ajv from 'ajv';
 import { EVASBaseClass } from '@twyr/framework-classes';
+import {
+	EVASError,
+	EVASTimeoutError,
+	EVASUnavailableError,
+	EVASValidationError
+} from '@twyr/error-serializer';
+
+import { MemoryResultCache, RepositoryResultCache } from './result-cache.js';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const CACHE_KEY_PREFIX = 'twyr!entity!value!aggregate!api!';
+
+/**
+ * The JSON Schema validator shared by all the registries
+ * @ignore
+ */
+const contractValidator = new Ajv({
+	allErrors: true,
+	strict: false
+});
+
+/**
+ * @function
+ * @name compilePattern
+ *
+ * @param {string} [pattern] - The (upper-cased) pattern being registered.
+ *
+ * @returns {object} - The segment matchers and specificity of the pattern,
+ * or undefined if the pattern does not contain any wildcards.
+ *
+ * @description
+ * Compiles a wildcard pattern into per-segment matchers:
+ * - "**" as an entire segment matches zero or more segments
+ * - "*" within a segment matches zero or more characters of that segment
+ * - "?" within a segment matches exactly one character of that segment
+ *
+ * The specificity of the pattern is the number of literal characters in it,
+ * and is used to order the matches for a resolved pattern.
+ *
+ * @ignore
+ */
+function compilePattern(pattern) {
+	if (!/[*?]/?.test?.(pattern ?? '')) return undefined;
+
+	let specificity = 0;
+	const segments = pattern?.split?.('::')?.map?.((segment) => {
+		if (segment === '**') return segment;
+
+		specificity += segment?.replace?.(/[*?]/g, '')?.length ?? 0;
+		const segmentExpression = segment
+			?.replace?.(/[$()+.[\\\]^{|}]/g, '\\$&')
+			?.replace?.(/\*/g, '.*')
+			?.replace?.(/\?/g, '.');
+
+		return new RegExp(`^${segmentExpression}$`);
+	});
+
+	return { segments, specificity };
+}
+
+/**
+ * @function
+ * @name matchSegments
+ *
+ * @param {Array} [matchers] - The compiled segment matchers of a wildcard pattern.
+ * @param {Array} [segments] - The segments of the pattern being resolved.
+ * @param {number} [matcherIndex] - The matcher being evaluated.
+ * @param {number} [segmentIndex] - The segment being evaluated.
+ *
+ * @returns {boolean} - True if the segments match the wildcard pattern.
+ *
+ * @ignore
+ */
+function matchSegments(matchers, segments, matcherIndex = 0, segmentIndex = 0) {
+	if (matcherIndex === matchers?.length)
+		return segmentIndex === segments?.length;
+
+	// eslint-disable-next-line security/detect-object-injection
+	const matcher = matchers?.[matcherIndex];
+	if (matcher === '**') {
+		for (let index = segmentIndex; index <= segments?.length; index++) {
+			if (matchSegments(matchers, segments, matcherIndex + 1, index))
+				return true;
+		}
+
+		return false;
+	}
+
+	if (segmentIndex >= segments?.length) return false;
+	// eslint-disable-next-line security/detect-object-injection
+	if (!matcher?.test?.(segments?.[segmentIndex])) return false;
+
+	return matchSegments(
+		matchers,
+		segments,
+		matcherIndex + 1,
+		segmentIndex + 1
+	);
+}
+
+/**
+ * @async
+ * @function
+ * @name executeAll
+ *
+ * @param {Array} [apiList] - The apis that respond to the pattern, in order of precedence.
+ * @param {Array} [data] - The parameters to be passed to the apis.
+ * @param {object} [options] - The execution options (unused).
+ * @param {string} [pattern] - The pattern being executed.
+ *
+ * @returns {*} The return value of the api, or an array of return values if
+ * more than one api responded.
+ *
+ * @description
+ * The default strategy - executes all the apis in parallel, and throws an
+ * AggregateError if any of them fail.
+ *
+ * @ignore
+ */
+async function executeAll(apiList, data, options, pattern) {
+	// Step 1: One API for this pattern...
+	if (apiList?.length === 1) {
+		const api = apiList?.shift?.();
+		const results = await api?.(...data);
+		return results;
+	}
+
+	// Step 2: Multiple API for the pattern...
+	const { results, errors } = await executePartial(apiList, data);
+	if (errors?.length) {
+		throw new AggregateError(errors, `Error executing ${pattern}`);
+	}
+
+	if (results?.length > 1) return results;
+	return results?.pop?.();
+}
+
+/**
+ * @async
+ * @function
+ * @name executeFirstSuccess
+ *
+ * @param {Array} [apiList] - The apis that respond to the pattern, in order of precedence.
+ * @param {Array} [data] - The parameters to be passed to the apis.
+ * @param {object} [options] - The execution options (unused).
+ * @param {string} [pattern] - The pattern being executed.
+ *
+ * @returns {*} The return value of the first api that succeeds.
+ *
+ * @description
+ * Executes the apis one after the other, in order of precedence, and returns
+ * the result of the first one that does not throw. If all of them fail, an
+ * AggregateError of the failures is thrown.
+ *
+ * @ignore
+ */
+async function executeFirstSuccess(apiList, data, options, pattern) {
+	const errors = [];
+
+	for (const api of apiList) {
+		try {
+			const results = await api?.(...data);
+			return results;
+		} catch (error) {
+			errors?.push?.(error);
+		}
+	}
+
+	throw new AggregateError(errors, `Error executing ${pattern}`);
+}
+
+/**
+ * @async
+ * @function
+ * @name executeRace
+ *
+ * @param {Array} [apiList] - The apis that respond to the pattern, in order of precedence.
+ * @param {Array} [data] - The parameters to be passed to the apis.
+ *
+ * @returns {*} The return value (or error) of the first api to settle.
+ *
+ * @description
+ * Executes all the apis in parallel, and settles with the first one that
+ * settles - whether it succeeds or fails.
+ *
+ * @ignore
+ */
+async function executeRace(apiList, data) {
+	const results = await Promise?.race?.(
+		apiList?.map?.(async (api) => {
+			return api?.(...data);
+		})
+	);
+
+	return results;
+}
+
+/**
+ * @async
+ * @function
+ * @name executePipeline
+ *
+ * @param {Array} [apiList] - The apis that respond to the pattern, in order of precedence.
+ * @param {Array} [data] - The parameters to be passed to the apis.
+ *
+ * @returns {*} The return value of the last api in the pipeline.
+ *
+ * @description
+ * Executes the apis one after the other, in order of precedence. The first
+ * api receives the original parameters, and every subsequent api receives
+ * the result of the previous one in place of the first parameter.
+ *
+ * @ignore
+ */
+async function executePipeline(apiList, data) {
+	const [input, ...rest] = data;
+
+	let results = input;
+	for (const api of apiList) {
+		results = await api?.(results, ...rest);
+	}
+
+	return results;
+}
+
+/**
+ * @async
+ * @function
+ * @name executeQuorum
+ *
+ * @param {Array} [apiList] - The apis that respond to the pattern, in order of precedence.
+ * @param {Array} [data] - The parameters to be passed to the apis.
+ * @param {object} [options] - The execution options.
+ * @param {number} [options.quorum] - The number of apis that must agree - defaults to a simple majority.
+ * @param {string} [pattern] - The pattern being executed.
+ *
+ * @returns {*} The return value that the quorum of apis agree upon.
+ *
+ * @description
+ * Executes all the apis in parallel, and returns the result returned by at
+ * least a quorum of them. Results are compared for deep equality. If they
+ * don't agree, an EVASUnavailableError is thrown - with an AggregateError of
+ * the failures as its cause.
+ *
+ * @ignore
+ */
+async function executeQuorum(apiList, data, options, pattern) {
+	const quorum = options?.quorum ?? Math?.floor?.(apiList?.length / 2) + 1;
+	const { results, errors } = await executePartial(apiList, data);
+
+	const votes = [];
+	for (const result of results) {
+		const vote = votes?.find?.((existingVote) => {
+			return isDeepStrictEqual?.(existingVote?.result, result);
+		});
+
+		if (vote) {
+			vote.count++;
+			continue;
+		}
+
+		votes?.push?.({ result: result, count: 1 });
+	}
+
+	const winningVote = votes?.find?.((vote) => {
+		return vote?.count >= quorum;
+	});
+
+	if (winningVote) return winningVote?.result;
+
+	const quorumError = new EVASUnavailableError(
+		'EVASERVER::API_REGISTRY::QUORUM_NOT_REACHED',
+		{ cause: new AggregateError(errors, `Error executing ${pattern}`) }
+	);
+	quorumError.pattern = pattern;
+	quorumError.quorum = quorum;
+
+	throw quorumError;
+}
+
+/**
+ * @async
+ * @function
+ * @name executePartial
+ *
+ * @param {Array} [apiList] - The apis that respond to the pattern, in order of precedence.
+ * @param {Array} [data] - The parameters to be passed to the apis.
+ *
+ * @returns {object} The results of the apis that succeeded, and the errors of
+ * the ones that failed - as { results, errors }.
+ *
+ * @description
+ * Executes all the apis in parallel, and returns whatever they come back with.
+ * Never throws on account of the apis.
+ *
+ * @ignore
+ */
+async function executePartial(apiList, data) {
+	const results = [];
+	const errors = [];
+
+	const promiseResolutions = await Promise?.allSettled?.(
+		apiList?.map?.(async (api) => {
+			return api?.(...data);
+		})
+	);
+
+	for (const resolution of promiseResolutions) {
+		if (resolution?.status === 'fulfilled') {
+			results?.push?.(resolution?.value);
+			continue;
+		}
+
+		errors?.push?.(resolution?.reason);
+	}
+
+	return { results, errors };
+}
+
+/**
+ * The deadline / cancellation signal of the execution in progress - used to
+ * propagate them to the executions nested within it
+ * @ignore
+ */
+const executionScope = new AsyncLocalStorage();
+
+/**
+ * Marks the executions being served on behalf of another process - so that
+ * they are not forwarded again
+ * @ignore
+ */
+const remoteExecutionScope = new AsyncLocalStorage();
+
+/**
+ * The execution strategies supported by the registries
+ * @ignore
+ */
+const executionStrategies = new Map([
+	['all', executeAll],
+	['first-success', executeFirstSuccess],
+	['race', executeRace],
+	['pipeline', executePipeline],
+	['quorum', executeQuorum],
+	['partial', executePartial]
+]);
 
 /**
  * @class APIRegistry
@@ -26,7 +378,9 @@ export class APIRegistry extends EVASBaseClass {
 		this.#scopeName = domainName?.toLocaleUpperCase?.();
 		this.#parentRegistry = parentRegistry;
 
-		this.#parentRegistry?.registerChild?.(this.#scopeName, this);
+		// Attach synchronously - so that a clash surfaces as an error thrown
+		// by the constructor, rather than as an unhandled rejection
+		this.#parentRegistry?.#attachChild(this.#scopeName, this);
 	}
 	// #endregion
 
@@ -47,13 +401,37 @@ export class APIRegistry extends EVASBaseClass {
 	 * Registers a child domain's API Registry.
 	 */
 	async registerChild(name, apiRegistry) {
+		this.#attachChild?.(name, apiRegistry);
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name unregisterChild
+	 *
+	 * @param {string} name - The name of child domain.
+	 * @param {APIRegistry} [apiRegistry] - The child domain's API registry.
+	 *
+	 * @returns {boolean} Boolean true/false - depending on whether the
+	 * child registry was de-registered.
+	 *
+	 * @description
+	 * De-registers a child domain's API Registry - so that the domain can be
+	 * registered again, once it is re-loaded. If the apiRegistry is provided,
+	 * the child is de-registered only if it is the one registered against
+	 * the name.
+	 */
+	async unregisterChild(name, apiRegistry) {
 		name = name?.toLocaleUpperCase?.();
-		if (this.#childRegistries?.get?.(name))
-			throw new Error(
-				`Child registry with ${name} is already registered`
-			);
 
-		this.#childRegistries?.set?.(name, apiRegistry);
+		const childRegistry = this.#childRegistries?.get?.(name);
+		if (!childRegistry) return false;
+		if (apiRegistry && childRegistry !== apiRegistry) return false;
+
+		this.#childRegistries?.delete?.(name);
+		return true;
 	}
 
 	/**
@@ -65,14 +443,39 @@ export class APIRegistry extends EVASBaseClass {
 	 *
 	 * @param {string} pattern - The pattern to which this api will respond.
 	 * @param {Function} api - The api to be invoked against the pattern.
+	 * @param {object} [options] - Registration options for the api.
+	 * @param {object} [options.contract] - JSON Schemas for the api arguments (input) and return value (output).
+	 * @param {string} [options.strategy] - The default execution strategy for the pattern.
+	 * @param {number} [options.quorum] - The quorum required by the "quorum" execution strategy.
+	 * @param {string} [options.owner] - The name of the artifact (middleware) registering the api.
+	 * @param {object} [options.cache] - Memoization options for the api results.
+	 * @param {number} [options.cache.ttl] - The time, in milliseconds, a result is valid for.
+	 * @param {Function} [options.cache.key] - Derives the cache key from the api arguments - defaults to their JSON.
+	 * @param {string|object} [options.cache.store] - "memory" (the default) for an in-process LRU cache, or the Cache repository.
+	 * @param {number} [options.cache.maxEntries] - The maximum number of results held by the in-process cache.
 	 *
 	 * @returns {boolean} Boolean true/false - depending on whether the
 	 * registration succeeded.
 	 *
 	 * @description
 	 * Registers the api function as a handler for the pattern.
+	 *
+	 * If a contract is provided, the first argument passed to the api is
+	 * validated against contract.input, and the value it returns is validated
+	 * against contract.output, every time the pattern is executed.
+	 *
+	 * The pattern may contain wildcards ("*" / "?" within a segment, "**" for
+	 * any number of segments), in which case the api is executed for every
+	 * pattern that matches it - alongside any other matching api.
+	 *
+	 * If a strategy is provided, it is used to execute the pattern unless the
+	 * caller asks for a different one - see executeWith for the strategies.
+	 *
+	 * If cache options are provided, the results of the api are memoized
+	 * against the key derived from its arguments till the ttl expires, or
+	 * they are invalidated - see invalidate.
 	 */
-	async register(pattern, api) {
+	async register(pattern, api, options) {
 		if (typeof api !== 'function') {
 			throw new Error(
 				`${this?.domainPath}::${this?.name}::register expects a function for the pattern: ${pattern}`
@@ -80,12 +483,51 @@ export class APIRegistry extends EVASBaseClass {
 		}
 
 		pattern = pattern?.toLocaleUpperCase?.();
+		this.#setExecutionOptions?.(pattern, options);
+
 		if (!this.#apiMap?.has?.(pattern)) this.#apiMap?.set?.(pattern, []);
 
+		const wildcardMatcher = compilePattern?.(pattern);
+		if (wildcardMatcher && !this.#wildcardMatchers?.has?.(pattern))
+			this.#wildcardMatchers?.set?.(pattern, wildcardMatcher);
+
+		if (!this.#registeredApis?.has?.(api))
+			this.#registeredApis?.set?.(api, new Map());
+
 		const apiList = this.#apiMap?.get?.(pattern);
-		if (apiList?.indexOf?.(api) >= 0) return true;
+		const apiRegistrations = this.#registeredApis?.get?.(api);
+		if (apiRegistrations?.has?.(pattern)) return true;
 
-		apiList?.push?.(api);
+		const contractedApi = this.#applyContract?.(
+			pattern,
+			api,
+			options?.contract
+		);
+
+		const memoization = this.#createMemoization?.(pattern, options?.cache);
+		const registeredApi = this.#applyMemoization?.(
+			contractedApi,
+			memoization
+		);
+		if (memoization) this.#memoizations?.set?.(registeredApi, memoization);
+
+		apiRegistrations?.set?.(pattern, registeredApi);
+		apiList?.push?.(registeredApi);
+
+		this.#registrationDetails?.set?.(registeredApi, {
+			name: api?.name,
+			owner: options?.owner,
+			contract: {
+				input: !!options?.contract?.input,
+				output: !!options?.contract?.output
+			},
+			cache: memoization
+				? {
+						ttl: memoization?.ttl,
+						store: memoization?.store
+					}
+				: undefined
+		});
 
 		if (serverEnvironment === 'production') return true;
 		console?.info?.(
@@ -109,88 +551,160 @@ export class APIRegistry extends EVASBaseClass {
 	 *
 	 * @description
 	 * Executes all the API that respond to the pattern, and returns
-	 * the results
+	 * the results - using the strategy registered for the pattern, if any
 	 *
 	 */
 	async execute(pattern, ...data) {
-		// Step 1: Get the API List for this pattern
-		let apiList = await this?._resolve(pattern);
+		const results = await this.executeWith?.(pattern, undefined, ...data);
+		return results;
+	}
 
-		// Step 2: Sanity checks
-		if (!apiList) return null;
-		if (!Array.isArray(apiList)) return null;
-		if (apiList.length === 0) return null;
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name executeWith
+	 *
+	 * @param {string} pattern - The pattern to be resolved.
+	 * @param {object} [options] - The execution options for this call.
+	 * @param {string} [options.strategy] - The execution strategy to use.
+	 * @param {number} [options.quorum] - The quorum required by the "quorum" strategy.
+	 * @param {number} [options.timeout] - The time, in milliseconds, the execution is allowed to take.
+	 * @param {AbortSignal} [options.signal] - A signal to cancel the execution.
+	 * @param {Object} data - The parameters to be passed to the API.
+	 *
+	 * @returns {Object} The return value(s) of the API that match the pattern
+	 *
+	 * @description
+	 * Executes the API that respond to the pattern using the chosen strategy:
+	 * - all: in parallel, throwing an AggregateError if any fail (the default)
+	 * - first-success: one after the other, returning the first success
+	 * - race: in parallel, settling with the first one to settle
+	 * - pipeline: one after the other, each receiving the previous result
+	 * - quorum: in parallel, returning the result a quorum agrees upon
+	 * - partial: in parallel, returning { results, errors } without throwing
+	 *
+	 * The strategy for the call takes precedence over the one registered for
+	 * the pattern, which in turn takes precedence over the default.
+	 *
+	 * If a timeout and / or signal is provided, the execution fails with an
+	 * EXECUTION_TIMEOUT (or EXECUTION_CANCELLED) error as soon as the timeout
+	 * expires (or the signal is aborted). The deadline and signal apply to
+	 * every execution nested within this one as well.
+	 *
+	 */
+	async executeWith(pattern, options, ...data) {
+		// Step 1: Setup the deadline / cancellation signal for this execution
+		const executionDeadline = this.#createExecutionDeadline?.(
+			pattern,
+			options
+		);
 
-		// Step 3: One API for this pattern...
-		if (apiList.length === 1) {
-			const api = apiList?.shift?.();
-			const results = await api?.(...data);
-			return results;
-		}
+		// Step 2: Setup the context shared by the interceptors
+		const context = {
+			pattern: pattern,
+			domainPath: this?.domainPath,
+			options: options,
+			signal: executionDeadline?.signal,
+			data: data,
+			result: undefined
+		};
 
-		// Step 4: Multiple API for the pattern...
-		const promises = [];
-		const results = [];
-		const errors = [];
+		// Step 3: Wrap the actual execution in the interceptors, outermost first
+		const interceptors = this.#collectInterceptors?.(pattern);
 
-		for (const api of apiList) {
-			promises?.push?.(api?.(...data));
-		}
+		let invocation = async () => {
+			const results = await this.#executeCandidates?.(
+				context?.pattern,
+				context?.options,
+				context?.data
+			);
 
-		const promiseResolutions = await Promise?.allSettled?.(promises);
-		for (const resolution of promiseResolutions) {
-			if (resolution?.status === 'fulfilled') {
-				results?.push?.(resolution?.value);
-				continue;
-			}
+			return results;
+		};
 
-			errors?.push?.(resolution?.reason);
-		}
+		for (const interceptor of interceptors?.reverse?.() ?? []) {
+			const next = invocation;
+			invocation = async () => {
+				await interceptor?.before?.(context);
 
-		if (errors?.length) {
-			throw new AggregateError(errors, `Error executing ${pattern}`);
+				context.result = interceptor?.around
+					? await interceptor?.around?.(context, next)
+					: await next?.();
+
+				await interceptor?.after?.(context);
+				return context?.result;
+			};
 		}
 
-		if (results?.length > 1) return results;
-		return results?.pop?.();
+		// Finally, execute within the deadline...
+		try {
+			const results = await this.#executeWithinDeadline?.(
+				executionDeadline,
+				invocation
+			);
+
+			return results;
+		} finally {
+			executionDeadline?.dispose?.();
+		}
 	}
+
 	/**
 	 * @memberof APIRegistry
 	 * @async
 	 * @instance
 	 * @function
-	 * @name unregister
+	 * @name addInterceptor
 	 *
-	 * @param {string} pattern - The pattern to which this api will respond.
-	 * @param {Function} api - The api to be de-registered against the pattern.
+	 * @param {string} pattern - The pattern (wildcards allowed) of the executions to intercept.
+	 * @param {object|Function} interceptor - The interceptor - an object with before / after / around hooks, or an around function.
 	 *
 	 * @returns {boolean} Boolean true/false - depending on whether the
-	 * de-registration succeeded.
+	 * interceptor was added.
 	 *
 	 * @description
-	 * De-registers the api function as a handler for the pattern.
+	 * Adds an interceptor for executions of the pattern from this registry,
+	 * and from every registry below it. The pattern is matched against the
+	 * pattern passed in to execute / executeWith.
+	 *
+	 * The interceptor hooks receive a context with the pattern, the
+	 * domainPath of the executing registry, the execution options, the data
+	 * (arguments) and, once available, the result:
+	 * - before(context): runs before the execution - may modify the data, or throw to abort
+	 * - around(context, next): runs instead of the execution - must call next to proceed
+	 * - after(context): runs after the execution - may modify the result
+	 *
+	 * Interceptors added to a parent registry run outside those added to the
+	 * children, and interceptors in the same registry run in the order they
+	 * were added.
 	 */
-	async unregister(pattern, api) {
-		if (typeof api !== 'function') {
+	async addInterceptor(pattern, interceptor) {
+		if (typeof interceptor === 'function') {
+			interceptor = { around: interceptor };
+		}
+
+		if (
+			typeof interceptor?.before !== 'function' &&
+			typeof interceptor?.after !== 'function' &&
+			typeof interceptor?.around !== 'function'
+		) {
 			throw new Error(
-				`${this?.domainPath}::${this?.name}::unregister expects a function for the pattern: ${pattern}`
+				`${this?.domainPath}::${this?.name}::addInterceptor expects before / after / around hooks for the pattern: ${pattern}`
 			);
 		}
 
 		pattern = pattern?.toLocaleUpperCase?.();
-		if (!this.#apiMap?.has?.(pattern)) return true;
-
-		const apiList = this.#apiMap?.get?.(pattern);
-
-		const apiIndex = apiList?.indexOf?.(api);
-		if (apiIndex < 0) return true;
-
-		apiList?.splice?.(apiIndex, 1);
-		if (apiList?.length <= 0) this.#apiMap?.delete?.(pattern);
+		this.#interceptors?.push?.({
+			pattern: pattern,
+			matcher: compilePattern?.(pattern),
+			interceptor: interceptor
+		});
 
 		if (serverEnvironment === 'production') return true;
 		console?.info?.(
-			`${this?.domainPath}::${this?.name}::unregister: ${pattern} API`
+			`${this?.name}::addInterceptor: ${this?.domainPath}::${pattern}`
 		);
 
 		return true;
@@ -201,59 +715,315 @@ export class APIRegistry extends EVASBaseClass {
 	 * @async
 	 * @instance
 	 * @function
-	 * @name unregisterAll
+	 * @name removeInterceptor
 	 *
-	 * @returns {null} Nothing.
+	 * @param {string} pattern - The pattern the interceptor was added for.
+	 * @param {object|Function} interceptor - The interceptor to be removed.
+	 *
+	 * @returns {boolean} Boolean true/false - depending on whether the
+	 * interceptor was removed.
 	 *
 	 * @description
-	 * De-registers everything, including children.
+	 * Removes an interceptor added using addInterceptor.
 	 */
-	async unregisterAll() {
-		if (serverEnvironment !== 'production')
-			console?.info?.(
-				`\n${this?.domainPath}::${this?.name}::unregisterAll`
-			);
+	async removeInterceptor(pattern, interceptor) {
+		pattern = pattern?.toLocaleUpperCase?.();
 
-		this.#apiMap?.clear?.();
-		this.#childRegistries?.clear?.();
+		const interceptorIndex = this.#interceptors?.findIndex?.(
+			(registeredInterceptor) => {
+				return (
+					registeredInterceptor?.pattern === pattern &&
+					(registeredInterceptor?.interceptor === interceptor ||
+						registeredInterceptor?.interceptor?.around ===
+							interceptor)
+				);
+			}
+		);
+
+		if (interceptorIndex < 0) return false;
+		this.#interceptors?.splice?.(interceptorIndex, 1);
+
+		if (serverEnvironment === 'production') return true;
+		console?.info?.(
+			`${this?.domainPath}::${this?.name}::removeInterceptor: ${pattern}`
+		);
 
-		this.#parentRegistry = undefined;
 		return true;
 	}
-	// #endregion
 
-	// #region "Protected Methods"
 	/**
 	 * @memberof APIRegistry
 	 * @async
 	 * @instance
 	 * @function
-	 * @name _resolve
+	 * @name invalidate
 	 *
-	 * @param {string} pattern - The pattern to be executed.
+	 * @param {string} pattern - The pattern whose memoized results are to be invalidated.
+	 * @param {string} [keyPrefix] - Invalidate only the results whose keys start with this.
 	 *
-	 * @returns {Array} The results of the execution.
+	 * @returns {boolean} Boolean true/false - depending on whether the
+	 * invalidation succeeded.
 	 *
 	 * @description
-	 * Resolves the pattern asked for, and returns all the API
-	 * handlers that can respond to it - across the entire server
-	 * codebase
-	 *
-	 * TREAT THIS AN INTERNAL METHOD ONLY. CALL IT DIRECTLY AT YOUR OWN RISK.
-	 *
+	 * Resolves the pattern exactly as execute does, and clears the memoized
+	 * results of every api that responds to it - or only those with keys
+	 * starting with the keyPrefix, if provided.
 	 */
-	async _resolve(pattern) {
-		const patternLocal = pattern?.toLocaleUpperCase?.()?.split?.('::');
+	async invalidate(pattern, keyPrefix) {
+		const candidates = await this.#resolveCandidates?.(pattern);
 
-		// Step 1: Check if we can resolve it locally...
-		let apis = await this?._find?.(patternLocal);
-		if (apis?.length > 0) return [...apis];
-		if (!this.#parentRegistry) return [...apis];
+		let invalidations = [];
+		for (const candidate of candidates ?? []) {
+			const memoization = candidate?.memoization;
+			if (!memoization) continue;
 
-		// Step 2: Ask the parent to resolve it...
-		apis = await this.#parentRegistry?._resolve?.(pattern);
-		return apis;
-	}
+			invalidations?.push?.(
+				memoization?.resultCache?.invalidate?.(
+					`${memoization?.keyPrefix}${keyPrefix ?? ''}`
+				)
+			);
+		}
+
+		const errors = [];
+		invalidations = await Promise?.allSettled?.(invalidations);
+		for (const invalidation of invalidations) {
+			if (invalidation?.status === 'fulfilled') continue;
+			errors?.push?.(invalidation?.reason);
+		}
+
+		if (errors?.length) {
+			throw new AggregateError(errors, `Error invalidating ${pattern}`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name attachTransport
+	 *
+	 * @param {RemoteTransport} transport - The transport connecting this registry to other processes.
+	 *
+	 * @returns {boolean} Boolean true/false - depending on whether the
+	 * transport was attached.
+	 *
+	 * @description
+	 * Connects this registry to the registries in other processes.
+	 *
+	 * Patterns that neither this registry, nor the registries below it, can
+	 * resolve are forwarded to the other processes via the transport - and the
+	 * result of the first process that can resolve the pattern is returned.
+	 * The arguments and result must be JSON serializable, and errors are
+	 * rethrown with their message, code and status intact.
+	 *
+	 * Patterns forwarded by the other processes are executed here, if this
+	 * registry can resolve them, and are never forwarded again. Since they
+	 * are resolved from this registry downwards, forwarded patterns should be
+	 * fully qualified.
+	 */
+	async attachTransport(transport) {
+		if (typeof transport?.request !== 'function') {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::attachTransport expects a transport with a request method`
+			);
+		}
+
+		await this.detachTransport?.();
+		await transport?.connect?.(this.#serveRemoteExecution?.bind?.(this));
+		this.#transport = transport;
+
+		if (serverEnvironment === 'production') return true;
+		console?.info?.(
+			`${this?.name}::attachTransport: ${this?.domainPath}::${transport?.constructor?.name}`
+		);
+
+		return true;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name detachTransport
+	 *
+	 * @returns {boolean} Boolean true/false - depending on whether the
+	 * transport was detached.
+	 *
+	 * @description
+	 * Disconnects the transport attached using attachTransport, if any.
+	 */
+	async detachTransport() {
+		const transport = this.#transport;
+		if (!transport) return true;
+
+		this.#transport = undefined;
+		await transport?.disconnect?.();
+
+		return true;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name introspect
+	 *
+	 * @returns {Array} The patterns registered in this registry and below it.
+	 *
+	 * @description
+	 * Walks this registry, and its children, and returns a description of
+	 * every registered pattern - fully qualified - along with the handlers
+	 * registered against it, the artifacts that own them, and the registry
+	 * (domain / bounded context) that hosts them.
+	 */
+	async introspect() {
+		const registrations = [];
+
+		for (const [pattern, apiList] of this.#apiMap) {
+			registrations?.push?.({
+				pattern: this?.domainPath
+					? `${this?.domainPath}::${pattern}`
+					: pattern,
+				domainPath: this?.domainPath,
+				registry: this.#scopeName,
+				wildcard: this.#wildcardMatchers?.has?.(pattern),
+				strategy:
+					this.#executionOptions?.get?.(pattern)?.strategy ?? 'all',
+				handlerCount: apiList?.length,
+				handlers: apiList?.map?.((api) => {
+					return (
+						this.#registrationDetails?.get?.(api) ?? {
+							name: api?.name
+						}
+					);
+				})
+			});
+		}
+
+		for (const childRegistry of this.#childRegistries?.values?.() ?? []) {
+			const childRegistrations = await childRegistry?.introspect?.();
+			registrations?.push?.(...(childRegistrations ?? []));
+		}
+
+		return registrations;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name unregister
+	 *
+	 * @param {string} pattern - The pattern to which this api will respond.
+	 * @param {Function} api - The api to be de-registered against the pattern.
+	 *
+	 * @returns {boolean} Boolean true/false - depending on whether the
+	 * api was registered against the pattern, and has been de-registered.
+	 *
+	 * @description
+	 * De-registers the api function as a handler for the pattern. The api
+	 * has to be the very function that was registered - a fresh bind of
+	 * the same method is a different function, and is reported as a miss.
+	 */
+	async unregister(pattern, api) {
+		if (typeof api !== 'function') {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::unregister expects a function for the pattern: ${pattern}`
+			);
+		}
+
+		pattern = pattern?.toLocaleUpperCase?.();
+		if (!this.#apiMap?.has?.(pattern)) return false;
+
+		const apiList = this.#apiMap?.get?.(pattern);
+
+		const apiRegistrations = this.#registeredApis?.get?.(api);
+
+		const apiIndex = apiList?.indexOf?.(apiRegistrations?.get?.(pattern));
+		if (apiIndex < 0) return false;
+
+		apiList?.splice?.(apiIndex, 1);
+		apiRegistrations?.delete?.(pattern);
+		if (apiList?.length <= 0) {
+			this.#apiMap?.delete?.(pattern);
+			this.#wildcardMatchers?.delete?.(pattern);
+			this.#executionOptions?.delete?.(pattern);
+		}
+
+		if (serverEnvironment === 'production') return true;
+		console?.info?.(
+			`${this?.domainPath}::${this?.name}::unregister: ${pattern} API`
+		);
+
+		return true;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name unregisterAll
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * De-registers everything, including children.
+	 */
+	async unregisterAll() {
+		if (serverEnvironment !== 'production')
+			console?.info?.(
+				`\n${this?.domainPath}::${this?.name}::unregisterAll`
+			);
+
+		this.#apiMap?.clear?.();
+		this.#wildcardMatchers?.clear?.();
+		this.#executionOptions?.clear?.();
+		this.#interceptors?.splice?.(0);
+		this.#childRegistries?.clear?.();
+		this.#registeredApis = new WeakMap();
+		this.#registrationDetails = new WeakMap();
+		this.#memoizations = new WeakMap();
+
+		await this.#parentRegistry?.unregisterChild?.(this.#scopeName, this);
+		this.#parentRegistry = undefined;
+
+		return true;
+	}
+	// #endregion
+
+	// #region "Protected Methods"
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _resolve
+	 *
+	 * @param {string} pattern - The pattern to be executed.
+	 *
+	 * @returns {Array} The results of the execution.
+	 *
+	 * @description
+	 * Resolves the pattern asked for, and returns all the API
+	 * handlers that can respond to it - across the entire server
+	 * codebase
+	 *
+	 * TREAT THIS AN INTERNAL METHOD ONLY. CALL IT DIRECTLY AT YOUR OWN RISK.
+	 *
+	 */
+	async _resolve(pattern) {
+		const candidates = await this.#resolveCandidates?.(pattern);
+		return candidates?.map?.((candidate) => {
+			return candidate?.api;
+		});
+	}
 
 	/**
 	 * @memberof APIRegistry
@@ -270,10 +1040,308 @@ export class APIRegistry extends EVASBaseClass {
 	 * Searches for the pattern in this registry and downwards,
 	 * and returns the apis registered against it.
 	 *
+	 * The apis are ordered by precedence:
+	 * 1. Exact matches before wildcard matches
+	 * 2. More specific wildcard patterns before less specific ones
+	 * 3. Deeper (nearer to the api) registries before their parents
+	 * 4. Registration order
+	 *
 	 * TREAT THIS AN INTERNAL METHOD ONLY. CALL IT DIRECTLY AT YOUR OWN RISK.
 	 *
 	 */
 	async _find(pattern) {
+		const candidates = this.#findCandidates?.(pattern);
+		return candidates?.map?.((candidate) => {
+			return candidate?.api;
+		});
+	}
+	// #endregion
+
+	// #region Private Methods
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #attachChild
+	 *
+	 * @param {string} name - The name of child domain.
+	 * @param {APIRegistry} apiRegistry - The child domain's API registry.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Registers a child domain's API Registry - throws if a different one is
+	 * already registered against the name.
+	 */
+	#attachChild(name, apiRegistry) {
+		name = name?.toLocaleUpperCase?.();
+
+		const childRegistry = this.#childRegistries?.get?.(name);
+		if (childRegistry === apiRegistry) return;
+
+		if (childRegistry)
+			throw new Error(
+				`Child registry with ${name} is already registered`
+			);
+
+		this.#childRegistries?.set?.(name, apiRegistry);
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #executeCandidates
+	 *
+	 * @param {string} pattern - The pattern to be resolved.
+	 * @param {object} [options] - The execution options for this call.
+	 * @param {Array} data - The parameters to be passed to the API.
+	 *
+	 * @returns {Object} The return value(s) of the API that match the pattern
+	 *
+	 * @description
+	 * Resolves the pattern, and executes the API using the chosen strategy.
+	 */
+	async #executeCandidates(pattern, options, data) {
+		// Step 1: Get the API List for this pattern
+		const candidates = await this.#resolveCandidates?.(pattern);
+
+		// Step 2: Sanity checks - and forward the pattern if it cannot be resolved here
+		if (!Array.isArray(candidates)) return null;
+		if (candidates.length === 0) {
+			const results = await this.#executeRemotely?.(pattern, data);
+			return results;
+		}
+
+		// Step 3: Figure out how to execute the API List
+		const registeredOptions = candidates?.find?.((candidate) => {
+			return !!candidate?.executionOptions;
+		})?.executionOptions;
+
+		const executionOptions = options?.strategy
+			? options
+			: { ...registeredOptions, ...options };
+
+		const strategy = executionOptions?.strategy ?? 'all';
+		const executionStrategy = executionStrategies?.get?.(strategy);
+		if (!executionStrategy) {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::execute: unknown execution strategy ${strategy} for the pattern: ${pattern}`
+			);
+		}
+
+		// Step 4: Execute...
+		const apiList = candidates?.map?.((candidate) => {
+			return candidate?.api;
+		});
+
+		const results = await executionStrategy?.(
+			apiList,
+			data,
+			executionOptions,
+			pattern
+		);
+
+		return results;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #executeRemotely
+	 *
+	 * @param {string} pattern - The pattern that could not be resolved locally.
+	 * @param {Array} data - The parameters to be passed to the API.
+	 *
+	 * @returns {Object} The return value(s) of the remote API - or null if
+	 * there is no transport to forward the pattern with.
+	 *
+	 * @description
+	 * Forwards the pattern via the nearest transport up the hierarchy, within
+	 * the deadline of the execution in progress.
+	 */
+	async #executeRemotely(pattern, data) {
+		if (remoteExecutionScope?.getStore?.()) return null;
+
+		const transport = this.#findTransport?.();
+		if (!transport) return null;
+
+		const deadline = executionScope?.getStore?.()?.deadline;
+		const timeout = deadline
+			? Math?.max?.(deadline - Date?.now?.(), 0)
+			: undefined;
+
+		const results = await transport?.request?.(pattern, data, {
+			timeout: timeout
+		});
+
+		return results;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #serveRemoteExecution
+	 *
+	 * @param {string} pattern - The pattern forwarded by another process.
+	 * @param {Array} data - The parameters to be passed to the API.
+	 * @param {object} [options] - The execution options sent along with the pattern.
+	 *
+	 * @returns {object} Whether the pattern could be resolved here - and the
+	 * result of executing it - as { resolved, result }.
+	 */
+	async #serveRemoteExecution(pattern, data, options) {
+		const candidates = await this.#resolveCandidates?.(pattern);
+		if (!candidates?.length) return { resolved: false };
+
+		const result = await remoteExecutionScope?.run?.(true, () => {
+			return this.executeWith?.(
+				pattern,
+				{ timeout: options?.timeout },
+				...(data ?? [])
+			);
+		});
+
+		return { resolved: true, result: result };
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #findTransport
+	 *
+	 * @returns {RemoteTransport} The transport attached to this registry, or the nearest one above it.
+	 */
+	#findTransport() {
+		return this.#transport ?? this.#parentRegistry?.#findTransport();
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #collectInterceptors
+	 *
+	 * @param {string} pattern - The pattern being executed.
+	 *
+	 * @returns {Array} The interceptors for the pattern, outermost first.
+	 *
+	 * @description
+	 * Returns the interceptors added to the parent registries, followed by
+	 * the ones added to this registry, that match the pattern.
+	 */
+	#collectInterceptors(pattern) {
+		const inheritedInterceptors =
+			this.#parentRegistry?.#collectInterceptors(pattern) ?? [];
+
+		const upperCasePattern = pattern?.toLocaleUpperCase?.();
+		const patternSegments = upperCasePattern?.split?.('::');
+
+		const localInterceptors = this.#interceptors
+			?.filter?.((registeredInterceptor) => {
+				if (!registeredInterceptor?.matcher)
+					return registeredInterceptor?.pattern === upperCasePattern;
+
+				return matchSegments?.(
+					registeredInterceptor?.matcher?.segments,
+					patternSegments
+				);
+			})
+			?.map?.((registeredInterceptor) => {
+				return registeredInterceptor?.interceptor;
+			});
+
+		return [...inheritedInterceptors, ...localInterceptors];
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #resolveCandidates
+	 *
+	 * @param {string} pattern - The pattern to be resolved.
+	 *
+	 * @returns {Array} The apis that respond to the pattern, with their precedence
+	 * and execution options, in order of precedence.
+	 *
+	 * @description
+	 * Resolves the pattern locally, and asks the parent to resolve it if no
+	 * api in this registry (and its children) responds to it.
+	 */
+	async #resolveCandidates(pattern) {
+		const patternLocal = pattern?.toLocaleUpperCase?.()?.split?.('::');
+
+		// Step 1: Check if we can resolve it locally...
+		const candidates = this.#findCandidates?.(patternLocal);
+		if (candidates?.length > 0) return candidates;
+		if (!this.#parentRegistry) return candidates;
+
+		// Step 2: Ask the parent to resolve it...
+		const parentCandidates =
+			await this.#parentRegistry.#resolveCandidates(pattern);
+		return parentCandidates;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #findCandidates
+	 *
+	 * @param {Array} pattern - The segments of the pattern to be executed.
+	 *
+	 * @returns {Array} The apis that match the pattern, in order of precedence.
+	 *
+	 * @description
+	 * Searches for the pattern in this registry and downwards, and orders the
+	 * matches as described in _find.
+	 */
+	#findCandidates(pattern) {
+		const candidates = this.#collectCandidates?.(pattern, 0);
+
+		candidates?.sort?.((left, right) => {
+			if (left?.specificity !== right?.specificity)
+				return right?.specificity - left?.specificity;
+
+			return right?.depth - left?.depth;
+		});
+
+		return candidates;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #collectCandidates
+	 *
+	 * @param {Array} pattern - The segments of the pattern to be executed.
+	 * @param {number} depth - The depth of this registry in the search.
+	 *
+	 * @returns {Array} The apis that match the pattern, with their precedence.
+	 *
+	 * @description
+	 * Searches for the pattern in this registry and downwards, and returns
+	 * the matching apis along with the information required to order them.
+	 */
+	#collectCandidates(pattern, depth) {
 		const patternScope = pattern?.shift?.();
 
 		// Sanity check...
@@ -281,34 +1349,517 @@ export class APIRegistry extends EVASBaseClass {
 
 		// Step 0: Trivial optimization - see if the pattern is the name of a registered API...
 		if (pattern?.length === 0) {
-			const registeredApis = this.#apiMap?.get?.(patternScope);
-			if (registeredApis?.length > 0) {
-				return registeredApis;
-			}
+			const candidates = this.#matchCandidates?.([patternScope], depth);
+			if (candidates?.length > 0) return candidates;
 		}
 
 		// Step 1: Check if the pattern array's first element is the scope name...
 		if (patternScope !== this.#scopeName) return [];
+		if (pattern?.length === 0) return [];
 
-		const apiPattern = pattern?.join?.('::');
-		const registeredApis = this.#apiMap?.get?.(apiPattern) ?? [];
-		if (registeredApis?.length > 0) {
-			return registeredApis;
-		}
+		const candidates = this.#matchCandidates?.(pattern, depth);
 
 		// Step 2: See if we one of the children has the next scope name...
 		const childRegistry = this.#childRegistries?.get?.(pattern?.[0]);
 		if (childRegistry) {
-			const registeredApis = await childRegistry?._find?.(pattern);
-			return registeredApis;
+			candidates?.push?.(
+				...childRegistry.#collectCandidates([...pattern], depth + 1)
+			);
+		}
+
+		return candidates;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #matchCandidates
+	 *
+	 * @param {Array} segments - The pattern segments, relative to this registry.
+	 * @param {number} depth - The depth of this registry in the search.
+	 *
+	 * @returns {Array} The apis registered here that match the segments.
+	 *
+	 * @description
+	 * Returns the apis registered in this registry - exactly, or via a
+	 * wildcard pattern - against the segments.
+	 */
+	#matchCandidates(segments, depth) {
+		const candidates = [];
+
+		const exactPattern = segments?.join?.('::');
+		if (!this.#wildcardMatchers?.has?.(exactPattern)) {
+			const exactApis = this.#apiMap?.get?.(exactPattern) ?? [];
+			for (const api of exactApis) {
+				candidates?.push?.({
+					api: api,
+					depth: depth,
+					specificity: Number?.POSITIVE_INFINITY,
+					executionOptions:
+						this.#executionOptions?.get?.(exactPattern),
+					memoization: this.#memoizations?.get?.(api)
+				});
+			}
+		}
+
+		for (const [wildcardPattern, wildcardMatcher] of this
+			.#wildcardMatchers) {
+			if (!matchSegments?.(wildcardMatcher?.segments, segments)) continue;
+
+			const wildcardApis = this.#apiMap?.get?.(wildcardPattern) ?? [];
+			for (const api of wildcardApis) {
+				candidates?.push?.({
+					api: api,
+					depth: depth,
+					specificity: wildcardMatcher?.specificity,
+					executionOptions:
+						this.#executionOptions?.get?.(wildcardPattern),
+					memoization: this.#memoizations?.get?.(api)
+				});
+			}
+		}
+
+		return candidates;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #createExecutionDeadline
+	 *
+	 * @param {string} pattern - The pattern being executed.
+	 * @param {object} [options] - The execution options for this call.
+	 *
+	 * @returns {object} The deadline and signal for the execution, and a
+	 * function to dispose of the timer backing them.
+	 *
+	 * @description
+	 * Combines the timeout and signal of this execution with those inherited
+	 * from the execution it is nested within, if any.
+	 */
+	#createExecutionDeadline(pattern, options) {
+		const inheritedScope = executionScope?.getStore?.();
+
+		if (options?.signal && !(options?.signal instanceof AbortSignal)) {
+			throw new TypeError(
+				`${this?.domainPath}::${this?.name}::execute: signal is not an AbortSignal for the pattern: ${pattern}`
+			);
+		}
+
+		const signals = [];
+		if (options?.signal) signals?.push?.(options?.signal);
+		if (inheritedScope?.signal) signals?.push?.(inheritedScope?.signal);
+
+		let deadline = inheritedScope?.deadline;
+		let timeoutTimer = undefined;
+
+		if (options?.timeout > 0) {
+			const timeoutController = new AbortController();
+			const timeoutError = new EVASTimeoutError(
+				'EVASERVER::API_REGISTRY::EXECUTION_TIMEOUT'
+			);
+			timeoutError.pattern = pattern;
+			timeoutError.timeout = options?.timeout;
+
+			timeoutTimer = setTimeout(() => {
+				timeoutController?.abort?.(timeoutError);
+			}, options?.timeout);
+
+			signals?.push?.(timeoutController?.signal);
+			deadline = Math?.min?.(
+				Date?.now?.() + options?.timeout,
+				deadline ?? Number?.POSITIVE_INFINITY
+			);
+		}
+
+		const combinedSignal = this.#combineSignals?.(signals);
+		return {
+			deadline: deadline,
+			signal: combinedSignal?.signal,
+			dispose: () => {
+				clearTimeout(timeoutTimer);
+				combinedSignal?.dispose?.();
+			}
+		};
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #combineSignals
+	 *
+	 * @param {Array<AbortSignal>} signals - The signals to be combined.
+	 *
+	 * @returns {object} A signal aborted as soon as any of the signals is
+	 * aborted, and a function to detach it from them.
+	 *
+	 * @description
+	 * Combines the signals by hand - AbortSignal.any is not available in all
+	 * the Node.js versions this package supports.
+	 */
+	#combineSignals(signals) {
+		if (!signals?.length) return { signal: undefined, dispose: () => {} };
+		if (signals?.length === 1)
+			return { signal: signals?.[0], dispose: () => {} };
+
+		const combinedController = new AbortController();
+		const abortListeners = [];
+
+		const dispose = () => {
+			for (const [signal, abortListener] of abortListeners) {
+				signal?.removeEventListener?.('abort', abortListener);
+			}
+
+			abortListeners?.splice?.(0);
+		};
+
+		for (const signal of signals) {
+			if (signal?.aborted) {
+				dispose?.();
+				combinedController?.abort?.(signal?.reason);
+				break;
+			}
+
+			const abortListener = () => {
+				dispose?.();
+				combinedController?.abort?.(signal?.reason);
+			};
+
+			signal?.addEventListener?.('abort', abortListener, { once: true });
+			abortListeners?.push?.([signal, abortListener]);
 		}
 
-		// Step 3: No match found...
-		return [];
+		return { signal: combinedController?.signal, dispose: dispose };
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #executeWithinDeadline
+	 *
+	 * @param {object} executionDeadline - The deadline and signal for the execution.
+	 * @param {Function} invocation - The execution, wrapped in the interceptors.
+	 *
+	 * @returns {Object} The return value(s) of the invocation.
+	 *
+	 * @description
+	 * Runs the invocation with the deadline and signal available to nested
+	 * executions, and fails as soon as the signal is aborted - without waiting
+	 * for the invocation to complete.
+	 */
+	async #executeWithinDeadline(executionDeadline, invocation) {
+		const signal = executionDeadline?.signal;
+		if (!signal) {
+			const results = await invocation?.();
+			return results;
+		}
+
+		if (signal?.aborted) throw this.#createAbortError?.(signal);
+
+		let abortListener = undefined;
+		const abortion = new Promise((resolve, reject) => {
+			abortListener = () => {
+				reject(this.#createAbortError?.(signal));
+			};
+
+			signal?.addEventListener?.('abort', abortListener, { once: true });
+		});
+
+		const execution = executionScope?.run?.(
+			{
+				deadline: executionDeadline?.deadline,
+				signal: signal
+			},
+			invocation
+		);
+
+		// The execution may fail after it has been abandoned...
+		execution?.catch?.(() => {});
+
+		try {
+			const results = await Promise?.race?.([execution, abortion]);
+			return results;
+		} finally {
+			signal?.removeEventListener?.('abort', abortListener);
+		}
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #createAbortError
+	 *
+	 * @param {AbortSignal} signal - The aborted signal.
+	 *
+	 * @returns {Error} The error to fail the execution with.
+	 *
+	 * @description
+	 * Returns the timeout error if the execution timed out, or an
+	 * EXECUTION_CANCELLED error wrapping the abort reason otherwise.
+	 */
+	#createAbortError(signal) {
+		if (signal?.reason?.code?.startsWith?.('EVASERVER::'))
+			return signal?.reason;
+
+		const cancellationError = new EVASError(
+			'EVASERVER::API_REGISTRY::EXECUTION_CANCELLED',
+			{ severity: 'warning', status: 499, cause: signal?.reason }
+		);
+
+		return cancellationError;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #setExecutionOptions
+	 *
+	 * @param {string} pattern - The pattern the api is being registered against.
+	 * @param {object} [options] - The registration options for the api.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Stores the execution strategy registered for the pattern - all the apis
+	 * registered against the same pattern must agree on the strategy.
+	 */
+	#setExecutionOptions(pattern, options) {
+		if (!options?.strategy) return;
+
+		if (!executionStrategies?.has?.(options?.strategy)) {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::register: unknown execution strategy ${options?.strategy} for the pattern: ${pattern}`
+			);
+		}
+
+		const existingOptions = this.#executionOptions?.get?.(pattern);
+		if (
+			existingOptions &&
+			(existingOptions?.strategy !== options?.strategy ||
+				existingOptions?.quorum !== options?.quorum)
+		) {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::register: conflicting execution strategy ${options?.strategy} for the pattern: ${pattern}`
+			);
+		}
+
+		this.#executionOptions?.set?.(pattern, {
+			strategy: options?.strategy,
+			quorum: options?.quorum
+		});
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #createMemoization
+	 *
+	 * @param {string} pattern - The pattern the api is being registered against.
+	 * @param {object} [cache] - The memoization options for the api.
+	 *
+	 * @returns {object} The result cache, key derivation and ttl for the api -
+	 * or undefined if the results are not to be memoized.
+	 */
+	#createMemoization(pattern, cache) {
+		if (!cache) return undefined;
+
+		if (!(cache?.ttl > 0)) {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::register: invalid cache ttl for the pattern: ${pattern}`
+			);
+		}
+
+		const store = cache?.store ?? 'memory';
+		if (store !== 'memory' && typeof store?.get !== 'function') {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::register: invalid cache store for the pattern: ${pattern}`
+			);
+		}
+
+		const qualifiedPattern = this?.domainPath
+			? `${this?.domainPath}::${pattern}`
+			: pattern;
+
+		return {
+			ttl: cache?.ttl,
+			store: store === 'memory' ? 'memory' : 'repository',
+			key:
+				cache?.key ??
+				((...data) => {
+					return JSON?.stringify?.(data);
+				}),
+			keyPrefix: `${CACHE_KEY_PREFIX}${qualifiedPattern}!`,
+			resultCache:
+				store === 'memory'
+					? new MemoryResultCache({ maxEntries: cache?.maxEntries })
+					: new RepositoryResultCache(store)
+		};
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #applyMemoization
+	 *
+	 * @param {Function} api - The api being registered.
+	 * @param {object} [memoization] - The result cache, key derivation and ttl for the api.
+	 *
+	 * @returns {Function} The api, wrapped with the memoization if required.
+	 *
+	 * @description
+	 * Returns a function that returns the cached result for the arguments, if
+	 * present - and calls the api, and caches its result, otherwise. Failures
+	 * of the cache itself are treated as cache misses.
+	 */
+	#applyMemoization(api, memoization) {
+		if (!memoization) return api;
+
+		const memoizedApi = async function memoizedApi(...data) {
+			const key = `${memoization?.keyPrefix}${memoization?.key?.(...data)}`;
+
+			let cachedResult = undefined;
+			try {
+				cachedResult = await memoization?.resultCache?.get?.(key);
+			} catch {
+				cachedResult = undefined;
+			}
+
+			if (cachedResult?.hit) return cachedResult?.value;
+
+			const results = await api?.(...data);
+
+			try {
+				await memoization?.resultCache?.set?.(
+					key,
+					results,
+					memoization?.ttl
+				);
+			} catch {
+				// A result that cannot be cached is not an execution failure...
+			}
+
+			return results;
+		};
+
+		return memoizedApi;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #applyContract
+	 *
+	 * @param {string} pattern - The pattern the api is being registered against.
+	 * @param {Function} api - The api being registered.
+	 * @param {object} [contract] - JSON Schemas for the api input and output.
+	 *
+	 * @returns {Function} The api, wrapped with the contract validations if required.
+	 *
+	 * @description
+	 * Compiles the input / output schemas of the contract, and returns
+	 * a function that validates the api arguments and return value
+	 * around the actual call.
+	 */
+	#applyContract(pattern, api, contract) {
+		if (!contract?.input && !contract?.output) return api;
+
+		const qualifiedPattern = this?.domainPath
+			? `${this?.domainPath}::${pattern}`
+			: pattern;
+
+		let validateInput = undefined;
+		let validateOutput = undefined;
+
+		try {
+			if (contract?.input)
+				validateInput = contractValidator?.compile?.(contract?.input);
+
+			if (contract?.output)
+				validateOutput = contractValidator?.compile?.(contract?.output);
+		} catch (error) {
+			throw new Error(
+				`${this?.domainPath}::${this?.name}::register: invalid contract for the pattern: ${pattern}`,
+				{ cause: error }
+			);
+		}
+
+		const contractedApi = async function contractedApi(...data) {
+			if (validateInput && !validateInput?.(data?.[0])) {
+				const inputError = new EVASValidationError(
+					'EVASERVER::API_REGISTRY::INVALID_INPUT',
+					{ details: { violations: validateInput?.errors } }
+				);
+				inputError.pattern = qualifiedPattern;
+				inputError.violations = validateInput?.errors;
+
+				throw inputError;
+			}
+
+			const results = await api?.(...data);
+
+			if (validateOutput && !validateOutput?.(results)) {
+				const outputError = new EVASError(
+					'EVASERVER::API_REGISTRY::INVALID_OUTPUT'
+				);
+				outputError.pattern = qualifiedPattern;
+				outputError.violations = validateOutput?.errors;
+
+				throw outputError;
+			}
+
+			return results;
+		};
+
+		return contractedApi;
 	}
 	// #endregion
 
 	// #region Getters / Setters
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @readonly
+	 * @member {AbortSignal} executionSignal
+	 * @returns {AbortSignal} The cancellation signal of the execution in progress, if any.
+	 *
+	 * @description
+	 * Lets long-running apis stop working on executions that have timed out,
+	 * or have been cancelled.
+	 */
+	get executionSignal() {
+		return executionScope?.getStore?.()?.signal;
+	}
+
+	/**
+	 * @memberof APIRegistry
+	 * @instance
+	 * @readonly
+	 * @member {number} executionDeadline
+	 * @returns {number} The time (in milliseconds since the epoch) by which the execution in progress must complete, if any.
+	 */
+	get executionDeadline() {
+		return executionScope?.getStore?.()?.deadline;
+	}
+
 	/**
 	 * @memberof APIRegistry
 	 * @instance
@@ -330,6 +1881,13 @@ export class APIRegistry extends EVASBaseClass {
 	#parentRegistry = undefined;
 
 	#apiMap = new Map();
+	#wildcardMatchers = new Map();
+	#executionOptions = new Map();
+	#interceptors = [];
 	#childRegistries = new Map();
+	#registeredApis = new WeakMap();
+	#registrationDetails = new WeakMap();
+	#memoizations = new WeakMap();
+	#transport = undefined;
 	// #endregion
 }
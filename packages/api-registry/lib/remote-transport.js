@@ -0,0 +1,615 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { randomUUID } from 'node:crypto';
+import { rm } from 'node:fs/promises';
+import { createConnection, createServer } from 'node:net';
+
+import { errorDeserializer, errorSerializer } from '@twyr/error-serializer';
+import { EVASTimeoutError, EVASUnavailableError } from '@twyr/error-serializer';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const DEFAULT_REQUEST_TIMEOUT = 30_000;
+const DEFAULT_CHANNEL = 'twyr!entity!value!aggregate!api!transport';
+
+/**
+ * @class RemoteTransport
+ *
+ * @param {object} [options] - The transport options.
+ * @param {number} [options.timeout] - The default time, in milliseconds, to wait for a response.
+ *
+ * @classdesc
+ * The base class for transports that let an APIRegistry forward the patterns it
+ * cannot resolve to registries in other processes - and execute the patterns
+ * forwarded to it by them.
+ *
+ * Takes care of correlating requests with their responses, serializing errors,
+ * and timing out requests that no process responds to. Derived classes need to
+ * implement _connect, _disconnect and _send only, and hand incoming messages to
+ * _receive.
+ *
+ * Every message is a JSON object:
+ * - requests: { type: 'request', id, origin, pattern, data, timeout }
+ * - responses: { type: 'response', id, origin, result } or { type: 'response', id, origin, error }
+ */
+export class RemoteTransport {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(options) {
+		this.#timeout = options?.timeout ?? DEFAULT_REQUEST_TIMEOUT;
+	}
+	// #endregion
+
+	// #region Interface API
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name connect
+	 *
+	 * @param {Function} requestHandler - Executes a forwarded request, and returns { resolved, result }.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Starts listening for requests and responses. Requests are handed over to the
+	 * requestHandler, and responded to only if it could resolve the pattern.
+	 */
+	async connect(requestHandler) {
+		this.#requestHandler = requestHandler;
+		await this._connect?.();
+	}
+
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name disconnect
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Stops listening, and fails the requests still waiting for a response.
+	 */
+	async disconnect() {
+		this.#requestHandler = undefined;
+
+		for (const [requestId, pendingRequest] of this.#pendingRequests) {
+			this.#pendingRequests?.delete?.(requestId);
+
+			clearTimeout(pendingRequest?.timer);
+			pendingRequest?.reject?.(
+				this.#createTransportError?.(
+					EVASUnavailableError,
+					'EVASERVER::API_REGISTRY::TRANSPORT_DISCONNECTED',
+					pendingRequest?.pattern
+				)
+			);
+		}
+
+		await this._disconnect?.();
+	}
+
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name request
+	 *
+	 * @param {string} pattern - The pattern to be executed remotely.
+	 * @param {Array} data - The parameters to be passed to the API - must be JSON serializable.
+	 * @param {object} [options] - The request options.
+	 * @param {number} [options.timeout] - The time, in milliseconds, to wait for a response.
+	 *
+	 * @returns {Object} The return value(s) of the remote API that match the pattern.
+	 *
+	 * @description
+	 * Sends the pattern to the other processes, and waits for the first one that can
+	 * resolve it to respond. Fails with a TRANSPORT_TIMEOUT error if none do in time.
+	 */
+	async request(pattern, data, options) {
+		const requestId = randomUUID();
+		const timeout = options?.timeout ?? this.#timeout;
+
+		const response = new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.#pendingRequests?.delete?.(requestId);
+				reject(
+					this.#createTransportError?.(
+						EVASTimeoutError,
+						'EVASERVER::API_REGISTRY::TRANSPORT_TIMEOUT',
+						pattern
+					)
+				);
+			}, timeout);
+
+			this.#pendingRequests?.set?.(requestId, {
+				pattern: pattern,
+				resolve: resolve,
+				reject: reject,
+				timer: timer
+			});
+		});
+
+		try {
+			await this._send?.({
+				type: 'request',
+				id: requestId,
+				origin: this.#transportId,
+				pattern: pattern,
+				data: data,
+				timeout: timeout
+			});
+		} catch (error) {
+			const pendingRequest = this.#pendingRequests?.get?.(requestId);
+			this.#pendingRequests?.delete?.(requestId);
+
+			clearTimeout(pendingRequest?.timer);
+			throw error;
+		}
+
+		return response;
+	}
+	// #endregion
+
+	// #region Protected Methods, to be overridden by derived classes
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _connect
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * To be overridden by the transports - for setting up the underlying channel.
+	 */
+	async _connect() {
+		return;
+	}
+
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _disconnect
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * To be overridden by the transports - for tearing down the underlying channel.
+	 */
+	async _disconnect() {
+		return;
+	}
+
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _send
+	 *
+	 * @param {object} message - The request / response to be sent.
+	 * @param {object} [replyTo] - The transport specific destination of a response.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * To be overridden by the transports - for sending a message to the other processes.
+	 */
+	async _send(message, replyTo) {
+		const sendError = new Error(
+			`${this?.constructor?.name}::_send is not implemented for ${message?.type} ${replyTo ?? ''}`
+		);
+		throw sendError;
+	}
+
+	/**
+	 * @memberof RemoteTransport
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _receive
+	 *
+	 * @param {object} message - The request / response received.
+	 * @param {object} [replyTo] - The transport specific destination for the response to a request.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Called by the transports for every message received from the other processes.
+	 */
+	async _receive(message, replyTo) {
+		if (message?.type === 'response') {
+			this.#settleRequest?.(message);
+			return;
+		}
+
+		if (message?.type !== 'request') return;
+		if (message?.origin === this.#transportId) return;
+
+		let response = undefined;
+		try {
+			const execution = await this.#requestHandler?.(
+				message?.pattern,
+				message?.data ?? [],
+				{ timeout: message?.timeout }
+			);
+
+			// Someone else may be able to respond...
+			if (!execution?.resolved) return;
+
+			response = {
+				type: 'response',
+				id: message?.id,
+				origin: message?.origin,
+				result: execution?.result
+			};
+		} catch (error) {
+			response = {
+				type: 'response',
+				id: message?.id,
+				origin: message?.origin,
+				error: errorSerializer?.(error)
+			};
+		}
+
+		await this._send?.(response, replyTo);
+	}
+	// #endregion
+
+	// #region Private Methods
+	#settleRequest(message) {
+		if (message?.origin !== this.#transportId) return;
+
+		const pendingRequest = this.#pendingRequests?.get?.(message?.id);
+		if (!pendingRequest) return;
+
+		this.#pendingRequests?.delete?.(message?.id);
+		clearTimeout(pendingRequest?.timer);
+
+		if (message?.error) {
+			pendingRequest?.reject?.(errorDeserializer?.(message?.error));
+			return;
+		}
+
+		pendingRequest?.resolve?.(message?.result);
+	}
+
+	#createTransportError(ErrorClass, code, pattern) {
+		const transportError = new ErrorClass(code);
+		transportError.pattern = pattern;
+
+		return transportError;
+	}
+	// #endregion
+
+	// #region Getters / Setters
+	/**
+	 * @memberof RemoteTransport
+	 * @instance
+	 * @readonly
+	 * @member {string} transportId
+	 * @returns {string} The unique id of this transport, used to route responses back to it.
+	 */
+	get transportId() {
+		return this.#transportId;
+	}
+	// #endregion
+
+	// #region Private Fields
+	#transportId = randomUUID();
+	#timeout = DEFAULT_REQUEST_TIMEOUT;
+	#requestHandler = undefined;
+	#pendingRequests = new Map();
+	// #endregion
+}
+
+/**
+ * @class RedisTransport
+ * @extends RemoteTransport
+ *
+ * @param {object} repository - The Cache repository (Redis client) to publish / subscribe with.
+ * @param {object} [options] - The transport options.
+ * @param {string} [options.channel] - The Redis channel for the requests - responses use "<channel>!<transportId>".
+ * @param {number} [options.timeout] - The default time, in milliseconds, to wait for a response.
+ *
+ * @classdesc
+ * Forwards patterns to every process subscribed to the same Redis channel. The
+ * first process that can resolve the pattern responds.
+ */
+export class RedisTransport extends RemoteTransport {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(repository, options) {
+		super(options);
+
+		this.#repository = repository;
+		this.#channel = options?.channel ?? DEFAULT_CHANNEL;
+	}
+	// #endregion
+
+	// #region Protected Methods
+	/**
+	 * @memberof RedisTransport
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _connect
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Subscribes to the request channel, and to the response channel of this transport.
+	 * A subscribed Redis client cannot issue other commands - hence the duplicate.
+	 */
+	async _connect() {
+		this.#subscriber = this.#repository?.duplicate?.();
+		await this.#subscriber?.connect?.();
+
+		await this.#subscriber?.subscribe?.(
+			[this.#channel, `${this.#channel}!${this?.transportId}`],
+			this.#onMessage?.bind?.(this)
+		);
+	}
+
+	/**
+	 * @memberof RedisTransport
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _disconnect
+	 *
+	 * @returns {null} Nothing.
+	 */
+	async _disconnect() {
+		const subscriber = this.#subscriber;
+		this.#subscriber = undefined;
+
+		await subscriber?.unsubscribe?.();
+		await (subscriber?.close ?? subscriber?.quit)?.call?.(subscriber);
+	}
+
+	/**
+	 * @memberof RedisTransport
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _send
+	 *
+	 * @param {object} message - The request / response to be sent.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Publishes requests on the request channel, and responses on the response
+	 * channel of the transport that sent the request.
+	 */
+	async _send(message) {
+		const channel =
+			message?.type === 'response'
+				? `${this.#channel}!${message?.origin}`
+				: this.#channel;
+
+		await this.#repository?.publish?.(channel, JSON?.stringify?.(message));
+	}
+	// #endregion
+
+	// #region Private Methods
+	async #onMessage(message) {
+		try {
+			await this._receive?.(JSON?.parse?.(message));
+		} catch (error) {
+			console?.error?.(
+				`${this?.constructor?.name}::onMessage error: ${error?.message}`
+			);
+		}
+	}
+	// #endregion
+
+	// #region Private Fields
+	#repository = undefined;
+	#subscriber = undefined;
+	#channel = DEFAULT_CHANNEL;
+	// #endregion
+}
+
+/**
+ * @class IpcTransport
+ * @extends RemoteTransport
+ *
+ * @param {object} options - The transport options.
+ * @param {string} options.path - The path of the local (Unix domain / named pipe) socket.
+ * @param {boolean} [options.listen] - Whether to listen on the socket (true), or connect to it (false - the default).
+ * @param {number} [options.timeout] - The default time, in milliseconds, to wait for a response.
+ *
+ * @classdesc
+ * Forwards patterns over a local socket, as newline delimited JSON. The listening
+ * process forwards its requests to every process connected to it, while the
+ * connected processes forward theirs to the listening process only.
+ */
+export class IpcTransport extends RemoteTransport {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(options) {
+		super(options);
+
+		this.#path = options?.path;
+		this.#listen = !!options?.listen;
+	}
+	// #endregion
+
+	// #region Protected Methods
+	/**
+	 * @memberof IpcTransport
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _connect
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Starts listening on the socket, or connects to it.
+	 */
+	async _connect() {
+		if (this.#listen) {
+			this.#server = createServer((socket) => {
+				this.#attachSocket?.(socket);
+			});
+
+			await new Promise((resolve, reject) => {
+				this.#server?.once?.('error', reject);
+				this.#server?.listen?.(this.#path, () => {
+					this.#server?.off?.('error', reject);
+					resolve();
+				});
+			});
+
+			return;
+		}
+
+		await new Promise((resolve, reject) => {
+			const socket = createConnection(this.#path, () => {
+				socket?.off?.('error', reject);
+				resolve();
+			});
+
+			socket?.once?.('error', reject);
+			this.#attachSocket?.(socket);
+		});
+	}
+
+	/**
+	 * @memberof IpcTransport
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _disconnect
+	 *
+	 * @returns {null} Nothing.
+	 */
+	async _disconnect() {
+		for (const socket of this.#sockets) socket?.destroy?.();
+		this.#sockets?.clear?.();
+
+		const server = this.#server;
+		this.#server = undefined;
+		if (!server) return;
+
+		await new Promise((resolve) => {
+			server?.close?.(() => {
+				resolve();
+			});
+		});
+
+		// Do not leave a stale socket behind to block the next listen...
+		await rm(this.#path, { force: true });
+	}
+
+	/**
+	 * @memberof IpcTransport
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _send
+	 *
+	 * @param {object} message - The request / response to be sent.
+	 * @param {object} [replyTo] - The socket the request being responded to arrived on.
+	 *
+	 * @returns {null} Nothing.
+	 *
+	 * @description
+	 * Writes responses to the socket the request arrived on, and requests to
+	 * every connected socket.
+	 */
+	async _send(message, replyTo) {
+		const serializedMessage = `${JSON?.stringify?.(message)}\n`;
+		const sockets = replyTo ? [replyTo] : [...this.#sockets];
+
+		if (!sockets?.length && message?.type === 'request') {
+			const disconnectedError = new EVASUnavailableError(
+				'EVASERVER::API_REGISTRY::TRANSPORT_DISCONNECTED'
+			);
+			disconnectedError.pattern = message?.pattern;
+
+			throw disconnectedError;
+		}
+
+		for (const socket of sockets) {
+			if (socket?.destroyed) continue;
+			socket?.write?.(serializedMessage);
+		}
+	}
+	// #endregion
+
+	// #region Private Methods
+	#attachSocket(socket) {
+		let bufferedData = '';
+
+		this.#sockets?.add?.(socket);
+		socket?.setEncoding?.('utf8');
+
+		socket?.on?.('data', (chunk) => {
+			bufferedData += chunk;
+
+			let newlineIndex = bufferedData?.indexOf?.('\n');
+			while (newlineIndex >= 0) {
+				const serializedMessage = bufferedData?.slice?.(
+					0,
+					newlineIndex
+				);
+				bufferedData = bufferedData?.slice?.(newlineIndex + 1);
+
+				this.#onMessage?.(serializedMessage, socket);
+				newlineIndex = bufferedData?.indexOf?.('\n');
+			}
+		});
+
+		socket?.on?.('close', () => {
+			this.#sockets?.delete?.(socket);
+		});
+
+		socket?.on?.('error', (error) => {
+			console?.error?.(
+				`${this?.constructor?.name}::socket error: ${error?.message}`
+			);
+		});
+	}
+
+	async #onMessage(serializedMessage, socket) {
+		if (!serializedMessage?.trim?.()) return;
+
+		try {
+			await this._receive?.(JSON?.parse?.(serializedMessage), socket);
+		} catch (error) {
+			console?.error?.(
+				`${this?.constructor?.name}::onMessage error: ${error?.message}`
+			);
+		}
+	}
+	// #endregion
+
+	// #region Private Fields
+	#path = undefined;
+	#listen = false;
+	#server = undefined;
+	#sockets = new Set();
+	// #endregion
+}
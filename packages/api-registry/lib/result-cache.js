@@ -0,0 +1,198 @@
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const DEFAULT_MAX_ENTRIES = 1000;
+const SCAN_BATCH_SIZE = 100;
+
+/**
+ * @class MemoryResultCache
+ *
+ * @param {object} [options] - The cache options.
+ * @param {number} [options.maxEntries] - The maximum number of results to hold.
+ *
+ * @classdesc
+ * An in-process, least-recently-used, cache for the results of API executions.
+ *
+ * Results are cloned on the way in and out - so that callers mutating what
+ * they get back don't change what the next caller gets.
+ */
+export class MemoryResultCache {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(options) {
+		this.#maxEntries = options?.maxEntries ?? DEFAULT_MAX_ENTRIES;
+	}
+	// #endregion
+
+	// #region Interface API
+	/**
+	 * @memberof MemoryResultCache
+	 * @async
+	 * @instance
+	 * @function
+	 * @name get
+	 *
+	 * @param {string} key - The key of the cached result.
+	 *
+	 * @returns {object} Whether the result was found - and the result itself - as { hit, value }.
+	 */
+	async get(key) {
+		const entry = this.#entries?.get?.(key);
+		if (!entry) return { hit: false };
+
+		this.#entries?.delete?.(key);
+		if (entry?.expiresAt <= Date?.now?.()) return { hit: false };
+
+		// Re-insert, to mark it as the most recently used...
+		this.#entries?.set?.(key, entry);
+		return { hit: true, value: structuredClone?.(entry?.value) };
+	}
+
+	/**
+	 * @memberof MemoryResultCache
+	 * @async
+	 * @instance
+	 * @function
+	 * @name set
+	 *
+	 * @param {string} key - The key of the result.
+	 * @param {*} value - The result to be cached.
+	 * @param {number} ttl - The time, in milliseconds, the result is valid for.
+	 *
+	 * @returns {null} Nothing.
+	 */
+	async set(key, value, ttl) {
+		// Throws for results that can't be cloned - functions, etc.
+		const clonedValue = structuredClone?.(value);
+
+		this.#entries?.delete?.(key);
+		this.#entries?.set?.(key, {
+			value: clonedValue,
+			expiresAt: Date?.now?.() + ttl
+		});
+
+		// Evict the least recently used results...
+		while (this.#entries?.size > this.#maxEntries) {
+			const oldestKey = this.#entries?.keys?.()?.next?.()?.value;
+			this.#entries?.delete?.(oldestKey);
+		}
+	}
+
+	/**
+	 * @memberof MemoryResultCache
+	 * @async
+	 * @instance
+	 * @function
+	 * @name invalidate
+	 *
+	 * @param {string} keyPrefix - The prefix of the keys to be invalidated.
+	 *
+	 * @returns {null} Nothing.
+	 */
+	async invalidate(keyPrefix) {
+		for (const key of [...this.#entries.keys()]) {
+			if (!key?.startsWith?.(keyPrefix)) continue;
+			this.#entries?.delete?.(key);
+		}
+	}
+	// #endregion
+
+	// #region Private Fields
+	#maxEntries = DEFAULT_MAX_ENTRIES;
+	#entries = new Map();
+	// #endregion
+}
+
+/**
+ * @class RepositoryResultCache
+ *
+ * @param {object} repository - The Cache repository (Redis client) to store the results in.
+ *
+ * @classdesc
+ * A cache for the results of API executions, backed by the Cache repository -
+ * and, therefore, shared by all the processes using the same repository.
+ */
+export class RepositoryResultCache {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(repository) {
+		this.#repository = repository;
+	}
+	// #endregion
+
+	// #region Interface API
+	/**
+	 * @memberof RepositoryResultCache
+	 * @async
+	 * @instance
+	 * @function
+	 * @name get
+	 *
+	 * @param {string} key - The key of the cached result.
+	 *
+	 * @returns {object} Whether the result was found - and the result itself - as { hit, value }.
+	 */
+	async get(key) {
+		const cachedValue = await this.#repository?.get?.(key);
+		if (cachedValue === null || cachedValue === undefined)
+			return { hit: false };
+
+		return { hit: true, value: JSON?.parse?.(cachedValue) };
+	}
+
+	/**
+	 * @memberof RepositoryResultCache
+	 * @async
+	 * @instance
+	 * @function
+	 * @name set
+	 *
+	 * @param {string} key - The key of the result.
+	 * @param {*} value - The result to be cached.
+	 * @param {number} ttl - The time, in milliseconds, the result is valid for.
+	 *
+	 * @returns {null} Nothing.
+	 */
+	async set(key, value, ttl) {
+		if (value === undefined) return;
+
+		await this.#repository?.set?.(key, JSON?.stringify?.(value), {
+			PX: ttl
+		});
+	}
+
+	/**
+	 * @memberof RepositoryResultCache
+	 * @async
+	 * @instance
+	 * @function
+	 * @name invalidate
+	 *
+	 * @param {string} keyPrefix - The prefix of the keys to be invalidated.
+	 *
+	 * @returns {null} Nothing.
+	 */
+	async invalidate(keyPrefix) {
+		// Escape the glob characters in the prefix itself...
+		const keyPattern = keyPrefix?.replace?.(/[*?[\]\\]/g, '\\$&');
+
+		const keyBatches = this.#repository?.scanIterator?.({
+			MATCH: `${keyPattern}*`,
+			COUNT: SCAN_BATCH_SIZE
+		});
+
+		for await (const keyBatch of keyBatches ?? []) {
+			// Older versions of the driver return the keys one at a time...
+			const keys = [keyBatch]?.flat?.();
+			if (!keys?.length) continue;
+
+			await this.#repository?.del?.(keys);
+		}
+	}
+	// #endregion
+
+	// #region Private Fields
+	#repository = undefined;
+	// #endregion
+}
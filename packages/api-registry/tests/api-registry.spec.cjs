@@ -0,0 +1,1141 @@
+describe('API Registry - Contract Test Cases', function () {
+	const contract = {
+		input: {
+			type: 'object',
+			required: ['id'],
+			properties: { id: { type: 'string' } }
+		},
+		output: {
+			type: 'object',
+			required: ['status'],
+			properties: { status: { type: 'number' } }
+		}
+	};
+
+	it('Executes the api when the input / output match the contract', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Contract');
+
+		await apiRegistry?.register?.(
+			'READ',
+			async (input) => {
+				return { status: 200, id: input?.id };
+			},
+			{ contract: contract }
+		);
+
+		const result = await apiRegistry?.execute?.('READ', { id: 'abc' });
+		assert?.deepEqual?.(result, { status: 200, id: 'abc' });
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Rejects input that does not match the contract with a 422', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Contract');
+
+		let executionCount = 0;
+		await apiRegistry?.register?.(
+			'READ',
+			async () => {
+				executionCount++;
+				return { status: 200 };
+			},
+			{ contract: contract }
+		);
+
+		let inputError = undefined;
+		try {
+			await apiRegistry?.execute?.('READ', { id: 42 });
+		} catch (error) {
+			inputError = error;
+		}
+
+		assert?.strictEqual?.(
+			inputError?.code,
+			'EVASERVER::API_REGISTRY::INVALID_INPUT'
+		);
+		assert?.strictEqual?.(inputError?.status, 422);
+		assert?.isNotEmpty?.(inputError?.violations);
+		assert?.strictEqual?.(executionCount, 0);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Rejects output that does not match the contract with a 500', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Contract');
+
+		await apiRegistry?.register?.(
+			'READ',
+			async () => {
+				return { status: 'ok' };
+			},
+			{ contract: contract }
+		);
+
+		let outputError = undefined;
+		try {
+			await apiRegistry?.execute?.('READ', { id: 'abc' });
+		} catch (error) {
+			outputError = error;
+		}
+
+		assert?.strictEqual?.(
+			outputError?.code,
+			'EVASERVER::API_REGISTRY::INVALID_OUTPUT'
+		);
+		assert?.strictEqual?.(outputError?.status, 500);
+		assert?.isNotEmpty?.(outputError?.violations);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Refuses an invalid contract at registration', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Contract');
+
+		let registrationError = undefined;
+		try {
+			await apiRegistry?.register?.('READ', async () => {}, {
+				contract: { input: { type: 'not-a-type' } }
+			});
+		} catch (error) {
+			registrationError = error;
+		}
+
+		assert?.match?.(registrationError?.message, /invalid contract/);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Wildcard Pattern Test Cases', function () {
+	it('Matches "*" and "?" within a segment', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Wildcard');
+
+		await apiRegistry?.register?.('READ_*', async () => {
+			return 'star';
+		});
+		await apiRegistry?.register?.('WRITE_?', async () => {
+			return 'question';
+		});
+
+		assert?.strictEqual?.(
+			await apiRegistry?.execute?.('READ_PROFILE'),
+			'star'
+		);
+		assert?.strictEqual?.(
+			await apiRegistry?.execute?.('WRITE_A'),
+			'question'
+		);
+		assert?.isNull?.(await apiRegistry?.execute?.('WRITE_AB'));
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Fans out to a "**" api at the parent, alongside the exact one', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+		const childRegistry = new APIRegistry('Profile', parentRegistry);
+
+		await parentRegistry?.register?.('**::READ', async () => {
+			return 'audit';
+		});
+		await childRegistry?.register?.('READ', async () => {
+			return 'profile';
+		});
+
+		// Exact matches take precedence over the wildcard ones
+		const results = await parentRegistry?.execute?.(
+			'SERVER::PROFILE::READ'
+		);
+		assert?.deepEqual?.(results, ['profile', 'audit']);
+
+		// ...and the wildcard api alone answers the rest
+		const wildcardResult = await parentRegistry?.execute?.(
+			'SERVER::SESSION::READ'
+		);
+		assert?.strictEqual?.(wildcardResult, 'audit');
+
+		await childRegistry?.unregisterAll?.();
+		await parentRegistry?.unregisterAll?.();
+	});
+
+	it('Orders the more specific wildcard patterns first', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Server');
+
+		await apiRegistry?.register?.('**', async () => {
+			return 'anything';
+		});
+		await apiRegistry?.register?.('PROFILE::*', async () => {
+			return 'profile';
+		});
+
+		const results = await apiRegistry?.execute?.('SERVER::PROFILE::READ');
+		assert?.deepEqual?.(results, ['profile', 'anything']);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Execution Strategy Test Cases', function () {
+	it('Returns the first success, in order of precedence', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Strategy');
+
+		await apiRegistry?.register?.('READ', async () => {
+			throw new Error('Primary is down');
+		});
+		await apiRegistry?.register?.('READ', async () => {
+			return 'secondary';
+		});
+
+		const result = await apiRegistry?.executeWith?.('READ', {
+			strategy: 'first-success'
+		});
+		assert?.strictEqual?.(result, 'secondary');
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Passes each result along the pipeline', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Strategy');
+
+		await apiRegistry?.register?.(
+			'TRANSFORM',
+			async (value, suffix) => {
+				return `${value}-first${suffix}`;
+			},
+			{ strategy: 'pipeline' }
+		);
+		await apiRegistry?.register?.(
+			'TRANSFORM',
+			async (value, suffix) => {
+				return `${value}-second${suffix}`;
+			},
+			{ strategy: 'pipeline' }
+		);
+
+		// The registered strategy applies to plain executions as well
+		const result = await apiRegistry?.execute?.('TRANSFORM', 'input', '!');
+		assert?.strictEqual?.(result, 'input-first!-second!');
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Returns the results and the errors, without throwing', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Strategy');
+
+		const replicaError = new Error('Replica is down');
+		await apiRegistry?.register?.('READ', async () => {
+			return 'replica';
+		});
+		await apiRegistry?.register?.('READ', async () => {
+			throw replicaError;
+		});
+
+		const { results, errors } = await apiRegistry?.executeWith?.('READ', {
+			strategy: 'partial'
+		});
+		assert?.deepEqual?.(results, ['replica']);
+		assert?.deepEqual?.(errors, [replicaError]);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Returns the result the quorum agrees upon', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Strategy');
+
+		for (const result of [{ id: 1 }, { id: 2 }, { id: 1 }]) {
+			await apiRegistry?.register?.('READ', async () => {
+				return { ...result };
+			});
+		}
+
+		const result = await apiRegistry?.executeWith?.('READ', {
+			strategy: 'quorum'
+		});
+		assert?.deepEqual?.(result, { id: 1 });
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Fails with the errors when the quorum is not reached', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Strategy');
+
+		const replicaError = new Error('Replica is down');
+		await apiRegistry?.register?.('READ', async () => {
+			return { status: 200 };
+		});
+		await apiRegistry?.register?.('READ', async () => {
+			throw replicaError;
+		});
+
+		let quorumError = undefined;
+		try {
+			await apiRegistry?.executeWith?.('READ', {
+				strategy: 'quorum',
+				quorum: 2
+			});
+		} catch (error) {
+			quorumError = error;
+		}
+
+		assert?.strictEqual?.(
+			quorumError?.code,
+			'EVASERVER::API_REGISTRY::QUORUM_NOT_REACHED'
+		);
+		assert?.strictEqual?.(quorumError?.status, 503);
+		assert?.strictEqual?.(quorumError?.quorum, 2);
+		assert?.instanceOf?.(quorumError?.cause, AggregateError);
+		assert?.deepEqual?.(quorumError?.cause?.errors, [replicaError]);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Refuses conflicting and unknown strategies', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Strategy');
+
+		await apiRegistry?.register?.('READ', async () => {}, {
+			strategy: 'race'
+		});
+
+		let conflictError = undefined;
+		try {
+			await apiRegistry?.register?.('READ', async () => {}, {
+				strategy: 'pipeline'
+			});
+		} catch (error) {
+			conflictError = error;
+		}
+		assert?.match?.(
+			conflictError?.message,
+			/conflicting execution strategy/
+		);
+
+		let unknownError = undefined;
+		try {
+			await apiRegistry?.executeWith?.('READ', { strategy: 'fastest' });
+		} catch (error) {
+			unknownError = error;
+		}
+		assert?.match?.(unknownError?.message, /unknown execution strategy/);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Interceptor Test Cases', function () {
+	it('Runs the interceptors in the order they were added', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Interceptor');
+
+		const calls = [];
+		await apiRegistry?.register?.('READ', async (value) => {
+			calls?.push?.('api');
+			return value;
+		});
+
+		await apiRegistry?.addInterceptor?.('READ', {
+			before: async () => {
+				calls?.push?.('first::before');
+			},
+			after: async (context) => {
+				calls?.push?.('first::after');
+				context.result = `${context?.result}-first`;
+			}
+		});
+		await apiRegistry?.addInterceptor?.('READ', async (context, next) => {
+			calls?.push?.('second::around');
+			context.data = ['intercepted'];
+
+			const result = await next?.();
+			return `${result}-second`;
+		});
+
+		const result = await apiRegistry?.execute?.('READ', 'input');
+		assert?.strictEqual?.(result, 'intercepted-second-first');
+		assert?.deepEqual?.(calls, [
+			'first::before',
+			'second::around',
+			'api',
+			'first::after'
+		]);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Runs the interceptors from the parent registry outermost', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+		const childRegistry = new APIRegistry('Profile', parentRegistry);
+
+		const calls = [];
+		await childRegistry?.register?.('READ', async () => {
+			calls?.push?.('api');
+			return 'profile';
+		});
+
+		await childRegistry?.addInterceptor?.('READ', {
+			before: async () => {
+				calls?.push?.('child');
+			}
+		});
+		await parentRegistry?.addInterceptor?.('*', {
+			before: async () => {
+				calls?.push?.('parent');
+			}
+		});
+
+		const result = await childRegistry?.execute?.('READ');
+		assert?.strictEqual?.(result, 'profile');
+		assert?.deepEqual?.(calls, ['parent', 'child', 'api']);
+
+		await childRegistry?.unregisterAll?.();
+		await parentRegistry?.unregisterAll?.();
+	});
+
+	it('Removes interceptors, and reports a miss', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Interceptor');
+
+		await apiRegistry?.register?.('READ', async () => {
+			return 'profile';
+		});
+
+		const interceptor = async () => {
+			return 'intercepted';
+		};
+		await apiRegistry?.addInterceptor?.('READ', interceptor);
+		assert?.strictEqual?.(
+			await apiRegistry?.execute?.('READ'),
+			'intercepted'
+		);
+
+		assert?.isTrue?.(
+			await apiRegistry?.removeInterceptor?.('READ', interceptor)
+		);
+		assert?.isFalse?.(
+			await apiRegistry?.removeInterceptor?.('READ', interceptor)
+		);
+		assert?.strictEqual?.(await apiRegistry?.execute?.('READ'), 'profile');
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Deadline Test Cases', function () {
+	it('Fails with EXECUTION_TIMEOUT once the timeout expires', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Deadline');
+
+		await apiRegistry?.register?.('READ', async () => {
+			await new Promise((resolve) => setTimeout(resolve, 500));
+			return 'profile';
+		});
+
+		let timeoutError = undefined;
+		try {
+			await apiRegistry?.executeWith?.('READ', { timeout: 20 });
+		} catch (error) {
+			timeoutError = error;
+		}
+
+		assert?.strictEqual?.(
+			timeoutError?.code,
+			'EVASERVER::API_REGISTRY::EXECUTION_TIMEOUT'
+		);
+		assert?.strictEqual?.(timeoutError?.status, 504);
+		assert?.strictEqual?.(timeoutError?.timeout, 20);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Fails with EXECUTION_CANCELLED once the signal is aborted', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Deadline');
+
+		let apiSignal = undefined;
+		await apiRegistry?.register?.('READ', async () => {
+			apiSignal = apiRegistry?.executionSignal;
+			await new Promise((resolve) => setTimeout(resolve, 500));
+			return 'profile';
+		});
+
+		const abortController = new AbortController();
+		const abortReason = new Error('Client went away');
+		setTimeout(() => {
+			abortController?.abort?.(abortReason);
+		}, 20);
+
+		let cancellationError = undefined;
+		try {
+			await apiRegistry?.executeWith?.('READ', {
+				signal: abortController?.signal,
+				timeout: 1000
+			});
+		} catch (error) {
+			cancellationError = error;
+		}
+
+		assert?.strictEqual?.(
+			cancellationError?.code,
+			'EVASERVER::API_REGISTRY::EXECUTION_CANCELLED'
+		);
+		assert?.strictEqual?.(cancellationError?.status, 499);
+		assert?.strictEqual?.(cancellationError?.cause, abortReason);
+		assert?.isTrue?.(apiSignal?.aborted);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Refuses signals that are not AbortSignals', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Deadline');
+
+		await apiRegistry?.register?.('READ', async () => {
+			return 'profile';
+		});
+
+		let signalError = undefined;
+		try {
+			await apiRegistry?.executeWith?.('READ', { signal: {} });
+		} catch (error) {
+			signalError = error;
+		}
+
+		assert?.instanceOf?.(signalError, TypeError);
+		assert?.match?.(signalError?.message, /not an AbortSignal/);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Propagates the deadline to nested executions', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Deadline');
+
+		let outerDeadline = undefined;
+		let innerDeadline = undefined;
+		let innerError = undefined;
+
+		await apiRegistry?.register?.('INNER', async () => {
+			innerDeadline = apiRegistry?.executionDeadline;
+			await new Promise((resolve) => setTimeout(resolve, 500));
+			return 'inner';
+		});
+
+		await apiRegistry?.register?.('OUTER', async () => {
+			outerDeadline = apiRegistry?.executionDeadline;
+
+			try {
+				// The longer timeout does not extend the outer deadline
+				await apiRegistry?.executeWith?.('INNER', { timeout: 1000 });
+			} catch (error) {
+				innerError = error;
+			}
+
+			return 'outer';
+		});
+
+		let outerError = undefined;
+		try {
+			await apiRegistry?.executeWith?.('OUTER', { timeout: 20 });
+		} catch (error) {
+			outerError = error;
+		}
+
+		// Let the abandoned outer execution see the inner failure
+		await new Promise((resolve) => setTimeout(resolve, 20));
+
+		assert?.strictEqual?.(
+			outerError?.code,
+			'EVASERVER::API_REGISTRY::EXECUTION_TIMEOUT'
+		);
+		assert?.strictEqual?.(innerDeadline, outerDeadline);
+		assert?.strictEqual?.(innerError, outerError);
+		assert?.isUndefined?.(apiRegistry?.executionDeadline);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Introspection Test Cases', function () {
+	it('Describes every pattern registered in the registry tree', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+		const childRegistry = new APIRegistry('Profile', parentRegistry);
+
+		const readProfile = async () => {
+			return 'profile';
+		};
+
+		await parentRegistry?.register?.('**::READ', async () => {}, {
+			owner: 'Audit'
+		});
+		await childRegistry?.register?.('READ', readProfile, {
+			owner: 'Basics',
+			strategy: 'first-success',
+			contract: {
+				input: { type: 'array' }
+			}
+		});
+
+		const registrations = await parentRegistry?.introspect?.();
+		assert?.lengthOf?.(registrations, 2);
+
+		const [auditRegistration, profileRegistration] = registrations;
+		assert?.strictEqual?.(auditRegistration?.pattern, 'SERVER::**::READ');
+		assert?.strictEqual?.(auditRegistration?.registry, 'SERVER');
+		assert?.isTrue?.(auditRegistration?.wildcard);
+		assert?.strictEqual?.(auditRegistration?.strategy, 'all');
+
+		assert?.deepEqual?.(profileRegistration, {
+			pattern: 'SERVER::PROFILE::READ',
+			domainPath: 'SERVER::PROFILE',
+			registry: 'PROFILE',
+			wildcard: false,
+			strategy: 'first-success',
+			handlerCount: 1,
+			handlers: [
+				{
+					name: 'readProfile',
+					owner: 'Basics',
+					contract: { input: true, output: false },
+					cache: undefined
+				}
+			]
+		});
+
+		// The child registry only describes its own registrations
+		const childRegistrations = await childRegistry?.introspect?.();
+		assert?.deepEqual?.(childRegistrations, [profileRegistration]);
+
+		await childRegistry?.unregisterAll?.();
+		await parentRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Result Cache Test Cases', function () {
+	it('Does not let callers change the cached result', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Cache');
+
+		let executionCount = 0;
+		await apiRegistry?.register?.(
+			'READ',
+			async () => {
+				executionCount++;
+				return { roles: ['user'] };
+			},
+			{ cache: { ttl: 60000 } }
+		);
+
+		const firstResult = await apiRegistry?.execute?.('READ');
+		firstResult?.roles?.push?.('administrator');
+
+		const secondResult = await apiRegistry?.execute?.('READ');
+		secondResult?.roles?.push?.('super-user');
+
+		const thirdResult = await apiRegistry?.execute?.('READ');
+
+		assert?.strictEqual?.(executionCount, 1);
+		assert?.deepEqual?.(thirdResult, { roles: ['user'] });
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Remote Transport Test Cases', function () {
+	/**
+	 * An in-process stand-in for Redis publish / subscribe
+	 * @ignore
+	 */
+	const createRedisBroker = () => {
+		const subscriptions = new Map();
+
+		const publisher = {
+			publish: async (channel, message) => {
+				for (const listener of subscriptions?.get?.(channel) ?? []) {
+					setImmediate(listener, message);
+				}
+			},
+			duplicate: () => {
+				const subscribedChannels = [];
+				let subscribedListener = undefined;
+
+				return {
+					connect: async () => {},
+					subscribe: async (channels, listener) => {
+						subscribedListener = listener;
+						for (const channel of channels) {
+							if (!subscriptions?.has?.(channel))
+								subscriptions?.set?.(channel, new Set());
+
+							subscriptions?.get?.(channel)?.add?.(listener);
+							subscribedChannels?.push?.(channel);
+						}
+					},
+					unsubscribe: async () => {
+						for (const channel of subscribedChannels) {
+							subscriptions
+								?.get?.(channel)
+								?.delete?.(subscribedListener);
+						}
+					},
+					quit: async () => {}
+				};
+			}
+		};
+
+		return publisher;
+	};
+
+	it('Forwards unresolved patterns over Redis', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry, RedisTransport } = await import('../index.js');
+		const redisBroker = createRedisBroker();
+
+		const serverRegistry = new APIRegistry('Server');
+		const workerRegistry = new APIRegistry('Server');
+
+		await serverRegistry?.register?.('PROFILE::READ', async (userId) => {
+			return { id: userId };
+		});
+		await serverRegistry?.register?.('PROFILE::DELETE', async () => {
+			const deleteError = new Error('Cannot delete the profile');
+			deleteError.code = 'EVASERVER::PROFILE::DELETE_FAILED';
+			deleteError.status = 409;
+
+			throw deleteError;
+		});
+
+		await serverRegistry?.attachTransport?.(
+			new RedisTransport(redisBroker)
+		);
+		await workerRegistry?.attachTransport?.(
+			new RedisTransport(redisBroker, { timeout: 50 })
+		);
+
+		const profile = await workerRegistry?.execute?.(
+			'SERVER::PROFILE::READ',
+			'user-1'
+		);
+		assert?.deepEqual?.(profile, { id: 'user-1' });
+
+		// Errors keep their code and status across the transport
+		let deleteError = undefined;
+		try {
+			await workerRegistry?.execute?.('SERVER::PROFILE::DELETE');
+		} catch (error) {
+			deleteError = error;
+		}
+
+		assert?.strictEqual?.(
+			deleteError?.message,
+			'Cannot delete the profile'
+		);
+		assert?.strictEqual?.(
+			deleteError?.code,
+			'EVASERVER::PROFILE::DELETE_FAILED'
+		);
+		assert?.strictEqual?.(deleteError?.status, 409);
+
+		// No process resolves the pattern...
+		let timeoutError = undefined;
+		try {
+			await workerRegistry?.execute?.('SERVER::SESSION::READ');
+		} catch (error) {
+			timeoutError = error;
+		}
+
+		assert?.strictEqual?.(
+			timeoutError?.code,
+			'EVASERVER::API_REGISTRY::TRANSPORT_TIMEOUT'
+		);
+		assert?.strictEqual?.(timeoutError?.status, 504);
+
+		await workerRegistry?.unregisterAll?.();
+		await serverRegistry?.unregisterAll?.();
+	});
+
+	it('Forwards unresolved patterns over IPC', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { join } = await import('node:path');
+		const { tmpdir } = await import('node:os');
+		const { APIRegistry, IpcTransport } = await import('../index.js');
+
+		const socketPath = join(tmpdir(), `api-registry-${process.pid}.sock`);
+
+		const serverRegistry = new APIRegistry('Server');
+		const workerRegistry = new APIRegistry('Server');
+
+		await serverRegistry?.register?.('PROFILE::READ', async (userId) => {
+			return { id: userId };
+		});
+		await workerRegistry?.register?.('SESSION::READ', async () => {
+			return { active: true };
+		});
+
+		let refreshStarted = undefined;
+		const refreshStart = new Promise((resolve) => {
+			refreshStarted = resolve;
+		});
+
+		await workerRegistry?.register?.('SESSION::REFRESH', async () => {
+			refreshStarted?.();
+			await new Promise((resolve) => setTimeout(resolve, 200));
+			return { active: true };
+		});
+
+		await serverRegistry?.attachTransport?.(
+			new IpcTransport({ path: socketPath, listen: true })
+		);
+		await workerRegistry?.attachTransport?.(
+			new IpcTransport({ path: socketPath })
+		);
+
+		// In either direction...
+		const profile = await workerRegistry?.execute?.(
+			'SERVER::PROFILE::READ',
+			'user-1'
+		);
+		assert?.deepEqual?.(profile, { id: 'user-1' });
+
+		const session = await serverRegistry?.execute?.(
+			'SERVER::SESSION::READ'
+		);
+		assert?.deepEqual?.(session, { active: true });
+
+		// Pending requests fail once the transport is detached
+		const pendingExecution = serverRegistry
+			?.execute?.('SERVER::SESSION::REFRESH')
+			?.catch?.((error) => {
+				return error;
+			});
+
+		await refreshStart;
+		await serverRegistry?.detachTransport?.();
+
+		const disconnectedError = await pendingExecution;
+
+		assert?.strictEqual?.(
+			disconnectedError?.code,
+			'EVASERVER::API_REGISTRY::TRANSPORT_DISCONNECTED'
+		);
+		assert?.strictEqual?.(disconnectedError?.status, 503);
+
+		await workerRegistry?.unregisterAll?.();
+		await serverRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Hot Reload Test Cases', function () {
+	it('Reports a miss when the api is not registered', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Reload');
+
+		const middleware = {
+			readProfile: async function () {
+				return { status: 200 };
+			}
+		};
+
+		await apiRegistry?.register?.(
+			'READ',
+			middleware?.readProfile?.bind?.(middleware)
+		);
+
+		// A fresh bind is a different function...
+		const unregistered = await apiRegistry?.unregister?.(
+			'READ',
+			middleware?.readProfile?.bind?.(middleware)
+		);
+		assert?.isFalse?.(unregistered);
+
+		const unknownPattern = await apiRegistry?.unregister?.(
+			'UPDATE',
+			middleware?.readProfile
+		);
+		assert?.isFalse?.(unknownPattern);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Executes only the reloaded api', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Reload');
+
+		const createMiddleware = (who) => {
+			const middleware = {
+				readProfile: async function () {
+					return { status: 200, who: who };
+				}
+			};
+
+			// Bound once, as the middlewares do
+			middleware.readProfileHandler =
+				middleware?.readProfile?.bind?.(middleware);
+
+			return middleware;
+		};
+
+		const oldMiddleware = createMiddleware('old');
+		await apiRegistry?.register?.(
+			'READ',
+			oldMiddleware?.readProfileHandler
+		);
+
+		// Hot reload - the old instance unloads, the new one loads
+		const unregistered = await apiRegistry?.unregister?.(
+			'READ',
+			oldMiddleware?.readProfileHandler
+		);
+		assert?.isTrue?.(unregistered);
+
+		const newMiddleware = createMiddleware('new');
+		await apiRegistry?.register?.(
+			'READ',
+			newMiddleware?.readProfileHandler
+		);
+
+		const result = await apiRegistry?.execute?.('READ');
+		assert?.deepEqual?.(result, { status: 200, who: 'new' });
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Registration Test Cases', function () {
+	it('Executes the registered api', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Registration');
+
+		const readProfile = async () => {
+			return { status: 200 };
+		};
+
+		const registered = await apiRegistry?.register?.('READ', readProfile);
+		assert?.isTrue?.(registered);
+
+		const result = await apiRegistry?.execute?.('READ');
+		assert?.deepEqual?.(result, { status: 200 });
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Stops executing the api once it is de-registered', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Registration');
+
+		const readProfile = async () => {
+			return { status: 200 };
+		};
+
+		await apiRegistry?.register?.('READ', readProfile);
+		const unregistered = await apiRegistry?.unregister?.(
+			'READ',
+			readProfile
+		);
+		assert?.isTrue?.(unregistered);
+
+		const registrations = await apiRegistry?.introspect?.();
+		assert?.isEmpty?.(registrations);
+
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Executes the api again once it is re-registered', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const apiRegistry = new APIRegistry('Registration');
+
+		const readProfile = async () => {
+			return { status: 200 };
+		};
+
+		await apiRegistry?.register?.('READ', readProfile);
+		await apiRegistry?.unregister?.('READ', readProfile);
+		await apiRegistry?.register?.('READ', readProfile);
+
+		const result = await apiRegistry?.execute?.('READ');
+		assert?.deepEqual?.(result, { status: 200 });
+
+		await apiRegistry?.unregisterAll?.();
+	});
+});
+
+describe('API Registry - Child Registry Test Cases', function () {
+	it('Resolves patterns through the child registry', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+		const childRegistry = new APIRegistry('Profile', parentRegistry);
+
+		await childRegistry?.register?.('READ', async () => {
+			return { status: 200 };
+		});
+
+		assert?.strictEqual?.(childRegistry?.domainPath, 'SERVER::PROFILE');
+
+		const result = await parentRegistry?.execute?.('SERVER::PROFILE::READ');
+		assert?.deepEqual?.(result, { status: 200 });
+
+		await parentRegistry?.unregisterAll?.();
+	});
+
+	it('Refuses a second registry with the same name', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+
+		new APIRegistry('Profile', parentRegistry);
+		assert?.throws?.(() => {
+			new APIRegistry('Profile', parentRegistry);
+		}, 'Child registry with PROFILE is already registered');
+
+		await parentRegistry?.unregisterAll?.();
+	});
+
+	it('Accepts a new registry once the old one is unregistered', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+
+		// Flag turned off...
+		const childRegistry = new APIRegistry('Profile', parentRegistry);
+		await childRegistry?.unregisterAll?.();
+
+		// ...and back on
+		const reloadedRegistry = new APIRegistry('Profile', parentRegistry);
+		await reloadedRegistry?.register?.('READ', async () => {
+			return { who: 'reloaded' };
+		});
+
+		const result = await parentRegistry?.execute?.('SERVER::PROFILE::READ');
+		assert?.deepEqual?.(result, { who: 'reloaded' });
+
+		await parentRegistry?.unregisterAll?.();
+	});
+
+	it('Leaves a different registry with the same name alone', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { APIRegistry } = await import('../index.js');
+		const parentRegistry = new APIRegistry('Server');
+		const childRegistry = new APIRegistry('Profile', parentRegistry);
+
+		const unregistered = await parentRegistry?.unregisterChild?.(
+			'Profile',
+			new APIRegistry('Profile')
+		);
+		assert?.isFalse?.(unregistered);
+
+		await childRegistry?.register?.('READ', async () => {
+			return { status: 200 };
+		});
+
+		const result = await parentRegistry?.execute?.('SERVER::PROFILE::READ');
+		assert?.deepEqual?.(result, { status: 200 });
+
+		await parentRegistry?.unregisterAll?.();
+	});
+});
@@ -8,6 +8,36 @@
  */
 
 export {
+	configureRedaction,
 	createErrorForPropagation,
-	errorSerializer
+	errorDeserializer,
+	errorSerializer,
+	getRedactor,
+	registerErrorClass
 } from './lib/error-serializer.js';
+
+export {
+	EVASAuthenticationError,
+	EVASAuthorizationError,
+	EVASConflictError,
+	EVASError,
+	EVASNotFoundError,
+	EVASTimeoutError,
+	EVASUnavailableError,
+	EVASValidationError
+} from './lib/evas-error.js';
+
+export { DEFAULT_REDACTION_RULES, Redactor } from './lib/redactor.js';
+
+export {
+	computeFingerprint,
+	filterStackFrames,
+	formatStackFrame,
+	groupStackFrames,
+	parseStackFrames
+} from './lib/stack-frames.js';
+
+export {
+	PROBLEM_CONTENT_TYPE,
+	problemSerializer
+} from './lib/problem-serializer.js';
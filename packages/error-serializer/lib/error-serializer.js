@@ -2,12 +2,85 @@
  * Imports for this file
  * @ignore
  */
+import {
+	EVASAuthenticationError,
+	EVASAuthorizationError,
+	EVASConflictError,
+	EVASError,
+	EVASNotFoundError,
+	EVASTimeoutError,
+	EVASUnavailableError,
+	EVASValidationError
+} from './evas-error.js';
+import { Redactor } from './redactor.js';
+import {
+	computeFingerprint,
+	filterStackFrames,
+	formatStackFrame,
+	groupStackFrames,
+	parseStackFrames
+} from './stack-frames.js';
+
+/**
+ * Properties of a serialized error that are not custom properties
+ * @ignore
+ */
+const SERIALIZED_ERROR_PROPERTIES = [
+	'name',
+	'errorClass',
+	'message',
+	'location',
+	'fingerprint',
+	'frames',
+	'stack',
+	'cause',
+	'errors'
+];
+
+/**
+ * The Error classes errorDeserializer can rebuild - keyed by their name. The
+ * built-in ones, and the EVASError taxonomy, are always available - custom
+ * ones are added using registerErrorClass
+ * @ignore
+ */
+const errorClasses = new Map(
+	[
+		Error,
+		AggregateError,
+		EvalError,
+		RangeError,
+		ReferenceError,
+		SyntaxError,
+		TypeError,
+		URIError,
+		EVASError,
+		EVASValidationError,
+		EVASAuthenticationError,
+		EVASAuthorizationError,
+		EVASNotFoundError,
+		EVASConflictError,
+		EVASTimeoutError,
+		EVASUnavailableError
+	].map((ErrorClass) => {
+		return [ErrorClass?.name, ErrorClass];
+	})
+);
+
+/**
+ * The redactor applied by errorSerializer, unless one is passed in - see
+ * configureRedaction
+ * @ignore
+ */
+let defaultRedactor = new Redactor();
 
 /**
  * @async
  * @function errorSerializer
  *
  * @param {Error} [error] - Error Object to be serialized
+ * @param {object} [options] - Serialization options
+ * @param {Redactor} [options.redactor] - Redactor to apply, instead of the configured one
+ * @param {boolean} [options.allFrames] - Whether to retain the Node.js internal / library frames
  *
  * @returns {object} - serialized error object
  *
@@ -17,19 +90,52 @@
  * - Not AggregateError objects
  * - Do not contain a `cause`
  * - Have a `cause` that is not an Error object
+ *
+ * Secrets and PII are redacted along the way - from the messages, the stack,
+ * the causes and the custom properties.
+ *
+ * Every error carries a fingerprint - identical for errors of the same kind
+ * raised from the same place, so that they can be deduplicated in the logs -
+ * and the location it was raised at. The leaf nodes carry the stack as well
+ * - the structured frames (see parseStackFrames), grouped by the domain /
+ * bounded context / repository they belong to, without the Node.js internal
+ * and library frames unless asked for.
  */
-const errorSerializer = function errorSerializer(error) {
+const errorSerializer = function errorSerializer(error, options) {
+	const redactor = options?.redactor ?? defaultRedactor;
+
+	// The location is the innermost application frame, if there is one
+	const stackFrames = parseStackFrames?.(error?.stack)?.map?.((frame) => {
+		return {
+			...frame,
+			function: redactor?.redactString?.(frame?.function),
+			file: redactor?.redactString?.(frame?.file)
+		};
+	});
+	const applicationFrames = filterStackFrames?.(stackFrames);
+	const locationFrame = applicationFrames?.at?.(0) ?? stackFrames?.at?.(0);
+
 	let printFullStack = true;
 	const serializedError = {
-		message: error?.message,
-		location: error?.stack?.split?.('\n')?.[1]?.trim?.()
+		name: error?.name,
+		message: redactor?.redactString?.(error?.message),
+		location: locationFrame ? formatStackFrame?.(locationFrame) : undefined,
+		fingerprint: computeFingerprint?.(error)
 	};
 
+	// The class, if the name doesn't give it away - so that it can be rebuilt.
+	// Under a key of its own, so that a custom "type" property survives
+	if (error?.constructor?.name && error?.constructor?.name !== error?.name) {
+		serializedError['errorClass'] = error?.constructor?.name;
+	}
+
 	if (error instanceof AggregateError) {
 		printFullStack = printFullStack && false;
 		serializedError['errors'] = [];
 		for (const subError of error?.errors ?? []) {
-			serializedError?.['errors']?.push?.(errorSerializer?.(subError));
+			serializedError?.['errors']?.push?.(
+				errorSerializer?.(subError, options)
+			);
 		}
 	}
 
@@ -37,35 +143,49 @@ const errorSerializer = function errorSerializer(error) {
 		printFullStack = printFullStack && false;
 
 		if (error.cause instanceof Error) {
-			serializedError['cause'] = errorSerializer?.(error.cause);
+			serializedError['cause'] = errorSerializer?.(error.cause, options);
 		} else {
 			printFullStack = printFullStack && true;
 			serializedError['cause'] = JSON?.stringify?.(
-				error.cause,
+				redactor?.redact?.(error.cause, ['cause']),
 				undefined,
 				'\t'
 			);
 		}
 	}
 
-	for (const customProperty in error) {
-		if (!error?.hasOwn?.(customProperty)) continue;
+	// Redact the custom properties in one go - so that the key rules apply to
+	// their names as well
+	const customProperties = redactor?.redact?.(
+		Object?.fromEntries?.(
+			Object?.entries?.(error ?? {})?.filter?.(([, value]) => {
+				return !(value instanceof Error);
+			})
+		)
+	);
+
+	for (const customProperty of Object?.keys?.(error ?? {}) ?? []) {
+		if (customProperty === 'name') continue;
+		if (customProperty === 'message') continue;
+		if (customProperty === 'stack') continue;
 		if (customProperty === 'cause') continue;
 		if (customProperty === 'errors') continue;
 
-		if (customProperty instanceof Error) {
+		// eslint-disable-next-line security/detect-object-injection
+		if (error?.[customProperty] instanceof Error) {
 			printFullStack = printFullStack && false;
 
 			// eslint-disable-next-line security/detect-object-injection
 			serializedError[customProperty] = errorSerializer?.(
 				// eslint-disable-next-line security/detect-object-injection
-				error?.[customProperty]
+				error?.[customProperty],
+				options
 			);
 		} else {
 			// eslint-disable-next-line security/detect-object-injection
 			serializedError[customProperty] = JSON?.stringify?.(
 				// eslint-disable-next-line security/detect-object-injection
-				error?.[customProperty],
+				customProperties?.[customProperty],
 				undefined,
 				'\t'
 			);
@@ -73,20 +193,221 @@ const errorSerializer = function errorSerializer(error) {
 	}
 
 	if (printFullStack) {
-		const stackArray = error?.stack
-			?.split?.('\n')
-			?.map?.((stackLocation) => {
-				return stackLocation?.trim?.();
-			});
+		const frames = (
+			options?.allFrames ? stackFrames : applicationFrames
+		)?.map?.((frame) => {
+			const { internal, library, ...frameDetails } = frame;
+			if (!options?.allFrames) return frameDetails;
 
-		// The first line is redundant...
-		stackArray?.shift?.();
-		serializedError['stack'] = stackArray;
+			return { ...frameDetails, internal: internal, library: library };
+		});
+
+		serializedError['frames'] = groupStackFrames?.(frames);
 	}
 
 	return serializedError;
 };
 
+/**
+ * @function errorDeserializer
+ *
+ * @param {object|string} [serializedError] - Error, as serialized by errorSerializer - or its JSON
+ *
+ * @returns {Error} - the rebuilt error
+ *
+ * @description
+ * The inverse of errorSerializer - recursively rebuilds the error, so that
+ * it can be rethrown on the other side of a process / queue boundary:
+ * - As an instance of its class, if it is a built-in or registered one (see
+ * registerErrorClass), or of its nearest equivalent - Error / AggregateError
+ * - With its errors (for AggregateError objects) and cause
+ * - With its custom properties - code, status, etc.
+ * - With a stack made up of the serialized frames / location
+ *
+ * Custom error class constructors are not called - the rebuilt error is
+ * given their prototype, and the serialized properties, instead.
+ */
+const errorDeserializer = function errorDeserializer(serializedError) {
+	if (typeof serializedError === 'string') {
+		serializedError = parseSerializedValue?.(serializedError);
+	}
+
+	if (serializedError instanceof Error) return serializedError;
+	if (typeof serializedError !== 'object' || serializedError === null) {
+		return new Error(`${serializedError}`);
+	}
+
+	// Step 1: Figure out the class - falling back to the nearest built-in
+	const hasErrors = Array?.isArray?.(serializedError?.errors);
+	const ErrorClass =
+		errorClasses?.get?.(serializedError?.errorClass) ??
+		errorClasses?.get?.(serializedError?.name) ??
+		(hasErrors ? AggregateError : Error);
+
+	const isAggregate =
+		ErrorClass === AggregateError ||
+		ErrorClass?.prototype instanceof AggregateError;
+
+	const errorOptions = {};
+	if (serializedError?.cause !== undefined) {
+		errorOptions['cause'] = deserializeValue?.(serializedError?.cause);
+	}
+
+	// Step 2: Construct the error (and the nested ones) with the built-in
+	// constructor, but the prototype of the actual class - so that instanceof
+	// checks work
+	const deserializedError = isAggregate
+		? Reflect?.construct?.(
+				AggregateError,
+				[
+					(serializedError?.errors ?? [])?.map?.((subError) => {
+						return errorDeserializer?.(subError);
+					}),
+					serializedError?.message,
+					errorOptions
+				],
+				ErrorClass
+			)
+		: Reflect?.construct?.(
+				Error,
+				[serializedError?.message, errorOptions],
+				ErrorClass
+			);
+
+	if (
+		serializedError?.name &&
+		deserializedError?.name !== serializedError?.name
+	) {
+		deserializedError.name = serializedError?.name;
+	}
+
+	// Step 3: Put back the custom properties...
+	for (const [property, value] of Object.entries(serializedError)) {
+		if (SERIALIZED_ERROR_PROPERTIES?.includes?.(property)) continue;
+
+		// eslint-disable-next-line security/detect-object-injection
+		deserializedError[property] = deserializeValue?.(value);
+	}
+
+	// Finally, the stack - as much of it as was serialized
+	const serializedFrames = serializedError?.frames
+		?.flatMap?.((frameGroup) => {
+			return frameGroup?.frames ?? [];
+		})
+		?.map?.((frame) => {
+			return formatStackFrame?.(frame);
+		});
+
+	const stackLocations = [
+		serializedFrames ?? serializedError?.stack ?? serializedError?.location
+	]?.flat?.();
+
+	deserializedError.stack = [
+		`${deserializedError?.name}: ${deserializedError?.message}`,
+		...stackLocations
+			.filter((stackLocation) => {
+				return !!stackLocation;
+			})
+			.map((stackLocation) => {
+				return `    ${stackLocation}`;
+			})
+	]?.join?.('\n');
+
+	return deserializedError;
+};
+
+/**
+ * @function registerErrorClass
+ *
+ * @param {Function} [ErrorClass] - Error class to be made available to errorDeserializer
+ * @param {string} [name] - Name the class is serialized with - defaults to the class name
+ *
+ * @returns {undefined} - Nothing.
+ *
+ * @description
+ * Registers a custom Error class, so that errorDeserializer rebuilds its
+ * instances as instances of it.
+ */
+const registerErrorClass = function registerErrorClass(ErrorClass, name) {
+	if (ErrorClass !== Error && !(ErrorClass?.prototype instanceof Error)) {
+		throw new TypeError(
+			`registerErrorClass: ${ErrorClass?.name ?? ErrorClass} is not an Error class`
+		);
+	}
+
+	errorClasses?.set?.(name ?? ErrorClass?.name, ErrorClass);
+};
+
+/**
+ * @function deserializeValue
+ *
+ * @param {*} [value] - a cause / custom property, as serialized by errorSerializer
+ *
+ * @returns {*} - the deserialized value
+ *
+ * @description
+ * Nested errors are serialized as objects, everything else as JSON strings.
+ * @ignore
+ */
+const deserializeValue = function deserializeValue(value) {
+	if (typeof value === 'object' && value !== null) {
+		return errorDeserializer?.(value);
+	}
+
+	if (typeof value === 'string') {
+		return parseSerializedValue?.(value);
+	}
+
+	return value;
+};
+
+/**
+ * @function parseSerializedValue
+ *
+ * @param {string} [value] - a JSON string
+ *
+ * @returns {*} - the parsed value, or the string itself if it is not JSON
+ * @ignore
+ */
+const parseSerializedValue = function parseSerializedValue(value) {
+	try {
+		return JSON?.parse?.(value);
+	} catch {
+		return value;
+	}
+};
+
+/**
+ * @function configureRedaction
+ *
+ * @param {Redactor|object} [redactor] - The redactor - or the options to create one with (see Redactor)
+ *
+ * @returns {Redactor} - the redactor errorSerializer applies from here on
+ *
+ * @description
+ * Replaces the redactor errorSerializer applies by default - with one using
+ * the DEFAULT_REDACTION_RULES, if nothing is passed in.
+ */
+const configureRedaction = function configureRedaction(redactor) {
+	defaultRedactor =
+		redactor instanceof Redactor ? redactor : new Redactor(redactor);
+
+	return defaultRedactor;
+};
+
+/**
+ * @function getRedactor
+ *
+ * @returns {Redactor} - the redactor errorSerializer applies by default
+ *
+ * @description
+ * Returns the configured redactor - so that the same rules can be applied to
+ * whatever else is logged / published.
+ */
+const getRedactor = function getRedactor() {
+	return defaultRedactor;
+};
+
 const createErrorForPropagation = function createErrorForPropagation(
 	message,
 	errors
@@ -116,4 +437,11 @@ const createErrorForPropagation = function createErrorForPropagation(
 	return propagatedError;
 };
 
-export { createErrorForPropagation, errorSerializer };
+export {
+	configureRedaction,
+	createErrorForPropagation,
+	errorDeserializer,
+	errorSerializer,
+	getRedactor,
+	registerErrorClass
+};
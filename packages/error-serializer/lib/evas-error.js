@@ -0,0 +1,245 @@
+/**
+ * The prefix for the codes of the errors raised by the server - stripped off
+ * to get the i18n message key
+ * @ignore
+ */
+const ERROR_CODE_PREFIX = 'EVASERVER::';
+const UNKNOWN_ERROR_CODE = `${ERROR_CODE_PREFIX}UNKNOWN_ERROR`;
+
+/**
+ * The severities an error can have - in increasing order
+ * @ignore
+ */
+const ERROR_SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const MIN_ERROR_STATUS = 400;
+const MAX_ERROR_STATUS = 599;
+
+/**
+ * @class EVASError
+ * @extends Error
+ *
+ * @param {string} [code] - The error code - EVASERVER::<MODULE>::<ERROR>
+ * @param {object} [options] - The error details
+ * @param {string} [options.message] - The (developer facing) error message - defaults to the code
+ * @param {number} [options.status] - The HTTP status to respond with - defaults to the one for the class
+ * @param {string} [options.severity] - info, warning, error or critical - defaults to the one for the class
+ * @param {boolean} [options.retriable] - Whether the operation may succeed if retried - defaults to the one for the class
+ * @param {string} [options.messageKey] - The i18n key for the user facing message - defaults to the code, without the prefix
+ * @param {object} [options.details] - Details that are safe to expose to the user
+ * @param {*} [options.cause] - The underlying error, if any
+ *
+ * @classdesc
+ * The base class for the errors raised by the server - carrying everything
+ * the REST layer (and the logs) need to deal with them, so that nobody needs
+ * to tack on a code / status by hand.
+ *
+ * The derived classes stand for the usual categories of failure, and differ
+ * in their defaults only.
+ */
+export class EVASError extends Error {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(code, options) {
+		code = code ?? UNKNOWN_ERROR_CODE;
+
+		super(
+			options?.message ?? code,
+			options?.cause === undefined ? undefined : { cause: options?.cause }
+		);
+
+		Object?.defineProperty?.(this, 'name', {
+			value: new.target.name,
+			configurable: true,
+			enumerable: false,
+			writable: true
+		});
+
+		const severity = options?.severity ?? new.target.DefaultSeverity;
+		if (!ERROR_SEVERITIES?.includes?.(severity)) {
+			throw new TypeError(
+				`${new.target.name}: Unknown severity ${severity}`
+			);
+		}
+
+		this.code = code;
+		this.status = options?.status ?? new.target.DefaultStatus;
+		this.severity = severity;
+		this.retriable = options?.retriable ?? new.target.DefaultRetriable;
+		this.messageKey =
+			options?.messageKey ?? code?.replace?.(ERROR_CODE_PREFIX, '');
+
+		if (options?.details !== undefined) this.details = options?.details;
+	}
+	// #endregion
+
+	// #region Static Methods
+	/**
+	 * @memberof EVASError
+	 * @static
+	 * @function
+	 * @name from
+	 *
+	 * @param {*} [error] - Whatever was thrown
+	 * @param {object} [options] - How to wrap errors outside the taxonomy
+	 * @param {number} [options.status] - The HTTP status for the errors without one of their own - defaults to 500
+	 *
+	 * @returns {EVASError} - The error, if it already is an EVASError - or one wrapping it.
+	 *
+	 * @description
+	 * Brings errors raised elsewhere - by the libraries, or by older code that
+	 * tacks on a code / status by hand - into the taxonomy:
+	 * - Errors merely wrapping an EVASError (as their cause, or in an
+	 * AggregateError) give way to it - the first one found, depth first
+	 * - EVASERVER:: codes are retained, anything else is an UNKNOWN_ERROR
+	 * - HTTP error statuses are retained, anything else is options.status -
+	 * or a 500
+	 * - The original error is the cause
+	 */
+	static from(error, options) {
+		const wrappedError = EVASError.#findWrappedError(error, new Set());
+		if (wrappedError) return wrappedError;
+
+		const code = error?.code?.startsWith?.(ERROR_CODE_PREFIX)
+			? error?.code
+			: UNKNOWN_ERROR_CODE;
+
+		const status =
+			error?.status >= MIN_ERROR_STATUS &&
+			error?.status <= MAX_ERROR_STATUS
+				? error?.status
+				: options?.status;
+
+		return new EVASError(code, {
+			message: error?.message ?? `${error}`,
+			status: status,
+			cause: error
+		});
+	}
+
+	static #findWrappedError(error, visitedErrors) {
+		if (!error || visitedErrors?.has?.(error)) return;
+		if (error instanceof EVASError) return error;
+
+		visitedErrors?.add?.(error);
+		for (const nestedError of [error?.cause, ...(error?.errors ?? [])]) {
+			const wrappedError = EVASError.#findWrappedError(
+				nestedError,
+				visitedErrors
+			);
+
+			if (wrappedError) return wrappedError;
+		}
+	}
+	// #endregion
+
+	// #region Defaults
+	/**
+	 * @memberof EVASError
+	 * @static
+	 * @member {number} DefaultStatus
+	 *
+	 * @description The HTTP status for errors of this class, unless specified.
+	 */
+	static DefaultStatus = 500;
+
+	/**
+	 * @memberof EVASError
+	 * @static
+	 * @member {string} DefaultSeverity
+	 *
+	 * @description The severity of errors of this class, unless specified.
+	 */
+	static DefaultSeverity = 'error';
+
+	/**
+	 * @memberof EVASError
+	 * @static
+	 * @member {boolean} DefaultRetriable
+	 *
+	 * @description Whether operations failing with errors of this class may be retried, unless specified.
+	 */
+	static DefaultRetriable = false;
+	// #endregion
+}
+
+/**
+ * @class EVASValidationError
+ * @extends EVASError
+ *
+ * @classdesc The input is not acceptable - 422.
+ */
+export class EVASValidationError extends EVASError {
+	static DefaultStatus = 422;
+	static DefaultSeverity = 'warning';
+}
+
+/**
+ * @class EVASAuthenticationError
+ * @extends EVASError
+ *
+ * @classdesc The user is not who they claim to be, or not logged in - 401.
+ */
+export class EVASAuthenticationError extends EVASError {
+	static DefaultStatus = 401;
+	static DefaultSeverity = 'warning';
+}
+
+/**
+ * @class EVASAuthorizationError
+ * @extends EVASError
+ *
+ * @classdesc The user is not allowed to do this - 403.
+ */
+export class EVASAuthorizationError extends EVASError {
+	static DefaultStatus = 403;
+	static DefaultSeverity = 'warning';
+}
+
+/**
+ * @class EVASNotFoundError
+ * @extends EVASError
+ *
+ * @classdesc The entity does not exist - 404.
+ */
+export class EVASNotFoundError extends EVASError {
+	static DefaultStatus = 404;
+	static DefaultSeverity = 'warning';
+}
+
+/**
+ * @class EVASConflictError
+ * @extends EVASError
+ *
+ * @classdesc The operation conflicts with the current state - 409.
+ */
+export class EVASConflictError extends EVASError {
+	static DefaultStatus = 409;
+	static DefaultSeverity = 'warning';
+}
+
+/**
+ * @class EVASTimeoutError
+ * @extends EVASError
+ *
+ * @classdesc Something took too long - 504, and worth retrying.
+ */
+export class EVASTimeoutError extends EVASError {
+	static DefaultStatus = 504;
+	static DefaultRetriable = true;
+}
+
+/**
+ * @class EVASUnavailableError
+ * @extends EVASError
+ *
+ * @classdesc Something the operation needs is down - 503, and worth retrying.
+ */
+export class EVASUnavailableError extends EVASError {
+	static DefaultStatus = 503;
+	static DefaultRetriable = true;
+}
@@ -0,0 +1,102 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { STATUS_CODES } from 'node:http';
+
+import { EVASError } from './evas-error.js';
+import { errorSerializer, getRedactor } from './error-serializer.js';
+
+/**
+ * The media type of the problem details
+ * @ignore
+ */
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * The problem types are URIs made up of this, and the i18n message key of
+ * the error - unless a different base is passed in
+ * @ignore
+ */
+const DEFAULT_PROBLEM_TYPE_BASE = 'urn:twyr:evaserver:problem:';
+const UNKNOWN_PROBLEM_TYPE = 'about:blank';
+const UNKNOWN_ERROR_KEY = 'UNKNOWN_ERROR';
+
+/**
+ * @function problemSerializer
+ *
+ * @param {*} [error] - Error to be rendered - brought into the EVASError taxonomy, if required
+ * @param {object} [options] - Rendering options
+ * @param {string} [options.detail] - The user facing explanation - the translated message, say - instead of the error message
+ * @param {string} [options.instance] - URI reference identifying this occurrence of the problem - the request path, say
+ * @param {string} [options.requestId] - The id of the request that ran into the problem
+ * @param {string} [options.typeBase] - The base URI for the problem types
+ * @param {boolean} [options.includeCause] - Whether to include the (serialized) cause chain - for non-production environments
+ * @param {object} [options.redactor] - Redactor to apply, instead of the configured one
+ *
+ * @returns {object} - the RFC 9457 problem details, to be sent as application/problem+json
+ *
+ * @description
+ * Renders the error as RFC 9457 problem details:
+ * - type: a URI identifying the kind of problem - from the error code
+ * - title: the HTTP status text
+ * - status: the HTTP status
+ * - detail: the user facing explanation of this occurrence
+ * - instance: the URI of this occurrence, if known
+ *
+ * along with the extension members - code, requestId, retriable and the
+ * details the error deems safe to expose - and, if asked for, the cause chain.
+ */
+const problemSerializer = function problemSerializer(error, options) {
+	const evasError = EVASError?.from?.(error);
+	const redactor = options?.redactor ?? getRedactor?.();
+
+	// The messages of unknown errors are not meant for the outside world
+	const messageKey = evasError?.messageKey;
+	const isKnownProblem = !!messageKey && messageKey !== UNKNOWN_ERROR_KEY;
+
+	const problemType = isKnownProblem
+		? `${options?.typeBase ?? DEFAULT_PROBLEM_TYPE_BASE}${messageKey
+				?.toLowerCase?.()
+				?.replaceAll?.('::', ':')}`
+		: UNKNOWN_PROBLEM_TYPE;
+
+	const problem = {
+		type: problemType,
+		title: STATUS_CODES?.[evasError?.status] ?? STATUS_CODES?.[500],
+		status: evasError?.status,
+		detail:
+			options?.detail ??
+			(isKnownProblem
+				? redactor?.redactString?.(evasError?.message)
+				: undefined),
+		instance: options?.instance,
+
+		code: evasError?.code,
+		requestId: options?.requestId,
+		retriable: evasError?.retriable
+	};
+
+	if (evasError?.details !== undefined) {
+		problem['details'] = redactor?.redact?.(evasError?.details, [
+			'details'
+		]);
+	}
+
+	if (options?.includeCause && evasError?.cause !== undefined) {
+		problem['cause'] =
+			evasError?.cause instanceof Error
+				? errorSerializer?.(evasError?.cause, { redactor: redactor })
+				: redactor?.redact?.(evasError?.cause, ['cause']);
+	}
+
+	// Members without a value are left out, rather than sent as null
+	for (const member of Object.keys(problem)) {
+		// eslint-disable-next-line security/detect-object-injection
+		if (problem[member] === undefined) delete problem[member];
+	}
+
+	return problem;
+};
+
+export { problemSerializer };
@@ -0,0 +1,216 @@
+/**
+ * What the redacted values are replaced with, unless specified
+ * @ignore
+ */
+const DEFAULT_REPLACEMENT = '********';
+
+/**
+ * Separates the segments of path expressions - and * stands for any segment
+ * @ignore
+ */
+const PATH_SEPARATOR = '.';
+const PATH_WILDCARD = '*';
+
+/**
+ * The rules applied unless specified otherwise:
+ * - Values of the keys that, by their name, hold secrets or PII
+ * - Bearer tokens and phone numbers wherever they show up in strings
+ * @ignore
+ */
+export const DEFAULT_REDACTION_RULES = Object.freeze([
+	Object.freeze({
+		key: /pass(word|code|phrase)?$|secret|token|api[-_]?key|authorization|cookie|otp|mobile|phone/i
+	}),
+	Object.freeze({ pattern: /\bBearer\s+[\w.~+/-]+=*/gi }),
+	Object.freeze({ pattern: /(?<![\w.:-])\+?(?:\d[ -]?){9,11}\d(?![\w.:-])/g })
+]);
+
+/**
+ * @class Redactor
+ *
+ * @param {object} [options] - The redaction options.
+ * @param {Array} [options.rules] - The redaction rules - DEFAULT_REDACTION_RULES, if not provided.
+ * @param {string} [options.replacement] - What the redacted values are replaced with.
+ *
+ * @classdesc
+ * Redacts secrets and PII from whatever is about to be logged / published -
+ * serialized errors, audit trails, etc. A rule is an object with one of:
+ * - key: a name (compared case-insensitively), or a RegExp, matching the keys whose values are to be redacted
+ * - path: a path expression - request-meta.headers.cookie, data.*.otp, etc. - matching the values to be redacted
+ * - pattern: a (global) RegExp matching the parts of strings to be redacted
+ *
+ * and, optionally, a replacement of its own.
+ */
+export class Redactor {
+	// #region Constructor
+	//eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(options) {
+		this.#replacement = options?.replacement ?? DEFAULT_REPLACEMENT;
+		for (const rule of options?.rules ?? DEFAULT_REDACTION_RULES) {
+			this.addRule?.(rule);
+		}
+	}
+	// #endregion
+
+	// #region Interface API
+	/**
+	 * @memberof Redactor
+	 * @instance
+	 * @function
+	 * @name addRule
+	 *
+	 * @param {object} rule - The redaction rule - { key }, { path } or { pattern }, with an optional replacement.
+	 *
+	 * @returns {Redactor} This redactor - so that the calls can be chained.
+	 */
+	addRule(rule) {
+		if (rule?.pattern instanceof RegExp) {
+			// Replacing needs the global flag - or only the first match goes
+			const pattern = rule?.pattern?.global
+				? rule?.pattern
+				: new RegExp(rule?.pattern?.source, `${rule?.pattern?.flags}g`);
+
+			this.#rules?.push?.({ ...rule, pattern: pattern });
+			return this;
+		}
+
+		if (typeof rule?.path === 'string') {
+			this.#rules?.push?.({
+				...rule,
+				segments: rule?.path?.split?.(PATH_SEPARATOR)
+			});
+			return this;
+		}
+
+		if (typeof rule?.key === 'string' || rule?.key instanceof RegExp) {
+			this.#rules?.push?.(rule);
+			return this;
+		}
+
+		throw new TypeError(
+			`Redactor::addRule expects a key, path or pattern rule: ${JSON?.stringify?.(rule)}`
+		);
+	}
+
+	/**
+	 * @memberof Redactor
+	 * @instance
+	 * @function
+	 * @name redact
+	 *
+	 * @param {*} value - The value to be redacted.
+	 * @param {Array} [path] - The path of the value, if it is nested in something else.
+	 *
+	 * @returns {*} A redacted copy of the value - or the value itself, if nothing needed redaction.
+	 *
+	 * @description
+	 * Recursively redacts arrays, plain objects and strings. Everything else -
+	 * Dates, Buffers, class instances, etc. - is returned as is.
+	 */
+	redact(value, path) {
+		return this.#redactValue?.(value, path ?? [], new WeakSet());
+	}
+
+	/**
+	 * @memberof Redactor
+	 * @instance
+	 * @function
+	 * @name redactString
+	 *
+	 * @param {string} value - The string to be redacted.
+	 *
+	 * @returns {string} The string, with the parts matching the pattern rules replaced.
+	 */
+	redactString(value) {
+		if (typeof value !== 'string') return value;
+
+		let redactedValue = value;
+		for (const rule of this.#rules) {
+			if (!rule?.pattern) continue;
+
+			redactedValue = redactedValue?.replace?.(
+				rule?.pattern,
+				rule?.replacement ?? this.#replacement
+			);
+		}
+
+		return redactedValue;
+	}
+	// #endregion
+
+	// #region Getters / Setters
+	/**
+	 * @memberof Redactor
+	 * @instance
+	 * @member {Array} rules
+	 *
+	 * @returns {Array} - The rules applied by this redactor - to be shared with another one, say.
+	 */
+	get rules() {
+		return [...this.#rules];
+	}
+	// #endregion
+
+	// #region Private Methods
+	#redactValue(value, path, visitedValues) {
+		if (typeof value === 'string') return this.redactString?.(value);
+		if (typeof value !== 'object' || value === null) return value;
+
+		const isArray = Array?.isArray?.(value);
+		const prototype = Object?.getPrototypeOf?.(value);
+		if (!isArray && prototype !== Object.prototype && prototype !== null)
+			return value;
+
+		if (visitedValues?.has?.(value)) return '[Circular]';
+		visitedValues?.add?.(value);
+
+		const redactedValue = isArray ? [] : {};
+		for (const [key, nestedValue] of Object.entries(value)) {
+			const nestedPath = [...path, key];
+			const matchingRule = this.#findMatchingRule?.(key, nestedPath);
+
+			// eslint-disable-next-line security/detect-object-injection
+			redactedValue[key] =
+				matchingRule &&
+				nestedValue !== undefined &&
+				nestedValue !== null
+					? (matchingRule?.replacement ?? this.#replacement)
+					: this.#redactValue?.(
+							nestedValue,
+							nestedPath,
+							visitedValues
+						);
+		}
+
+		visitedValues?.delete?.(value);
+		return redactedValue;
+	}
+
+	#findMatchingRule(key, path) {
+		return this.#rules?.find?.((rule) => {
+			if (typeof rule?.key === 'string')
+				return rule?.key?.toLowerCase?.() === `${key}`.toLowerCase();
+
+			if (rule?.key instanceof RegExp) {
+				// Reset, in case the RegExp is a global one
+				rule.key.lastIndex = 0;
+				return rule?.key?.test?.(key);
+			}
+
+			if (!rule?.segments) return false;
+			if (rule?.segments?.length !== path?.length) return false;
+
+			return rule?.segments?.every?.((segment, index) => {
+				return (
+					segment === PATH_WILDCARD || segment === path?.at?.(index)
+				);
+			});
+		});
+	}
+	// #endregion
+
+	// #region Private Fields
+	#replacement = DEFAULT_REPLACEMENT;
+	#rules = [];
+	// #endregion
+}
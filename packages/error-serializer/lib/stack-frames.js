@@ -0,0 +1,248 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { createHash } from 'node:crypto';
+import { findSourceMap } from 'node:module';
+import { isAbsolute, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const FINGERPRINT_FRAME_COUNT = 5;
+const FINGERPRINT_LENGTH = 16;
+
+/**
+ * Parses the V8 stack lines - "at [async] [function] (file:line:column)" or
+ * "at [async] file:line:column"
+ * @ignore
+ */
+const STACK_FRAME_PATTERN =
+	/^at (?:(async) )?(?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+const ANONYMOUS_FUNCTION = '<anonymous>';
+
+/**
+ * The path segments that mark the artifacts of the server - the frames are
+ * grouped by the innermost of these they belong to
+ * @ignore
+ */
+const CONTEXT_PATTERN =
+	/(?:^|\/)((?:domains\/[^/]+\/)*(?:bounded_contexts\/[^/]+|domains\/[^/]+|repositories\/[^/]+\/[^/]+|ingress_surfaces\/[^/]+|packages\/[^/]+))\//;
+
+/**
+ * @function parseStackFrames
+ *
+ * @param {string} [stack] - The stack of an error
+ *
+ * @returns {Array} - the structured frames - { function, file, line, column, async, internal, library }
+ *
+ * @description
+ * Parses the stack into structured frames - mapping the locations back to the
+ * original sources, if source maps are available (see --enable-source-maps).
+ *
+ * Files are made relative to the working directory, so that the frames - and
+ * the fingerprints computed from them - are the same across deployments.
+ */
+const parseStackFrames = function parseStackFrames(stack) {
+	const stackLines = `${stack ?? ''}`?.split?.('\n')?.map?.((stackLine) => {
+		return stackLine?.trim?.();
+	});
+
+	const frames = [];
+	for (const stackLine of stackLines) {
+		const frameParts = STACK_FRAME_PATTERN?.exec?.(stackLine);
+		if (!frameParts) continue;
+
+		const [, asyncMarker, functionName, location, line, column] =
+			frameParts;
+
+		let frame = {
+			function: functionName || ANONYMOUS_FUNCTION,
+			file: location,
+			line: Number(line),
+			column: Number(column),
+			async: !!asyncMarker,
+			internal:
+				location?.startsWith?.('node:') ||
+				!location?.includes?.('/') ||
+				location?.startsWith?.('internal/'),
+			library: location?.includes?.(`node_modules`)
+		};
+
+		frame = mapFrameToSource?.(frame);
+		frame.file = shortenFilePath?.(frame?.file);
+		frame.context = CONTEXT_PATTERN?.exec?.(frame?.file)?.[1];
+
+		frames?.push?.(frame);
+	}
+
+	return frames;
+};
+
+/**
+ * @function filterStackFrames
+ *
+ * @param {Array} [frames] - Frames, as parsed by parseStackFrames
+ *
+ * @returns {Array} - the frames belonging to the application - neither Node.js internals, nor library code
+ */
+const filterStackFrames = function filterStackFrames(frames) {
+	return (frames ?? [])?.filter?.((frame) => {
+		return !frame?.internal && !frame?.library;
+	});
+};
+
+/**
+ * @function groupStackFrames
+ *
+ * @param {Array} [frames] - Frames, as parsed by parseStackFrames
+ *
+ * @returns {Array} - the frames, grouped by the domain / bounded context / repository they belong to - [{ context, frames }]
+ *
+ * @description
+ * Groups consecutive frames belonging to the same artifact, so that the path
+ * the error took across the server can be read at a glance.
+ */
+const groupStackFrames = function groupStackFrames(frames) {
+	const frameGroups = [];
+
+	for (const frame of frames ?? []) {
+		const { context, ...frameDetails } = frame;
+
+		const currentGroup = frameGroups?.at?.(-1);
+		if (currentGroup && currentGroup?.context === context) {
+			currentGroup?.frames?.push?.(frameDetails);
+			continue;
+		}
+
+		frameGroups?.push?.({ context: context, frames: [frameDetails] });
+	}
+
+	return frameGroups;
+};
+
+/**
+ * @function computeFingerprint
+ *
+ * @param {Error} [error] - The error to be fingerprinted
+ *
+ * @returns {string} - a hash identifying errors of the same kind, raised from the same place
+ *
+ * @description
+ * Hashes what stays the same every time an error happens - its name, code,
+ * and the functions / files of the innermost application frames - and
+ * leaves out what doesn't - line numbers, ids in the message, etc. - so
+ * that the same error can be deduplicated in the logs.
+ *
+ * Errors without application frames fall back to the message, with the
+ * numbers taken out.
+ */
+const computeFingerprint = function computeFingerprint(error) {
+	const applicationFrames = filterStackFrames?.(
+		parseStackFrames?.(error?.stack)
+	)?.slice?.(0, FINGERPRINT_FRAME_COUNT);
+
+	const fingerprintParts = [
+		error?.constructor?.name ?? error?.name,
+		error?.code
+	];
+
+	if (applicationFrames?.length) {
+		for (const frame of applicationFrames) {
+			fingerprintParts?.push?.(`${frame?.file}#${frame?.function}`);
+		}
+	} else {
+		fingerprintParts?.push?.(`${error?.message}`?.replace?.(/\d+/g, '#'));
+	}
+
+	return createHash('sha256')
+		?.update?.(fingerprintParts?.join?.('\n'))
+		?.digest?.('hex')
+		?.slice?.(0, FINGERPRINT_LENGTH);
+};
+
+/**
+ * @function formatStackFrame
+ *
+ * @param {object} [frame] - Frame, as parsed by parseStackFrames
+ *
+ * @returns {string} - the frame, as a V8 stack line - without the leading whitespace
+ */
+const formatStackFrame = function formatStackFrame(frame) {
+	const asyncMarker = frame?.async ? 'async ' : '';
+	const location = `${frame?.file}:${frame?.line}:${frame?.column}`;
+
+	if (!frame?.function || frame?.function === ANONYMOUS_FUNCTION)
+		return `at ${asyncMarker}${location}`;
+
+	return `at ${asyncMarker}${frame?.function} (${location})`;
+};
+
+/**
+ * @function mapFrameToSource
+ *
+ * @param {object} frame - The parsed frame
+ *
+ * @returns {object} - the frame - pointing at the original source, if a source map is available
+ * @ignore
+ */
+const mapFrameToSource = function mapFrameToSource(frame) {
+	if (frame?.internal) return frame;
+
+	let sourceMap = undefined;
+	try {
+		sourceMap = findSourceMap?.(frame?.file);
+	} catch {
+		sourceMap = undefined;
+	}
+
+	// Source map positions are zero-based, stack positions one-based
+	const sourceEntry = sourceMap?.findEntry?.(
+		frame?.line - 1,
+		frame?.column - 1
+	);
+	if (!sourceEntry?.originalSource) return frame;
+
+	return {
+		...frame,
+		file: sourceEntry?.originalSource,
+		line: sourceEntry?.originalLine + 1,
+		column: sourceEntry?.originalColumn + 1
+	};
+};
+
+/**
+ * @function shortenFilePath
+ *
+ * @param {string} file - The file (path, or file URL) of a frame
+ *
+ * @returns {string} - the path, relative to the working directory if within it
+ * @ignore
+ */
+const shortenFilePath = function shortenFilePath(file) {
+	let filePath = file;
+	if (filePath?.startsWith?.('file://')) {
+		try {
+			filePath = fileURLToPath?.(filePath);
+		} catch {
+			filePath = file;
+		}
+	}
+
+	if (!isAbsolute?.(filePath)) return filePath;
+
+	const relativePath = relative?.(process?.cwd?.(), filePath);
+	if (relativePath?.startsWith?.('..')) return filePath;
+
+	return relativePath?.split?.(sep)?.join?.('/');
+};
+
+export {
+	computeFingerprint,
+	filterStackFrames,
+	formatStackFrame,
+	groupStackFrames,
+	parseStackFrames
+};
@@ -0,0 +1,138 @@
+describe('Error Serializer - Round Trip Test Cases', function () {
+	class ConflictError extends Error {
+		constructor(message, options) {
+			super(message, options);
+			this.name = 'Conflict';
+		}
+	}
+
+	it('Rebuilds registered classes, with their own type property', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { errorDeserializer, errorSerializer, registerErrorClass } =
+			await import('../index.js');
+
+		registerErrorClass(ConflictError);
+
+		const conflictError = new ConflictError('Duplicate contact');
+		conflictError.type = 'urn:twyr:conflict';
+		conflictError.status = 409;
+
+		// Across the wire - JSON, that is
+		const deserializedError = errorDeserializer(
+			JSON.stringify(errorSerializer(conflictError))
+		);
+
+		assert?.instanceOf?.(deserializedError, ConflictError);
+		assert?.strictEqual?.(deserializedError?.name, 'Conflict');
+		assert?.strictEqual?.(deserializedError?.message, 'Duplicate contact');
+		assert?.strictEqual?.(deserializedError?.type, 'urn:twyr:conflict');
+		assert?.strictEqual?.(deserializedError?.status, 409);
+		assert?.match?.(
+			deserializedError?.stack,
+			/^Conflict: Duplicate contact/
+		);
+	});
+
+	it('Falls back to the built-in classes for unknown ones', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { errorDeserializer } = await import('../index.js');
+
+		const deserializedError = errorDeserializer({
+			name: 'Timeout',
+			errorClass: 'TimeoutError',
+			message: 'Took too long'
+		});
+
+		assert?.strictEqual?.(
+			Object.getPrototypeOf(deserializedError),
+			Error.prototype
+		);
+		assert?.strictEqual?.(deserializedError?.name, 'Timeout');
+		assert?.strictEqual?.(deserializedError?.message, 'Took too long');
+
+		const deserializedAggregate = errorDeserializer({
+			name: 'Batch',
+			errorClass: 'BatchError',
+			message: 'Some failed',
+			errors: [{ name: 'Error', message: 'First' }]
+		});
+
+		assert?.instanceOf?.(deserializedAggregate, AggregateError);
+		assert?.strictEqual?.(deserializedAggregate?.errors?.length, 1);
+	});
+
+	it('Rebuilds the nested causes and errors', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { errorDeserializer, errorSerializer } =
+			await import('../index.js');
+
+		const rootCause = new TypeError('Not a number');
+		const aggregateError = new AggregateError(
+			[
+				new RangeError('Too big'),
+				new Error('Wrapped', { cause: rootCause })
+			],
+			'Validation failed'
+		);
+		const topError = new Error('Request failed', { cause: aggregateError });
+
+		const deserializedError = errorDeserializer(errorSerializer(topError));
+		const deserializedAggregate = deserializedError?.cause;
+
+		assert?.instanceOf?.(deserializedAggregate, AggregateError);
+		assert?.strictEqual?.(
+			deserializedAggregate?.message,
+			'Validation failed'
+		);
+
+		const [rangeError, wrappedError] = deserializedAggregate?.errors ?? [];
+		assert?.instanceOf?.(rangeError, RangeError);
+		assert?.instanceOf?.(wrappedError?.cause, TypeError);
+		assert?.strictEqual?.(wrappedError?.cause?.message, 'Not a number');
+	});
+
+	it('Keeps the custom properties', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { errorDeserializer, errorSerializer } =
+			await import('../index.js');
+
+		const error = new Error('Bad input', { cause: { field: 'email' } });
+		error.code = 'VALIDATION';
+		error.status = 422;
+		error.details = { fields: ['email', 'phone'] };
+		error.original = new Error('Invalid email');
+
+		const deserializedError = errorDeserializer(errorSerializer(error));
+
+		assert?.strictEqual?.(deserializedError?.code, 'VALIDATION');
+		assert?.strictEqual?.(deserializedError?.status, 422);
+		assert?.deepEqual?.(deserializedError?.details, {
+			fields: ['email', 'phone']
+		});
+		assert?.deepEqual?.(deserializedError?.cause, { field: 'email' });
+		assert?.instanceOf?.(deserializedError?.original, Error);
+		assert?.strictEqual?.(
+			deserializedError?.original?.message,
+			'Invalid email'
+		);
+	});
+
+	it('Refuses to register classes that are not Errors', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { registerErrorClass } = await import('../index.js');
+
+		assert?.throws?.(() => {
+			registerErrorClass(class NotAnError {});
+		}, /is not an Error class/);
+	});
+});
@@ -0,0 +1,131 @@
+describe('EVASError Test Cases', function () {
+	it('Maps the classes to their HTTP statuses', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const ErrorClasses = await import('../index.js');
+
+		const expectedStatuses = {
+			EVASError: 500,
+			EVASValidationError: 422,
+			EVASAuthenticationError: 401,
+			EVASAuthorizationError: 403,
+			EVASNotFoundError: 404,
+			EVASConflictError: 409,
+			EVASTimeoutError: 504,
+			EVASUnavailableError: 503
+		};
+
+		for (const [className, status] of Object.entries(expectedStatuses)) {
+			// eslint-disable-next-line security/detect-object-injection
+			const evasError = new ErrorClasses[className](
+				'EVASERVER::TEST::FAILURE'
+			);
+
+			assert?.instanceOf?.(evasError, ErrorClasses?.EVASError);
+			assert?.strictEqual?.(evasError?.name, className);
+			assert?.strictEqual?.(evasError?.status, status, className);
+		}
+	});
+
+	it('Fills in the defaults, unless specified', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EVASError, EVASTimeoutError } = await import('../index.js');
+
+		const timeoutError = new EVASTimeoutError('EVASERVER::TEST::TIMEOUT');
+		assert?.strictEqual?.(
+			timeoutError?.message,
+			'EVASERVER::TEST::TIMEOUT'
+		);
+		assert?.strictEqual?.(timeoutError?.messageKey, 'TEST::TIMEOUT');
+		assert?.strictEqual?.(timeoutError?.severity, 'error');
+		assert?.isTrue?.(timeoutError?.retriable);
+
+		const cancellationError = new EVASError('EVASERVER::TEST::CANCELLED', {
+			status: 499,
+			severity: 'warning',
+			details: { reason: 'client' }
+		});
+		assert?.strictEqual?.(cancellationError?.status, 499);
+		assert?.strictEqual?.(cancellationError?.severity, 'warning');
+		assert?.deepEqual?.(cancellationError?.details, { reason: 'client' });
+
+		assert?.throws?.(() => {
+			new EVASError('EVASERVER::TEST::FAILURE', { severity: 'fatal' });
+		}, /Unknown severity fatal/);
+	});
+
+	it('Brings other errors into the taxonomy', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EVASError, EVASNotFoundError } = await import('../index.js');
+
+		// Already in it
+		const notFoundError = new EVASNotFoundError('EVASERVER::TEST::MISSING');
+		assert?.strictEqual?.(EVASError?.from?.(notFoundError), notFoundError);
+
+		// Merely wrapping one
+		const wrappingError = new AggregateError(
+			[
+				new Error('Unrelated'),
+				new Error('Wrapper', { cause: notFoundError })
+			],
+			'Batch failed'
+		);
+		assert?.strictEqual?.(EVASError?.from?.(wrappingError), notFoundError);
+
+		// A code / status tacked on by hand
+		const legacyError = new Error('Duplicate');
+		legacyError.code = 'EVASERVER::TEST::DUPLICATE';
+		legacyError.status = 409;
+
+		const legacyEvasError = EVASError?.from?.(legacyError);
+		assert?.strictEqual?.(
+			legacyEvasError?.code,
+			'EVASERVER::TEST::DUPLICATE'
+		);
+		assert?.strictEqual?.(legacyEvasError?.status, 409);
+		assert?.strictEqual?.(legacyEvasError?.cause, legacyError);
+
+		// Neither
+		const plainError = new Error('Something broke');
+		plainError.code = 'ECONNRESET';
+		plainError.status = 200;
+
+		const plainEvasError = EVASError?.from?.(plainError);
+		assert?.strictEqual?.(plainEvasError?.code, 'EVASERVER::UNKNOWN_ERROR');
+		assert?.strictEqual?.(plainEvasError?.message, 'Something broke');
+		assert?.strictEqual?.(plainEvasError?.status, 500);
+		assert?.strictEqual?.(
+			EVASError?.from?.(plainError, { status: 422 })?.status,
+			422
+		);
+
+		assert?.strictEqual?.(EVASError?.from?.('thrown')?.message, 'thrown');
+	});
+
+	it('Survives a round trip through the serializer', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EVASConflictError, errorDeserializer, errorSerializer } =
+			await import('../index.js');
+
+		const conflictError = new EVASConflictError(
+			'EVASERVER::TEST::DUPLICATE',
+			{ details: { field: 'email' } }
+		);
+
+		const deserializedError = errorDeserializer(
+			errorSerializer(conflictError)
+		);
+
+		assert?.instanceOf?.(deserializedError, EVASConflictError);
+		assert?.strictEqual?.(deserializedError?.code, conflictError?.code);
+		assert?.strictEqual?.(deserializedError?.status, 409);
+		assert?.deepEqual?.(deserializedError?.details, { field: 'email' });
+	});
+});
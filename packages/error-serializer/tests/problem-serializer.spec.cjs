@@ -0,0 +1,100 @@
+describe('Problem Serializer Test Cases', function () {
+	it('Renders the RFC 9457 members, and the extensions', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EVASNotFoundError, PROBLEM_CONTENT_TYPE, problemSerializer } =
+			await import('../index.js');
+
+		assert?.strictEqual?.(PROBLEM_CONTENT_TYPE, 'application/problem+json');
+
+		const notFoundError = new EVASNotFoundError(
+			'EVASERVER::SERVER_USERS::PROFILE::CONTACT_NOT_FOUND',
+			{ details: { contactId: 'c-1' } }
+		);
+
+		assert?.deepEqual?.(
+			problemSerializer(notFoundError, {
+				detail: 'The contact does not exist',
+				instance: '/api/v1/profile/contacts/c-1',
+				requestId: 'r-1'
+			}),
+			{
+				type: 'urn:twyr:evaserver:problem:server_users:profile:contact_not_found',
+				title: 'Not Found',
+				status: 404,
+				detail: 'The contact does not exist',
+				instance: '/api/v1/profile/contacts/c-1',
+				code: 'EVASERVER::SERVER_USERS::PROFILE::CONTACT_NOT_FOUND',
+				requestId: 'r-1',
+				retriable: false,
+				details: { contactId: 'c-1' }
+			}
+		);
+	});
+
+	it('Keeps the messages of unknown errors to itself', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { problemSerializer } = await import('../index.js');
+
+		const problem = problemSerializer(
+			new Error('connect ECONNREFUSED 10.0.0.12:5432')
+		);
+
+		assert?.deepEqual?.(problem, {
+			type: 'about:blank',
+			title: 'Internal Server Error',
+			status: 500,
+			code: 'EVASERVER::UNKNOWN_ERROR',
+			retriable: false
+		});
+	});
+
+	it('Uses the type base passed in', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EVASConflictError, problemSerializer } =
+			await import('../index.js');
+
+		const problem = problemSerializer(
+			new EVASConflictError('EVASERVER::PROFILE::DUPLICATE'),
+			{ typeBase: 'https://docs.twyr.com/problems/' }
+		);
+
+		assert?.strictEqual?.(
+			problem?.type,
+			'https://docs.twyr.com/problems/profile:duplicate'
+		);
+		assert?.strictEqual?.(problem?.detail, 'EVASERVER::PROFILE::DUPLICATE');
+	});
+
+	it('Includes the redacted cause chain, only if asked to', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EVASUnavailableError, problemSerializer } =
+			await import('../index.js');
+
+		const rootCause = new Error('Redis is down');
+		rootCause.password = 'hunter2';
+
+		const unavailableError = new EVASUnavailableError(
+			'EVASERVER::CACHE::UNAVAILABLE',
+			{ cause: rootCause, details: { token: 'abc' } }
+		);
+
+		assert?.notProperty?.(problemSerializer(unavailableError), 'cause');
+
+		const problem = problemSerializer(unavailableError, {
+			includeCause: true
+		});
+
+		assert?.strictEqual?.(problem?.retriable, true);
+		assert?.deepEqual?.(problem?.details, { token: '********' });
+		assert?.strictEqual?.(problem?.cause?.message, 'Redis is down');
+		assert?.strictEqual?.(problem?.cause?.password, '"********"');
+	});
+});
@@ -0,0 +1,212 @@
+describe('Stack Frames Test Cases', function () {
+	const createError = (message, frameLines) => {
+		const error = new Error(message);
+		error.code = 'EVASERVER::PROFILE::CONTACT_NOT_FOUND';
+		error.stack = [`Error: ${message}`, ...frameLines]?.join?.('\n');
+
+		return error;
+	};
+
+	const createFrameLines = (line, column) => {
+		const cwd = process.cwd();
+		return [
+			`    at ContactsMiddleware.#readContact (${cwd}/source/domains/server_users/bounded_contexts/profile/middlewares/contacts.js:${line}:${column})`,
+			`    at async ContactsMiddleware.readContact (file://${cwd}/source/domains/server_users/bounded_contexts/profile/middlewares/contacts.js:${line + 20}:${column})`,
+			`    at async APIRegistry.execute (${cwd}/node_modules/@twyr/api-registry/lib/api-registry.js:${line + 100}:5)`,
+			`    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)`,
+			`    at async ${cwd}/source/ingress_surfaces/rest_api/index.js:${line + 5}:9`
+		];
+	};
+
+	it('Parses the frames, marking the internal and library ones', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { filterStackFrames, parseStackFrames } =
+			await import('../index.js');
+
+		const frames = parseStackFrames(createFrameLines(42, 13)?.join?.('\n'));
+
+		assert?.deepEqual?.(frames?.[0], {
+			function: 'ContactsMiddleware.#readContact',
+			file: 'source/domains/server_users/bounded_contexts/profile/middlewares/contacts.js',
+			line: 42,
+			column: 13,
+			async: false,
+			internal: false,
+			library: false,
+			context: 'domains/server_users/bounded_contexts/profile'
+		});
+
+		// File URLs are paths too
+		assert?.strictEqual?.(frames?.[1]?.file, frames?.[0]?.file);
+		assert?.isTrue?.(frames?.[1]?.async);
+
+		assert?.isTrue?.(frames?.[2]?.library);
+		assert?.isTrue?.(frames?.[3]?.internal);
+		assert?.strictEqual?.(frames?.[4]?.function, '<anonymous>');
+
+		assert?.deepEqual?.(
+			filterStackFrames(frames)?.map?.((frame) => {
+				return frame?.context;
+			}),
+			[
+				'domains/server_users/bounded_contexts/profile',
+				'domains/server_users/bounded_contexts/profile',
+				'ingress_surfaces/rest_api'
+			]
+		);
+	});
+
+	it('Groups the consecutive frames of the same artifact', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { filterStackFrames, groupStackFrames, parseStackFrames } =
+			await import('../index.js');
+
+		const frameGroups = groupStackFrames(
+			filterStackFrames(
+				parseStackFrames(createFrameLines(42, 13)?.join?.('\n'))
+			)
+		);
+
+		assert?.deepEqual?.(
+			frameGroups?.map?.((frameGroup) => {
+				return [frameGroup?.context, frameGroup?.frames?.length];
+			}),
+			[
+				['domains/server_users/bounded_contexts/profile', 2],
+				['ingress_surfaces/rest_api', 1]
+			]
+		);
+		assert?.notProperty?.(frameGroups?.[0]?.frames?.[0], 'context');
+	});
+
+	it('Formats the frames back into stack lines', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { formatStackFrame, parseStackFrames } =
+			await import('../index.js');
+
+		const stackLines = [
+			'at async Contacts.read (source/domains/profile/index.js:10:3)',
+			'at source/domains/profile/index.js:12:7'
+		];
+
+		assert?.deepEqual?.(
+			parseStackFrames(stackLines?.join?.('\n'))?.map?.((frame) => {
+				return formatStackFrame(frame);
+			}),
+			stackLines
+		);
+	});
+
+	it('Fingerprints the same error the same, despite line number drift', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { computeFingerprint } = await import('../index.js');
+
+		const fingerprint = computeFingerprint(
+			createError('Contact c-1 not found', createFrameLines(42, 13))
+		);
+
+		assert?.match?.(fingerprint, /^[0-9a-f]{16}$/);
+
+		// Another deployment - lines moved, another contact
+		assert?.strictEqual?.(
+			computeFingerprint(
+				createError('Contact c-2 not found', createFrameLines(57, 9))
+			),
+			fingerprint
+		);
+
+		// Raised from elsewhere
+		const otherFrameLines = createFrameLines(42, 13);
+		otherFrameLines[0] = otherFrameLines?.[0]?.replace?.(
+			'#readContact',
+			'#updateContact'
+		);
+
+		assert?.notStrictEqual?.(
+			computeFingerprint(
+				createError('Contact c-1 not found', otherFrameLines)
+			),
+			fingerprint
+		);
+	});
+
+	it('Fingerprints errors without application frames by their message', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { computeFingerprint } = await import('../index.js');
+
+		const libraryFrameLines = [
+			'    at Socket.emit (node:events:517:28)',
+			`    at Parser.parse (${process.cwd()}/node_modules/pg/lib/parser.js:40:38)`
+		];
+
+		assert?.strictEqual?.(
+			computeFingerprint(
+				createError('Timeout after 3000ms', libraryFrameLines)
+			),
+			computeFingerprint(
+				createError('Timeout after 5000ms', libraryFrameLines)
+			)
+		);
+		assert?.notStrictEqual?.(
+			computeFingerprint(
+				createError('Timeout after 3000ms', libraryFrameLines)
+			),
+			computeFingerprint(
+				createError('Connection refused', libraryFrameLines)
+			)
+		);
+	});
+
+	it('Serializes the fingerprint and the application frames', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { computeFingerprint, errorDeserializer, errorSerializer } =
+			await import('../index.js');
+
+		const error = createError(
+			'Contact c-1 not found',
+			createFrameLines(42, 13)
+		);
+
+		const serializedError = errorSerializer(error);
+		assert?.strictEqual?.(
+			serializedError?.fingerprint,
+			computeFingerprint(error)
+		);
+		assert?.deepEqual?.(
+			serializedError?.frames?.map?.((frameGroup) => {
+				return frameGroup?.context;
+			}),
+			[
+				'domains/server_users/bounded_contexts/profile',
+				'ingress_surfaces/rest_api'
+			]
+		);
+
+		const allFrames = errorSerializer(error, { allFrames: true })?.frames;
+		assert?.strictEqual?.(
+			allFrames?.flatMap?.((frameGroup) => {
+				return frameGroup?.frames;
+			})?.length,
+			5
+		);
+
+		// The stack is rebuilt from the frames on the other side
+		const deserializedError = errorDeserializer(serializedError);
+		assert?.strictEqual?.(
+			deserializedError?.stack?.split?.('\n')?.[1],
+			'    at ContactsMiddleware.#readContact (source/domains/server_users/bounded_contexts/profile/middlewares/contacts.js:42:13)'
+		);
+	});
+});
@@ -3,10 +3,22 @@
  * @ignore
  */
 
-import { dirname, join } from 'node:path';
+import { dirname, join, relative, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { statSync } from 'node:fs';
 
 import { fdir as FDir } from 'fdir';
 
+import { BootProfiler } from '../lib/boot-profiler.js';
+
+/**
+ * The import generation of the locations whose import cache has been busted -
+ * see bustImportCache
+ * @ignore
+ */
+const artifactImportGenerations = new Map();
+let importGeneration = 0;
+
 /**
  * @async
  * @function
@@ -14,25 +26,75 @@ import { fdir as FDir } from 'fdir';
  *
  * @param {string} [location] - search path
  * @param {boolean} [allFiles] - whether to include all files or just directories
+ * @param {Array} [artifactPaths] - the artifacts to be loaded, in order, as listed in the manifest - if any
  *
  * @returns {Array} - Array of the default exports found in the search path
  *
  * @description
- * Imports artifacts found in the searchPath, and returns the found artifact
- * factories as an array
+ * Imports artifacts found in the searchPath - or listed in the manifest -
+ * and returns the found artifact factories as an array
  *
  */
-export async function loader(location, allFiles = false) {
-	// Step 1: Search for files in the location with depth 1
-	const artifactLocations = await locateArtifacts(location, allFiles);
+export async function loader(location, allFiles = false, artifactPaths) {
+	// Step 1: Search for files in the location with depth 1 - unless the
+	// manifest lists them
+	const artifactLocations = artifactPaths
+		? locateManifestArtifacts(location, artifactPaths)
+		: await locateArtifacts(location, allFiles);
 
 	// Step 2: Import all the found files
-	const artifactFactories = await importArtifacts(artifactLocations);
+	const artifactFactories = await importArtifacts(
+		location,
+		artifactLocations
+	);
 
 	// Finally, return the factories
 	return artifactFactories;
 }
 
+/**
+ * @function
+ * @name bustImportCache
+ *
+ * @param {string} [location] - the folder whose artifacts are to be re-imported
+ *
+ * @returns {number} - the new import generation of the location
+ *
+ * @description
+ * ESM imports are cached for the lifetime of the process, and can't be
+ * evicted. So, from here on, the artifacts in the location are imported with
+ * a (new) version query - which makes them new modules, as far as Node.js
+ * is concerned.
+ *
+ * The modules imported earlier stay in memory - this is meant for reloading
+ * artifacts during development, not in production.
+ */
+export function bustImportCache(location) {
+	importGeneration++;
+	artifactImportGenerations?.set?.(location, importGeneration);
+
+	return importGeneration;
+}
+
+/**
+ * @function
+ * @name getImportSpecifier
+ *
+ * @param {string} [artifactFile] - path of the artifact file
+ *
+ * @returns {string} - the path, or a versioned file URL if the import cache for its location has been busted
+ */
+export function getImportSpecifier(artifactFile) {
+	let artifactGeneration = 0;
+	for (const [location, generation] of artifactImportGenerations) {
+		if (!artifactFile?.startsWith?.(`${location}${sep}`)) continue;
+		artifactGeneration = Math?.max?.(artifactGeneration, generation);
+	}
+
+	if (!artifactGeneration) return artifactFile;
+	return `${pathToFileURL?.(artifactFile)?.href}?version=${artifactGeneration}`;
+}
+
 /**
  * @async
  * @function
@@ -75,23 +137,48 @@ async function locateArtifacts(location, allFiles) {
 	}
 }
 
+/**
+ * @function
+ * @name locateManifestArtifacts
+ *
+ * @param {string} [location] - search path
+ * @param {Array} [artifactPaths] - paths of the artifacts listed in the manifest, relative to the search path
+ *
+ * @returns {Array} - Array of the artifact files - the index.js, for folders
+ *
+ * @description
+ * The manifest has been validated already - so everything listed exists
+ *
+ */
+function locateManifestArtifacts(location, artifactPaths) {
+	return artifactPaths?.map?.((artifactPath) => {
+		const artifactLocation = join?.(location, artifactPath);
+
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		return statSync?.(artifactLocation)?.isDirectory?.()
+			? join?.(artifactLocation, 'index.js')
+			: artifactLocation;
+	});
+}
+
 /**
  * @async
  * @function
  * @name importArtifacts
  *
+ * @param {string} [location] - search path
  * @param {Array} [artifactLocations] - artifact folders found in locateArtifacts
  *
  * @returns {Array} - Array of factories (default exports) found in the search path
  *
  * @description
  * - Finds the index.js files
- * - Imports them
+ * - Imports them - timing each, if the server is being profiled
  * - Sets the location of the file on the default export
  * - Returns the exports, which should be the Factories
  *
  */
-async function importArtifacts(artifactLocations) {
+async function importArtifacts(location, artifactLocations) {
 	const errors = [];
 
 	// Step 1: Import the artifact files
@@ -99,7 +186,18 @@ async function importArtifacts(artifactLocations) {
 	try {
 		const importResolutions = [];
 		for (const artifactFile of artifactLocations) {
-			importResolutions?.push?.(import(artifactFile));
+			const importStart = performance?.now?.();
+			importResolutions?.push?.(
+				import(getImportSpecifier?.(artifactFile))?.finally?.(() => {
+					BootProfiler?.record?.(
+						{
+							kind: 'import',
+							name: relative?.(location, artifactFile)
+						},
+						performance?.now?.() - importStart
+					);
+				})
+			);
 			continue;
 		}
 
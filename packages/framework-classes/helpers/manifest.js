@@ -0,0 +1,373 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { existsSync, readdirSync, statSync } from 'node:fs';
+import { isAbsolute, join, normalize, sep } from 'node:path';
+import { readFile } from 'node:fs/promises';
+
+import { getImportSpecifier } from './loader.js';
+
+/**
+ * The manifest files looked for in an artifact folder - in order of precedence
+ * @ignore
+ */
+const MANIFEST_FILES = ['manifest.js', 'manifest.json'];
+
+/**
+ * The properties an artifact entry in the manifest can have
+ * @ignore
+ */
+const ARTIFACT_ENTRY_PROPERTIES = ['path', 'enabled', 'environments'];
+
+/**
+ * @async
+ * @function
+ * @name loadManifest
+ *
+ * @param {string} [location] - the artifact (server / domain / bounded context) folder
+ *
+ * @returns {object} - the validated manifest - or undefined, if the folder does not have one
+ *
+ * @description
+ * Reads the artifact manifest - manifest.js (default export) or manifest.json
+ * - of the folder, and validates it. A manifest lists, for the sub-folders
+ * the lifecycle managers load artifacts from, the artifacts to be loaded -
+ * in load order - see the example.
+ *
+ * An entry is either the path (file, or folder with an index.js) relative to
+ * the sub-folder, or an object with the path, whether it is enabled (default
+ * true) and the environments it is loaded in (default all). Sub-folders not
+ * in the manifest are crawled, as before.
+ *
+ * Throws an AggregateError with every problem found - unknown properties,
+ * missing files, paths outside the sub-folder, etc.
+ *
+ * @example
+ * {
+ *   "artifacts": {
+ *     "middlewares": ["basics.js", "contacts.js"],
+ *     "surfaces/command": [
+ *       "main.js",
+ *       { "path": "locale.js", "enabled": false },
+ *       { "path": "contact.js", "environments": ["development", "test"] }
+ *     ]
+ *   }
+ * }
+ */
+export async function loadManifest(location) {
+	const manifestFile = MANIFEST_FILES?.map?.((manifestFileName) => {
+		return join?.(location, manifestFileName);
+	})?.find?.((manifestFilePath) => {
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		return existsSync?.(manifestFilePath);
+	});
+
+	if (!manifestFile) return undefined;
+
+	let manifest = undefined;
+	try {
+		if (manifestFile?.endsWith?.('.json')) {
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			manifest = JSON?.parse?.(await readFile?.(manifestFile, 'utf8'));
+		} else {
+			const manifestModule = await import(
+				getImportSpecifier?.(manifestFile)
+			);
+
+			manifest = manifestModule?.['default'];
+		}
+	} catch (error) {
+		throw new Error(`Error reading artifact manifest @ ${manifestFile}`, {
+			cause: error
+		});
+	}
+
+	const errors = validateManifest?.(location, manifest);
+	if (errors?.length) {
+		throw new AggregateError(
+			errors?.map?.((errorMessage) => {
+				return new Error(`${manifestFile}: ${errorMessage}`);
+			}),
+			`Invalid artifact manifest @ ${manifestFile}`
+		);
+	}
+
+	// Key the sections the way the lifecycle managers refer to them
+	const normalizedManifest = {
+		artifacts: Object?.fromEntries?.(
+			Object?.entries?.(manifest?.['artifacts'])?.map?.(
+				([path, artifactEntries]) => {
+					return [normalizePath?.(path), artifactEntries];
+				}
+			)
+		)
+	};
+
+	warnUnlistedArtifacts?.(location, normalizedManifest);
+	return normalizedManifest;
+}
+
+/**
+ * @function
+ * @name getManifestArtifacts
+ *
+ * @param {object} [manifest] - the manifest, as returned by loadManifest
+ * @param {string} [path] - the sub-folder the artifacts are being loaded from
+ *
+ * @returns {Array} - the paths of the artifacts to be loaded, in order - or undefined, if the manifest doesn't list the sub-folder
+ *
+ * @description
+ * Leaves out the disabled artifacts, and the ones meant for other
+ * environments.
+ */
+export function getManifestArtifacts(manifest, path) {
+	const artifactEntries = manifest?.['artifacts']?.[normalizePath?.(path)];
+	if (!artifactEntries) return undefined;
+
+	return artifactEntries
+		?.map?.(normalizeEntry)
+		?.filter?.((artifactEntry) => {
+			if (artifactEntry?.enabled === false) return false;
+			if (!artifactEntry?.environments) return true;
+
+			return artifactEntry?.environments?.includes?.(serverEnvironment);
+		})
+		?.map?.((artifactEntry) => {
+			return artifactEntry?.path;
+		});
+}
+
+/**
+ * @function
+ * @name validateManifest
+ *
+ * @param {string} [location] - the artifact folder
+ * @param {object} [manifest] - the manifest read from it
+ *
+ * @returns {Array} - the problems found, if any
+ * @ignore
+ */
+function validateManifest(location, manifest) {
+	if (!isPlainObject?.(manifest)) return ['must be an object'];
+
+	const errors = [];
+	for (const property of Object.keys(manifest)) {
+		if (property === 'artifacts') continue;
+		errors?.push?.(`unknown property ${property}`);
+	}
+
+	if (!isPlainObject?.(manifest?.['artifacts'])) {
+		errors?.push?.('artifacts must be an object');
+		return errors;
+	}
+
+	for (const [path, artifactEntries] of Object.entries(
+		manifest?.['artifacts']
+	)) {
+		const sectionName = `artifacts.${path}`;
+		if (!isWithin?.(path)) {
+			errors?.push?.(`${sectionName} is outside ${location}`);
+			continue;
+		}
+
+		if (!Array?.isArray?.(artifactEntries)) {
+			errors?.push?.(`${sectionName} must be an array`);
+			continue;
+		}
+
+		const artifactPaths = new Set();
+		artifactEntries?.forEach?.((rawEntry, index) => {
+			const entryName = `${sectionName}[${index}]`;
+			const artifactEntry = normalizeEntry?.(rawEntry);
+
+			if (!isPlainObject?.(artifactEntry)) {
+				errors?.push?.(`${entryName} must be a path, or an object`);
+				return;
+			}
+
+			for (const property of Object.keys(artifactEntry)) {
+				if (ARTIFACT_ENTRY_PROPERTIES?.includes?.(property)) continue;
+				errors?.push?.(`${entryName} has unknown property ${property}`);
+			}
+
+			if (
+				artifactEntry?.enabled !== undefined &&
+				typeof artifactEntry?.enabled !== 'boolean'
+			) {
+				errors?.push?.(`${entryName}.enabled must be a boolean`);
+			}
+
+			if (
+				artifactEntry?.environments !== undefined &&
+				!(
+					Array?.isArray?.(artifactEntry?.environments) &&
+					artifactEntry?.environments?.every?.((environment) => {
+						return typeof environment === 'string';
+					})
+				)
+			) {
+				errors?.push?.(
+					`${entryName}.environments must be an array of strings`
+				);
+			}
+
+			if (typeof artifactEntry?.path !== 'string') {
+				errors?.push?.(`${entryName}.path must be a string`);
+				return;
+			}
+
+			if (!isWithin?.(artifactEntry?.path)) {
+				errors?.push?.(
+					`${entryName} is outside ${join?.(location, path)}`
+				);
+				return;
+			}
+
+			const artifactPath = normalizePath?.(artifactEntry?.path);
+			if (artifactPaths?.has?.(artifactPath)) {
+				errors?.push?.(`${entryName} lists ${artifactPath} again`);
+				return;
+			}
+
+			artifactPaths?.add?.(artifactPath);
+
+			const artifactFile = join?.(location, path, artifactPath);
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			if (!existsSync?.(artifactFile)) {
+				errors?.push?.(`${entryName}: ${artifactFile} does not exist`);
+				return;
+			}
+
+			if (
+				// eslint-disable-next-line security/detect-non-literal-fs-filename
+				statSync?.(artifactFile)?.isDirectory?.() &&
+				// eslint-disable-next-line security/detect-non-literal-fs-filename
+				!existsSync?.(join?.(artifactFile, 'index.js'))
+			) {
+				errors?.push?.(
+					`${entryName}: ${artifactFile} does not have an index.js`
+				);
+			}
+		});
+	}
+
+	return errors;
+}
+
+/**
+ * @function
+ * @name warnUnlistedArtifacts
+ *
+ * @param {string} [location] - the artifact folder
+ * @param {object} [manifest] - the (valid) manifest read from it
+ *
+ * @returns {undefined} - Nothing.
+ *
+ * @description
+ * Points out the files / folders lying in the sub-folders listed by the
+ * manifest, without being listed themselves - they're never loaded.
+ * @ignore
+ */
+function warnUnlistedArtifacts(location, manifest) {
+	if (serverEnvironment === 'production') return;
+
+	for (const [path, artifactEntries] of Object.entries(
+		manifest?.['artifacts']
+	)) {
+		const artifactPaths = artifactEntries?.map?.((artifactEntry) => {
+			return normalizePath?.(normalizeEntry?.(artifactEntry)?.path);
+		});
+
+		const artifactsLocation = join?.(location, path);
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		if (!existsSync?.(artifactsLocation)) continue;
+
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		const unlistedArtifacts = readdirSync?.(artifactsLocation, {
+			withFileTypes: true
+		})
+			?.filter?.((directoryEntry) => {
+				return (
+					directoryEntry?.isDirectory?.() ||
+					directoryEntry?.name?.endsWith?.('.js')
+				);
+			})
+			?.map?.((directoryEntry) => {
+				return directoryEntry?.name;
+			})
+			?.filter?.((artifactName) => {
+				return !artifactPaths?.includes?.(artifactName);
+			});
+
+		if (!unlistedArtifacts?.length) continue;
+
+		console?.warn?.(
+			`${artifactsLocation}: not in the manifest, and not loaded - ${unlistedArtifacts?.join?.(', ')}`
+		);
+	}
+}
+
+/**
+ * @function
+ * @name normalizeEntry
+ *
+ * @param {string|object} [artifactEntry] - an artifact entry in the manifest
+ *
+ * @returns {object} - the entry, as an object
+ * @ignore
+ */
+function normalizeEntry(artifactEntry) {
+	if (typeof artifactEntry === 'string') return { path: artifactEntry };
+	return artifactEntry;
+}
+
+/**
+ * @function
+ * @name normalizePath
+ *
+ * @param {string} [path] - a path in the manifest
+ *
+ * @returns {string} - the path, without the ./ and the trailing separator
+ * @ignore
+ */
+function normalizePath(path) {
+	let normalizedPath = normalize?.(path);
+	if (normalizedPath?.endsWith?.(sep))
+		normalizedPath = normalizedPath?.slice?.(0, -1);
+
+	return normalizedPath;
+}
+
+/**
+ * @function
+ * @name isWithin
+ *
+ * @param {string} [path] - a path in the manifest
+ *
+ * @returns {boolean} - whether the path stays inside the folder it is relative to
+ * @ignore
+ */
+function isWithin(path) {
+	if (isAbsolute?.(path)) return false;
+
+	const normalizedPath = normalizePath?.(path);
+	if (normalizedPath === '.' || normalizedPath === '') return false;
+
+	return !normalizedPath?.split?.(sep)?.includes?.('..');
+}
+
+/**
+ * @function
+ * @name isPlainObject
+ *
+ * @param {*} [value] - the value to be checked
+ *
+ * @returns {boolean} - whether the value is an object - and not an array, null, etc.
+ * @ignore
+ */
+function isPlainObject(value) {
+	return (
+		typeof value === 'object' && value !== null && !Array?.isArray?.(value)
+	);
+}
@@ -13,6 +13,12 @@
  */
 export { EVASBaseClass } from './lib/evas-base-class.js';
 
+/**
+ * Exporting the profiler timing the artifact tree as the server boots
+ * @ignore
+ */
+export { BootProfiler } from './lib/boot-profiler.js';
+
 /**
  * Exporting the base classes used to create the server artifacts
  * @ignore
@@ -37,6 +43,7 @@ export { EVASBaseFactory } from './lib/factories/evas-base-factory.js';
  * Exporting the lifecycle managers for each type of artifact
  * @ignore
  */
+export { ARTIFACT_LIFECYCLE_EVENTS } from './lib/lifecycle_managers/evas-base-lifecycle-manager.js';
 export { DomainLifecycleManagerFactory } from './lib/lifecycle_managers/domain-lifecycle-manager.js';
 export { BoundedContextLifecycleManagerFactory } from './lib/lifecycle_managers/bounded-context-lifecycle-manager.js';
 export { ServerLifecycleManagerFactory } from './lib/lifecycle_managers/server-lifecycle-manager.js';
@@ -3,6 +3,7 @@
  * @ignore
  */
 import { EVASBaseClass } from '../evas-base-class.js';
+import { BootProfiler } from '../boot-profiler.js';
 
 /**
  *
@@ -21,6 +22,8 @@ export class EVASBaseArtifact extends EVASBaseClass {
 	// eslint-disable-next-line jsdoc/require-jsdoc
 	constructor(location) {
 		super();
+
+		this.#constructionStart = performance?.now?.();
 		this.#__dirname = location;
 
 		if (serverEnvironment === 'production') return;
@@ -42,10 +45,28 @@ export class EVASBaseArtifact extends EVASBaseClass {
 	 * To be overridden by artifact implementations - for implementing custom
 	 * start logic
 	 *
+	 * Calls the beforeLoad hook - derived classes call this first thing, so
+	 * that it runs before they load anything.
+	 *
+	 * Which also makes this the end of construction, as far as the boot
+	 * profile is concerned.
+	 *
 	 */
 	async load() {
-		if (serverEnvironment === 'production') return;
-		console?.info?.(`${this?.name}::load`);
+		if (serverEnvironment !== 'production') {
+			console?.info?.(`${this?.name}::load`);
+		}
+
+		if (this.#constructionStart !== undefined) {
+			BootProfiler?.record?.(
+				{ kind: 'constructor', name: this?.name },
+				performance?.now?.() - this.#constructionStart
+			);
+
+			this.#constructionStart = undefined;
+		}
+
+		await this?.beforeLoad?.();
 	}
 
 	/**
@@ -71,6 +92,64 @@ export class EVASBaseArtifact extends EVASBaseClass {
 	}
 	// #endregion
 
+	// #region Lifecycle Hooks
+	/**
+	 * @memberof EVASBaseArtifact
+	 * @async
+	 * @instance
+	 * @function
+	 * @name beforeLoad
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * To be overridden by artifact implementations - called at the start of
+	 * load, before the sub-artifacts are loaded. The place to wait for the
+	 * repositories / artifacts this one depends on.
+	 *
+	 */
+	async beforeLoad() {
+		return;
+	}
+
+	/**
+	 * @memberof EVASBaseArtifact
+	 * @async
+	 * @instance
+	 * @function
+	 * @name afterLoad
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * To be overridden by artifact implementations - called by the lifecycle
+	 * manager once the artifact, and everything in it, is loaded.
+	 *
+	 */
+	async afterLoad() {
+		return;
+	}
+
+	/**
+	 * @memberof EVASBaseArtifact
+	 * @async
+	 * @instance
+	 * @function
+	 * @name beforeUnload
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * To be overridden by artifact implementations - called by the lifecycle
+	 * manager before the artifact is unloaded, while everything it depends on
+	 * is still around.
+	 *
+	 */
+	async beforeUnload() {
+		return;
+	}
+	// #endregion
+
 	// #region Getters / Setters
 	/**
 	 * @memberof EVASBaseArtifact
@@ -92,5 +171,6 @@ export class EVASBaseArtifact extends EVASBaseClass {
 
 	// #region Private Fields
 	#__dirname = undefined;
+	#constructionStart = undefined;
 	// #endregion
 }
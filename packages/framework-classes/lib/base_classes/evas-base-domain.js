@@ -48,7 +48,8 @@ export class EVASBaseDomain extends EVASBaseArtifact {
 		// do its magic
 		await DomainLifecycleManagerFactory?.createInstances?.(
 			this?.__dirname,
-			this?.domainInterface
+			this?.domainInterface,
+			this?._renewDomainInterface?.bind?.(this)
 		);
 
 		return;
@@ -83,6 +84,28 @@ export class EVASBaseDomain extends EVASBaseArtifact {
 	}
 	// #endregion
 
+	// #region Protected Methods, to be overridden by derived classes
+	/**
+	 * @memberof EVASBaseDomain
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _renewDomainInterface
+	 *
+	 * @returns {object} - The domain interface to reload the sub-artifacts with.
+	 *
+	 * @description
+	 * Called when the sub-artifacts are hot reloaded, once they've been
+	 * unloaded - along with the API Registry / IoC Container in the domain
+	 * interface. Derived classes that set those up should set up fresh ones
+	 * here.
+	 *
+	 */
+	async _renewDomainInterface() {
+		return this?.domainInterface;
+	}
+	// #endregion
+
 	// #region Getters / Setters
 	/**
 	 * @memberof EVASBaseDomain
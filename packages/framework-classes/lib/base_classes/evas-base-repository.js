@@ -70,6 +70,31 @@ export class EVASBaseRepository extends EVASBaseArtifact {
 	}
 	// #endregion
 
+	// #region Health Check API
+	/**
+	 * @memberof EVASBaseRepository
+	 * @async
+	 * @instance
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" (can it serve requests?) or "liveness" (is it still running?)
+	 *
+	 * @returns {object} - Details worth reporting about the health of this Repository instance, if any
+	 *
+	 * @description
+	 * To be overridden by repositories holding live connections - for checking
+	 * them. Implementations throw if the Repository instance is not healthy.
+	 *
+	 * The default implementation has nothing to check.
+	 *
+	 */
+	// eslint-disable-next-line no-unused-vars
+	async healthCheck(kind) {
+		return null;
+	}
+	// #endregion
+
 	// #region Utility Methods to be used by derived classes
 	/**
 	 * @memberof EVASBaseRepository
@@ -0,0 +1,280 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import { EVASBaseClass } from './evas-base-class.js';
+
+/**
+ * The profiler, and the span, that whatever runs in an async context is
+ * being timed against - see BootProfiler.measure
+ * @ignore
+ */
+const activeSpans = new AsyncLocalStorage();
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const MICROSECONDS_PER_MILLISECOND = 1000;
+const REPORT_PRECISION = 3;
+
+/**
+ * @typedef {object} BootProfileNode
+ * @property {string} kind - server, domain, bounded-context, middleware, surface, event-handler, repository, import, constructor or routes
+ * @property {string} name - name of the artifact - or the file, for imports
+ * @property {number} start - when it started, in milliseconds since the profile started
+ * @property {number} duration - how long it took, in milliseconds
+ * @property {number} self - the duration, less that of the children
+ * @property {number} [attempt] - which attempt at loading the artifact this was - retries only
+ * @property {boolean} [failed] - whether it failed
+ * @property {Array<BootProfileNode>} children - what was timed within it
+ */
+
+/**
+ * @class BootProfiler
+ * @extends EVASBaseClass
+ *
+ * @param {string} [name] - name of the server being profiled
+ *
+ * @classdesc
+ * Times the artifact tree as the server boots - imports, constructors,
+ * load(), route registration and repository connections.
+ *
+ * The profiler follows the async context, so nobody has to pass it around -
+ * the measure / record calls made while profile runs nest under whatever is
+ * being measured at the time. Anywhere else, or once profile is done, they
+ * just run the operation / do nothing.
+ *
+ * Siblings may overlap - the artifact files in a folder are imported in
+ * parallel, for instance - so self times are a floor, not an exact split.
+ */
+export class BootProfiler extends EVASBaseClass {
+	// #region Constructor
+	// eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(name) {
+		super();
+
+		this.#rootSpan = {
+			kind: 'server',
+			name: name,
+			start: performance?.now?.(),
+			duration: undefined,
+			failed: false,
+			children: []
+		};
+	}
+	// #endregion
+
+	// #region Public API
+	/**
+	 * @memberof BootProfiler
+	 * @async
+	 * @instance
+	 * @function
+	 * @name profile
+	 *
+	 * @param {Function} [operation] - the boot sequence to be profiled
+	 *
+	 * @returns {*} - whatever the operation returns
+	 *
+	 * @description
+	 * Runs the operation, timing everything measured / recorded within it
+	 * against this profiler. The profile is closed once it is done - even if
+	 * it fails.
+	 */
+	async profile(operation) {
+		this.#rootSpan.start = performance?.now?.();
+
+		try {
+			return await activeSpans?.run?.(
+				{ profiler: this, span: this.#rootSpan },
+				operation
+			);
+		} catch (error) {
+			this.#rootSpan.failed = true;
+			throw error;
+		} finally {
+			this.#rootSpan.duration =
+				performance?.now?.() - this.#rootSpan.start;
+			this.#isFinished = true;
+		}
+	}
+
+	/**
+	 * @memberof BootProfiler
+	 * @async
+	 * @static
+	 * @function
+	 * @name measure
+	 *
+	 * @param {object} [details] - what is being measured
+	 * @param {string} [details.kind] - domain, bounded-context, repository, etc.
+	 * @param {string} [details.name] - name of the artifact
+	 * @param {number} [details.attempt] - which attempt at loading the artifact this is
+	 * @param {Function} [operation] - the work to be timed
+	 *
+	 * @returns {*} - whatever the operation returns
+	 *
+	 * @description
+	 * Runs the operation, timing it - and whatever is measured within it -
+	 * as a span under the one currently being measured.
+	 */
+	static async measure(details, operation) {
+		const activeSpan = activeSpans?.getStore?.();
+		if (!activeSpan || activeSpan?.profiler?.#isFinished)
+			return operation?.();
+
+		const span = BootProfiler.#addSpan(activeSpan?.span, details);
+		try {
+			return await activeSpans?.run?.(
+				{ profiler: activeSpan?.profiler, span: span },
+				operation
+			);
+		} catch (error) {
+			span.failed = true;
+			throw error;
+		} finally {
+			span.duration = performance?.now?.() - span.start;
+		}
+	}
+
+	/**
+	 * @memberof BootProfiler
+	 * @static
+	 * @function
+	 * @name record
+	 *
+	 * @param {object} [details] - what was measured - as for measure
+	 * @param {number} [duration] - how long it took, in milliseconds - up to now
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Adds a span, timed by the caller, under the one currently being
+	 * measured - for work that can't be wrapped in a measure call.
+	 */
+	static record(details, duration) {
+		const activeSpan = activeSpans?.getStore?.();
+		if (!activeSpan || activeSpan?.profiler?.#isFinished) return;
+
+		const span = BootProfiler.#addSpan(activeSpan?.span, details);
+		span.start -= duration;
+		span.duration = duration;
+	}
+	// #endregion
+
+	// #region Getters / Setters
+	/**
+	 * @memberof BootProfiler
+	 * @instance
+	 * @readonly
+	 * @member {BootProfileNode} report
+	 *
+	 * @returns {BootProfileNode} - the profile, as a tree - rooted at the server
+	 */
+	get report() {
+		return this.#toReportNode?.(this.#rootSpan);
+	}
+
+	/**
+	 * @memberof BootProfiler
+	 * @instance
+	 * @readonly
+	 * @member {string} foldedStacks
+	 *
+	 * @returns {string} - the profile, in the folded stacks format
+	 *
+	 * @description
+	 * One line per span - the kind:name frames from the server down to it,
+	 * separated by semi-colons, and its self time in microseconds - as
+	 * consumed by flamegraph.pl, speedscope, etc.
+	 */
+	get foldedStacks() {
+		const foldedStacks = [];
+		const foldNode = (reportNode, parentFrames) => {
+			const frames = [
+				...parentFrames,
+				`${reportNode?.kind}:${reportNode?.name}`?.replaceAll?.(
+					';',
+					','
+				)
+			];
+
+			const selfTime = Math?.round?.(
+				reportNode?.self * MICROSECONDS_PER_MILLISECOND
+			);
+			if (selfTime > 0)
+				foldedStacks?.push?.(`${frames?.join?.(';')} ${selfTime}`);
+
+			for (const childNode of reportNode?.children ?? [])
+				foldNode(childNode, frames);
+		};
+
+		foldNode(this.report, []);
+		return foldedStacks?.join?.('\n');
+	}
+	// #endregion
+
+	// #region Private Methods
+	static #addSpan(parentSpan, details) {
+		const span = {
+			kind: details?.kind,
+			name: details?.name,
+			attempt: details?.attempt,
+			start: performance?.now?.(),
+			duration: undefined,
+			failed: false,
+			children: []
+		};
+
+		parentSpan?.children?.push?.(span);
+		return span;
+	}
+
+	#toReportNode(span) {
+		const children = span?.children?.map?.((childSpan) => {
+			return this.#toReportNode?.(childSpan);
+		});
+
+		// Still running, if it hasn't got a duration yet
+		const duration = span?.duration ?? performance?.now?.() - span?.start;
+		const childrenDuration = children?.reduce?.((total, childNode) => {
+			return total + childNode?.duration;
+		}, 0);
+
+		const reportNode = {
+			kind: span?.kind,
+			name: span?.name,
+			start: roundDuration(span?.start - this.#rootSpan?.start),
+			duration: roundDuration(duration),
+			self: roundDuration(Math?.max?.(duration - childrenDuration, 0))
+		};
+
+		if (span?.attempt > 1) reportNode.attempt = span?.attempt;
+		if (span?.failed) reportNode.failed = true;
+
+		reportNode.children = children;
+		return reportNode;
+	}
+	// #endregion
+
+	// #region Private Fields
+	#rootSpan = undefined;
+	#isFinished = false;
+	// #endregion
+}
+
+/**
+ * @function
+ * @name roundDuration
+ *
+ * @param {number} [duration] - in milliseconds
+ *
+ * @returns {number} - the duration, to the microsecond
+ * @ignore
+ */
+function roundDuration(duration) {
+	return Number?.(duration?.toFixed?.(REPORT_PRECISION));
+}
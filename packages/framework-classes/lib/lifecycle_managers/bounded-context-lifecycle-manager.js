@@ -6,6 +6,7 @@ import { Buffer } from 'node:buffer';
 
 import { EVASBaseFactory } from '../factories/evas-base-factory.js';
 import { EVASBaseLifecycleManager } from './evas-base-lifecycle-manager.js';
+import { bustImportCache } from '../../helpers/loader.js';
 
 /**
  * @class BoundedContextLifecycleManager
@@ -171,14 +172,11 @@ class BoundedContextLifecycleManager extends EVASBaseLifecycleManager {
 			true
 		);
 		for (const CommandSurfaceFactory of CommandSurfaceFactories) {
-			const commandSurfaceInstance =
-				await CommandSurfaceFactory?.createInstances?.(
-					this?.domainInterface
-				);
-
-			this.#commandSurfaces?.set?.(
+			await this._createArtifact?.(
+				CommandSurfaceFactory,
+				this.#commandSurfaces,
 				CommandSurfaceFactory?.SurfaceName,
-				commandSurfaceInstance
+				'surface'
 			);
 		}
 
@@ -188,14 +186,11 @@ class BoundedContextLifecycleManager extends EVASBaseLifecycleManager {
 			true
 		);
 		for (const QuerySurfaceFactory of QuerySurfaceFactories) {
-			const querySurfaceInstance =
-				await QuerySurfaceFactory?.createInstances?.(
-					this?.domainInterface
-				);
-
-			this.#querySurfaces?.set?.(
+			await this._createArtifact?.(
+				QuerySurfaceFactory,
+				this.#querySurfaces,
 				QuerySurfaceFactory?.SurfaceName,
-				querySurfaceInstance
+				'surface'
 			);
 		}
 	}
@@ -219,14 +214,11 @@ class BoundedContextLifecycleManager extends EVASBaseLifecycleManager {
 			true
 		);
 		for (const EventHandlerFactory of EventHandlerFactories) {
-			const eventHandlerInstance =
-				await EventHandlerFactory?.createInstances?.(
-					this?.domainInterface
-				);
-
-			this.#eventProcessors?.set?.(
+			await this._createArtifact?.(
+				EventHandlerFactory,
+				this.#eventProcessors,
 				EventHandlerFactory?.EventHandlerName,
-				eventHandlerInstance
+				'event-handler'
 			);
 		}
 	}
@@ -250,14 +242,11 @@ class BoundedContextLifecycleManager extends EVASBaseLifecycleManager {
 			true
 		);
 		for (const MiddlewareFactory of MiddlewareFactories) {
-			const middlewareInstance =
-				await MiddlewareFactory?.createInstances?.(
-					this?.domainInterface
-				);
-
-			this.#middlewares?.set?.(
+			await this._createArtifact?.(
+				MiddlewareFactory,
+				this.#middlewares,
 				MiddlewareFactory?.MiddlewareName,
-				middlewareInstance
+				'middleware'
 			);
 		}
 	}
@@ -316,7 +305,23 @@ export class BoundedContextLifecycleManagerFactory extends EVASBaseFactory {
 
 		const boundedContextLifecycleManagerInstance =
 			new BoundedContextLifecycleManager(location, domainInterface);
-		await boundedContextLifecycleManagerInstance?.load?.();
+
+		try {
+			await boundedContextLifecycleManagerInstance?.load?.();
+		} catch (error) {
+			// Leave nothing of a failed load behind - so that it can be
+			// retried, or quarantined, cleanly
+			try {
+				await boundedContextLifecycleManagerInstance?.unload?.();
+			} catch (unloadError) {
+				throw new AggregateError(
+					[error, unloadError],
+					`Error loading ${location}`
+				);
+			}
+
+			throw error;
+		}
 
 		BoundedContextLifecycleManagerFactory.#boundedContextLifecycleManagerInstances?.set?.(
 			locationKey,
@@ -354,6 +359,60 @@ export class BoundedContextLifecycleManagerFactory extends EVASBaseFactory {
 			locationKey
 		);
 	}
+
+	/**
+	 * @memberof BoundedContextLifecycleManagerFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name reloadInstances
+	 *
+	 * @param {string} [location] - __dirname for this file in CJS, basically
+	 *
+	 * @returns {boolean} - true if the BoundedContext was reloaded, false if it isn't loaded in the first place
+	 *
+	 * @description
+	 * Reloads the sub-artifacts of a BoundedContext - from disk - without
+	 * touching the rest of the server:
+	 * 1. Unloads the event handlers, surfaces and middlewares
+	 * 2. Busts the import cache for the BoundedContext location
+	 * 3. Loads them again - with the same domain interface
+	 *
+	 * The new lifecycle manager is retained even if it fails to load, so that
+	 * whatever did load is unloaded by the next reload.
+	 */
+	static async reloadInstances(location) {
+		const locationKey = Buffer?.from?.(location)?.toString?.('base64');
+
+		const boundedContextLifecycleManagerInstance =
+			BoundedContextLifecycleManagerFactory.#boundedContextLifecycleManagerInstances?.get?.(
+				locationKey
+			);
+
+		if (!boundedContextLifecycleManagerInstance) return false;
+
+		// Step 1: Unload the current sub-artifacts
+		const domainInterface =
+			boundedContextLifecycleManagerInstance?.domainInterface;
+		await BoundedContextLifecycleManagerFactory.destroyInstances?.(
+			location
+		);
+
+		// Step 2: Make sure the changes on disk are picked up
+		bustImportCache?.(location);
+
+		// Step 3: Load them again
+		const reloadedLifecycleManagerInstance =
+			new BoundedContextLifecycleManager(location, domainInterface);
+
+		BoundedContextLifecycleManagerFactory.#boundedContextLifecycleManagerInstances?.set?.(
+			locationKey,
+			reloadedLifecycleManagerInstance
+		);
+
+		await reloadedLifecycleManagerInstance?.load?.();
+		return true;
+	}
 	// #endregion
 
 	// #region Private Static Members
@@ -2,8 +2,11 @@
  * Imports for this file
  * @ignore
  */
+import { Buffer } from 'node:buffer';
+
 import { EVASBaseFactory } from '../factories/evas-base-factory.js';
 import { EVASBaseLifecycleManager } from './evas-base-lifecycle-manager.js';
+import { bustImportCache } from '../../helpers/loader.js';
 
 /**
  * @class DomainLifecycleManager
@@ -48,9 +51,10 @@ class DomainLifecycleManager extends EVASBaseLifecycleManager {
 			errors?.push?.(error);
 		}
 
-		// Step 1: Load the Domain repositories
+		// Step 1: Load the Domain repositories, and start them - dependencies first
 		try {
 			await this.#loadRepositories?.();
+			await this.#domainInterface?.iocContainer?.startup?.();
 		} catch (error) {
 			errors?.push?.(error);
 		}
@@ -96,6 +100,13 @@ class DomainLifecycleManager extends EVASBaseLifecycleManager {
 	async unload() {
 		let errors = [];
 
+		// Step 0: Stop following the feature flags
+		try {
+			await this._unwatchFeatureFlags?.();
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
 		// Step 1: Unload the subdomains
 		try {
 			await this._unloadArtifacts?.(this.#domains);
@@ -119,8 +130,11 @@ class DomainLifecycleManager extends EVASBaseLifecycleManager {
 			errors?.push?.(error);
 		}
 
+		// Disposing the container - rather than just unregistering the
+		// repositories - detaches it from the parent domain's as well, so that
+		// health reports, etc. don't walk it once the domain is gone
 		try {
-			await this?.domainInterface?.iocContainer?.unregisterAll?.();
+			await this?.domainInterface?.iocContainer?.dispose?.();
 		} catch (error) {
 			errors?.push?.(error);
 		}
@@ -160,11 +174,12 @@ class DomainLifecycleManager extends EVASBaseLifecycleManager {
 	async #loadDomains() {
 		const SubdomainFactories = await this._loadArtifacts?.('domains');
 		for (const SubdomainFactory of SubdomainFactories) {
-			const domainInstance = await SubdomainFactory?.createInstances?.(
-				this.#domainInterface
+			await this._createArtifact?.(
+				SubdomainFactory,
+				this.#domains,
+				SubdomainFactory?.DomainName,
+				'domain'
 			);
-
-			this.#domains?.set?.(SubdomainFactory?.DomainName, domainInstance);
 		}
 	}
 
@@ -185,14 +200,11 @@ class DomainLifecycleManager extends EVASBaseLifecycleManager {
 		const BoundedContextFactories =
 			await this._loadArtifacts?.('bounded_contexts');
 		for (const BoundedContextFactory of BoundedContextFactories) {
-			const boundedContextInstance =
-				await BoundedContextFactory?.createInstances?.(
-					this.#domainInterface
-				);
-
-			this.#boundedContexts?.set?.(
+			await this._createArtifact?.(
+				BoundedContextFactory,
+				this.#boundedContexts,
 				BoundedContextFactory?.BoundedContextName,
-				boundedContextInstance
+				'bounded-context'
 			);
 		}
 	}
@@ -255,11 +267,16 @@ export class DomainLifecycleManagerFactory extends EVASBaseFactory {
 	 *
 	 * @param {string} [location] - __dirname for this file in CJS, basically
 	 * @param {object} [domainInterface] - Domain functionality exposed to sub-artifacts
+	 * @param {Function} [renewDomainInterface] - Sets up a fresh domain interface when the sub-artifacts are reloaded
 	 *
 	 * @returns {DomainLifecycleManager} - Instance of the lifecycle manager.
 	 *
 	 */
-	static async createInstances(location, domainInterface) {
+	static async createInstances(
+		location,
+		domainInterface,
+		renewDomainInterface
+	) {
 		const locationKey = Buffer?.from?.(location)?.toString?.('base64');
 
 		if (
@@ -276,13 +293,36 @@ export class DomainLifecycleManagerFactory extends EVASBaseFactory {
 			location,
 			domainInterface
 		);
-		await domainLifecycleManagerInstance?.load?.();
+
+		try {
+			await domainLifecycleManagerInstance?.load?.();
+		} catch (error) {
+			// Leave nothing of a failed load behind - so that it can be
+			// retried, or quarantined, cleanly
+			try {
+				await domainLifecycleManagerInstance?.unload?.();
+			} catch (unloadError) {
+				throw new AggregateError(
+					[error, unloadError],
+					`Error loading ${location}`
+				);
+			}
+
+			throw error;
+		}
 
 		DomainLifecycleManagerFactory.#domainLifecycleManagerInstances?.set?.(
 			locationKey,
 			domainLifecycleManagerInstance
 		);
 
+		if (renewDomainInterface) {
+			DomainLifecycleManagerFactory.#domainInterfaceRenewals?.set?.(
+				locationKey,
+				renewDomainInterface
+			);
+		}
+
 		return domainLifecycleManagerInstance;
 	}
 
@@ -313,10 +353,82 @@ export class DomainLifecycleManagerFactory extends EVASBaseFactory {
 		DomainLifecycleManagerFactory.#domainLifecycleManagerInstances?.delete?.(
 			locationKey
 		);
+		DomainLifecycleManagerFactory.#domainInterfaceRenewals?.delete?.(
+			locationKey
+		);
+	}
+
+	/**
+	 * @memberof DomainLifecycleManagerFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name reloadInstances
+	 *
+	 * @param {string} [location] - __dirname for this file in CJS, basically
+	 *
+	 * @returns {boolean} - true if the Domain was reloaded, false if it isn't loaded in the first place
+	 *
+	 * @description
+	 * Reloads the sub-artifacts of a Domain - repositories, bounded contexts
+	 * and sub-domains - from disk, the same way
+	 * BoundedContextLifecycleManagerFactory.reloadInstances does.
+	 *
+	 * Unloading the sub-artifacts tears down the domain's API Registry / IoC
+	 * Container, so they're reloaded against the fresh domain interface the
+	 * Domain sets up - see EVASBaseDomain._renewDomainInterface.
+	 */
+	static async reloadInstances(location) {
+		const locationKey = Buffer?.from?.(location)?.toString?.('base64');
+
+		const domainLifecycleManagerInstance =
+			DomainLifecycleManagerFactory.#domainLifecycleManagerInstances?.get?.(
+				locationKey
+			);
+
+		if (!domainLifecycleManagerInstance) return false;
+
+		// Step 1: Unload the current sub-artifacts
+		const renewDomainInterface =
+			DomainLifecycleManagerFactory.#domainInterfaceRenewals?.get?.(
+				locationKey
+			);
+
+		await DomainLifecycleManagerFactory.destroyInstances?.(location);
+
+		// Step 2: Make sure the changes on disk are picked up
+		bustImportCache?.(location);
+
+		// Step 3: Load them again - against a fresh API Registry / IoC
+		// Container, attached to the parent domain's
+		const domainInterface =
+			(await renewDomainInterface?.()) ??
+			domainLifecycleManagerInstance?.domainInterface;
+
+		const reloadedLifecycleManagerInstance = new DomainLifecycleManager(
+			location,
+			domainInterface
+		);
+
+		DomainLifecycleManagerFactory.#domainLifecycleManagerInstances?.set?.(
+			locationKey,
+			reloadedLifecycleManagerInstance
+		);
+
+		if (renewDomainInterface) {
+			DomainLifecycleManagerFactory.#domainInterfaceRenewals?.set?.(
+				locationKey,
+				renewDomainInterface
+			);
+		}
+
+		await reloadedLifecycleManagerInstance?.load?.();
+		return true;
 	}
 	// #endregion
 
 	// #region Private Static Members
 	static #domainLifecycleManagerInstances = new Map();
+	static #domainInterfaceRenewals = new Map();
 	// #endregion
 }
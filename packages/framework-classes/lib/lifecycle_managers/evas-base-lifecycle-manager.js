@@ -3,9 +3,81 @@
  * @ignore
  */
 import { join } from 'node:path';
+import { setTimeout } from 'node:timers/promises';
 
 import { EVASBaseClass } from '../evas-base-class.js';
+import { BootProfiler } from '../boot-profiler.js';
 import { loader } from '../../helpers/loader.js';
+import { getManifestArtifacts, loadManifest } from '../../helpers/manifest.js';
+
+/**
+ * Stands in for the manifest, if it fails validation
+ * @ignore
+ */
+const INVALID_MANIFEST = Symbol('invalid manifest');
+
+/**
+ * The repository deciding whether feature-flagged artifacts are loaded
+ * @ignore
+ */
+const FEATURE_FLAGS_REPOSITORY = 'FeatureFlags';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const DEFAULT_BOOT_RETRIES = 3;
+const DEFAULT_BOOT_BACKOFF = 1000;
+
+/**
+ * What happens when an artifact fails to load:
+ * - required: the failure fails the load of the parent as well (the default)
+ * - optional: the artifact is quarantined, and the parent loads without it
+ * - retry: the load is retried, with exponential backoff, before failing
+ * @ignore
+ */
+const BOOT_POLICIES = new Map([
+	['required', { policy: 'required', retries: 0, backoff: 0 }],
+	['optional', { policy: 'optional', retries: 0, backoff: 0 }],
+	[
+		'retry',
+		{
+			policy: 'retry',
+			retries: DEFAULT_BOOT_RETRIES,
+			backoff: DEFAULT_BOOT_BACKOFF
+		}
+	]
+]);
+
+/**
+ * @typedef {object} ArtifactLifecycleEvent
+ * @property {string} event - one of the ARTIFACT_LIFECYCLE_EVENTS
+ * @property {string} kind - domain, bounded-context, middleware, surface or event-handler
+ * @property {string} name - name of the artifact
+ * @property {string} path - folder the artifact was loaded from
+ * @property {string} parent - folder of the artifact loading / unloading it
+ * @property {string} phase - load or unload
+ * @property {number} timestamp - when it happened - milliseconds since the epoch
+ * @property {number} [duration] - how long the load / unload took, in milliseconds - not for the loading / unloading events
+ * @property {number} [attempt] - which attempt at loading this is - load phase only
+ * @property {number} [delay] - how long till the next attempt, in milliseconds - retrying events only
+ * @property {Error} [error] - what went wrong - failed, retrying and quarantined events only
+ */
+
+/**
+ * The events emitted on the server eventEmitter as the artifacts in the
+ * server / domain / bounded context tree are loaded and unloaded - each
+ * with an ArtifactLifecycleEvent
+ */
+export const ARTIFACT_LIFECYCLE_EVENTS = Object.freeze({
+	LOADING: 'artifact:loading',
+	LOADED: 'artifact:loaded',
+	UNLOADING: 'artifact:unloading',
+	UNLOADED: 'artifact:unloaded',
+	FAILED: 'artifact:failed',
+	RETRYING: 'artifact:retrying',
+	QUARANTINED: 'artifact:quarantined'
+});
 
 /**
  * @class EVASBaseLifecycleManager
@@ -45,10 +117,21 @@ export class EVASBaseLifecycleManager extends EVASBaseClass {
 	 * To be overridden by artifact implementations - for implementing custom
 	 * start logic
 	 *
+	 * Reads, and validates, the artifact manifest - if there is one. Nothing
+	 * is loaded from this location if it is invalid.
+	 *
 	 */
 	async load() {
-		if (serverEnvironment === 'production') return;
-		console?.info?.(`${this?.name}::load`);
+		if (serverEnvironment !== 'production') {
+			console?.info?.(`${this?.name}::load`);
+		}
+
+		try {
+			this.#manifest = await loadManifest?.(this.#__dirname);
+		} catch (error) {
+			this.#manifest = INVALID_MANIFEST;
+			throw error;
+		}
 	}
 
 	/**
@@ -71,6 +154,8 @@ export class EVASBaseLifecycleManager extends EVASBaseClass {
 		}
 
 		this.#domainInterface = undefined;
+		this.#manifest = undefined;
+		this.#bootPolicies = undefined;
 		this.#__dirname = undefined;
 	}
 	// #endregion
@@ -89,14 +174,110 @@ export class EVASBaseLifecycleManager extends EVASBaseClass {
 	 *
 	 * @returns {Map} - A Map of the loaded / instantiated artifacts.
 	 *
+	 * @description
+	 * Loads the artifacts the manifest lists for the path, in order - or
+	 * whatever is found in the path, if the manifest does not list it.
+	 *
 	 */
 	async _loadArtifacts(path, allFiles = false) {
+		if (this.#manifest === INVALID_MANIFEST) return [];
+
 		const artifactsLocation = join?.(this.#__dirname, path);
-		const ArtifactFactories = await loader?.(artifactsLocation, allFiles);
+		const ArtifactFactories = await loader?.(
+			artifactsLocation,
+			allFiles,
+			getManifestArtifacts?.(this.#manifest, path)
+		);
 
 		return ArtifactFactories;
 	}
 
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @protected
+	 * @function
+	 * @name _createArtifact
+	 *
+	 * @param {object} [ArtifactFactory] - factory of the sub-artifact
+	 * @param {Map} [artifacts] - map the instance is to be added to
+	 * @param {string} [artifactName] - name to add the instance against
+	 * @param {string} [artifactKind] - domain, bounded-context, middleware, surface or event-handler
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Instantiates the artifact, and adds it to the map - unless the factory
+	 * declares a feature flag (via a static FeatureFlag getter) that is off.
+	 *
+	 * The artifact lifecycle events are emitted around the load, and the
+	 * afterLoad hook of the artifact called once it is done.
+	 *
+	 * Failures are dealt with as per the boot policy of the artifact - from
+	 * the BootPolicy configuration, or a static BootPolicy getter on the
+	 * factory: "required" (the default), "optional", "retry", or an object
+	 * - { policy, retries, backoff }.
+	 *
+	 * Feature-flagged artifacts are kept in step with their flag from then
+	 * on - created when it is turned on, and destroyed when it is turned off.
+	 * With no FeatureFlags repository around, they stay dark.
+	 *
+	 */
+	async _createArtifact(
+		ArtifactFactory,
+		artifacts,
+		artifactName,
+		artifactKind
+	) {
+		const featureFlag = ArtifactFactory?.FeatureFlag;
+		if (featureFlag) {
+			this.#flaggedArtifacts?.set?.(ArtifactFactory, {
+				artifacts: artifacts,
+				artifactName: artifactName,
+				artifactKind: artifactKind,
+				featureFlag: featureFlag
+			});
+
+			await this.#watchFeatureFlags?.();
+		}
+
+		if (!(await this.#isFeatureEnabled?.(featureFlag))) return;
+
+		await this.#loadArtifact?.(
+			ArtifactFactory,
+			artifacts,
+			artifactName,
+			artifactKind
+		);
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @protected
+	 * @function
+	 * @name _unwatchFeatureFlags
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Stops following the feature flags of the artifacts created via
+	 * _createArtifact, and waits for the flips already underway - to be
+	 * called before the artifacts are unloaded.
+	 *
+	 */
+	async _unwatchFeatureFlags() {
+		this.#featureFlags?.offChange?.(this.#featureFlagListener);
+
+		this.#featureFlags = undefined;
+		this.#featureFlagListener = undefined;
+		this.#flaggedArtifacts?.clear?.();
+
+		await this.#featureFlagChanges;
+	}
+
 	/**
 	 * @memberof EVASBaseLifecycleManager
 	 * @async
@@ -109,6 +290,10 @@ export class EVASBaseLifecycleManager extends EVASBaseClass {
 	 *
 	 * @returns {null} - Nothing.
 	 *
+	 * @description
+	 * Unloads the artifacts - all at once - emitting the artifact lifecycle
+	 * events around each, and calling its beforeUnload hook first.
+	 *
 	 */
 	async _unloadArtifacts(artifacts) {
 		const errors = [];
@@ -117,7 +302,11 @@ export class EVASBaseLifecycleManager extends EVASBaseClass {
 			let artifactUnloadResolutions = [];
 			// eslint-disable-next-line no-unused-vars
 			for (const [artifactName, artifactInstance] of artifacts) {
-				artifactUnloadResolutions?.push?.(artifactInstance?.unload?.());
+				artifactUnloadResolutions?.push?.(
+					this.#unloadArtifact?.(artifactInstance, () => {
+						return artifactInstance?.unload?.();
+					})
+				);
 			}
 
 			artifactUnloadResolutions = await Promise?.allSettled?.(
@@ -176,8 +365,507 @@ export class EVASBaseLifecycleManager extends EVASBaseClass {
 	}
 	// #endregion
 
+	// #region Private Methods
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #watchFeatureFlags
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Subscribes to flag changes - once, and only if the FeatureFlags
+	 * repository is registered.
+	 */
+	async #watchFeatureFlags() {
+		if (this.#featureFlags) return;
+
+		const iocContainer = this.#domainInterface?.iocContainer;
+		if (!(await iocContainer?.borrow?.(FEATURE_FLAGS_REPOSITORY))) return;
+
+		this.#featureFlags = await iocContainer?.resolve?.(
+			FEATURE_FLAGS_REPOSITORY
+		);
+
+		this.#featureFlagListener = this.#queueFeatureFlagChange?.bind?.(this);
+		this.#featureFlags?.onChange?.(this.#featureFlagListener);
+	}
+
+	async #isFeatureEnabled(featureFlag) {
+		if (!featureFlag) return true;
+		if (!this.#featureFlags) return false;
+
+		return !!(await this.#featureFlags?.isEnabled?.(featureFlag));
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #getArtifactInterface
+	 *
+	 * @param {string} [featureFlag] - the feature flag of the artifact, if any
+	 *
+	 * @returns {object} - the domain interface to create the artifact with
+	 *
+	 * @description
+	 * Feature-flagged artifacts get to know their flags - theirs, and those
+	 * of the domains they're in - so that their surfaces can check them per
+	 * request / tenant.
+	 */
+	#getArtifactInterface(featureFlag) {
+		if (!featureFlag) return this.#domainInterface;
+
+		return {
+			...this.#domainInterface,
+			featureFlags: [
+				...(this.#domainInterface?.featureFlags ?? []),
+				featureFlag
+			]
+		};
+	}
+
+	#queueFeatureFlagChange(flagName) {
+		// One flip at a time - in the order they're notified
+		this.#featureFlagChanges = this.#featureFlagChanges
+			?.then?.(() => {
+				return this.#applyFeatureFlagChange?.(flagName);
+			})
+			?.catch?.((error) => {
+				console?.error?.(
+					`${this?.name}::feature flag ${flagName}: ${error?.message}`
+				);
+			});
+
+		return this.#featureFlagChanges;
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #applyFeatureFlagChange
+	 *
+	 * @param {string} [flagName] - the feature flag that changed
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Creates the artifacts behind the flag if it is now on, and destroys
+	 * them if it is now off. Destroying them unloads everything they've
+	 * loaded - routes included.
+	 */
+	async #applyFeatureFlagChange(flagName) {
+		const errors = [];
+
+		for (const [ArtifactFactory, flaggedArtifact] of this
+			.#flaggedArtifacts) {
+			if (flaggedArtifact?.featureFlag !== flagName) continue;
+
+			const { artifacts, artifactName, artifactKind } = flaggedArtifact;
+			try {
+				const isEnabled = await this.#isFeatureEnabled?.(flagName);
+				if (isEnabled === artifacts?.has?.(artifactName)) continue;
+
+				if (!isEnabled) {
+					const artifactInstance = artifacts?.get?.(artifactName);
+					artifacts?.delete?.(artifactName);
+
+					await this.#unloadArtifact?.(artifactInstance, () => {
+						return ArtifactFactory?.destroyInstances?.();
+					});
+
+					continue;
+				}
+
+				await this.#loadArtifact?.(
+					ArtifactFactory,
+					artifacts,
+					artifactName,
+					artifactKind
+				);
+			} catch (error) {
+				errors?.push?.(error);
+			}
+		}
+
+		if (!errors?.length) return;
+		throw new AggregateError(errors, `Error applying ${flagName} flip`);
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #loadArtifact
+	 *
+	 * @param {object} [ArtifactFactory] - factory of the sub-artifact
+	 * @param {Map} [artifacts] - map the instance is to be added to
+	 * @param {string} [artifactName] - name to add the instance against
+	 * @param {string} [artifactKind] - domain, bounded-context, etc.
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Loads the artifact as per its boot policy - retrying, with exponential
+	 * backoff, as many times as it allows, and then either failing, or
+	 * quarantining the artifact if it is optional.
+	 */
+	async #loadArtifact(
+		ArtifactFactory,
+		artifacts,
+		artifactName,
+		artifactKind
+	) {
+		const artifactDetails = {
+			kind: artifactKind,
+			name: artifactName,
+			path: ArtifactFactory?.['$disk_unc'],
+			parent: this.#__dirname
+		};
+
+		const bootPolicy = await this.#getBootPolicy?.(
+			ArtifactFactory,
+			artifactName
+		);
+
+		for (let attempt = 1; ; attempt++) {
+			try {
+				await this.#attemptArtifactLoad?.(
+					ArtifactFactory,
+					artifacts,
+					artifactDetails,
+					attempt
+				);
+
+				return;
+			} catch (error) {
+				if (attempt <= bootPolicy?.retries) {
+					const retryDelay = bootPolicy?.backoff * 2 ** (attempt - 1);
+					this.#emitLifecycleEvent?.(
+						ARTIFACT_LIFECYCLE_EVENTS.RETRYING,
+						{
+							...artifactDetails,
+							phase: 'load',
+							attempt: attempt,
+							delay: retryDelay,
+							error: error
+						}
+					);
+
+					await setTimeout(retryDelay);
+					continue;
+				}
+
+				if (bootPolicy?.policy !== 'optional') throw error;
+
+				this.#emitLifecycleEvent?.(
+					ARTIFACT_LIFECYCLE_EVENTS.QUARANTINED,
+					{
+						...artifactDetails,
+						phase: 'load',
+						attempt: attempt,
+						error: error
+					}
+				);
+
+				return;
+			}
+		}
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #attemptArtifactLoad
+	 *
+	 * @param {object} [ArtifactFactory] - factory of the sub-artifact
+	 * @param {Map} [artifacts] - map the instance is to be added to
+	 * @param {object} [artifactDetails] - kind, name, path and parent of the artifact
+	 * @param {number} [attempt] - which attempt at loading this is
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Creates the artifact, and calls its afterLoad hook - between the
+	 * loading and loaded / failed events, and timed for the boot profile. A
+	 * failed attempt is rolled back - the factory destroys whatever it holds
+	 * on to, even if it didn't hand out an instance - so that nothing of it
+	 * is left behind for the retry / quarantine.
+	 */
+	async #attemptArtifactLoad(
+		ArtifactFactory,
+		artifacts,
+		artifactDetails,
+		attempt
+	) {
+		const artifactName = artifactDetails?.name;
+
+		const loadStart = performance?.now?.();
+		this.#emitLifecycleEvent?.(ARTIFACT_LIFECYCLE_EVENTS.LOADING, {
+			...artifactDetails,
+			phase: 'load',
+			attempt: attempt
+		});
+
+		let artifactInstance = undefined;
+		try {
+			await BootProfiler?.measure?.(
+				{
+					kind: artifactDetails?.kind,
+					name: artifactName,
+					attempt: attempt
+				},
+				async () => {
+					artifactInstance = await ArtifactFactory?.createInstances?.(
+						this.#getArtifactInterface?.(
+							ArtifactFactory?.FeatureFlag
+						)
+					);
+
+					artifacts?.set?.(artifactName, artifactInstance);
+					this.#artifactDetails?.set?.(
+						artifactInstance,
+						artifactDetails
+					);
+
+					await artifactInstance?.afterLoad?.();
+				}
+			);
+		} catch (error) {
+			let loadError = error;
+
+			if (artifactInstance) {
+				artifacts?.delete?.(artifactName);
+				this.#artifactDetails?.delete?.(artifactInstance);
+			}
+
+			// Roll back whatever the factory is holding on to, even if it
+			// didn't hand out an instance - the load may have failed partway
+			// through, and the retry / quarantine needs a clean slate
+			try {
+				await ArtifactFactory?.destroyInstances?.();
+			} catch (destroyError) {
+				loadError = new AggregateError(
+					[error, destroyError],
+					`Error loading ${artifactName}`
+				);
+			}
+
+			this.#emitLifecycleEvent?.(ARTIFACT_LIFECYCLE_EVENTS.FAILED, {
+				...artifactDetails,
+				phase: 'load',
+				attempt: attempt,
+				duration: performance?.now?.() - loadStart,
+				error: loadError
+			});
+
+			throw loadError;
+		}
+
+		this.#emitLifecycleEvent?.(ARTIFACT_LIFECYCLE_EVENTS.LOADED, {
+			...artifactDetails,
+			phase: 'load',
+			attempt: attempt,
+			duration: performance?.now?.() - loadStart
+		});
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #getBootPolicy
+	 *
+	 * @param {object} [ArtifactFactory] - factory of the sub-artifact
+	 * @param {string} [artifactName] - name of the sub-artifact
+	 *
+	 * @returns {object} - the boot policy - { policy, retries, backoff }
+	 *
+	 * @description
+	 * The BootPolicy configuration - { default, artifacts: { <name>: policy } }
+	 * - overrides the policy the factory declares, which overrides the
+	 * configured default.
+	 */
+	async #getBootPolicy(ArtifactFactory, artifactName) {
+		if (!this.#bootPolicies) {
+			const iocContainer = this.#domainInterface?.iocContainer;
+
+			let configRepository = undefined;
+			if (await iocContainer?.borrow?.('Configuration')) {
+				configRepository =
+					await iocContainer?.resolve?.('Configuration');
+			}
+
+			this.#bootPolicies =
+				(await configRepository?.getConfig?.('BootPolicy')) ?? {};
+		}
+
+		const bootPolicy =
+			// eslint-disable-next-line security/detect-object-injection
+			this.#bootPolicies?.artifacts?.[artifactName] ??
+			ArtifactFactory?.BootPolicy ??
+			this.#bootPolicies?.default ??
+			'required';
+
+		const policyName =
+			typeof bootPolicy === 'string' ? bootPolicy : bootPolicy?.policy;
+
+		if (!BOOT_POLICIES?.has?.(policyName)) {
+			throw new Error(
+				`Unknown boot policy ${policyName} for ${artifactName} @ ${this.#__dirname}`
+			);
+		}
+
+		if (typeof bootPolicy === 'string')
+			return BOOT_POLICIES?.get?.(policyName);
+
+		const normalizedPolicy = {
+			...BOOT_POLICIES?.get?.(policyName),
+			...bootPolicy
+		};
+
+		if (
+			!Number?.isInteger?.(normalizedPolicy?.retries) ||
+			normalizedPolicy?.retries < 0 ||
+			!(normalizedPolicy?.backoff >= 0)
+		) {
+			throw new Error(
+				`Invalid boot policy retries / backoff for ${artifactName} @ ${this.#__dirname}`
+			);
+		}
+
+		return normalizedPolicy;
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #unloadArtifact
+	 *
+	 * @param {object} [artifactInstance] - the artifact to be unloaded
+	 * @param {Function} [unload] - unloads it - or destroys it, via its factory
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Calls the beforeUnload hook of the artifact, and unloads it - between
+	 * the unloading and unloaded / failed events. The artifact is unloaded
+	 * even if beforeUnload fails.
+	 */
+	async #unloadArtifact(artifactInstance, unload) {
+		const artifactDetails = this.#artifactDetails?.get?.(
+			artifactInstance
+		) ?? {
+			name: artifactInstance?.name,
+			parent: this.#__dirname
+		};
+
+		this.#artifactDetails?.delete?.(artifactInstance);
+
+		const unloadStart = performance?.now?.();
+		this.#emitLifecycleEvent?.(ARTIFACT_LIFECYCLE_EVENTS.UNLOADING, {
+			...artifactDetails,
+			phase: 'unload'
+		});
+
+		const errors = [];
+		try {
+			await artifactInstance?.beforeUnload?.();
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
+		try {
+			await unload?.();
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
+		if (errors?.length) {
+			const unloadError =
+				errors?.length === 1
+					? errors?.[0]
+					: new AggregateError(
+							errors,
+							`Error unloading ${artifactDetails?.name}`
+						);
+
+			this.#emitLifecycleEvent?.(ARTIFACT_LIFECYCLE_EVENTS.FAILED, {
+				...artifactDetails,
+				phase: 'unload',
+				duration: performance?.now?.() - unloadStart,
+				error: unloadError
+			});
+
+			throw unloadError;
+		}
+
+		this.#emitLifecycleEvent?.(ARTIFACT_LIFECYCLE_EVENTS.UNLOADED, {
+			...artifactDetails,
+			phase: 'unload',
+			duration: performance?.now?.() - unloadStart
+		});
+	}
+
+	/**
+	 * @memberof EVASBaseLifecycleManager
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #emitLifecycleEvent
+	 *
+	 * @param {string} [event] - one of the ARTIFACT_LIFECYCLE_EVENTS
+	 * @param {object} [eventDetails] - the rest of the ArtifactLifecycleEvent
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Emits the event on the server eventEmitter - listeners that throw are
+	 * reported, and do not get in the way of the load / unload.
+	 */
+	#emitLifecycleEvent(event, eventDetails) {
+		try {
+			this.#domainInterface?.eventEmitter?.emit?.(event, {
+				event: event,
+				...eventDetails,
+				timestamp: Date?.now?.()
+			});
+		} catch (error) {
+			console?.error?.(
+				`${this?.name}::${event} listener error: ${error?.message}`
+			);
+		}
+	}
+	// #endregion
+
 	// #region Private Fields
 	#__dirname = undefined;
 	#domainInterface = undefined;
+	#manifest = undefined;
+
+	#featureFlags = undefined;
+	#featureFlagListener = undefined;
+	#featureFlagChanges = Promise?.resolve?.();
+	#flaggedArtifacts = new Map();
+
+	#artifactDetails = new Map();
+	#bootPolicies = undefined;
 	// #endregion
 }
@@ -37,8 +37,12 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 	 * 1. Loads init repositories - required for loading other repositories, etc.
 	 * 2. Loads the runtime repositories - required for the actual functioning of the server
 	 * 3. Loads the Ingress Surfaces - required for the server to accept incoming requests
-	 * 4. Loads bounded contexts
-	 * 5. Finally, loads the domains
+	 * 4. Starts the repositories and Ingress Surfaces, in dependency order
+	 * 5. Loads bounded contexts
+	 * 6. Finally, loads the domains
+	 *
+	 * Bounded contexts and domains behind a feature flag that is off are left
+	 * out - see _createArtifact.
 	 *
 	 */
 	async load() {
@@ -64,14 +68,21 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 			errors?.push?.(error);
 		}
 
-		// Step 3: Load the bounded contexts
+		// Step 3: Start the repositories and Ingress Surfaces, dependencies first
+		try {
+			await this?.domainInterface?.iocContainer?.startup?.();
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
+		// Step 4: Load the bounded contexts
 		try {
 			await this.#loadBoundedContexts?.();
 		} catch (error) {
 			errors?.push?.(error);
 		}
 
-		// Step 4: Load the Domains
+		// Step 5: Load the Domains
 		try {
 			await this.#loadDomains?.();
 		} catch (error) {
@@ -107,6 +118,14 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 	async unload() {
 		let errors = [];
 
+		// Step 0: Stop following the feature flags - before the repository
+		// deciding them goes away
+		try {
+			await this._unwatchFeatureFlags?.();
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
 		// Step 1: Unload the API and repositories
 		try {
 			await this?.domainInterface?.iocContainer?.unregisterAll?.();
@@ -172,14 +191,11 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 		const BoundedContextFactories =
 			await this._loadArtifacts?.('bounded_contexts');
 		for (const BoundedContextFactory of BoundedContextFactories) {
-			const boundedContextInstance =
-				await BoundedContextFactory?.createInstances?.(
-					this?.domainInterface
-				);
-
-			this.#boundedContexts?.set?.(
+			await this._createArtifact?.(
+				BoundedContextFactory,
+				this.#boundedContexts,
 				BoundedContextFactory?.BoundedContextName,
-				boundedContextInstance
+				'bounded-context'
 			);
 		}
 	}
@@ -200,11 +216,12 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 	async #loadDomains() {
 		const DomainFactories = await this._loadArtifacts?.('domains');
 		for (const DomainFactory of DomainFactories) {
-			const domainInstance = await DomainFactory?.createInstances?.(
-				this?.domainInterface
+			await this._createArtifact?.(
+				DomainFactory,
+				this.#domains,
+				DomainFactory?.DomainName,
+				'domain'
 			);
-
-			this.#domains?.set?.(DomainFactory?.DomainName, domainInstance);
 		}
 	}
 
@@ -218,7 +235,8 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 	 * @returns {null} - Nothing.
 	 *
 	 * @description
-	 * Loads all the top-level Repositories offered by this Server
+	 * Loads all the top-level Repositories offered by this Server, and
+	 * registers the logical names configured for their instances
 	 *
 	 */
 	async #loadRepositories() {
@@ -243,6 +261,29 @@ class ServerLifecycleManager extends EVASBaseLifecycleManager {
 				RepositoryFactory
 			);
 		}
+
+		// Step 3: Register the logical names for the repository instances
+		// configured in NAMEDREPOSITORIES - { SQLDatabase: { reporting: {...} } }
+		const configRepository =
+			await this?.domainInterface?.iocContainer?.resolve?.(
+				'Configuration'
+			);
+		const namedRepositories =
+			(await configRepository?.getConfig?.('NamedRepositories')) ?? {};
+
+		for (const [repositoryName, namedInstances] of Object.entries(
+			namedRepositories
+		)) {
+			for (const [instanceName, configuration] of Object.entries(
+				namedInstances ?? {}
+			)) {
+				await this?.domainInterface?.iocContainer?.registerNamed?.(
+					repositoryName,
+					instanceName,
+					configuration
+				);
+			}
+		}
 	}
 
 	/**
@@ -0,0 +1,140 @@
+describe('Boot Profiler Test Cases', function () {
+	const profileBoot = async (BootProfiler) => {
+		const profiler = new BootProfiler('TestServer');
+
+		await profiler?.profile?.(async () => {
+			await BootProfiler?.measure?.(
+				{ kind: 'domain', name: 'Server' },
+				async () => {
+					// eslint-disable-next-line no-undef
+					await snooze?.(20);
+
+					BootProfiler?.record?.(
+						{ kind: 'import', name: 'a;b.js' },
+						5
+					);
+					await BootProfiler?.measure?.(
+						{
+							kind: 'bounded-context',
+							name: 'Profile',
+							attempt: 2
+						},
+						async () => {
+							// eslint-disable-next-line no-undef
+							await snooze?.(20);
+						}
+					);
+				}
+			);
+		});
+
+		return profiler;
+	};
+
+	it('Reports the artifact tree as JSON', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { BootProfiler } = await import('../index.js');
+		const profiler = await profileBoot(BootProfiler);
+
+		const report = profiler?.report;
+		assert?.include?.(report, { kind: 'server', name: 'TestServer' });
+		assert?.lengthOf?.(report?.children, 1);
+
+		const domainNode = report?.children?.[0];
+		assert?.include?.(domainNode, { kind: 'domain', name: 'Server' });
+		assert?.deepEqual?.(
+			domainNode?.children?.map?.((childNode) => {
+				return `${childNode?.kind}:${childNode?.name}`;
+			}),
+			['import:a;b.js', 'bounded-context:Profile']
+		);
+
+		const [importNode, contextNode] = domainNode?.children ?? [];
+		assert?.strictEqual?.(importNode?.duration, 5);
+		assert?.strictEqual?.(contextNode?.attempt, 2);
+		assert?.isAtLeast?.(contextNode?.duration, 15);
+
+		// Self times are what's left of the duration once the children are
+		// taken out
+		assert?.approximately?.(
+			domainNode?.self,
+			domainNode?.duration - importNode?.duration - contextNode?.duration,
+			0.01
+		);
+		assert?.isAtLeast?.(report?.duration, domainNode?.duration);
+
+		// The report must survive a trip through JSON as is
+		assert?.deepEqual?.(JSON?.parse?.(JSON?.stringify?.(report)), report);
+	});
+
+	it('Reports the artifact tree as folded stacks', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { BootProfiler } = await import('../index.js');
+		const profiler = await profileBoot(BootProfiler);
+
+		const foldedStacks = profiler?.foldedStacks?.split?.('\n');
+		const stacks = foldedStacks?.map?.((foldedStack) => {
+			return foldedStack?.slice?.(0, foldedStack?.lastIndexOf?.(' '));
+		});
+
+		assert?.includeMembers?.(stacks, [
+			'server:TestServer;domain:Server',
+			'server:TestServer;domain:Server;import:a,b.js',
+			'server:TestServer;domain:Server;bounded-context:Profile'
+		]);
+
+		// Self times are in whole microseconds
+		for (const foldedStack of foldedStacks) {
+			const selfTime = foldedStack?.slice?.(
+				foldedStack?.lastIndexOf?.(' ') + 1
+			);
+			assert?.match?.(selfTime, /^\d+$/);
+		}
+
+		const importStack = foldedStacks?.find?.((foldedStack) => {
+			return foldedStack?.includes?.('import:a,b.js');
+		});
+		assert?.isTrue?.(importStack?.endsWith?.(' 5000'));
+	});
+
+	it('Records failures, and nothing once the profile is done', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { BootProfiler } = await import('../index.js');
+		const profiler = new BootProfiler('TestServer');
+
+		let profileError = undefined;
+		try {
+			await profiler?.profile?.(async () => {
+				await BootProfiler?.measure?.(
+					{ kind: 'repository', name: 'Database' },
+					async () => {
+						throw new Error('connection refused');
+					}
+				);
+			});
+		} catch (error) {
+			profileError = error;
+		}
+
+		assert?.strictEqual?.(profileError?.message, 'connection refused');
+		assert?.isTrue?.(profiler?.report?.failed);
+		assert?.isTrue?.(profiler?.report?.children?.[0]?.failed);
+
+		// Outside a profile, measure just runs the operation
+		const result = await BootProfiler?.measure?.(
+			{ kind: 'domain', name: 'Late' },
+			async () => {
+				return 'done';
+			}
+		);
+
+		assert?.strictEqual?.(result, 'done');
+		assert?.lengthOf?.(profiler?.report?.children, 1);
+	});
+});
@@ -0,0 +1,530 @@
+describe('Domain Lifecycle Manager - Hot Reload Test Cases', function () {
+	const createDomainInterface = (name, teardowns) => {
+		return {
+			name: name,
+			apiRegistry: {
+				unregisterAll: async () => {
+					teardowns?.push?.(`${name}::apiRegistry`);
+				}
+			},
+			iocContainer: {
+				dispose: async () => {
+					teardowns?.push?.(`${name}::iocContainer`);
+				}
+			}
+		};
+	};
+
+	let domainLocation = undefined;
+
+	beforeEach(async function () {
+		const { mkdtemp } = await import('node:fs/promises');
+		const { tmpdir } = await import('node:os');
+		const { join } = await import('node:path');
+
+		domainLocation = await mkdtemp(join(tmpdir(), 'evas-domain-'));
+	});
+
+	afterEach(async function () {
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+		await DomainLifecycleManagerFactory?.destroyInstances?.(domainLocation);
+
+		const { rm } = await import('node:fs/promises');
+		await rm(domainLocation, { recursive: true, force: true });
+	});
+
+	it('Reloads the sub-artifacts against a fresh domain interface', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		const teardowns = [];
+		const originalLifecycleManager =
+			await DomainLifecycleManagerFactory?.createInstances?.(
+				domainLocation,
+				createDomainInterface('original', teardowns),
+				async () => {
+					return createDomainInterface('renewed', teardowns);
+				}
+			);
+
+		const reloaded =
+			await DomainLifecycleManagerFactory?.reloadInstances?.(
+				domainLocation
+			);
+		assert?.isTrue?.(reloaded);
+
+		// The old API Registry / IoC Container are torn down...
+		assert?.deepEqual?.(teardowns, [
+			'original::apiRegistry',
+			'original::iocContainer'
+		]);
+
+		// ...and the sub-artifacts are reloaded against the new ones
+		const reloadedLifecycleManager =
+			await DomainLifecycleManagerFactory?.createInstances?.(
+				domainLocation
+			);
+
+		assert?.notStrictEqual?.(
+			reloadedLifecycleManager,
+			originalLifecycleManager
+		);
+		assert?.strictEqual?.(
+			reloadedLifecycleManager?.domainInterface?.name,
+			'renewed'
+		);
+	});
+
+	it('Renews the domain interface on every reload', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		let renewals = 0;
+		await DomainLifecycleManagerFactory?.createInstances?.(
+			domainLocation,
+			createDomainInterface('original'),
+			async () => {
+				renewals++;
+				return createDomainInterface(`renewal-${renewals}`);
+			}
+		);
+
+		await DomainLifecycleManagerFactory?.reloadInstances?.(domainLocation);
+		await DomainLifecycleManagerFactory?.reloadInstances?.(domainLocation);
+
+		const reloadedLifecycleManager =
+			await DomainLifecycleManagerFactory?.createInstances?.(
+				domainLocation
+			);
+
+		assert?.strictEqual?.(renewals, 2);
+		assert?.strictEqual?.(
+			reloadedLifecycleManager?.domainInterface?.name,
+			'renewal-2'
+		);
+	});
+
+	it('Does not reload a domain that is not loaded', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		const reloaded =
+			await DomainLifecycleManagerFactory?.reloadInstances?.(
+				domainLocation
+			);
+		assert?.isFalse?.(reloaded);
+	});
+});
+
+describe('Domain Lifecycle Manager - Feature Flag Test Cases', function () {
+	let domainLocation = undefined;
+
+	beforeEach(async function () {
+		const { mkdir, mkdtemp, writeFile } = await import('node:fs/promises');
+		const { tmpdir } = await import('node:os');
+		const { join } = await import('node:path');
+
+		domainLocation = await mkdtemp(join(tmpdir(), 'evas-domain-'));
+
+		// A bounded context behind the FLAGGED feature flag
+		const contextLocation = join(
+			domainLocation,
+			'bounded_contexts',
+			'flagged'
+		);
+		await mkdir(contextLocation, { recursive: true });
+		await writeFile(
+			join(contextLocation, 'index.js'),
+			`export default class FlaggedFactory {
+				static #apiRegistry = undefined;
+
+				static async createInstances(domainInterface) {
+					FlaggedFactory.#apiRegistry = domainInterface?.apiRegistry;
+					FlaggedFactory.#apiRegistry?.events?.push?.('load');
+
+					return { name: 'Flagged' };
+				}
+
+				static async destroyInstances() {
+					FlaggedFactory.#apiRegistry?.events?.push?.('unload');
+				}
+
+				static get FeatureFlag() {
+					return 'FLAGGED';
+				}
+
+				static get BoundedContextName() {
+					return 'Flagged';
+				}
+			}`
+		);
+	});
+
+	afterEach(async function () {
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+		await DomainLifecycleManagerFactory?.destroyInstances?.(domainLocation);
+
+		const { rm } = await import('node:fs/promises');
+		await rm(domainLocation, { recursive: true, force: true });
+	});
+
+	it('Loads / unloads the bounded context as its flag is flipped', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		const apiRegistry = {
+			events: [],
+			unregisterAll: async () => {}
+		};
+
+		let isFlagged = false;
+		let flagListener = undefined;
+		const featureFlags = {
+			isEnabled: async () => {
+				return isFlagged;
+			},
+			onChange: (listener) => {
+				flagListener = listener;
+			}
+		};
+
+		const iocContainer = {
+			borrow: async (name) => {
+				return name === 'FeatureFlags';
+			},
+			resolve: async () => {
+				return featureFlags;
+			}
+		};
+
+		await DomainLifecycleManagerFactory?.createInstances?.(domainLocation, {
+			apiRegistry: apiRegistry,
+			iocContainer: iocContainer
+		});
+
+		// Dark to begin with...
+		assert?.deepEqual?.(apiRegistry?.events, []);
+
+		// ...on...
+		isFlagged = true;
+		await flagListener?.('FLAGGED');
+		assert?.deepEqual?.(apiRegistry?.events, ['load']);
+
+		// ...off...
+		isFlagged = false;
+		await flagListener?.('FLAGGED');
+		assert?.deepEqual?.(apiRegistry?.events, ['load', 'unload']);
+
+		// ...and back on again
+		isFlagged = true;
+		await flagListener?.('FLAGGED');
+		assert?.deepEqual?.(apiRegistry?.events, ['load', 'unload', 'load']);
+
+		// Flips of other flags leave it alone
+		await flagListener?.('SOME_OTHER_FLAG');
+		assert?.deepEqual?.(apiRegistry?.events, ['load', 'unload', 'load']);
+	});
+});
+
+describe('Domain Lifecycle Manager - Artifact Lifecycle Test Cases', function () {
+	const createDomainInterface = async () => {
+		const { EventEmitter } = await import('node:events');
+		const { ARTIFACT_LIFECYCLE_EVENTS } = await import('../index.js');
+
+		const domainInterface = {
+			events: [],
+			lifecycleEvents: [],
+			failBeforeUnload: false,
+
+			apiRegistry: {
+				unregisterAll: async () => {}
+			},
+			iocContainer: {
+				dispose: async () => {}
+			},
+			eventEmitter: new EventEmitter()
+		};
+
+		for (const event of Object.values(ARTIFACT_LIFECYCLE_EVENTS)) {
+			domainInterface?.eventEmitter?.on?.(event, (lifecycleEvent) => {
+				domainInterface?.events?.push?.(event);
+				domainInterface?.lifecycleEvents?.push?.(lifecycleEvent);
+			});
+		}
+
+		return domainInterface;
+	};
+
+	let domainLocation = undefined;
+
+	beforeEach(async function () {
+		const { mkdir, mkdtemp, writeFile } = await import('node:fs/promises');
+		const { tmpdir } = await import('node:os');
+		const { join } = await import('node:path');
+		const { pathToFileURL } = await import('node:url');
+
+		domainLocation = await mkdtemp(join(tmpdir(), 'evas-domain-'));
+
+		// A bounded context that records its hooks being called
+		const contextLocation = join(
+			domainLocation,
+			'bounded_contexts',
+			'sample'
+		);
+		await mkdir(contextLocation, { recursive: true });
+		await writeFile(
+			join(contextLocation, 'index.js'),
+			`import { EVASBaseArtifact } from '${pathToFileURL(join(__dirname, '../index.js'))}';
+
+			class Sample extends EVASBaseArtifact {
+				constructor(domainInterface) {
+					super(import.meta.dirname);
+					this.#domainInterface = domainInterface;
+				}
+
+				async load() {
+					await super.load();
+					this.#domainInterface.events.push('load');
+				}
+
+				async unload() {
+					this.#domainInterface.events.push('unload');
+					await super.unload();
+				}
+
+				async beforeLoad() {
+					this.#domainInterface.events.push('beforeLoad');
+				}
+
+				async afterLoad() {
+					this.#domainInterface.events.push('afterLoad');
+				}
+
+				async beforeUnload() {
+					this.#domainInterface.events.push('beforeUnload');
+					if (this.#domainInterface.failBeforeUnload)
+						throw new Error('beforeUnload failed');
+				}
+
+				#domainInterface = undefined;
+			}
+
+			export default {
+				BoundedContextName: 'Sample',
+				createInstances: async (domainInterface) => {
+					const sample = new Sample(domainInterface);
+					await sample.load();
+
+					return sample;
+				}
+			};`
+		);
+	});
+
+	afterEach(async function () {
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+		await DomainLifecycleManagerFactory?.destroyInstances?.(domainLocation);
+
+		const { rm } = await import('node:fs/promises');
+		await rm(domainLocation, { recursive: true, force: true });
+	});
+
+	it('Calls the hooks, in order, between the artifact events', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		const domainInterface = await createDomainInterface();
+		await DomainLifecycleManagerFactory?.createInstances?.(
+			domainLocation,
+			domainInterface
+		);
+
+		assert?.deepEqual?.(domainInterface?.events, [
+			'artifact:loading',
+			'beforeLoad',
+			'load',
+			'afterLoad',
+			'artifact:loaded'
+		]);
+
+		const loadedEvent = domainInterface?.lifecycleEvents?.at?.(-1);
+		assert?.include?.(loadedEvent, {
+			event: 'artifact:loaded',
+			kind: 'bounded-context',
+			name: 'Sample',
+			parent: domainLocation,
+			phase: 'load'
+		});
+		assert?.isAtLeast?.(loadedEvent?.duration, 0);
+		assert?.isNumber?.(loadedEvent?.timestamp);
+
+		domainInterface.events = [];
+		await DomainLifecycleManagerFactory?.destroyInstances?.(domainLocation);
+
+		assert?.deepEqual?.(domainInterface?.events, [
+			'artifact:unloading',
+			'beforeUnload',
+			'unload',
+			'artifact:unloaded'
+		]);
+		assert?.include?.(domainInterface?.lifecycleEvents?.at?.(-1), {
+			kind: 'bounded-context',
+			name: 'Sample',
+			phase: 'unload'
+		});
+	});
+
+	it('Unloads the artifact even if beforeUnload fails', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		const domainInterface = await createDomainInterface();
+		await DomainLifecycleManagerFactory?.createInstances?.(
+			domainLocation,
+			domainInterface
+		);
+
+		domainInterface.events = [];
+		domainInterface.failBeforeUnload = true;
+
+		let unloadError = undefined;
+		try {
+			await DomainLifecycleManagerFactory?.destroyInstances?.(
+				domainLocation
+			);
+		} catch (error) {
+			unloadError = error;
+		}
+
+		assert?.isDefined?.(unloadError);
+		assert?.deepEqual?.(domainInterface?.events, [
+			'artifact:unloading',
+			'beforeUnload',
+			'unload',
+			'artifact:failed'
+		]);
+
+		const failedEvent = domainInterface?.lifecycleEvents?.at?.(-1);
+		assert?.strictEqual?.(failedEvent?.phase, 'unload');
+		assert?.strictEqual?.(
+			failedEvent?.error?.message,
+			'beforeUnload failed'
+		);
+
+		// Let the clean-up go through
+		domainInterface.failBeforeUnload = false;
+	});
+});
+
+describe('Domain Lifecycle Manager - Boot Policy Test Cases', function () {
+	let domainLocation = undefined;
+
+	beforeEach(async function () {
+		const { mkdir, mkdtemp, writeFile } = await import('node:fs/promises');
+		const { tmpdir } = await import('node:os');
+		const { join } = await import('node:path');
+
+		domainLocation = await mkdtemp(join(tmpdir(), 'evas-domain-'));
+
+		// A bounded context that registers its API, and then fails to load
+		const contextLocation = join(
+			domainLocation,
+			'bounded_contexts',
+			'flaky'
+		);
+		await mkdir(contextLocation, { recursive: true });
+		await writeFile(
+			join(contextLocation, 'index.js'),
+			`export default class FlakyFactory {
+				static #apiRegistry = undefined;
+
+				static async createInstances(domainInterface) {
+					FlakyFactory.#apiRegistry = domainInterface?.apiRegistry;
+					FlakyFactory.#apiRegistry?.registrations?.push?.('FLAKY::READ');
+
+					throw new Error('Flaky load failed');
+				}
+
+				static async destroyInstances() {
+					FlakyFactory.#apiRegistry?.registrations?.splice?.(0);
+					FlakyFactory.#apiRegistry?.rollbacks?.push?.('FLAKY');
+				}
+
+				static get BootPolicy() {
+					return { policy: 'optional', retries: 2, backoff: 0 };
+				}
+
+				static get BoundedContextName() {
+					return 'Flaky';
+				}
+			}`
+		);
+	});
+
+	afterEach(async function () {
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+		await DomainLifecycleManagerFactory?.destroyInstances?.(domainLocation);
+
+		const { rm } = await import('node:fs/promises');
+		await rm(domainLocation, { recursive: true, force: true });
+	});
+
+	it('Rolls back every failed attempt before retrying / quarantining', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EventEmitter } = await import('node:events');
+		const { DomainLifecycleManagerFactory } = await import('../index.js');
+
+		const apiRegistry = {
+			registrations: [],
+			rollbacks: [],
+			unregisterAll: async () => {}
+		};
+
+		const lifecycleEvents = [];
+		const eventEmitter = new EventEmitter();
+		eventEmitter?.on?.('artifact:retrying', () => {
+			lifecycleEvents?.push?.({
+				event: 'retrying',
+				registrations: [...apiRegistry.registrations]
+			});
+		});
+		eventEmitter?.on?.('artifact:quarantined', () => {
+			lifecycleEvents?.push?.({
+				event: 'quarantined',
+				registrations: [...apiRegistry.registrations]
+			});
+		});
+
+		await DomainLifecycleManagerFactory?.createInstances?.(domainLocation, {
+			apiRegistry: apiRegistry,
+			eventEmitter: eventEmitter
+		});
+
+		// Nothing of the failed attempts is left behind - neither when
+		// retrying, nor once the bounded context is quarantined
+		assert?.deepEqual?.(apiRegistry?.rollbacks, [
+			'FLAKY',
+			'FLAKY',
+			'FLAKY'
+		]);
+		assert?.deepEqual?.(lifecycleEvents, [
+			{ event: 'retrying', registrations: [] },
+			{ event: 'retrying', registrations: [] },
+			{ event: 'quarantined', registrations: [] }
+		]);
+	});
+});
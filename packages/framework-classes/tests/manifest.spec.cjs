@@ -0,0 +1,136 @@
+describe('Artifact Manifest - Validation Test Cases', function () {
+	let artifactLocation = undefined;
+
+	beforeEach(async function () {
+		const { mkdir, mkdtemp, writeFile } = await import('node:fs/promises');
+		const { tmpdir } = await import('node:os');
+		const { join } = await import('node:path');
+
+		artifactLocation = await mkdtemp(join(tmpdir(), 'evas-manifest-'));
+
+		const middlewaresLocation = join(artifactLocation, 'middlewares');
+		await mkdir(join(middlewaresLocation, 'contacts'), { recursive: true });
+
+		await writeFile(join(middlewaresLocation, 'basics.js'), '');
+		await writeFile(join(middlewaresLocation, 'locales.js'), '');
+		await writeFile(join(middlewaresLocation, 'audit.js'), '');
+		await writeFile(join(middlewaresLocation, 'legacy.js'), '');
+		await writeFile(join(middlewaresLocation, 'contacts', 'index.js'), '');
+	});
+
+	afterEach(async function () {
+		const { rm } = await import('node:fs/promises');
+		await rm(artifactLocation, { recursive: true, force: true });
+	});
+
+	const writeManifest = async (manifest) => {
+		const { writeFile } = await import('node:fs/promises');
+		const { join } = await import('node:path');
+
+		await writeFile(
+			join(artifactLocation, 'manifest.json'),
+			JSON.stringify(manifest)
+		);
+	};
+
+	it('Does without a manifest, if there is none', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { loadManifest } = await import('../helpers/manifest.js');
+
+		const manifest = await loadManifest?.(artifactLocation);
+		assert?.isUndefined?.(manifest);
+	});
+
+	it('Lists the enabled artifacts for this environment, in order', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { getManifestArtifacts, loadManifest } =
+			await import('../helpers/manifest.js');
+
+		await writeManifest({
+			artifacts: {
+				'./middlewares/': [
+					'locales.js',
+					'./contacts/',
+					{ path: 'basics.js', environments: ['test'] },
+					{ path: 'audit.js', environments: ['production'] },
+					{ path: 'legacy.js', enabled: false }
+				]
+			}
+		});
+
+		const manifest = await loadManifest?.(artifactLocation);
+		assert?.deepEqual?.(getManifestArtifacts?.(manifest, 'middlewares'), [
+			'locales.js',
+			'./contacts/',
+			'basics.js'
+		]);
+
+		// Sub-folders not in the manifest are crawled, as before
+		assert?.isUndefined?.(getManifestArtifacts?.(manifest, 'surfaces'));
+	});
+
+	it('Reports every problem with an invalid manifest', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { mkdir } = await import('node:fs/promises');
+		const { join } = await import('node:path');
+		const { loadManifest } = await import('../helpers/manifest.js');
+
+		await mkdir(join(artifactLocation, 'middlewares', 'empty'));
+		await writeManifest({
+			version: 1,
+			artifacts: {
+				'../outside': ['basics.js'],
+				middlewares: [
+					'basics.js',
+					'./basics.js',
+					'../basics.js',
+					'missing.js',
+					'empty',
+					{ path: 'locales.js', enabled: 'yes', order: 1 },
+					{ path: 'audit.js', environments: 'test' },
+					42
+				],
+				surfaces: 'main.js'
+			}
+		});
+
+		let manifestError = undefined;
+		try {
+			await loadManifest?.(artifactLocation);
+		} catch (error) {
+			manifestError = error;
+		}
+
+		assert?.instanceOf?.(manifestError, AggregateError);
+
+		const problems = manifestError?.errors?.map?.((error) => {
+			return error?.message?.replace?.(/^.*?manifest\.json: /, '');
+		});
+
+		const expectedProblems = [
+			/^unknown property version$/,
+			/^artifacts\.\.\.\/outside is outside /,
+			/^artifacts\.middlewares\[1\] lists basics\.js again$/,
+			/^artifacts\.middlewares\[2\] is outside /,
+			/^artifacts\.middlewares\[3\]: .*missing\.js does not exist$/,
+			/^artifacts\.middlewares\[4\]: .*empty does not have an index\.js$/,
+			/^artifacts\.middlewares\[5\] has unknown property order$/,
+			/^artifacts\.middlewares\[5\]\.enabled must be a boolean$/,
+			/^artifacts\.middlewares\[6\]\.environments must be an array of strings$/,
+			/^artifacts\.middlewares\[7\] must be a path, or an object$/,
+			/^artifacts\.surfaces must be an array$/
+		];
+
+		assert?.lengthOf?.(problems, expectedProblems?.length);
+		expectedProblems?.forEach?.((expectedProblem, index) => {
+			// eslint-disable-next-line security/detect-object-injection
+			assert?.match?.(problems?.[index], expectedProblem);
+		});
+	});
+});
@@ -0,0 +1,87 @@
+describe('Server Lifecycle Manager - Named Repository Test Cases', function () {
+	let serverLocation = undefined;
+
+	beforeEach(async function () {
+		const { mkdir, mkdtemp, writeFile } = await import('node:fs/promises');
+		const { tmpdir } = await import('node:os');
+		const { join } = await import('node:path');
+
+		serverLocation = await mkdtemp(join(tmpdir(), 'evas-server-'));
+
+		// A configuration repository that reads the environment, as the
+		// server's does
+		const configurationLocation = join(
+			serverLocation,
+			'repositories/init/configuration'
+		);
+		await mkdir(configurationLocation, { recursive: true });
+		await writeFile(
+			join(configurationLocation, 'index.js'),
+			`export default {
+				RepositoryName: 'Configuration',
+				createInstances: async () => {
+					return {
+						getConfig: async (name) => {
+							return JSON.parse(process.env[name.toUpperCase()] ?? '{}');
+						}
+					};
+				}
+			};`
+		);
+
+		await mkdir(join(serverLocation, 'repositories/runtime'), {
+			recursive: true
+		});
+	});
+
+	afterEach(async function () {
+		const { ServerLifecycleManagerFactory } = await import('../index.js');
+		await ServerLifecycleManagerFactory?.destroyInstances?.();
+
+		delete process.env.NAMEDREPOSITORIES;
+
+		const { rm } = await import('node:fs/promises');
+		await rm(serverLocation, { recursive: true, force: true });
+	});
+
+	it('Registers the instances configured in NAMEDREPOSITORIES', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { ServerLifecycleManagerFactory } = await import('../index.js');
+
+		process.env.NAMEDREPOSITORIES = JSON.stringify({
+			Cache: { sessions: { socket: { database: 1 } } },
+			SQLDatabase: { reporting: { pool: { max: 2 } } }
+		});
+
+		const registrations = new Map();
+		const namedRegistrations = [];
+
+		const iocContainer = {
+			register: async (name, factory) => {
+				registrations?.set?.(name, factory);
+			},
+			registerNamed: async (name, instanceName, configuration) => {
+				namedRegistrations?.push?.([name, instanceName, configuration]);
+			},
+			resolve: async (name) => {
+				return registrations?.get?.(name)?.createInstances?.();
+			},
+			startup: async () => {},
+			unregisterAll: async () => {}
+		};
+
+		await ServerLifecycleManagerFactory?.createInstances?.(serverLocation, {
+			iocContainer: iocContainer,
+			apiRegistry: {
+				unregisterAll: async () => {}
+			}
+		});
+
+		assert?.deepEqual?.(namedRegistrations, [
+			['Cache', 'sessions', { socket: { database: 1 } }],
+			['SQLDatabase', 'reporting', { pool: { max: 2 } }]
+		]);
+	});
+});
@@ -8,3 +8,4 @@
  */
 
 export { IocContainer } from './lib/ioc-container.js';
+export { createMethodDecorator } from './lib/method-decorator.js';
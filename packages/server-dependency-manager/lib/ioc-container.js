@@ -2,24 +2,69 @@
  * Imports for this file
  * @ignore
  */
+import { Buffer } from 'node:buffer';
+
+import { BootProfiler } from '@twyr/framework-classes';
 import { EVASBaseClass } from '@twyr/framework-classes';
 
+/**
+ * The lifetimes the container can manage for the repository instances
+ * - transient: the factory is asked for an instance on every resolution
+ * - singleton: one instance, shared by the registering container and all below it
+ * - domain: one instance per (non-scope) container resolving it
+ * - scoped: one instance per scope container - see createScope
+ * @ignore
+ */
+const LIFETIMES = ['transient', 'singleton', 'domain', 'scoped'];
+const DEFAULT_LIFETIME = 'transient';
+
+/**
+ * Separates the repository name from the instance name in named
+ * registrations - SQLDatabase:reporting, Cache:sessions, etc.
+ * @ignore
+ */
+const NAMED_INSTANCE_SEPARATOR = ':';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 5_000;
+
+/**
+ * Bumped every time an override is added / removed, or a snapshot is restored,
+ * so that the containers know their borrowed registrations may be stale
+ * @ignore
+ */
+let registrationGeneration = 0;
+
 /**
  * @class IocContainer
  * @extends EVASBaseClass
  *
  * @param {string} [domainName] - name of the IoC Container's Domain
  * @param {object} [parentContainer] - IoCContainer for the parent context
+ * @param {object} [options] - Container options
+ * @param {boolean} [options.scope] - Whether this is a short-lived scope container - see createScope
  *
  * @classdesc The IoC Container for the Server(s) in this monorepo.
  */
 export class IocContainer extends EVASBaseClass {
 	// #region Constructor
 	//eslint-disable-next-line jsdoc/require-jsdoc
-	constructor(domainName, parentContainer) {
+	constructor(domainName, parentContainer, options) {
 		super();
 		this.#domainName = domainName?.toLocaleUpperCase?.();
 		this.#parentContainer = parentContainer;
+		this.#isScope = !!options?.scope;
+
+		// Scopes are short-lived - the hierarchy is walked for the long-lived ones only
+		if (
+			!this.#isScope &&
+			parentContainer &&
+			#childContainers in parentContainer
+		)
+			parentContainer.#childContainers?.add?.(this);
 	}
 	// #endregion
 
@@ -37,36 +82,78 @@ export class IocContainer extends EVASBaseClass {
 	 * @returns {object} - Repository object.
 	 *
 	 * @description
+	 * - Resolves named instances (see registerNamed) as the underlying
+	 * repository, with the configuration registered against the name
 	 * - Retrieves the factory instance from the owned or borrowed factory maps.
-	 * - Creates the repository instance using the Factory and the Configuration
-	 * - Returns the newly created instance
+	 * - Figures out which container owns the instance, based on the lifetime
+	 * - Creates the repository instance using the Factory and the Configuration,
+	 * unless the owning container already has one for the Configuration
+	 * - Wraps the instance in the decorators added for the repository, if any
+	 * - Returns the (decorated) instance
 	 */
 	async resolve(name, configuration) {
 		try {
-			// Step 1: Get the RepositoryFactory...
-			let RepositoryFactory =
-				this.#ownedFactories?.get?.(name) ??
-				this.#borrowedFactories?.get?.(name);
-
-			// Step 2: We don't have it - so borrow it from some place
-			// up the chain...
-			if (!RepositoryFactory) {
-				RepositoryFactory = await this.#parentContainer?.borrow?.(name);
-				this.#borrowedFactories?.set?.(name, RepositoryFactory);
+			// Step 0: Named instances are the underlying repository, with the
+			// configuration registered against the name
+			const namedRegistration = this.#lookupNamedRegistration?.(name);
+			if (namedRegistration) {
+				return await this.resolve?.(namedRegistration?.name, {
+					...namedRegistration?.configuration,
+					...configuration
+				});
 			}
 
+			// Step 1: Get the registration - borrowing it from some place
+			// up the chain, if required...
+			const registration = await this.#borrowRegistration?.(name);
+
 			// OOPS: We don't have a clue as to what this Repository is
 			// Throw
-			if (!RepositoryFactory) {
+			if (!registration?.factory) {
 				throw new Error(
 					`Unable to instantiate ${this?.domainPath}::${name} repository instance: Factory not found`
 				);
 			}
 
+			// Step 2: Figure out the container that owns the instance...
+			let instanceOwner = undefined;
+			switch (registration?.lifetime) {
+				case 'singleton':
+					instanceOwner = registration?.owner;
+					break;
+
+				case 'domain':
+					instanceOwner = this.#findContainer?.((container) => {
+						return !container.#isScope;
+					});
+					break;
+
+				case 'scoped':
+					instanceOwner = this.#findContainer?.((container) => {
+						return container.#isScope;
+					});
+
+					if (!instanceOwner) {
+						throw new Error(
+							`Unable to instantiate ${this?.domainPath}::${name} repository instance: Scoped repositories can only be resolved within a scope`
+						);
+					}
+					break;
+			}
+
 			// Step 3: Instantiate the repository object using the configuration
-			// provided
-			const repositoryInstance =
-				await RepositoryFactory?.createInstances?.(configuration, this);
+			// provided - or get the one the owner has
+			const repositoryInstance = instanceOwner
+				? await instanceOwner.#getInstance(
+						name,
+						registration,
+						configuration
+					)
+				: await this.#createInstance?.(
+						name,
+						registration,
+						configuration
+					);
 
 			// OOPS: Can't instantiate for some reason. Throw.
 			if (!repositoryInstance) {
@@ -75,8 +162,12 @@ export class IocContainer extends EVASBaseClass {
 				);
 			}
 
-			// Finally, give them what they're asking for
-			return repositoryInstance;
+			// Finally, give them what they're asking for - decorated, if required
+			return await this.#decorate?.(
+				name,
+				repositoryInstance,
+				configuration
+			);
 		} catch (error) {
 			throw new Error(
 				`Error resolving ${this?.domainPath}::${name} repository`,
@@ -104,23 +195,8 @@ export class IocContainer extends EVASBaseClass {
 	 * Returns the RepositoryFactory for the requested repository
 	 */
 	async borrow(name) {
-		if (this.#ownedFactories?.has?.(name)) {
-			return this.#ownedFactories?.get?.(name);
-		}
-
-		if (this.#borrowedFactories?.has?.(name)) {
-			return this.#borrowedFactories?.get?.(name);
-		}
-
-		if (this.#parentContainer) {
-			const RepositoryFactory =
-				await this.#parentContainer?.borrow?.(name);
-			this.#borrowedFactories?.set?.(name, RepositoryFactory);
-
-			return RepositoryFactory;
-		}
-
-		return;
+		const registration = await this.#borrowRegistration?.(name);
+		return registration?.factory;
 	}
 
 	/**
@@ -132,17 +208,59 @@ export class IocContainer extends EVASBaseClass {
 	 *
 	 * @param {string} [name] - name of the repository getting registered
 	 * @param {object} [factory] - the factory to be used for instantiating the repository, or returning an existing instance
+	 * @param {object} [options] - registration options
+	 * @param {string} [options.lifetime] - transient (the default), singleton, domain or scoped
+	 * @param {Array} [options.dependencies] - names of the repositories this one resolves
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
 	 * @description
-	 * Registers the artifact factory against its name in the Map
+	 * Registers the artifact factory against its name in the Map.
+	 *
+	 * The lifetime defaults to the one the factory declares (via a static
+	 * Lifetime getter), if any, or transient - in which case the factory is
+	 * responsible for caching the instances it creates.
+	 *
+	 * The dependencies default to the ones the factory declares (via a static
+	 * Dependencies getter), if any. They need not be registered yet - but the
+	 * registration fails if they lead back to this repository.
 	 */
-	async register(name, factory) {
+	async register(name, factory, options) {
 		try {
-			this.#ownedFactories?.set?.(name, factory);
+			const lifetime =
+				options?.lifetime ?? factory?.Lifetime ?? DEFAULT_LIFETIME;
+
+			if (!LIFETIMES?.includes?.(lifetime)) {
+				throw new Error(
+					`Unknown lifetime ${lifetime} - expected one of ${LIFETIMES?.join?.(', ')}`
+				);
+			}
+
+			const previousRegistration = this.#ownedRegistrations?.get?.(name);
+			this.#ownedRegistrations?.set?.(name, {
+				factory: factory,
+				lifetime: lifetime,
+				dependencies: [
+					...(options?.dependencies ?? factory?.Dependencies ?? [])
+				],
+				owner: this
+			});
+
+			const dependencyCycle = this.#findDependencyCycle?.(name, [name]);
+			if (dependencyCycle) {
+				if (previousRegistration)
+					this.#ownedRegistrations?.set?.(name, previousRegistration);
+				else this.#ownedRegistrations?.delete?.(name);
+
+				throw new Error(
+					`Circular dependency: ${dependencyCycle?.join?.(' -> ')}`
+				);
+			}
 
 			if (serverEnvironment === 'production') return;
+
+			// Scopes come and go with every request - too noisy to log
+			if (this.#isScope) return;
 			console?.info?.(
 				`${this?.domainPath}::${this?.name}::register: ${name} repository`
 			);
@@ -156,6 +274,76 @@ export class IocContainer extends EVASBaseClass {
 		}
 	}
 
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name registerNamed
+	 *
+	 * @param {string} [name] - name of the underlying repository - SQLDatabase, Cache, etc.
+	 * @param {string} [instanceName] - logical name of the instance - reporting, sessions, etc.
+	 * @param {object} [configuration] - the configuration the underlying repository is resolved with
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Registers a logical name - name:instanceName - for an instance of the
+	 * repository, so that it can be resolved without knowing its connection
+	 * configuration. The configuration passed in to resolve, if any, overrides
+	 * the top-level keys of the registered one.
+	 *
+	 * The underlying repository need not be registered yet, and is looked up
+	 * on every resolution - so overrides of it apply to its named instances
+	 * as well.
+	 */
+	async registerNamed(name, instanceName, configuration) {
+		if (
+			!name ||
+			!instanceName ||
+			name?.includes?.(NAMED_INSTANCE_SEPARATOR) ||
+			instanceName?.includes?.(NAMED_INSTANCE_SEPARATOR)
+		) {
+			throw new Error(
+				`Error registering named repository: ${this?.domainPath}::${this?.name}::${name}${NAMED_INSTANCE_SEPARATOR}${instanceName} - Invalid name`
+			);
+		}
+
+		const qualifiedName = `${name}${NAMED_INSTANCE_SEPARATOR}${instanceName}`;
+		this.#namedRegistrations?.set?.(qualifiedName, {
+			name: name,
+			configuration: configuration ?? {}
+		});
+
+		if (serverEnvironment === 'production') return;
+		if (this.#isScope) return;
+		console?.info?.(
+			`${this?.domainPath}::${this?.name}::registerNamed: ${qualifiedName} repository`
+		);
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name unregisterNamed
+	 *
+	 * @param {string} [name] - name of the underlying repository
+	 * @param {string} [instanceName] - logical name of the instance
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Removes a logical name registered using registerNamed. The instance
+	 * itself belongs to the underlying repository, and stays with it.
+	 */
+	async unregisterNamed(name, instanceName) {
+		this.#namedRegistrations?.delete?.(
+			`${name}${NAMED_INSTANCE_SEPARATOR}${instanceName}`
+		);
+	}
+
 	/**
 	 * @memberof IocContainer
 	 * @async
@@ -172,11 +360,13 @@ export class IocContainer extends EVASBaseClass {
 	 */
 	async unregister(name) {
 		try {
-			if (this.#ownedFactories?.has?.(name)) {
-				const factory = this.#ownedFactories?.get?.(name);
+			await this.#disposeInstances?.(name);
+
+			if (this.#ownedRegistrations?.has?.(name)) {
+				const factory = this.#ownedRegistrations?.get?.(name)?.factory;
 				await factory?.destroyInstances?.();
 
-				this.#ownedFactories?.delete?.(name);
+				this.#ownedRegistrations?.delete?.(name);
 
 				if (serverEnvironment === 'production') return;
 				console?.info?.(
@@ -184,8 +374,8 @@ export class IocContainer extends EVASBaseClass {
 				);
 			}
 
-			if (this.#borrowedFactories?.has?.(name)) {
-				this.#borrowedFactories?.delete?.(name);
+			if (this.#borrowedRegistrations?.has?.(name)) {
+				this.#borrowedRegistrations?.delete?.(name);
 			}
 		} catch (error) {
 			throw new Error(
@@ -207,30 +397,46 @@ export class IocContainer extends EVASBaseClass {
 	 * @returns {undefined} - Nothing.
 	 *
 	 * @description
-	 * Removes all artifacts from the map
+	 * Removes all artifacts from the map - destroying the instances of the
+	 * dependents before those of their dependencies
 	 */
 	async unregisterAll() {
 		const errors = [];
 
 		try {
-			let promiseResolutions = [];
+			// The instances held for the repositories borrowed from up the
+			// chain go first - they aren't in the dependency order
+			for (const heldInstance of [...this.#instances.values()]) {
+				if (this.#ownedRegistrations?.has?.(heldInstance?.name))
+					continue;
 
-			this.#ownedFactories?.forEach?.((factory) => {
-				promiseResolutions?.push?.(factory?.destroyInstances?.());
-			});
-
-			promiseResolutions =
-				await Promise?.allSettled?.(promiseResolutions);
+				try {
+					await this.#disposeInstances?.(heldInstance?.name);
+				} catch (error) {
+					errors?.push?.(error);
+				}
+			}
 
-			promiseResolutions?.forEach?.((resolution) => {
-				if (resolution?.status === 'fulfilled') return;
-				errors?.push?.(resolution?.reason);
-			});
+			// Tear down the dependents before their dependencies...
+			const shutdownOrder = this.#getDependencyOrder?.()?.reverse?.();
+			for (const name of shutdownOrder) {
+				try {
+					await this.#disposeInstances?.(name);
+					await this.#ownedRegistrations
+						?.get?.(name)
+						?.factory?.destroyInstances?.();
+				} catch (error) {
+					errors?.push?.(error);
+				}
+			}
 
-			this.#ownedFactories?.clear?.();
-			this.#borrowedFactories?.clear?.();
+			this.#ownedRegistrations?.clear?.();
+			this.#borrowedRegistrations?.clear?.();
+			this.#namedRegistrations?.clear?.();
+			this.#overrides?.clear?.();
 
 			if (serverEnvironment === 'production') return;
+			if (this.#isScope) return;
 			console?.info?.(
 				`\n${this?.domainPath}::${this?.name}::unregisterAll`
 			);
@@ -244,30 +450,968 @@ export class IocContainer extends EVASBaseClass {
 			`${this?.domainPath}::${this?.name}::Error un-registering all repositories`
 		);
 	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name startup
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Instantiates the repositories registered in this container - every
+	 * repository after the ones it depends on. Repositories whose
+	 * dependencies are not registered, or failed to start, are not started.
+	 *
+	 * Scoped repositories are instantiated within their scopes only.
+	 */
+	async startup() {
+		const errors = [];
+		const failedRepositories = new Set();
+
+		for (const name of this.#getDependencyOrder?.() ?? []) {
+			const registration = this.#ownedRegistrations?.get?.(name);
+			if (registration?.lifetime === 'scoped') continue;
+
+			const unavailableDependencies =
+				registration?.dependencies?.filter?.((dependency) => {
+					return (
+						failedRepositories?.has?.(dependency) ||
+						!this.#lookupRegistration?.(dependency)
+					);
+				});
+
+			if (unavailableDependencies?.length) {
+				failedRepositories?.add?.(name);
+				errors?.push?.(
+					new Error(
+						`Unable to start ${this?.domainPath}::${name} repository: Dependencies not available - ${unavailableDependencies?.join?.(', ')}`
+					)
+				);
+
+				continue;
+			}
+
+			try {
+				await this.resolve?.(name);
+			} catch (error) {
+				failedRepositories?.add?.(name);
+				errors?.push?.(error);
+			}
+		}
+
+		if (!errors?.length) return;
+		throw new AggregateError(
+			errors,
+			`${this?.domainPath}::${this?.name}::Error starting repositories`
+		);
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @function
+	 * @name getDependencyGraph
+	 *
+	 * @returns {object} - The dependencies of every repository registered in this container, by name.
+	 */
+	getDependencyGraph() {
+		const dependencyGraph = {};
+		for (const [name, registration] of this.#ownedRegistrations) {
+			// eslint-disable-next-line security/detect-object-injection
+			dependencyGraph[name] = [...(registration?.dependencies ?? [])];
+		}
+
+		return dependencyGraph;
+	}
 	// #endregion
 
-	// #region Getters / Setters
+	// #region Health Check API
 	/**
 	 * @memberof IocContainer
+	 * @async
 	 * @instance
-	 * @readonly
-	 * @member {string} name
-	 * @returns {string} Path of this instance, starting from the server down through the domain chain.
+	 * @function
+	 * @name healthReport
+	 *
+	 * @param {object} [options] - Health check options
+	 * @param {string} [options.kind] - "readiness" (the default) or "liveness"
+	 * @param {number} [options.timeout] - The time, in milliseconds, each check is allowed to take
+	 *
+	 * @returns {object} - The aggregated report - { kind, healthy, latency, checkedAt, repositories }
+	 *
+	 * @description
+	 * Walks the owned and borrowed factories of this container, and of every
+	 * container below it, and asks each of them - once - for the health of its
+	 * repository instances, via their (optional) static healthCheck method.
+	 *
+	 * Each repository is reported, along with the domainPath of the container
+	 * that owns it, as:
+	 * - healthy: the check succeeded - along with the details it returned
+	 * - unhealthy: the check failed, or timed out - along with the error
+	 * - unknown: the factory does not support health checks
+	 *
+	 * The report is healthy if none of the repositories are unhealthy.
 	 */
-	get domainPath() {
-		if (this.#parentContainer) {
-			return `${this.#parentContainer?.domainPath ?? ''}::${this.#domainName ?? ''}`;
-		} else {
-			return this.#domainName ?? '';
+	async healthReport(options) {
+		const kind = options?.kind ?? 'readiness';
+		const timeout = options?.timeout ?? DEFAULT_HEALTH_CHECK_TIMEOUT;
+
+		const reportStart = Date?.now?.();
+		const registrations = this.#collectRegistrations?.(new Map());
+
+		const repositories = [];
+		for (const [registration, name] of registrations) {
+			repositories?.push?.(
+				this.#checkHealth?.(name, registration, kind, timeout)
+			);
 		}
+
+		const repositoryReports = await Promise?.all?.(repositories);
+		return {
+			kind: kind,
+			healthy: repositoryReports?.every?.((repositoryReport) => {
+				return repositoryReport?.status !== 'unhealthy';
+			}),
+			latency: Date?.now?.() - reportStart,
+			checkedAt: new Date(reportStart)?.toISOString?.(),
+			repositories: repositoryReports
+		};
 	}
 	// #endregion
 
-	// #region Private Fields
-	#domainName = undefined;
-	#parentContainer = undefined;
+	// #region Test Support API
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name override
+	 *
+	 * @param {string} [name] - name of the repository to be overridden
+	 * @param {object} [replacement] - a factory (with createInstances), or the fake instance itself
+	 * @param {object} [options] - override options
+	 * @param {string} [options.lifetime] - lifetime of the instances created by a replacement factory
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Shadows the repository - whether registered here or up the chain - with
+	 * the replacement, for resolutions from this container and the ones below
+	 * it. The shadowed registration is left untouched, and is back in effect
+	 * once the override is removed.
+	 *
+	 * Meant for tests - to inject fakes without standing up the real thing.
+	 */
+	async override(name, replacement, options) {
+		const isFactory = typeof replacement?.createInstances === 'function';
+		const factory = isFactory
+			? replacement
+			: {
+					createInstances: async () => {
+						return replacement;
+					}
+				};
+
+		const lifetime = isFactory
+			? (options?.lifetime ?? factory?.Lifetime ?? DEFAULT_LIFETIME)
+			: 'singleton';
+
+		if (!LIFETIMES?.includes?.(lifetime)) {
+			throw new Error(
+				`Error overriding repository: ${this?.domainPath}::${this?.name}::${name} - Unknown lifetime ${lifetime}`
+			);
+		}
+
+		await this.#disposeInstances?.(name);
+		this.#overrides?.set?.(name, {
+			factory: factory,
+			lifetime: lifetime,
+			dependencies: [],
+			owner: this
+		});
+
+		registrationGeneration++;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name removeOverride
+	 *
+	 * @param {string} [name] - name of the overridden repository - all of them, if not provided
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Removes the override(s) added using override, putting the shadowed
+	 * registrations back in effect.
+	 */
+	async removeOverride(name) {
+		const overriddenNames = name ? [name] : [...this.#overrides.keys()];
+
+		for (const overriddenName of overriddenNames) {
+			if (!this.#overrides?.has?.(overriddenName)) continue;
+
+			await this.#disposeInstances?.(overriddenName);
+			this.#overrides?.delete?.(overriddenName);
+		}
+
+		registrationGeneration++;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @function
+	 * @name snapshot
+	 *
+	 * @returns {object} - An opaque snapshot of the registrations, overrides and instances held by this container.
+	 *
+	 * @description
+	 * Captures the state of this container, so that it can be put back using
+	 * restore - between tests, say.
+	 */
+	snapshot() {
+		return Object?.freeze?.({
+			container: this,
+			ownedRegistrations: new Map(this.#ownedRegistrations),
+			namedRegistrations: new Map(this.#namedRegistrations),
+			overrides: new Map(this.#overrides),
+			instances: new Map(this.#instances)
+		});
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name restore
+	 *
+	 * @param {object} [snapshot] - A snapshot taken using snapshot.
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Puts the container back in the state captured by the snapshot -
+	 * destroying the repositories registered, and disposing of the instances
+	 * created, since.
+	 */
+	async restore(snapshot) {
+		if (snapshot?.container !== this) {
+			throw new Error(
+				`Error restoring ${this?.domainPath}::${this?.name}: Snapshot belongs to a different container`
+			);
+		}
+
+		const errors = [];
+
+		// Step 1: Get rid of the instances created since the snapshot...
+		for (const [instanceKey, heldInstance] of this.#instances) {
+			if (snapshot?.instances?.get?.(instanceKey) === heldInstance)
+				continue;
+
+			this.#instances?.delete?.(instanceKey);
+			try {
+				const instance = await heldInstance?.instance;
+				await heldInstance?.registration?.factory?.disposeInstance?.(
+					instance,
+					heldInstance?.configuration
+				);
+			} catch (error) {
+				errors?.push?.(error);
+			}
+		}
+
+		// Step 2: ... and the repositories registered since
+		for (const [name, registration] of this.#ownedRegistrations) {
+			if (snapshot?.ownedRegistrations?.get?.(name) === registration)
+				continue;
+
+			try {
+				await registration?.factory?.destroyInstances?.();
+			} catch (error) {
+				errors?.push?.(error);
+			}
+		}
+
+		// Finally, put the state back...
+		this.#ownedRegistrations = new Map(snapshot?.ownedRegistrations);
+		this.#namedRegistrations = new Map(snapshot?.namedRegistrations);
+		this.#overrides = new Map(snapshot?.overrides);
+		this.#instances = new Map(snapshot?.instances);
+		this.#borrowedRegistrations?.clear?.();
+
+		registrationGeneration++;
+
+		if (!errors?.length) return;
+		throw new AggregateError(
+			errors,
+			`${this?.domainPath}::${this?.name}::Error restoring snapshot`
+		);
+	}
+	// #endregion
+
+	// #region Decorator API
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name addDecorator
+	 *
+	 * @param {string} [name] - name of the repository to be decorated - or *, for all of them
+	 * @param {Function} [decorator] - (instance, context) => the decorated instance
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Adds a decorator - for call metrics, slow-call logging, circuit breaking,
+	 * etc. - for the repository instances resolved from this container, and
+	 * from every container below it.
+	 *
+	 * The decorator receives the resolved instance, and a context with the
+	 * repository name, the domainPath of the resolving container and the
+	 * configuration, and returns the instance to be handed out in its place -
+	 * typically a Proxy (see createMethodDecorator).
+	 *
+	 * Decorators added to a parent container wrap those added to the children,
+	 * and decorators in the same container wrap in the order they were added -
+	 * the first one being the outermost.
+	 */
+	async addDecorator(name, decorator) {
+		if (typeof decorator !== 'function') {
+			throw new Error(
+				`Error adding decorator: ${this?.domainPath}::${this?.name}::${name} - Decorator is not a function`
+			);
+		}
+
+		this.#decorators?.push?.({
+			name: name ?? '*',
+			decorator: decorator
+		});
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name removeDecorator
+	 *
+	 * @param {string} [name] - name the decorator was added for
+	 * @param {Function} [decorator] - the decorator to be removed
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Removes a decorator added using addDecorator. Instances resolved from
+	 * here on are handed out without it.
+	 */
+	async removeDecorator(name, decorator) {
+		const decoratorIndex = this.#decorators?.findIndex?.(
+			(addedDecorator) => {
+				return (
+					addedDecorator?.name === (name ?? '*') &&
+					addedDecorator?.decorator === decorator
+				);
+			}
+		);
+
+		if (decoratorIndex < 0) return;
+		this.#decorators?.splice?.(decoratorIndex, 1);
+	}
+	// #endregion
+
+	// #region Scope API
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @function
+	 * @name createScope
+	 *
+	 * @param {string} [scopeName] - name of the scope - used in the domainPath
+	 *
+	 * @returns {IocContainer} - The scope container.
+	 *
+	 * @description
+	 * Creates a short-lived child container - for a request, say - that
+	 * resolves everything this container does, holds the instances of the
+	 * scoped repositories, and can have request-bound instances (the current
+	 * user, a transaction, the locale, etc.) registered in it.
+	 *
+	 * The scope must be disposed of once done with.
+	 */
+	createScope(scopeName) {
+		return new IocContainer(scopeName ?? 'SCOPE', this, { scope: true });
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name registerInstance
+	 *
+	 * @param {string} [name] - name of the instance getting registered
+	 * @param {*} [instance] - the instance to be returned whenever the name is resolved
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Registers an existing instance against its name - typically used to make
+	 * request-bound instances available for resolution from a scope.
+	 */
+	async registerInstance(name, instance) {
+		const instanceFactory = {
+			createInstances: async () => {
+				return instance;
+			}
+		};
+
+		await this.register?.(name, instanceFactory, { lifetime: 'singleton' });
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @function
+	 * @name dispose
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Disposes of the instances, and registrations, held by a scope container
+	 * and detaches it from its parent.
+	 */
+	async dispose() {
+		try {
+			await this.unregisterAll?.();
+		} finally {
+			this.#parentContainer?.#childContainers?.delete?.(this);
+			this.#parentContainer = undefined;
+		}
+	}
+	// #endregion
+
+	// #region Private Methods
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #borrowRegistration
+	 *
+	 * @param {string} [name] - name of the repository
+	 *
+	 * @returns {object} - The registration ({ factory, lifetime, owner }) for the repository.
+	 *
+	 * @description
+	 * Returns the registration from the overrides, owned or borrowed maps - or
+	 * borrows it from some place up the chain.
+	 */
+	async #borrowRegistration(name) {
+		if (this.#overrides?.has?.(name)) {
+			return this.#overrides?.get?.(name);
+		}
+
+		if (this.#ownedRegistrations?.has?.(name)) {
+			return this.#ownedRegistrations?.get?.(name);
+		}
+
+		if (this.#borrowedGeneration !== registrationGeneration) {
+			this.#borrowedRegistrations?.clear?.();
+			this.#borrowedGeneration = registrationGeneration;
+		}
+
+		if (this.#borrowedRegistrations?.has?.(name)) {
+			return this.#borrowedRegistrations?.get?.(name);
+		}
+
+		if (!this.#parentContainer) return;
+
+		const registration =
+			await this.#parentContainer?.#borrowRegistration(name);
+		if (registration)
+			this.#borrowedRegistrations?.set?.(name, registration);
+
+		return registration;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #collectDecorators
+	 *
+	 * @param {string} [name] - name of the repository
+	 *
+	 * @returns {Array} - The decorators for the repository, outermost first.
+	 */
+	#collectDecorators(name) {
+		const inheritedDecorators =
+			this.#parentContainer?.#collectDecorators(name) ?? [];
+
+		const localDecorators = this.#decorators
+			?.filter?.((addedDecorator) => {
+				return (
+					addedDecorator?.name === '*' ||
+					addedDecorator?.name === name
+				);
+			})
+			?.map?.((addedDecorator) => {
+				return addedDecorator?.decorator;
+			});
+
+		return [...inheritedDecorators, ...localDecorators];
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #decorate
+	 *
+	 * @param {string} [name] - name of the repository
+	 * @param {*} [instance] - the resolved repository instance
+	 * @param {object} [configuration] - the configuration it was resolved with
+	 *
+	 * @returns {*} - The instance, wrapped in the decorators for the repository.
+	 *
+	 * @description
+	 * Wraps the instance in the decorators, innermost first. The decorated
+	 * instance is remembered - so that resolving the same instance again hands
+	 * out the same wrapper, unless the decorators have changed in the meantime.
+	 */
+	async #decorate(name, instance, configuration) {
+		const decorators = this.#collectDecorators?.(name);
+		if (!decorators?.length) return instance;
+
+		// Primitives can't be wrapped - or remembered
+		if (typeof instance !== 'object' && typeof instance !== 'function')
+			return instance;
+
+		const rememberedInstance = this.#decoratedInstances?.get?.(instance);
+		if (
+			rememberedInstance?.decorators?.length === decorators?.length &&
+			rememberedInstance?.decorators?.every?.((decorator, index) => {
+				return decorator === decorators?.at?.(index);
+			})
+		)
+			return rememberedInstance?.instance;
+
+		const context = Object?.freeze?.({
+			name: name,
+			domainPath: this?.domainPath,
+			configuration: configuration
+		});
+
+		let decoratedInstance = instance;
+		for (const decorator of [...decorators].reverse()) {
+			decoratedInstance =
+				(await decorator?.(decoratedInstance, context)) ??
+				decoratedInstance;
+		}
+
+		this.#decoratedInstances?.set?.(instance, {
+			decorators: decorators,
+			instance: decoratedInstance
+		});
+
+		return decoratedInstance;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #findContainer
+	 *
+	 * @param {Function} predicate - Condition the container must satisfy
+	 *
+	 * @returns {IocContainer} - This container, or the nearest one up the chain, satisfying the predicate.
+	 */
+	#findContainer(predicate) {
+		if (predicate?.(this)) return this;
+		return this.#parentContainer?.#findContainer(predicate);
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #lookupRegistration
+	 *
+	 * @param {string} [name] - name of the repository
+	 *
+	 * @returns {object} - The registration for the repository in this container, or the nearest one up the chain.
+	 */
+	#lookupRegistration(name) {
+		return (
+			this.#overrides?.get?.(name) ??
+			this.#ownedRegistrations?.get?.(name) ??
+			this.#borrowedRegistrations?.get?.(name) ??
+			this.#parentContainer?.#lookupRegistration(name)
+		);
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #lookupNamedRegistration
+	 *
+	 * @param {string} [name] - name of the repository - name:instanceName, if named
+	 *
+	 * @returns {object} - The named registration ({ name, configuration }) in this container, or the nearest one up the chain.
+	 */
+	#lookupNamedRegistration(name) {
+		if (!name?.includes?.(NAMED_INSTANCE_SEPARATOR)) return;
+
+		return (
+			this.#namedRegistrations?.get?.(name) ??
+			this.#parentContainer?.#lookupNamedRegistration(name)
+		);
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #findDependencyCycle
+	 *
+	 * @param {string} [name] - name of the repository to start the search from
+	 * @param {Array} [dependencyPath] - the repositories visited on the way here
+	 *
+	 * @returns {Array} - The repositories forming the cycle, if any.
+	 *
+	 * @description
+	 * Walks the dependencies of the repository depth-first, and returns the
+	 * path back to a repository already on the way here - if there is one.
+	 */
+	#findDependencyCycle(name, dependencyPath) {
+		const registration = this.#lookupRegistration?.(name);
+
+		for (const dependency of registration?.dependencies ?? []) {
+			const cycleStart = dependencyPath?.indexOf?.(dependency);
+			if (cycleStart >= 0)
+				return [...dependencyPath.slice(cycleStart), dependency];
+
+			const dependencyCycle = this.#findDependencyCycle?.(dependency, [
+				...dependencyPath,
+				dependency
+			]);
+			if (dependencyCycle) return dependencyCycle;
+		}
+
+		return;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #getDependencyOrder
+	 *
+	 * @returns {Array} - The names of the repositories registered in this container, dependencies first.
+	 *
+	 * @description
+	 * Sorts the repositories topologically - retaining the registration order
+	 * where the dependencies do not dictate one. Dependencies registered in
+	 * the containers up the chain are ignored, since they are started (and
+	 * torn down) by those containers.
+	 */
+	#getDependencyOrder() {
+		const dependencyOrder = [];
+		const visitedRepositories = new Set();
+
+		const visit = (name) => {
+			if (visitedRepositories?.has?.(name)) return;
+			visitedRepositories?.add?.(name);
+
+			const registration = this.#ownedRegistrations?.get?.(name);
+			for (const dependency of registration?.dependencies ?? []) {
+				if (!this.#ownedRegistrations?.has?.(dependency)) continue;
+				visit(dependency);
+			}
+
+			dependencyOrder?.push?.(name);
+		};
+
+		for (const name of this.#ownedRegistrations?.keys?.() ?? [])
+			visit(name);
+		return dependencyOrder;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #collectRegistrations
+	 *
+	 * @param {Map} registrations - The registrations collected so far, mapped to their names
+	 *
+	 * @returns {Map} - The registrations in effect in this container, and the ones below it.
+	 */
+	#collectRegistrations(registrations) {
+		for (const registrationMap of [
+			this.#overrides,
+			this.#ownedRegistrations,
+			this.#borrowedRegistrations
+		]) {
+			for (const [name, registration] of registrationMap) {
+				if (registrations?.has?.(registration)) continue;
+				registrations?.set?.(registration, name);
+			}
+		}
+
+		for (const childContainer of this.#childContainers) {
+			childContainer.#collectRegistrations(registrations);
+		}
+
+		return registrations;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #checkHealth
+	 *
+	 * @param {string} name - name of the repository
+	 * @param {object} registration - registration for the repository
+	 * @param {string} kind - "readiness" or "liveness"
+	 * @param {number} timeout - The time, in milliseconds, the check is allowed to take
+	 *
+	 * @returns {object} - The health of the repository - { name, domainPath, status, latency, details, error }
+	 */
+	async #checkHealth(name, registration, kind, timeout) {
+		const repositoryReport = {
+			name: name,
+			domainPath: registration?.owner?.domainPath,
+			status: 'unknown',
+			latency: 0
+		};
+
+		const factory = registration?.factory;
+		if (typeof factory?.healthCheck !== 'function') return repositoryReport;
+
+		const checkStart = Date?.now?.();
+		let timeoutTimer = undefined;
+
+		try {
+			const healthCheckTimeout = new Promise((resolve, reject) => {
+				timeoutTimer = setTimeout(() => {
+					reject(
+						new Error(
+							`Health check for ${repositoryReport?.domainPath}::${name} timed out after ${timeout}ms`
+						)
+					);
+				}, timeout);
+			});
+
+			repositoryReport.details = await Promise?.race?.([
+				factory?.healthCheck?.(kind),
+				healthCheckTimeout
+			]);
+			repositoryReport.status = 'healthy';
+		} catch (error) {
+			repositoryReport.status = 'unhealthy';
+			repositoryReport.error = {
+				message: error?.message,
+				code: error?.code
+			};
+		} finally {
+			clearTimeout(timeoutTimer);
+			repositoryReport.latency = Date?.now?.() - checkStart;
+		}
+
+		return repositoryReport;
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #getInstance
+	 *
+	 * @param {string} [name] - name of the repository
+	 * @param {object} [registration] - registration for the repository
+	 * @param {object} [configuration] - requested repository configuration
+	 *
+	 * @returns {object} - Repository object.
+	 *
+	 * @description
+	 * Returns the instance this container holds for the repository and the
+	 * configuration - creating it, once, if required.
+	 */
+	async #getInstance(name, registration, configuration) {
+		const instanceKey = `${name}!${Buffer?.from?.(
+			JSON?.stringify?.(configuration ?? {})
+		)?.toString?.('base64')}`;
+
+		// The registration has been overridden / restored since...
+		const staleInstance = this.#instances?.get?.(instanceKey);
+		if (staleInstance && staleInstance?.registration !== registration)
+			await this.#disposeInstances?.(name);
+
+		if (!this.#instances?.has?.(instanceKey)) {
+			const instance = this.#createInstance?.(
+				name,
+				registration,
+				configuration
+			);
+
+			this.#instances?.set?.(instanceKey, {
+				name: name,
+				registration: registration,
+				configuration: configuration,
+				instance: instance
+			});
+		}
+
+		const heldInstance = this.#instances?.get?.(instanceKey);
+		try {
+			const repositoryInstance = await heldInstance?.instance;
+			return repositoryInstance;
+		} catch (error) {
+			this.#instances?.delete?.(instanceKey);
+			throw error;
+		}
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #createInstance
+	 *
+	 * @param {string} [name] - name of the repository
+	 * @param {object} [registration] - registration for the repository
+	 * @param {object} [configuration] - requested repository configuration
+	 *
+	 * @returns {object} - Repository object.
+	 *
+	 * @description
+	 * Has the factory create the instance - connecting to whatever it needs
+	 * to - timed for the boot profile, if the server is booting.
+	 */
+	async #createInstance(name, registration, configuration) {
+		return BootProfiler?.measure?.(
+			{ kind: 'repository', name: name },
+			() => {
+				return registration?.factory?.createInstances?.(
+					configuration,
+					this
+				);
+			}
+		);
+	}
+
+	/**
+	 * @memberof IocContainer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #disposeInstances
+	 *
+	 * @param {string} [name] - name of the repository - all of them, if not provided
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Lets the factories dispose of the instances held by this container, via
+	 * their (optional) disposeInstance method, and forgets about them.
+	 */
+	async #disposeInstances(name) {
+		const disposals = [];
+
+		for (const [instanceKey, heldInstance] of this.#instances) {
+			if (name && heldInstance?.name !== name) continue;
+			this.#instances?.delete?.(instanceKey);
+
+			const factory = heldInstance?.registration?.factory;
+			if (typeof factory?.disposeInstance !== 'function') continue;
+
+			disposals?.push?.(
+				heldInstance?.instance?.then?.((instance) => {
+					return factory?.disposeInstance?.(
+						instance,
+						heldInstance?.configuration
+					);
+				})
+			);
+		}
+
+		const errors = [];
+		const disposalResolutions = await Promise?.allSettled?.(disposals);
+		for (const disposalResolution of disposalResolutions) {
+			if (disposalResolution?.status === 'fulfilled') continue;
+			errors?.push?.(disposalResolution?.reason);
+		}
+
+		if (!errors?.length) return;
+		throw new AggregateError(
+			errors,
+			`${this?.domainPath}::${this?.name}::Error disposing instances`
+		);
+	}
+	// #endregion
+
+	// #region Getters / Setters
+	/**
+	 * @memberof IocContainer
+	 * @instance
+	 * @readonly
+	 * @member {string} name
+	 * @returns {string} Path of this instance, starting from the server down through the domain chain.
+	 */
+	get domainPath() {
+		if (this.#parentContainer) {
+			return `${this.#parentContainer?.domainPath ?? ''}::${this.#domainName ?? ''}`;
+		} else {
+			return this.#domainName ?? '';
+		}
+	}
+	// #endregion
+
+	// #region Private Fields
+	#domainName = undefined;
+	#parentContainer = undefined;
+
+	#isScope = false;
 
-	#borrowedFactories = new Map();
-	#ownedFactories = new Map();
+	#borrowedRegistrations = new Map();
+	#namedRegistrations = new Map();
+	#ownedRegistrations = new Map();
+	#overrides = new Map();
+	#instances = new Map();
+	#childContainers = new Set();
+	#decorators = [];
+	#decoratedInstances = new WeakMap();
+	#borrowedGeneration = registrationGeneration;
 	// #endregion
 }
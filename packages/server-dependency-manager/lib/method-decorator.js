@@ -0,0 +1,98 @@
+/**
+ * Properties that are never wrapped - they're part of the object's identity,
+ * rather than its behaviour
+ * @ignore
+ */
+const UNWRAPPED_PROPERTIES = ['constructor'];
+
+/**
+ * The method name passed to the interceptor when the instance itself is
+ * called - the knex instance, for example
+ * @ignore
+ */
+const DIRECT_CALL = '()';
+
+/**
+ * @function
+ * @name createMethodDecorator
+ *
+ * @param {Function} interceptor - (call, next) => result - runs instead of every method call on the instance
+ *
+ * @returns {Function} - A decorator, to be added to the IocContainer using addDecorator.
+ *
+ * @description
+ * Creates a decorator that wraps the resolved instance in a Proxy, and runs
+ * the interceptor instead of every method call made on it - or on the
+ * instance itself, if it is a function.
+ *
+ * The interceptor receives the call - the repository name, the domainPath of
+ * the resolving container, the method name and the arguments - and a next
+ * function that makes the actual call and returns its result. The
+ * interceptor must return whatever next does (or a substitute) - a Promise,
+ * if the method is asynchronous - as synchronous methods must stay so.
+ *
+ * The methods are called on the instance itself, rather than the Proxy, so
+ * that private members remain accessible to them.
+ */
+export function createMethodDecorator(interceptor) {
+	if (typeof interceptor !== 'function') {
+		throw new Error(
+			`createMethodDecorator expects an interceptor function`
+		);
+	}
+
+	return function methodDecorator(instance, context) {
+		const wrappedMethods = new Map();
+
+		const callMethod = (method, methodName, thisArg, args) => {
+			const call = {
+				name: context?.name,
+				domainPath: context?.domainPath,
+				method: methodName,
+				args: args
+			};
+
+			return interceptor(call, () => {
+				return Reflect?.apply?.(method, thisArg, args);
+			});
+		};
+
+		return new Proxy(instance, {
+			apply(target, thisArg, args) {
+				return callMethod(target, DIRECT_CALL, thisArg, args);
+			},
+
+			get(target, property) {
+				const value = Reflect?.get?.(target, property, target);
+
+				if (typeof value !== 'function') return value;
+				if (typeof property === 'symbol') return value;
+				if (UNWRAPPED_PROPERTIES?.includes?.(property)) return value;
+
+				// The Proxy must hand out read-only, non-configurable properties as is
+				const descriptor = Reflect?.getOwnPropertyDescriptor?.(
+					target,
+					property
+				);
+				if (descriptor?.configurable === false && !descriptor?.writable)
+					return value;
+
+				// Hand out the same wrapper, as long as the method is the same
+				const wrappedMethod = wrappedMethods?.get?.(property);
+				if (wrappedMethod?.method === value)
+					return wrappedMethod?.wrapper;
+
+				const wrapper = (...args) => {
+					return callMethod(value, property, target, args);
+				};
+
+				wrappedMethods?.set?.(property, {
+					method: value,
+					wrapper: wrapper
+				});
+
+				return wrapper;
+			}
+		});
+	};
+}
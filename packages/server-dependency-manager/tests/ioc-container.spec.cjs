@@ -0,0 +1,870 @@
+describe('IoC Container - Lifetime Test Cases', function () {
+	const createFactory = (name, events, lifetime) => {
+		return {
+			Lifetime: lifetime ?? 'singleton',
+
+			createInstances: async (configuration) => {
+				events?.push?.(`create::${name}`);
+				return { name: name, configuration: configuration };
+			},
+
+			disposeInstance: async (instance) => {
+				events?.push?.(`dispose::${instance?.name}`);
+			}
+		};
+	};
+
+	it('Shares a singleton with the containers below the registering one', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Domain', serverContainer);
+
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', events)
+		);
+
+		const serverCache = await serverContainer?.resolve?.('Cache');
+		const domainCache = await domainContainer?.resolve?.('Cache');
+
+		assert?.strictEqual?.(domainCache, serverCache);
+		assert?.deepEqual?.(events, ['create::Cache']);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Creates one singleton per configuration', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.(
+			'SQLDatabase',
+			createFactory('SQLDatabase', events)
+		);
+
+		const primary = await serverContainer?.resolve?.('SQLDatabase', {
+			database: 'primary'
+		});
+		const reporting = await serverContainer?.resolve?.('SQLDatabase', {
+			database: 'reporting'
+		});
+		const primaryAgain = await serverContainer?.resolve?.('SQLDatabase', {
+			database: 'primary'
+		});
+
+		assert?.notStrictEqual?.(primary, reporting);
+		assert?.strictEqual?.(primaryAgain, primary);
+		assert?.lengthOf?.(events, 2);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Creates one domain instance per resolving container', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Domain', serverContainer);
+
+		await serverContainer?.register?.(
+			'Logger',
+			createFactory('Logger', events, 'domain')
+		);
+
+		const serverLogger = await serverContainer?.resolve?.('Logger');
+		const domainLogger = await domainContainer?.resolve?.('Logger');
+
+		assert?.notStrictEqual?.(domainLogger, serverLogger);
+		assert?.strictEqual?.(
+			await domainContainer?.resolve?.('Logger'),
+			domainLogger
+		);
+
+		// Each container disposes of the instances it holds
+		await domainContainer?.unregisterAll?.();
+		await serverContainer?.unregisterAll?.();
+
+		assert?.deepEqual?.(events, [
+			'create::Logger',
+			'create::Logger',
+			'dispose::Logger',
+			'dispose::Logger'
+		]);
+	});
+
+	it('Asks the factory for a transient instance on every resolution', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.('Renderer', {
+			createInstances: async () => {
+				events?.push?.('create::Renderer');
+				return {};
+			}
+		});
+
+		const firstRenderer = await serverContainer?.resolve?.('Renderer');
+		const secondRenderer = await serverContainer?.resolve?.('Renderer');
+
+		assert?.notStrictEqual?.(secondRenderer, firstRenderer);
+		assert?.deepEqual?.(events, ['create::Renderer', 'create::Renderer']);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Refuses unknown lifetimes', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+
+		let registrationError = undefined;
+		try {
+			await serverContainer?.register?.(
+				'Cache',
+				createFactory('Cache', [], 'forever')
+			);
+		} catch (error) {
+			registrationError = error;
+		}
+
+		assert?.match?.(
+			registrationError?.cause?.message,
+			/Unknown lifetime forever/
+		);
+		await serverContainer?.unregisterAll?.();
+	});
+});
+
+describe('IoC Container - Request Scope Test Cases', function () {
+	it('Resolves the instances registered in the scope', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		const requestContainer = serverContainer?.createScope?.('REQUEST!1');
+
+		const currentUser = { id: 'user-1' };
+		await requestContainer?.registerInstance?.('CurrentUser', currentUser);
+
+		const resolvedUser = await requestContainer?.resolve?.('CurrentUser');
+		assert?.strictEqual?.(resolvedUser, currentUser);
+
+		// The scope is gone with the request
+		await requestContainer?.dispose?.();
+		assert?.isUndefined?.(await serverContainer?.borrow?.('CurrentUser'));
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Creates one scoped instance per scope', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		let instanceCount = 0;
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.('RequestCache', {
+			Lifetime: 'scoped',
+			createInstances: async () => {
+				instanceCount++;
+				return { instance: instanceCount };
+			}
+		});
+
+		const firstScope = serverContainer?.createScope?.('REQUEST!1');
+		const secondScope = serverContainer?.createScope?.('REQUEST!2');
+
+		const firstInstance = await firstScope?.resolve?.('RequestCache');
+		assert?.strictEqual?.(
+			await firstScope?.resolve?.('RequestCache'),
+			firstInstance
+		);
+		assert?.notStrictEqual?.(
+			await secondScope?.resolve?.('RequestCache'),
+			firstInstance
+		);
+
+		let resolutionError = undefined;
+		try {
+			await serverContainer?.resolve?.('RequestCache');
+		} catch (error) {
+			resolutionError = error;
+		}
+
+		assert?.match?.(
+			resolutionError?.cause?.message,
+			/can only be resolved within a scope/
+		);
+
+		await firstScope?.dispose?.();
+		await secondScope?.dispose?.();
+		await serverContainer?.unregisterAll?.();
+	});
+});
+
+describe('IoC Container - Dependency Test Cases', function () {
+	const createFactory = (name, dependencies, events) => {
+		return {
+			Dependencies: dependencies ?? [],
+			Lifetime: 'singleton',
+
+			createInstances: async () => {
+				events?.push?.(`create::${name}`);
+				return { name: name };
+			},
+
+			disposeInstance: async (instance) => {
+				events?.push?.(`dispose::${instance?.name}`);
+			}
+		};
+	};
+
+	it('Refuses registrations that complete a cycle, naming it', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.(
+			'Auth',
+			createFactory('Auth', ['Cache'])
+		);
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', ['Logger'])
+		);
+
+		let registrationError = undefined;
+		try {
+			await serverContainer?.register?.(
+				'Logger',
+				createFactory('Logger', ['Auth'])
+			);
+		} catch (error) {
+			registrationError = error;
+		}
+
+		assert?.strictEqual?.(
+			registrationError?.cause?.message,
+			'Circular dependency: Logger -> Auth -> Cache -> Logger'
+		);
+
+		// The offending registration is not kept
+		assert?.deepEqual?.(serverContainer?.getDependencyGraph?.(), {
+			Auth: ['Cache'],
+			Cache: ['Logger']
+		});
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Starts the repositories after the ones they depend on', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+
+		// Registered in the "wrong" order, deliberately
+		await serverContainer?.register?.(
+			'Auth',
+			createFactory('Auth', ['Cache', 'Logger'], events)
+		);
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', ['Logger'], events)
+		);
+		await serverContainer?.register?.(
+			'Logger',
+			createFactory('Logger', [], events)
+		);
+
+		await serverContainer?.startup?.();
+		assert?.deepEqual?.(events, [
+			'create::Logger',
+			'create::Cache',
+			'create::Auth'
+		]);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Does not start the repositories whose dependencies are not available', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+
+		await serverContainer?.register?.('Logger', {
+			Lifetime: 'singleton',
+			createInstances: async () => {
+				throw new Error('Logger is broken');
+			}
+		});
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', ['Logger'], events)
+		);
+		await serverContainer?.register?.(
+			'Audit',
+			createFactory('Audit', ['MongoDB'], events)
+		);
+
+		let startupError = undefined;
+		try {
+			await serverContainer?.startup?.();
+		} catch (error) {
+			startupError = error;
+		}
+
+		assert?.deepEqual?.(events, []);
+		assert?.lengthOf?.(startupError?.errors, 3);
+		assert?.match?.(
+			startupError?.errors?.[1]?.message,
+			/Cache repository: Dependencies not available - Logger/
+		);
+		assert?.match?.(
+			startupError?.errors?.[2]?.message,
+			/Audit repository: Dependencies not available - MongoDB/
+		);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Disposes of the dependents before their dependencies', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+
+		await serverContainer?.register?.(
+			'Logger',
+			createFactory('Logger', [], events)
+		);
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', ['Logger'], events)
+		);
+
+		await serverContainer?.startup?.();
+		await serverContainer?.unregisterAll?.();
+
+		assert?.deepEqual?.(events, [
+			'create::Logger',
+			'create::Cache',
+			'dispose::Cache',
+			'dispose::Logger'
+		]);
+	});
+});
+
+describe('IoC Container - Override Test Cases', function () {
+	const createFactory = (name, events) => {
+		return {
+			Lifetime: 'singleton',
+
+			createInstances: async () => {
+				events?.push?.(`create::${name}`);
+				return { name: name };
+			},
+
+			disposeInstance: async (instance) => {
+				events?.push?.(`dispose::${instance?.name}`);
+			}
+		};
+	};
+
+	it('Resolves the override here, and below, until it is removed', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Domain', serverContainer);
+		const contextContainer = new IocContainer('Context', domainContainer);
+
+		await serverContainer?.register?.('Cache', createFactory('Cache'));
+
+		const fakeCache = { name: 'FakeCache' };
+		await domainContainer?.override?.('Cache', fakeCache);
+
+		assert?.strictEqual?.(
+			await domainContainer?.resolve?.('Cache'),
+			fakeCache
+		);
+		assert?.strictEqual?.(
+			await contextContainer?.resolve?.('Cache'),
+			fakeCache
+		);
+		assert?.deepEqual?.(await serverContainer?.resolve?.('Cache'), {
+			name: 'Cache'
+		});
+
+		await domainContainer?.removeOverride?.('Cache');
+		assert?.deepEqual?.(await contextContainer?.resolve?.('Cache'), {
+			name: 'Cache'
+		});
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Disposes of the overridden singletons, and of the fakes', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', events)
+		);
+
+		const realCache = await serverContainer?.resolve?.('Cache');
+
+		// The real instance held by the container makes way for the fake...
+		await serverContainer?.override?.(
+			'Cache',
+			createFactory('FakeCache', events)
+		);
+
+		const fakeCache = await serverContainer?.resolve?.('Cache');
+		assert?.strictEqual?.(
+			await serverContainer?.resolve?.('Cache'),
+			fakeCache
+		);
+
+		// ... and the fake for a new real instance, once the override is gone
+		await serverContainer?.removeOverride?.('Cache');
+		const newCache = await serverContainer?.resolve?.('Cache');
+		assert?.notStrictEqual?.(newCache, realCache);
+
+		await serverContainer?.unregisterAll?.();
+		assert?.deepEqual?.(events, [
+			'create::Cache',
+			'dispose::Cache',
+			'create::FakeCache',
+			'dispose::FakeCache',
+			'create::Cache',
+			'dispose::Cache'
+		]);
+	});
+
+	it('Puts the registrations back, as they were in the snapshot', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.(
+			'Logger',
+			createFactory('Logger', events)
+		);
+		await serverContainer?.register?.(
+			'Cache',
+			createFactory('Cache', events)
+		);
+
+		const logger = await serverContainer?.resolve?.('Logger');
+		const snapshot = serverContainer?.snapshot?.();
+
+		// What a test might do...
+		await serverContainer?.register?.(
+			'Audit',
+			createFactory('Audit', events)
+		);
+		await serverContainer?.override?.('Cache', { name: 'FakeCache' });
+
+		await serverContainer?.resolve?.('Audit');
+		await serverContainer?.resolve?.('Cache');
+
+		await serverContainer?.restore?.(snapshot);
+
+		// The instances created before the snapshot are kept...
+		assert?.strictEqual?.(
+			await serverContainer?.resolve?.('Logger'),
+			logger
+		);
+		assert?.deepEqual?.(await serverContainer?.resolve?.('Cache'), {
+			name: 'Cache'
+		});
+
+		// ... and the registrations made since, gone
+		let resolutionError = undefined;
+		try {
+			await serverContainer?.resolve?.('Audit');
+		} catch (error) {
+			resolutionError = error;
+		}
+
+		assert?.isDefined?.(resolutionError);
+		assert?.deepEqual?.(events, [
+			'create::Logger',
+			'create::Audit',
+			'dispose::Audit',
+			'create::Cache'
+		]);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Refuses snapshots of other containers', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		const otherContainer = new IocContainer('Other');
+
+		let restoreError = undefined;
+		try {
+			await serverContainer?.restore?.(otherContainer?.snapshot?.());
+		} catch (error) {
+			restoreError = error;
+		}
+
+		assert?.match?.(
+			restoreError?.message,
+			/Snapshot belongs to a different container/
+		);
+	});
+});
+
+describe('IoC Container - Health Report Test Cases', function () {
+	it('Stops reporting on a domain container once it is disposed', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Profile', serverContainer);
+
+		await domainContainer?.register?.('ProfileCache', {
+			createInstances: async () => {
+				return {};
+			},
+			healthCheck: async () => {
+				return { connected: true };
+			}
+		});
+
+		let healthReport = await serverContainer?.healthReport?.();
+		assert?.deepEqual?.(
+			healthReport?.repositories?.map?.((repository) => {
+				return repository?.name;
+			}),
+			['ProfileCache']
+		);
+
+		// Domain unloaded - or reloaded, with a fresh container
+		await domainContainer?.dispose?.();
+
+		healthReport = await serverContainer?.healthReport?.();
+		assert?.isEmpty?.(healthReport?.repositories);
+
+		await serverContainer?.unregisterAll?.();
+	});
+});
+
+describe('IoC Container - Decorator Test Cases', function () {
+	class Repository {
+		constructor(name) {
+			this.name = name;
+		}
+
+		async fetch(key) {
+			return `${this.#prefix}${key}`;
+		}
+
+		format(key) {
+			return `${this?.name}::${key}`;
+		}
+
+		#prefix = 'value::';
+	}
+
+	const createFactory = (name) => {
+		return {
+			Lifetime: 'singleton',
+			createInstances: async () => {
+				return new Repository(name);
+			}
+		};
+	};
+
+	it('Wraps only the calls made on the repositories it is added for', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer, createMethodDecorator } =
+			await import('../index.js');
+
+		const calls = [];
+		const callLogger = createMethodDecorator((call, next) => {
+			calls?.push?.(
+				`${call?.domainPath}::${call?.name}::${call?.method}`
+			);
+			return next?.();
+		});
+
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Profile', serverContainer);
+
+		await serverContainer?.addDecorator?.('Cache', callLogger);
+		await serverContainer?.register?.('Cache', createFactory('Cache'));
+		await serverContainer?.register?.('Logger', createFactory('Logger'));
+
+		const cache = await domainContainer?.resolve?.('Cache');
+		const logger = await domainContainer?.resolve?.('Logger');
+
+		// Private members stay accessible, and synchronous methods stay so
+		assert?.strictEqual?.(await cache?.fetch?.('key'), 'value::key');
+		assert?.strictEqual?.(cache?.format?.('key'), 'Cache::key');
+		assert?.strictEqual?.(cache?.name, 'Cache');
+
+		await logger?.fetch?.('key');
+		assert?.deepEqual?.(calls, [
+			'SERVER::PROFILE::Cache::fetch',
+			'SERVER::PROFILE::Cache::format'
+		]);
+
+		// The same wrapper, for the same instance
+		assert?.strictEqual?.(await domainContainer?.resolve?.('Cache'), cache);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Wraps the children decorators in the parent ones, until removed', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer, createMethodDecorator } =
+			await import('../index.js');
+
+		const calls = [];
+		const createLogger = (label) => {
+			return createMethodDecorator((call, next) => {
+				calls?.push?.(`${label}::before`);
+				const result = next?.();
+				calls?.push?.(`${label}::after`);
+
+				return result;
+			});
+		};
+
+		const serverDecorator = createLogger('server');
+		const domainDecorator = createLogger('domain');
+
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Profile', serverContainer);
+
+		await serverContainer?.register?.('Cache', createFactory('Cache'));
+		await serverContainer?.addDecorator?.('*', serverDecorator);
+		await domainContainer?.addDecorator?.('Cache', domainDecorator);
+
+		let cache = await domainContainer?.resolve?.('Cache');
+		cache?.format?.('key');
+
+		assert?.deepEqual?.(calls, [
+			'server::before',
+			'domain::before',
+			'domain::after',
+			'server::after'
+		]);
+
+		// Resolved afresh, once the decorators change
+		calls.length = 0;
+		await domainContainer?.removeDecorator?.('Cache', domainDecorator);
+
+		cache = await domainContainer?.resolve?.('Cache');
+		cache?.format?.('key');
+
+		assert?.deepEqual?.(calls, ['server::before', 'server::after']);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Refuses decorators that are not functions', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+		const serverContainer = new IocContainer('Server');
+
+		let decoratorError = undefined;
+		try {
+			await serverContainer?.addDecorator?.('Cache', {});
+		} catch (error) {
+			decoratorError = error;
+		}
+
+		assert?.match?.(decoratorError?.message, /Decorator is not a function/);
+	});
+});
+
+describe('IoC Container - Named Registration Test Cases', function () {
+	const createFactory = (events) => {
+		return {
+			Lifetime: 'singleton',
+			createInstances: async (configuration) => {
+				events?.push?.(configuration);
+				return { configuration: configuration };
+			}
+		};
+	};
+
+	it('Resolves the named instances with the registered configuration', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const events = [];
+		const serverContainer = new IocContainer('Server');
+		const domainContainer = new IocContainer('Profile', serverContainer);
+
+		await serverContainer?.register?.('SQLDatabase', createFactory(events));
+		await serverContainer?.registerNamed?.('SQLDatabase', 'reporting', {
+			connection: { database: 'reporting' },
+			pool: { max: 2 }
+		});
+
+		const reportingDatabase = await domainContainer?.resolve?.(
+			'SQLDatabase:reporting'
+		);
+		assert?.deepEqual?.(reportingDatabase?.configuration, {
+			connection: { database: 'reporting' },
+			pool: { max: 2 }
+		});
+
+		// The configuration passed in overrides the top-level keys
+		const tunedDatabase = await domainContainer?.resolve?.(
+			'SQLDatabase:reporting',
+			{ pool: { max: 10 } }
+		);
+		assert?.deepEqual?.(tunedDatabase?.configuration, {
+			connection: { database: 'reporting' },
+			pool: { max: 10 }
+		});
+
+		// Same configuration, same instance - the underlying repository's
+		assert?.strictEqual?.(
+			await serverContainer?.resolve?.('SQLDatabase', {
+				connection: { database: 'reporting' },
+				pool: { max: 2 }
+			}),
+			reportingDatabase
+		);
+		assert?.strictEqual?.(events?.length, 2);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Applies the overrides of the underlying repository', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.registerNamed?.('Cache', 'sessions', {
+			socket: { database: 1 }
+		});
+
+		// The underlying repository need not be registered beforehand
+		await serverContainer?.register?.('Cache', createFactory());
+
+		const fakeCache = { name: 'FakeCache' };
+		await serverContainer?.override?.('Cache', fakeCache);
+
+		assert?.strictEqual?.(
+			await serverContainer?.resolve?.('Cache:sessions'),
+			fakeCache
+		);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Forgets the names once unregistered', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		await serverContainer?.register?.('Cache', createFactory());
+		await serverContainer?.registerNamed?.('Cache', 'sessions', {});
+		await serverContainer?.unregisterNamed?.('Cache', 'sessions');
+
+		let resolutionError = undefined;
+		try {
+			await serverContainer?.resolve?.('Cache:sessions');
+		} catch (error) {
+			resolutionError = error;
+		}
+
+		assert?.match?.(resolutionError?.cause?.message, /Factory not found/);
+
+		await serverContainer?.unregisterAll?.();
+	});
+
+	it('Refuses invalid names', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { IocContainer } = await import('../index.js');
+
+		const serverContainer = new IocContainer('Server');
+		for (const [name, instanceName] of [
+			['Cache', undefined],
+			['Cache:sessions', 'primary'],
+			['Cache', 'sessions:primary']
+		]) {
+			let registrationError = undefined;
+			try {
+				await serverContainer?.registerNamed?.(name, instanceName, {});
+			} catch (error) {
+				registrationError = error;
+			}
+
+			assert?.match?.(registrationError?.message, /Invalid name/);
+		}
+	});
+});
@@ -3,3 +3,5 @@ global.snooze = async (ms) => {
 		setTimeout(resolve, ms);
 	});
 };
+
+global.serverEnvironment = 'test';
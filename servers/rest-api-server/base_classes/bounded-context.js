@@ -49,7 +49,15 @@ export class BaseBoundedContext extends EVASBaseBoundedContext {
 			apiRegistry: contextApiRegistry
 		});
 
-		await super.load?.();
+		try {
+			await super.load?.();
+		} catch (error) {
+			// Detach the registry - and, with it, whatever the sub-artifacts
+			// registered before the failure - so that the load can be retried,
+			// or the bounded context quarantined, cleanly
+			await this.#rollbackLoad?.(error);
+		}
+
 		return;
 	}
 
@@ -67,11 +75,17 @@ export class BaseBoundedContext extends EVASBaseBoundedContext {
 	 *
 	 */
 	async unload() {
-		// Un-instantiate / clean-up references;
-		this.#domainInterface = undefined;
-
-		// Finally, Basic un-init
+		// Step 1: Basic un-init - the sub-artifacts de-register their APIs
+		// on the way out
 		await super.unload?.();
+
+		// Step 2: Detach the registry from the parent domain's, so that the
+		// bounded context can be loaded again - when its flag is turned
+		// back on, for instance
+		await this.#domainInterface?.apiRegistry?.unregisterAll?.();
+
+		// Finally, Un-instantiate / clean-up references;
+		this.#domainInterface = undefined;
 		return;
 	}
 	// #endregion
@@ -80,6 +94,20 @@ export class BaseBoundedContext extends EVASBaseBoundedContext {
 	// #endregion
 
 	// #region Private Methods
+	async #rollbackLoad(error) {
+		try {
+			await this.#domainInterface?.apiRegistry?.unregisterAll?.();
+		} catch (rollbackError) {
+			throw new AggregateError(
+				[error, rollbackError],
+				`Error loading ${this?.name}`
+			);
+		} finally {
+			this.#domainInterface = undefined;
+		}
+
+		throw error;
+	}
 	// #endregion
 
 	// #region Getters / Setters
@@ -57,37 +57,17 @@ export class BaseDomain extends EVASBaseDomain {
 	 *
 	 */
 	async load() {
-		const domainApiRegistry = new APIRegistry(
-			this?.name,
-			super.domainInterface?.apiRegistry
-		);
-
-		const domainIocContainer = new IocContainer(
-			this?.name,
-			super.domainInterface?.iocContainer
-		);
-
-		// Call derived class method with the JSON Serializer
-		// instance to register types, etc. that are domain
-		// specific
-		let JSONAPISerializer = await import('json-api-serializer');
-		JSONAPISerializer = JSONAPISerializer?.['default'];
-
-		this.#jsonapiSerializer = new JSONAPISerializer({
-			'convert-case': 'kebab-case'
-		});
-
-		this?._registerSerializerTypes?.(this.#jsonapiSerializer);
-
-		this.#domainInterface = merge?.({}, super.domainInterface, {
-			apiRegistry: domainApiRegistry,
-			iocContainer: domainIocContainer,
-			models: this.#getModels?.bind?.(this),
-			templates: this.#getTemplates?.bind?.(this),
-			serializer: this.#jsonapiSerializer
-		});
+		this.#domainInterface = await this.#createDomainInterface?.();
+
+		try {
+			await super.load?.();
+		} catch (error) {
+			// Detach the registry / container - and, with them, whatever the
+			// sub-artifacts registered before the failure - so that the load
+			// can be retried, or the domain quarantined, cleanly
+			await this.#rollbackLoad?.(error);
+		}
 
-		await super.load?.();
 		return;
 	}
 
@@ -105,13 +85,21 @@ export class BaseDomain extends EVASBaseDomain {
 	 *
 	 */
 	async unload() {
-		// Un-instantiate / clean-up references;
+		// Step 1: Basic un-init - the sub-artifacts de-register their APIs
+		// on the way out
+		await super.unload?.();
+
+		// Step 2: Detach the registry / container from the parent domain's,
+		// so that the domain can be loaded again - when its flag is turned
+		// back on, for instance - and the parent doesn't walk the old ones
+		await this.#domainInterface?.apiRegistry?.unregisterAll?.();
+		await this.#domainInterface?.iocContainer?.dispose?.();
+
+		// Finally, Un-instantiate / clean-up references;
 		this.#domainInterface = undefined;
 		this.#jsonapiSerializer = undefined;
 		this.#modelMethods?.clear?.();
 
-		// Finally, Basic un-init
-		await super.unload?.();
 		return;
 	}
 	// #endregion
@@ -142,9 +130,89 @@ export class BaseDomain extends EVASBaseDomain {
 		// for their domain here.
 		return;
 	}
+
+	/**
+	 * @memberof BaseDomain
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _renewDomainInterface
+	 *
+	 * @returns {object} - Domain Interface
+	 *
+	 * @description
+	 * Sets up a fresh API Registry / IoC Container when the sub-artifacts
+	 * are hot reloaded - the old ones are torn down as they're unloaded.
+	 *
+	 */
+	async _renewDomainInterface() {
+		this.#domainInterface = await this.#createDomainInterface?.();
+		return this.#domainInterface;
+	}
 	// #endregion
 
 	// #region Private Methods
+	async #createDomainInterface() {
+		// Call derived class method with the JSON Serializer
+		// instance to register types, etc. that are domain
+		// specific
+		let JSONAPISerializer = await import('json-api-serializer');
+		JSONAPISerializer = JSONAPISerializer?.['default'];
+
+		this.#jsonapiSerializer = new JSONAPISerializer({
+			'convert-case': 'kebab-case'
+		});
+
+		this?._registerSerializerTypes?.(this.#jsonapiSerializer);
+
+		// Attached to the parent domain's last - nothing to roll back if
+		// anything above fails
+		const domainApiRegistry = new APIRegistry(
+			this?.name,
+			super.domainInterface?.apiRegistry
+		);
+
+		const domainIocContainer = new IocContainer(
+			this?.name,
+			super.domainInterface?.iocContainer
+		);
+
+		return merge?.({}, super.domainInterface, {
+			apiRegistry: domainApiRegistry,
+			iocContainer: domainIocContainer,
+			models: this.#getModels?.bind?.(this),
+			templates: this.#getTemplates?.bind?.(this),
+			serializer: this.#jsonapiSerializer
+		});
+	}
+
+	async #rollbackLoad(error) {
+		const rollbackResolutions = await Promise?.allSettled?.([
+			this.#domainInterface?.apiRegistry?.unregisterAll?.(),
+			this.#domainInterface?.iocContainer?.dispose?.()
+		]);
+
+		this.#domainInterface = undefined;
+		this.#jsonapiSerializer = undefined;
+
+		const rollbackErrors = rollbackResolutions
+			?.filter?.((resolution) => {
+				return resolution?.status !== 'fulfilled';
+			})
+			?.map?.((resolution) => {
+				return resolution?.reason;
+			});
+
+		if (rollbackErrors?.length)
+			throw new AggregateError(
+				[error, ...rollbackErrors],
+				`Error loading ${this?.name}`
+			);
+
+		throw error;
+	}
+
 	async #getModels(modelList) {
 		let loadModelResolutions = [];
 
@@ -155,7 +223,11 @@ export class BaseDomain extends EVASBaseDomain {
 
 			const modelMethod = this.#modelMethods?.get?.(model?.type);
 			loadModelResolutions?.push?.(
-				modelMethod?.(model?.name, model?.configuration)
+				modelMethod?.(
+					model?.name,
+					model?.configuration,
+					model?.repository
+				)
 			);
 		}
 
@@ -209,7 +281,7 @@ export class BaseDomain extends EVASBaseDomain {
 		return templateList;
 	}
 
-	async #getRelationalModel(name, configuration) {
+	async #getRelationalModel(name, configuration, repositoryName) {
 		const modelFile = join(
 			this?.__dirname,
 			'models/relational',
@@ -219,8 +291,10 @@ export class BaseDomain extends EVASBaseDomain {
 		let ModelClass = await import(modelFile);
 		ModelClass = ModelClass?.['Model'];
 
+		// Named instances - SQLDatabase:reporting, say - are resolved by
+		// their logical name, rather than the connection configuration
 		const database = await this.#domainInterface?.iocContainer?.resolve?.(
-			'SQLDatabase',
+			repositoryName ? `SQLDatabase:${repositoryName}` : 'SQLDatabase',
 			configuration
 		);
 
@@ -228,7 +302,7 @@ export class BaseDomain extends EVASBaseDomain {
 		return model;
 	}
 
-	async #getMongooseModel(name, configuration) {
+	async #getMongooseModel(name, configuration, repositoryName) {
 		const modelFile = join(
 			this?.__dirname,
 			'models/mongo',
@@ -240,7 +314,7 @@ export class BaseDomain extends EVASBaseDomain {
 
 		const mongooseInstance =
 			await this.#domainInterface?.iocContainer?.resolve?.(
-				'MongoDB',
+				repositoryName ? `MongoDB:${repositoryName}` : 'MongoDB',
 				configuration
 			);
 
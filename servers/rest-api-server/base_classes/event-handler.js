@@ -39,7 +39,22 @@ export class BaseEventHandler extends EVASBaseEventHandler {
 	 */
 	async load() {
 		await super.load?.();
-		await this?._registerHandlers?.();
+
+		try {
+			await this?._registerHandlers?.();
+		} catch (error) {
+			// Take back whatever did get registered before the failure
+			try {
+				await this?._unregisterHandlers?.();
+			} catch (unregisterError) {
+				throw new AggregateError(
+					[error, unregisterError],
+					`Error registering handlers for ${this?.name}`
+				);
+			}
+
+			throw error;
+		}
 	}
 
 	/**
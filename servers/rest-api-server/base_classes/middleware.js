@@ -47,7 +47,22 @@ export class BaseMiddleware extends EVASBaseMiddleware {
 	 */
 	async load() {
 		await super.load?.();
-		await this?._registerApi?.();
+
+		try {
+			await this?._registerApi?.();
+		} catch (error) {
+			// Take back whatever did get registered before the failure
+			try {
+				await this?._unregisterApi?.();
+			} catch (unregisterError) {
+				throw new AggregateError(
+					[error, unregisterError],
+					`Error registering API for ${this?.name}`
+				);
+			}
+
+			throw error;
+		}
 	}
 
 	/**
@@ -126,17 +141,23 @@ export class BaseMiddleware extends EVASBaseMiddleware {
 	 * Surrounds the given method with an exponential back-off retry mechanism
 	 * to enable circuit breaker like functionality
 	 *
+	 * Retries are abandoned once the API execution this is part of has timed
+	 * out, or has been cancelled
+	 *
 	 */
 	async _executeWithBackOff(method) {
 		const logger =
 			await this?.domainInterface?.iocContainer?.resolve?.('Logger');
 
+		const executionSignal =
+			this?.domainInterface?.apiRegistry?.executionSignal;
+
 		const returnValue = await backOff?.(method, {
 			delayFirstAttempt: false,
 			numOfAttempts: MAX_RETRY_COUNT,
 			retry: (error) => {
 				logger?.error?.(error?.message);
-				return true;
+				return !executionSignal?.aborted;
 			}
 		});
 
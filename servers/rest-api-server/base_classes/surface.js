@@ -3,7 +3,13 @@
  * @ignore
  */
 import { dirname, join, normalize, relative } from 'node:path';
+import { BootProfiler } from '@twyr/framework-classes';
 import { EVASBaseSurface } from '@twyr/framework-classes';
+import {
+	EVASAuthenticationError,
+	EVASAuthorizationError,
+	EVASNotFoundError
+} from '@twyr/error-serializer';
 
 /**
  * @class BaseSurface
@@ -89,6 +95,8 @@ export class BaseSurface extends EVASBaseSurface {
 		let Router = await import('@koa/router');
 		Router = Router?.['default'];
 
+		const routeRegistrationStart = performance?.now?.();
+
 		// Step 3: Get the surface surface, and register it with the surface router
 		const surface = await this?._registerSurface?.();
 		for (const restApi of surface) {
@@ -100,6 +108,14 @@ export class BaseSurface extends EVASBaseSurface {
 			const routeMiddlewares = restApi?.middlewares?.slice?.() ?? [];
 			routeMiddlewares?.push?.(restApi?.handler);
 
+			// Feature-flagged surfaces are loaded if the feature is on for
+			// anybody - check the tenant making the request as well
+			if (this?.domainInterface?.featureFlags?.length) {
+				routeMiddlewares?.unshift?.(
+					this.#checkFeatureFlags?.bind?.(this)
+				);
+			}
+
 			let router = this.#routers?.get?.(`v${restApiVersion}`) ?? null;
 			if (!router) {
 				router = new Router({
@@ -113,14 +129,29 @@ export class BaseSurface extends EVASBaseSurface {
 			router?.[httpMethod]?.(restPath, ...routeMiddlewares);
 		}
 
-		// Finally, add this router to the RESTApi Repository...
+		// Finally, add this router to the RESTApi Repository - keeping track
+		// of the routes it copies over, so that they can be taken off again
 		const restApiInstance =
 			await this?.domainInterface?.iocContainer?.resolve?.('RestApi');
 		const mainRouters = restApiInstance?.routers;
 
 		this.#routers?.forEach((router, key) => {
-			mainRouters?.get?.(key)?.use?.(router?.routes?.());
+			const mainRouter = mainRouters?.get?.(key);
+			if (!mainRouter) return;
+
+			const mainRouterStackLength = mainRouter?.stack?.length;
+			mainRouter?.use?.(router?.routes?.());
+
+			this.#mountedRoutes?.set?.(
+				mainRouter,
+				mainRouter?.stack?.slice?.(mainRouterStackLength)
+			);
 		});
+
+		BootProfiler?.record?.(
+			{ kind: 'routes', name: surfacePath },
+			performance?.now?.() - routeRegistrationStart
+		);
 	}
 
 	/**
@@ -180,6 +211,18 @@ export class BaseSurface extends EVASBaseSurface {
 	 *
 	 */
 	async _unregisterSurface() {
+		// The RESTApi routers have their own copies of the routes...
+		this.#mountedRoutes?.forEach((mountedRoutes, mainRouter) => {
+			for (const mountedRoute of mountedRoutes) {
+				const routeIndex = mainRouter?.stack?.indexOf?.(mountedRoute);
+				if (routeIndex < 0) continue;
+
+				mainRouter?.stack?.splice?.(routeIndex, 1);
+			}
+		});
+
+		this.#mountedRoutes?.clear?.();
+
 		this.#routers?.forEach((router) => {
 			router.stack.length = 0;
 		});
@@ -210,14 +253,11 @@ export class BaseSurface extends EVASBaseSurface {
 	async _rbac(permission) {
 		const permissionCheckerMiddleware =
 			async function permissionCheckerMiddleware(ctxt, next) {
-				if (!ctxt.state.user) {
-					const userError = new Error(
-						`EVASERVER::SERVER_USERS::SESSION_MANAGER::NO_ACTIVE_SESSION`
+				const currentUser = await this?._getCurrentUser?.(ctxt);
+				if (!currentUser) {
+					throw new EVASAuthenticationError(
+						'EVASERVER::SERVER_USERS::SESSION_MANAGER::NO_ACTIVE_SESSION'
 					);
-					userError.code =
-						'EVASERVER::SERVER_USERS::SESSION_MANAGER::NO_ACTIVE_SESSION';
-
-					throw userError;
 				}
 
 				if (permission === 'registered') {
@@ -225,13 +265,9 @@ export class BaseSurface extends EVASBaseSurface {
 					return;
 				}
 
-				const permissionError = new Error(
-					`EVASERVER::SERVER_USERS::SESSION_MANAGER::AUTHORIZATION_FAILURE`
+				throw new EVASAuthorizationError(
+					'EVASERVER::SERVER_USERS::SESSION_MANAGER::AUTHORIZATION_FAILURE'
 				);
-				permissionError.code =
-					'EVASERVER::SERVER_USERS::SESSION_MANAGER::AUTHORIZATION_FAILURE';
-
-				throw permissionError;
 			};
 
 		// Finally, return the middleware...
@@ -269,9 +305,80 @@ export class BaseSurface extends EVASBaseSurface {
 
 		return assetAccessCheckerMiddleware?.bind?.(this);
 	}
+
+	/**
+	 * @memberof BaseSurface
+	 * @async
+	 * @instance
+	 * @function
+	 * @name _getCurrentUser
+	 *
+	 * @param {object} [ctxt] - Koa Context for the request
+	 *
+	 * @returns {object} - The user making the request - undefined, if anonymous
+	 *
+	 * @description
+	 * Resolves the CurrentUser from the IoC scope the RESTApi sets up for
+	 * each request.
+	 *
+	 */
+	async _getCurrentUser(ctxt) {
+		const requestContainer = ctxt?.state?.iocContainer;
+		if (!(await requestContainer?.borrow?.('CurrentUser'))) return;
+
+		const currentUser = await requestContainer?.resolve?.('CurrentUser');
+		return currentUser;
+	}
+	// #endregion
+
+	// #region Private Methods
+	/**
+	 * @memberof BaseSurface
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #checkFeatureFlags
+	 *
+	 * @param {object} [ctxt] - Koa context
+	 * @param {Function} [next] - Next middleware in the chain
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Responds with a 404 if any of the feature flags of the bounded context
+	 * (and the domains it is in) is off for the tenant - the sub-domain the
+	 * request came in on.
+	 */
+	async #checkFeatureFlags(ctxt, next) {
+		const featureFlagsRepository =
+			await this?.domainInterface?.iocContainer?.resolve?.(
+				'FeatureFlags'
+			);
+
+		const tenant = ctxt?.subdomains?.at?.(-1);
+		for (const featureFlag of this?.domainInterface?.featureFlags ?? []) {
+			const isEnabled = await featureFlagsRepository?.isEnabled?.(
+				featureFlag,
+				{ tenant: tenant }
+			);
+
+			if (isEnabled) continue;
+
+			throw new EVASNotFoundError(
+				'EVASERVER::FEATURE_FLAGS::FEATURE_NOT_ENABLED',
+				{
+					message: `${featureFlag} is not enabled for ${tenant ?? 'this tenant'}`
+				}
+			);
+		}
+
+		await next?.();
+	}
 	// #endregion
 
 	// #region Private Fields
 	#routers = new Map();
+	#mountedRoutes = new Map();
 	// #endregion
 }
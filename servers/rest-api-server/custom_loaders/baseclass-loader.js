@@ -37,7 +37,10 @@ import { errorSerializer } from '@twyr/error-serializer';
  */
 export async function resolve(specifier, context, nextResolve) {
 	if (!specifier.startsWith('baseclass:')) {
-		return nextResolve(specifier, context);
+		const resolution = await nextResolve(specifier, context);
+		if (!/^(\.{0,2}\/|file:)/.test(specifier)) return resolution;
+
+		return propagateImportVersion(resolution, context);
 	}
 
 	const baseclassFolder = './base_classes';
@@ -79,10 +82,44 @@ export async function resolve(specifier, context, nextResolve) {
 		);
 	}
 
-	return {
-		shortCircuit: true,
-		url: `file://${baseclassFilePath}`
-	};
+	return propagateImportVersion(
+		{
+			shortCircuit: true,
+			url: `file://${baseclassFilePath}`
+		},
+		context
+	);
+}
+
+/**
+ * @function
+ * @name propagateImportVersion
+ *
+ * @param {object} [resolution] - the resolved url, etc.
+ * @param {object} [context] - random stuff
+ *
+ * @returns {object} - the resolution - versioned, if the importer is
+ *
+ * @description
+ * Artifacts being hot-reloaded are imported with a version query (see
+ * bustImportCache in the framework classes) - this passes the version on
+ * to the server files they import, so that changes to those are picked up
+ * as well. Packages - bare specifiers - are left alone.
+ */
+function propagateImportVersion(resolution, context) {
+	if (!context?.parentURL?.startsWith?.('file:')) return resolution;
+	if (!resolution?.url?.startsWith?.('file:')) return resolution;
+
+	const importVersion = new URL(context?.parentURL)?.searchParams?.get?.(
+		'version'
+	);
+	if (!importVersion) return resolution;
+
+	const resolvedUrl = new URL(resolution?.url);
+	if (resolvedUrl?.search) return resolution;
+
+	resolvedUrl?.searchParams?.set?.('version', importVersion);
+	return { ...resolution, url: resolvedUrl?.href };
 }
 
 /**
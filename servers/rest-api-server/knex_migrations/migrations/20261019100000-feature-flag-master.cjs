@@ -0,0 +1,93 @@
+'use strict';
+
+exports.up = async function (knex) {
+	let exists;
+
+	// Step 1: Create feature_flag_master table
+	exists = await knex?.schema
+		?.withSchema?.('public')
+		?.hasTable?.('feature_flag_master');
+	if (!exists) {
+		await knex?.schema
+			?.withSchema?.('public')
+			?.createTable?.('feature_flag_master', function (featureFlagTable) {
+				featureFlagTable?.text?.('name')?.notNullable?.()?.primary?.();
+
+				featureFlagTable
+					?.boolean?.('is_enabled')
+					?.notNullable?.()
+					?.defaultTo?.(false);
+
+				// NULL => every environment / tenant
+				featureFlagTable?.specificType?.('environments', 'text[]');
+				featureFlagTable?.specificType?.('tenants', 'text[]');
+
+				featureFlagTable?.text?.('description');
+
+				featureFlagTable
+					?.timestamp?.('created_at')
+					?.notNullable?.()
+					?.defaultTo?.(knex.fn.now());
+				featureFlagTable
+					?.timestamp?.('updated_at')
+					?.notNullable?.()
+					?.defaultTo?.(knex.fn.now());
+			});
+	}
+
+	// Step 2: Create trigger to notify when the table is modified in any way
+	await knex.schema.withSchema('public').raw(`
+CREATE OR REPLACE FUNCTION public.fn_notify_feature_flag_change ()
+	RETURNS trigger
+	LANGUAGE plpgsql
+	VOLATILE
+	CALLED ON NULL INPUT
+	SECURITY INVOKER
+	COST 1
+	AS $$
+BEGIN
+	IF TG_OP = 'INSERT' OR  TG_OP = 'UPDATE'
+	THEN
+		PERFORM pg_notify('FEATURE_FLAG_CHANGE', NEW.name);
+	END IF;
+
+	IF TG_OP = 'UPDATE' AND OLD.name <> NEW.name
+	THEN
+		PERFORM pg_notify('FEATURE_FLAG_CHANGE', OLD.name);
+	END IF;
+
+	IF TG_OP = 'DELETE'
+	THEN
+		PERFORM pg_notify('FEATURE_FLAG_CHANGE', OLD.name);
+	END IF;
+
+	RETURN NULL;
+END;
+$$;`);
+
+	await knex.schema
+		.withSchema('public')
+		.raw(
+			'CREATE TRIGGER trigger_notify_feature_flag_change AFTER INSERT OR UPDATE ON public.feature_flag_master FOR EACH ROW EXECUTE PROCEDURE public.fn_notify_feature_flag_change();'
+		);
+	await knex.schema
+		.withSchema('public')
+		.raw(
+			'CREATE TRIGGER trigger_notify_feature_flag_delete AFTER DELETE ON public.feature_flag_master FOR EACH ROW EXECUTE PROCEDURE public.fn_notify_feature_flag_change();'
+		);
+};
+
+exports.down = async function (knex) {
+	await knex.raw(
+		`DROP TRIGGER IF EXISTS trigger_notify_feature_flag_delete ON public.feature_flag_master CASCADE;`
+	);
+	await knex.raw(
+		`DROP TRIGGER IF EXISTS trigger_notify_feature_flag_change ON public.feature_flag_master CASCADE;`
+	);
+	await knex?.raw?.(
+		`DROP FUNCTION IF EXISTS public.fn_notify_feature_flag_change () CASCADE;`
+	);
+	await knex?.raw?.(
+		`DROP TABLE IF EXISTS public.feature_flag_master CASCADE;`
+	);
+};
@@ -27,6 +27,52 @@ exports.seed = async function (knex) {
 			locale_code: 'en-IN',
 			message_text: 'OTP expired or invalid.'
 		},
+		{
+			message_code: 'FEATURE_FLAGS::FEATURE_NOT_ENABLED',
+			locale_code: 'en-IN',
+			message_text: 'The requested resource was not found.'
+		},
+		{
+			message_code: 'API_REGISTRY::INVALID_INPUT',
+			locale_code: 'en-IN',
+			message_text:
+				'The request data is incomplete or invalid. Please check and try again.'
+		},
+		{
+			message_code: 'API_REGISTRY::INVALID_OUTPUT',
+			locale_code: 'en-IN',
+			message_text:
+				"System Error. We're working to fix it. Apologies for the inconvenience"
+		},
+		{
+			message_code: 'API_REGISTRY::QUORUM_NOT_REACHED',
+			locale_code: 'en-IN',
+			message_text:
+				"System Error. We're working to fix it. Apologies for the inconvenience"
+		},
+		{
+			message_code: 'API_REGISTRY::EXECUTION_TIMEOUT',
+			locale_code: 'en-IN',
+			message_text:
+				'The server took too long to respond. Please try again after some time.'
+		},
+		{
+			message_code: 'API_REGISTRY::EXECUTION_CANCELLED',
+			locale_code: 'en-IN',
+			message_text: 'The request was cancelled before it could complete.'
+		},
+		{
+			message_code: 'API_REGISTRY::TRANSPORT_TIMEOUT',
+			locale_code: 'en-IN',
+			message_text:
+				'The service responsible for the request did not respond in time. Please try again after some time.'
+		},
+		{
+			message_code: 'API_REGISTRY::TRANSPORT_DISCONNECTED',
+			locale_code: 'en-IN',
+			message_text:
+				'The service responsible for the request is not available. Please try again after some time.'
+		},
 		// Server User domain, Session Manager context messages
 		{
 			message_code: 'SERVER_USERS::SESSION_MANAGER::OTP_MESSAGE_SMS',
@@ -3,14 +3,50 @@
  * @ignore
  */
 import { EventEmitter } from 'node:events';
+import { watch } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join, relative, resolve, sep } from 'node:path';
 
 import { EVASBaseArtifact } from '@twyr/framework-classes';
 import { EVASBaseFactory } from '@twyr/framework-classes';
+import { ARTIFACT_LIFECYCLE_EVENTS } from '@twyr/framework-classes';
+import { BootProfiler } from '@twyr/framework-classes';
 
 import { ServerLifecycleManagerFactory } from '@twyr/framework-classes';
+import { BoundedContextLifecycleManagerFactory } from '@twyr/framework-classes';
+import { DomainLifecycleManagerFactory } from '@twyr/framework-classes';
+
+import { configureRedaction } from '@twyr/error-serializer';
+import { errorSerializer } from '@twyr/error-serializer';
+import { DEFAULT_REDACTION_RULES } from '@twyr/error-serializer';
 
 import { APIRegistry } from '@twyr/api-registry';
+import { IpcTransport, RedisTransport } from '@twyr/api-registry';
 import { IocContainer } from '@twyr/server-dependency-manager';
+import { createMethodDecorator } from '@twyr/server-dependency-manager';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const SLOW_CALL_THRESHOLD = 1_000; // 1 second
+const HOT_RELOAD_DEBOUNCE = 250; // milliseconds
+
+/**
+ * The repositories whose calls are logged if slow
+ * @ignore
+ */
+const SLOW_CALL_REPOSITORIES = ['Cache', 'MongoDB', 'SQLDatabase'];
+
+/**
+ * The folders holding the artifacts that can be reloaded without restarting
+ * the server - and the lifecycle manager factories that reload them
+ * @ignore
+ */
+const RELOADABLE_ARTIFACTS = new Map([
+	['bounded_contexts', BoundedContextLifecycleManagerFactory],
+	['domains', DomainLifecycleManagerFactory]
+]);
 
 /**
  * @class ApplicationServer
@@ -53,6 +89,12 @@ class ApplicationServer extends EVASBaseArtifact {
 		this.#iocContainer = new IocContainer(this.#serverName, undefined);
 		this.#eventEmitter = new EventEmitter();
 
+		// Step 2.1: Decorate the repositories before anyone resolves them
+		await this.#decorateRepositories?.();
+
+		// Step 2.2: Keep track of the (optional) artifacts that fail to load
+		this.#trackQuarantinedArtifacts?.();
+
 		const serverInterface = Object?.assign?.(
 			{},
 			{
@@ -61,22 +103,53 @@ class ApplicationServer extends EVASBaseArtifact {
 				eventEmitter: this.#eventEmitter
 			}
 		);
-		await ServerLifecycleManagerFactory?.createInstances?.(
-			this?.__dirname,
-			serverInterface
-		);
 
-		// Step 3: Start listening for HTTP Requests
+		// Step 2.3: Load the artifact tree - timing every artifact in it
+		this.#bootProfiler = new BootProfiler(this.#serverName);
+		await this.#bootProfiler?.profile?.(() => {
+			return ServerLifecycleManagerFactory?.createInstances?.(
+				this?.__dirname,
+				serverInterface
+			);
+		});
+
+		// Step 2.4: Redact the secrets / PII configured, over and above the defaults
+		await this.#configureRedaction?.();
+
+		// Step 3: Connect the API Registry to the other processes, if required
+		await this.#attachApiTransport?.();
+
+		// Step 4: Start listening for HTTP Requests
 		const restApiRepository =
 			await this.#iocContainer?.resolve?.('RestApi');
+		await restApiRepository?.registerAdminRoutes?.({
+			...serverInterface,
+			bootStatus: this.#getBootStatus?.bind?.(this),
+			bootProfiler: this.#bootProfiler
+		});
 		await restApiRepository?.start?.();
 
+		// Step 5: During development, reload the domains / bounded contexts as they change
+		await this.#watchArtifacts?.();
+
 		// Finally, announce we're up...
 		const loggerRepository = await this.#iocContainer?.resolve?.('Logger');
 		loggerRepository?.info?.(
 			`\n\nTICKING AWAY THE MOMENTS THAT MAKE UP A DULL DAY...`
 		);
 
+		if (this.#quarantinedArtifacts?.size) {
+			loggerRepository?.warn?.(
+				`Running degraded - quarantined: ${Array?.from?.(
+					this.#quarantinedArtifacts?.values?.() ?? [],
+					(quarantinedArtifact) => {
+						return quarantinedArtifact?.name;
+					}
+				)?.join?.(', ')}`
+			);
+		}
+
+		await this.#writeBootProfile?.();
 		return;
 	}
 
@@ -100,15 +173,30 @@ class ApplicationServer extends EVASBaseArtifact {
 			`\n\nTHE TIME IS GONE, THE SONG IS OVER\nTHOUGHT I'D SOMETHING MORE TO SAY...\n`
 		);
 
+		// Step 1.1: Stop reloading the artifacts as they change
+		this.#artifactWatcher?.close?.();
+		this.#artifactWatcher = undefined;
+
+		this.#pendingReloads?.forEach?.((reloadTimer) => {
+			clearTimeout?.(reloadTimer);
+		});
+		this.#pendingReloads?.clear?.();
+		await this.#artifactReloads;
+
 		// Step 2: Stop the REST API server
 		const restApiRepository =
 			await this.#iocContainer?.resolve?.('RestApi');
 		await restApiRepository?.stop?.();
 
-		// Step 3: Unload the sub-artifacts
+		// Step 3: Disconnect the API Registry from the other processes
+		await this.#apiRegistry?.detachTransport?.();
+
+		// Step 4: Unload the sub-artifacts
 		await ServerLifecycleManagerFactory?.destroyInstances?.();
 
-		// Step 4: Un-instantiate.
+		// Step 5: Un-instantiate.
+		this.#quarantinedArtifacts?.clear?.();
+		this.#bootProfiler = undefined;
 		this.#apiRegistry = undefined;
 		this.#iocContainer = undefined;
 
@@ -119,10 +207,454 @@ class ApplicationServer extends EVASBaseArtifact {
 	}
 	// #endregion
 
+	// #region Private Methods
+	/**
+	 * @memberof ApplicationServer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #decorateRepositories
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Adds the cross-cutting decorators to the IoC Container - currently, a
+	 * warning for the asynchronous repository calls that take longer than
+	 * SLOW_CALL_THRESHOLD milliseconds to settle.
+	 */
+	async #decorateRepositories() {
+		const slowCallLogger = createMethodDecorator?.((call, next) => {
+			const start = performance?.now?.();
+			const result = next?.();
+
+			// Synchronous calls, and query builders, aren't timed
+			if (!(result instanceof Promise)) return result;
+
+			return result?.finally?.(() => {
+				const duration = performance?.now?.() - start;
+				if (duration < SLOW_CALL_THRESHOLD) return;
+
+				this.#iocContainer
+					?.resolve?.('Logger')
+					?.then?.((loggerRepository) => {
+						loggerRepository?.warn?.(
+							`Slow call: ${call?.domainPath}::${call?.name}::${call?.method} took ${Math?.round?.(duration)}ms`
+						);
+					})
+					?.catch?.(() => {});
+			});
+		});
+
+		for (const repositoryName of SLOW_CALL_REPOSITORIES) {
+			await this.#iocContainer?.addDecorator?.(
+				repositoryName,
+				slowCallLogger
+			);
+		}
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #attachApiTransport
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Attaches the transport configured in APIREGISTRY.TRANSPORT - "redis" (via
+	 * the Cache repository) or "ipc" (via a local socket) - to the API Registry,
+	 * so that patterns not resolved in this process are forwarded to others.
+	 */
+	async #attachApiTransport() {
+		const configRepository =
+			await this.#iocContainer?.resolve?.('Configuration');
+		const configuration =
+			await configRepository?.getConfig?.('APIRegistry');
+
+		let transport = undefined;
+		switch (configuration?.['TRANSPORT']) {
+			case 'redis': {
+				const cacheRepository =
+					await this.#iocContainer?.resolve?.('Cache');
+
+				transport = new RedisTransport(cacheRepository, {
+					channel: configuration?.['CHANNEL'],
+					timeout: configuration?.['TIMEOUT']
+				});
+				break;
+			}
+
+			case 'ipc':
+				transport = new IpcTransport({
+					path: configuration?.['IPC_PATH'],
+					listen: configuration?.['IPC_LISTEN'],
+					timeout: configuration?.['TIMEOUT']
+				});
+				break;
+
+			default:
+				return;
+		}
+
+		await this.#apiRegistry?.attachTransport?.(transport);
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #configureRedaction
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Adds the redaction rules configured in REDACTION - KEYS (names), PATHS
+	 * (path expressions) and PATTERNS (RegExp sources) - to the defaults, for
+	 * the error serializer and the Audit repository alike.
+	 */
+	async #configureRedaction() {
+		const configRepository =
+			await this.#iocContainer?.resolve?.('Configuration');
+		const configuration = await configRepository?.getConfig?.('Redaction');
+
+		const keyRules = (configuration?.['KEYS'] ?? [])?.map?.((key) => {
+			return { key: key };
+		});
+		const pathRules = (configuration?.['PATHS'] ?? [])?.map?.((path) => {
+			return { path: path };
+		});
+		const patternRules = (configuration?.['PATTERNS'] ?? [])?.map?.(
+			(pattern) => {
+				return { pattern: new RegExp(pattern, 'g') };
+			}
+		);
+
+		const rules = [
+			DEFAULT_REDACTION_RULES,
+			keyRules ?? [],
+			pathRules ?? [],
+			patternRules ?? []
+		]?.flat?.();
+
+		configureRedaction?.({
+			rules: rules,
+			replacement: configuration?.['REPLACEMENT']
+		});
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #trackQuarantinedArtifacts
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description
+	 * Optional artifacts that fail to load (see BOOTPOLICY) are quarantined,
+	 * and the server comes up without them - this keeps a note of them for
+	 * the boot status, and logs the failures / retries along the way. An
+	 * artifact that loads later on - reloaded, say - is let out.
+	 */
+	#trackQuarantinedArtifacts() {
+		const logLifecycleEvent = async (logLevel, message) => {
+			const loggerRepository =
+				await this.#iocContainer?.resolve?.('Logger');
+			// eslint-disable-next-line security/detect-object-injection
+			loggerRepository?.[logLevel]?.(message);
+		};
+
+		this.#eventEmitter?.on?.(
+			ARTIFACT_LIFECYCLE_EVENTS.QUARANTINED,
+			(lifecycleEvent) => {
+				const quarantinedArtifact = {
+					kind: lifecycleEvent?.kind,
+					name: lifecycleEvent?.name,
+					path: lifecycleEvent?.path,
+					attempts: lifecycleEvent?.attempt,
+					quarantinedAt: new Date(
+						lifecycleEvent?.timestamp
+					)?.toISOString?.(),
+					error: errorSerializer?.(lifecycleEvent?.error)
+				};
+
+				this.#quarantinedArtifacts?.set?.(
+					`${lifecycleEvent?.path}::${lifecycleEvent?.name}`,
+					quarantinedArtifact
+				);
+
+				logLifecycleEvent?.(
+					'error',
+					`Boot Policy::${lifecycleEvent?.name} quarantined after ${lifecycleEvent?.attempt} attempt(s):\n${JSON?.stringify?.(quarantinedArtifact?.error, undefined, '\t')}`
+				)?.catch?.(() => {});
+			}
+		);
+
+		this.#eventEmitter?.on?.(
+			ARTIFACT_LIFECYCLE_EVENTS.RETRYING,
+			(lifecycleEvent) => {
+				logLifecycleEvent?.(
+					'warn',
+					`Boot Policy::${lifecycleEvent?.name} failed to load (attempt ${lifecycleEvent?.attempt}), retrying in ${lifecycleEvent?.delay}ms: ${lifecycleEvent?.error?.message}`
+				)?.catch?.(() => {});
+			}
+		);
+
+		this.#eventEmitter?.on?.(
+			ARTIFACT_LIFECYCLE_EVENTS.LOADED,
+			(lifecycleEvent) => {
+				this.#quarantinedArtifacts?.delete?.(
+					`${lifecycleEvent?.path}::${lifecycleEvent?.name}`
+				);
+			}
+		);
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #getBootStatus
+	 *
+	 * @returns {object} - { status, quarantined }
+	 *
+	 * @description
+	 * The server is "degraded" if any artifact is quarantined - "ok"
+	 * otherwise.
+	 */
+	#getBootStatus() {
+		const quarantinedArtifacts = Array?.from?.(
+			this.#quarantinedArtifacts?.values?.() ?? []
+		);
+
+		return {
+			status: quarantinedArtifacts?.length ? 'degraded' : 'ok',
+			quarantined: quarantinedArtifacts
+		};
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #writeBootProfile
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Writes the boot profile to the files configured in BOOTPROFILE -
+	 * <OUTPUT>.json (the tree) and <OUTPUT>.folded (for flame graphs), with
+	 * OUTPUT relative to the server folder. Failing to write it is not worth
+	 * failing the boot over.
+	 */
+	async #writeBootProfile() {
+		const configRepository =
+			await this.#iocContainer?.resolve?.('Configuration');
+		const configuration =
+			await configRepository?.getConfig?.('BootProfile');
+		if (!configuration?.['OUTPUT']) return;
+
+		const loggerRepository = await this.#iocContainer?.resolve?.('Logger');
+		const outputPath = resolve?.(
+			dirname?.(this?.__dirname),
+			configuration?.['OUTPUT']
+		);
+
+		try {
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			await mkdir?.(dirname?.(outputPath), { recursive: true });
+
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			await writeFile?.(
+				`${outputPath}.json`,
+				JSON?.stringify?.(this.#bootProfiler?.report, undefined, '\t')
+			);
+
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			await writeFile?.(
+				`${outputPath}.folded`,
+				`${this.#bootProfiler?.foldedStacks}\n`
+			);
+
+			loggerRepository?.info?.(
+				`Boot profile written to ${outputPath}.json / .folded`
+			);
+		} catch (error) {
+			loggerRepository?.warn?.(
+				`Unable to write the boot profile to ${outputPath}: ${error?.message}`
+			);
+		}
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #watchArtifacts
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * In development, watches the server source for changes, and reloads the
+	 * innermost bounded context / domain containing the changed files - once
+	 * the changes settle for HOTRELOAD.DEBOUNCE milliseconds. Set
+	 * HOTRELOAD.ENABLED to false to restart the server manually, instead.
+	 */
+	async #watchArtifacts() {
+		if (serverEnvironment !== 'development') return;
+
+		const configRepository =
+			await this.#iocContainer?.resolve?.('Configuration');
+		const configuration = await configRepository?.getConfig?.('HotReload');
+		if (configuration?.['ENABLED'] === false) return;
+
+		const debounceDelay =
+			configuration?.['DEBOUNCE'] ?? HOT_RELOAD_DEBOUNCE;
+
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		this.#artifactWatcher = watch?.(
+			this?.__dirname,
+			{ recursive: true },
+			(eventType, fileName) => {
+				if (!fileName?.endsWith?.('.js')) return;
+
+				const artifactLocation = this.#locateReloadableArtifact?.(
+					join?.(this?.__dirname, fileName)
+				);
+				if (!artifactLocation) return;
+
+				// Editors write files in bursts - reload once they're done
+				clearTimeout?.(this.#pendingReloads?.get?.(artifactLocation));
+				this.#pendingReloads?.set?.(
+					artifactLocation,
+					setTimeout?.(() => {
+						this.#pendingReloads?.delete?.(artifactLocation);
+
+						// ... and one at a time
+						this.#artifactReloads = this.#artifactReloads?.then?.(
+							() => {
+								return this.#reloadArtifact?.(artifactLocation);
+							}
+						);
+					}, debounceDelay)
+				);
+			}
+		);
+
+		this.#artifactWatcher?.on?.('error', async (error) => {
+			const loggerRepository =
+				await this.#iocContainer?.resolve?.('Logger');
+
+			loggerRepository?.error?.(
+				`Hot Reload::watcher error: ${error?.message}`
+			);
+		});
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #locateReloadableArtifact
+	 *
+	 * @param {string} filePath - The changed file
+	 *
+	 * @returns {string} - The location of the innermost bounded context / domain containing the file, if any.
+	 */
+	#locateReloadableArtifact(filePath) {
+		const pathSegments = relative?.(this?.__dirname, filePath)?.split?.(
+			sep
+		);
+
+		// The last but one segment is the last one that can be an artifact name
+		let artifactLocation = undefined;
+		for (let index = 0; index < pathSegments?.length - 2; index++) {
+			if (!RELOADABLE_ARTIFACTS?.has?.(pathSegments?.at?.(index)))
+				continue;
+
+			artifactLocation = join?.(
+				this?.__dirname,
+				...pathSegments.slice(0, index + 2)
+			);
+		}
+
+		return artifactLocation;
+	}
+
+	/**
+	 * @memberof ApplicationServer
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #reloadArtifact
+	 *
+	 * @param {string} artifactLocation - The location of the bounded context / domain to be reloaded
+	 *
+	 * @returns {null} - Nothing.
+	 *
+	 * @description
+	 * Reloads the bounded context / domain, using its lifecycle manager
+	 * factory - the changes to its own index.js need a restart, though, as
+	 * the artifact itself lives on.
+	 */
+	async #reloadArtifact(artifactLocation) {
+		const loggerRepository = await this.#iocContainer?.resolve?.('Logger');
+		const artifactPath = relative?.(this?.__dirname, artifactLocation);
+
+		const artifactType = artifactPath?.split?.(sep)?.at?.(-2);
+		const LifecycleManagerFactory =
+			RELOADABLE_ARTIFACTS?.get?.(artifactType);
+
+		try {
+			const reloadStart = performance?.now?.();
+			const reloaded =
+				await LifecycleManagerFactory?.reloadInstances?.(
+					artifactLocation
+				);
+
+			if (!reloaded) {
+				loggerRepository?.warn?.(
+					`Hot Reload::${artifactPath} is not loaded - restart the server to pick up the changes`
+				);
+
+				return;
+			}
+
+			loggerRepository?.info?.(
+				`Hot Reload::${artifactPath} reloaded in ${Math?.round?.(performance?.now?.() - reloadStart)}ms`
+			);
+		} catch (error) {
+			loggerRepository?.error?.(
+				`Hot Reload::${artifactPath} reload failed:\n${JSON?.stringify?.(errorSerializer?.(error), undefined, '\t')}`
+			);
+		}
+	}
+	// #endregion
+
 	// #region Private Fields
 	#apiRegistry = undefined;
 	#iocContainer = undefined;
 	#eventEmitter = undefined;
+	#quarantinedArtifacts = new Map();
+	#bootProfiler = undefined;
+
+	#artifactWatcher = undefined;
+	#artifactReloads = Promise?.resolve?.();
+	#pendingReloads = new Map();
 
 	#serverName = undefined;
 	// #endregion
@@ -6,6 +6,12 @@ import { EVASBaseFactory } from '@twyr/framework-classes';
 import { createErrorForPropagation } from '@twyr/error-serializer';
 import { BaseMiddleware } from 'baseclass:middleware';
 
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const MASTERDATA_CACHE_TTL = 3_600_000; // 1 hour
+
 /**
  * @class Masterdata
  * @extends BaseMiddleware
@@ -45,36 +51,50 @@ export class Masterdata extends BaseMiddleware {
 			const apiRegistry = this?.domainInterface?.apiRegistry;
 			let registerResolutions = [];
 
+			// Masterdata changes rarely - so cache it in the Cache repository
+			const cacheRepository =
+				await this?.domainInterface?.iocContainer?.resolve?.('Cache');
+			const cacheOptions = {
+				ttl: MASTERDATA_CACHE_TTL,
+				store: cacheRepository
+			};
+
 			const baseApis = await super._registerApi?.();
 			for (const baseApi of baseApis ?? []) {
 				registerResolutions?.push?.(
-					apiRegistry?.register?.(baseApi?.pattern, baseApi?.handler)
+					apiRegistry?.register?.(
+						baseApi?.pattern,
+						baseApi?.handler,
+						{ owner: this?.name }
+					)
 				);
 			}
 
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'CONTACT_TYPE',
-					this.#getContactTypes?.bind?.(this)
+					this.#getContactTypesHandler,
+					{ owner: this?.name, cache: cacheOptions }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'CONNECTION_STATUS',
-					this.#getConnectionStatuses?.bind?.(this)
+					this.#getConnectionStatusesHandler,
+					{ owner: this?.name, cache: cacheOptions }
 				)
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.(
-					'GENDER',
-					this.#getGenders?.bind?.(this)
-				)
+				apiRegistry?.register?.('GENDER', this.#getGendersHandler, {
+					owner: this?.name,
+					cache: cacheOptions
+				})
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.(
-					'LOCALE',
-					this.#getLocales?.bind?.(this)
-				)
+				apiRegistry?.register?.('LOCALE', this.#getLocalesHandler, {
+					owner: this?.name,
+					cache: cacheOptions
+				})
 			);
 
 			registerResolutions =
@@ -118,27 +138,21 @@ export class Masterdata extends BaseMiddleware {
 			const apiRegistry = this?.domainInterface?.apiRegistry;
 			let unregisterResolutions = [];
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.(
-					'LOCALE',
-					this.#getLocales?.bind?.(this)
-				)
+				apiRegistry?.unregister?.('LOCALE', this.#getLocalesHandler)
 			);
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.(
-					'GENDER',
-					this.#getGenders?.bind?.(this)
-				)
+				apiRegistry?.unregister?.('GENDER', this.#getGendersHandler)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'CONNECTION_STATUS',
-					this.#getConnectionStatuses?.bind?.(this)
+					this.#getConnectionStatusesHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'CONTACT_TYPE',
-					this.#getContactTypes?.bind?.(this)
+					this.#getContactTypesHandler
 				)
 			);
 
@@ -233,6 +247,14 @@ export class Masterdata extends BaseMiddleware {
 		return masterdata;
 	}
 	//#endregion
+
+	// #region Private Fields
+	// Bound once - unregister needs the very functions that were registered
+	#getContactTypesHandler = this.#getContactTypes?.bind?.(this);
+	#getConnectionStatusesHandler = this.#getConnectionStatuses?.bind?.(this);
+	#getGendersHandler = this.#getGenders?.bind?.(this);
+	#getLocalesHandler = this.#getLocales?.bind?.(this);
+	// #endregion
 }
 
 /**
@@ -152,12 +152,12 @@ export class ServerUserBaseMiddleware extends BaseMiddleware {
 
 		// Step 4: Emit event
 		this?.domainInterface?.eventEmitter?.emit?.(data?.eventName, {
-			serverUserId: data?.serverUserId,
+			serverUserId: data?.user?.id,
 			entityId: createdEntity?.id
 		});
 
 		this?.domainInterface?.eventEmitter?.emit?.('SERVER_USER::LOGOUT', {
-			userId: data?.serverUserId
+			userId: data?.user?.id
 		});
 
 		return {
@@ -255,12 +255,12 @@ export class ServerUserBaseMiddleware extends BaseMiddleware {
 
 		// Step 4: Emit event
 		this?.domainInterface?.eventEmitter?.emit?.(data?.eventName, {
-			serverUserId: data?.serverUserId,
+			serverUserId: data?.user?.id,
 			entityId: updatedEntity?.id
 		});
 
 		this?.domainInterface?.eventEmitter?.emit?.('SERVER_USER::LOGOUT', {
-			userId: data?.serverUserId
+			userId: data?.user?.id
 		});
 
 		return {
@@ -299,7 +299,7 @@ export class ServerUserBaseMiddleware extends BaseMiddleware {
 		});
 
 		this?.domainInterface?.eventEmitter?.emit?.('SERVER_USER::LOGOUT', {
-			userId: data?.serverUserId
+			userId: data?.user?.id
 		});
 
 		return {
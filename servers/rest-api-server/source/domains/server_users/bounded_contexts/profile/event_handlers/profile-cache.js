@@ -0,0 +1,269 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { EVASBaseFactory } from '@twyr/framework-classes';
+import { createErrorForPropagation } from '@twyr/error-serializer';
+import { BaseEventHandler } from 'baseclass:event-handler';
+
+/**
+ * Events that change the profile of a server user
+ * @ignore
+ */
+const PROFILE_CHANGE_EVENTS = [
+	'SERVER_USER_UPDATED',
+	'SERVER_USER_DELETED',
+	'SERVER_USER_CONTACT_CREATED',
+	'SERVER_USER_CONTACT_UPDATED',
+	'SERVER_USER_CONTACT_DELETED',
+	'SERVER_USER_LOCALE_CREATED',
+	'SERVER_USER_LOCALE_UPDATED',
+	'SERVER_USER_LOCALE_DELETED'
+];
+
+/**
+ * @class ProfileCache
+ * @extends BaseEventHandler
+ *
+ * @param {string} [location] - __dirname for this file in CJS, basically
+ * @param {object} [domainInterface] - Domain functionality exposed to sub-artifacts
+ *
+ * @classdesc The Event Handler to invalidate the cached profile of a server user
+ */
+export class ProfileCache extends BaseEventHandler {
+	// #region Constructor
+	// eslint-disable-next-line jsdoc/require-jsdoc
+	constructor(location, domainInterface) {
+		super(location, domainInterface);
+	}
+	// #endregion
+
+	// #region Protected Methods, to be overridden by derived classes
+	/**
+	 * @memberof ProfileCache
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _registerHandlers
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Adds the handlers to the eventEmitter in the domainInterface
+	 *
+	 */
+	async _registerHandlers() {
+		const errors = [];
+
+		try {
+			const eventEmitter = this?.domainInterface?.eventEmitter;
+			let registerResolutions = [];
+
+			const baseHandlers = await super._registerHandlers?.();
+			for (const baseHandler of baseHandlers ?? []) {
+				registerResolutions?.push?.(
+					eventEmitter?.on?.(baseHandler?.event, baseHandler?.handler)
+				);
+			}
+
+			for (const eventName of PROFILE_CHANGE_EVENTS) {
+				registerResolutions?.push?.(
+					eventEmitter?.on?.(
+						eventName,
+						this.#invalidateProfileHandler
+					)
+				);
+			}
+
+			registerResolutions =
+				await Promise?.allSettled?.(registerResolutions);
+			for (const registerResolution of registerResolutions) {
+				if (registerResolution?.status === 'fulfilled') continue;
+				errors?.push?.(registerResolution?.reason);
+			}
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
+		if (!errors?.length) return;
+
+		const propagatedError = createErrorForPropagation?.(
+			`${this?.name}::_registerHandler error`,
+			errors
+		);
+
+		if (propagatedError) throw propagatedError;
+	}
+
+	/**
+	 * @memberof ProfileCache
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name _unregisterHandlers
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Removes the handlers from the eventEmitter in the domainInterface
+	 *
+	 */
+	async _unregisterHandlers() {
+		const errors = [];
+
+		try {
+			const eventEmitter = this?.domainInterface?.eventEmitter;
+			let unregisterResolutions = [];
+
+			for (const eventName of PROFILE_CHANGE_EVENTS) {
+				unregisterResolutions?.push?.(
+					eventEmitter?.off?.(
+						eventName,
+						this.#invalidateProfileHandler
+					)
+				);
+			}
+
+			unregisterResolutions = await Promise?.allSettled?.(
+				unregisterResolutions
+			);
+			for (const unregisterResolution of unregisterResolutions) {
+				if (unregisterResolution?.status === 'fulfilled') continue;
+				errors?.push?.(unregisterResolution?.reason);
+			}
+
+			await super._unregisterHandlers?.();
+		} catch (error) {
+			errors?.push?.(error);
+		}
+
+		if (!errors?.length) return;
+
+		const propagatedError = createErrorForPropagation?.(
+			`${this?.name}::_unregisterHandlers error`,
+			errors
+		);
+
+		if (propagatedError) throw propagatedError;
+	}
+	// #endregion
+
+	// #region Handlers
+	async #invalidateProfile(eventData) {
+		const userId = eventData?.serverUserId ?? eventData?.userId;
+		if (!userId) return;
+
+		const logger =
+			await this?.domainInterface?.iocContainer?.resolve?.('Logger');
+
+		try {
+			// The READ results are keyed by "<userId>!<relationships>"
+			await this?.domainInterface?.apiRegistry?.invalidate?.(
+				'READ',
+				`${userId}!`
+			);
+
+			logger?.debug?.(
+				`${this?.name}::invalidateProfile: ${userId} profile cache cleared`
+			);
+		} catch (error) {
+			logger?.error?.(
+				`${this?.name}::invalidateProfile: ${userId} error: ${error?.message}`
+			);
+		}
+	}
+	// #endregion
+
+	// #region Private Fields
+	// Bound once, so that the same listener is removed on unload
+	#invalidateProfileHandler = this.#invalidateProfile?.bind?.(this);
+	// #endregion
+}
+
+/**
+ * @class EventHandlerFactory
+ * @extends EVASBaseFactory
+ *
+ * @classdesc The Profile Module ProfileCache Event Handler Class Factory.
+ */
+export default class EventHandlerFactory extends EVASBaseFactory {
+	// #region Constructor
+	// eslint-disable-next-line jsdoc/require-jsdoc
+	constructor() {
+		super();
+	}
+	// #endregion
+
+	// #region Lifecycle API
+	/**
+	 * @memberof EventHandlerFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name createInstance
+	 *
+	 * @param {object} [domainInterface] - Domain functionality exposed to sub-artifacts
+	 *
+	 * @returns {ProfileCache} - The ProfileCache event handler instance.
+	 *
+	 */
+	static async createInstances(domainInterface) {
+		if (!EventHandlerFactory.#eventHandlerInstance) {
+			const profileCacheInstance = new ProfileCache(
+				EventHandlerFactory['$disk_unc'],
+				domainInterface
+			);
+
+			await profileCacheInstance?.load?.();
+			EventHandlerFactory.#eventHandlerInstance = profileCacheInstance;
+		}
+
+		return EventHandlerFactory.#eventHandlerInstance;
+	}
+
+	/**
+	 * @memberof EventHandlerFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Clears the ProfileCache instance
+	 */
+	static async destroyInstances() {
+		await EventHandlerFactory.#eventHandlerInstance?.unload?.();
+		EventHandlerFactory.#eventHandlerInstance = undefined;
+
+		return;
+	}
+	// #endregion
+
+	// #region Getters
+	/**
+	 * @memberof EventHandlerFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name EventHandlerName
+	 *
+	 * @returns {string} - Name of this event handler.
+	 *
+	 * @description
+	 * Returns the name of this event handler - ProfileCache
+	 */
+	static get EventHandlerName() {
+		return 'ProfileCache';
+	}
+	// #endregion
+
+	// #region Private Static Members
+	static #eventHandlerInstance = undefined;
+	// #endregion
+}
@@ -6,8 +6,68 @@ import { DateTime } from 'luxon';
 
 import { EVASBaseFactory } from '@twyr/framework-classes';
 import { createErrorForPropagation } from '@twyr/error-serializer';
+import { EVASConflictError, EVASValidationError } from '@twyr/error-serializer';
 import { ServerUserBaseMiddleware } from 'baseclass:middleware';
 
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const PROFILE_CACHE_TTL = 300_000; // 5 minutes
+
+/**
+ * API Contracts
+ * @ignore
+ */
+const PROFILE_DOCUMENT_SCHEMA = {
+	type: 'object',
+	required: ['data'],
+	properties: {
+		data: {
+			type: 'object',
+			required: ['type', 'attributes'],
+			properties: {
+				type: { const: 'server_user' },
+				attributes: { type: 'object' }
+			}
+		}
+	}
+};
+
+const PROFILE_RESPONSE_SCHEMA = {
+	type: 'object',
+	required: ['status'],
+	properties: {
+		status: { type: 'integer' }
+	}
+};
+
+const CREATE_CONTRACT = {
+	input: {
+		type: 'object',
+		required: ['data'],
+		properties: {
+			data: PROFILE_DOCUMENT_SCHEMA
+		}
+	},
+	output: PROFILE_RESPONSE_SCHEMA
+};
+
+const UPDATE_CONTRACT = {
+	input: {
+		type: 'object',
+		required: ['user', 'data'],
+		properties: {
+			user: {
+				type: 'object',
+				required: ['id']
+			},
+			data: PROFILE_DOCUMENT_SCHEMA
+		}
+	},
+	output: PROFILE_RESPONSE_SCHEMA
+};
+
 /**
  * @class Basics
  * @extends ServerUserBaseMiddleware
@@ -47,33 +107,50 @@ export class Basics extends ServerUserBaseMiddleware {
 			const apiRegistry = this?.domainInterface?.apiRegistry;
 			let registerResolutions = [];
 
+			// The profile is cached per user, and invalidated by the
+			// ProfileCache event handler whenever it changes
+			const cacheRepository =
+				await this?.domainInterface?.iocContainer?.resolve?.('Cache');
+
 			const baseApis = await super._registerApi?.();
 			for (const baseApi of baseApis ?? []) {
 				registerResolutions?.push?.(
-					apiRegistry?.register?.(baseApi?.pattern, baseApi?.handler)
+					apiRegistry?.register?.(
+						baseApi?.pattern,
+						baseApi?.handler,
+						{ owner: this?.name }
+					)
 				);
 			}
 
 			registerResolutions?.push?.(
-				apiRegistry?.register?.(
-					'CREATE',
-					this.#createBasics?.bind?.(this)
-				)
+				apiRegistry?.register?.('CREATE', this.#createBasicsHandler, {
+					owner: this?.name,
+					contract: CREATE_CONTRACT
+				})
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.('READ', this.#readBasics?.bind?.(this))
+				apiRegistry?.register?.('READ', this.#readBasicsHandler, {
+					owner: this?.name,
+					cache: {
+						ttl: PROFILE_CACHE_TTL,
+						store: cacheRepository,
+						key: ({ user, relationships }) => {
+							return `${user?.id}!${relationships ?? ''}`;
+						}
+					}
+				})
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.(
-					'UPDATE',
-					this.#updateBasics?.bind?.(this)
-				)
+				apiRegistry?.register?.('UPDATE', this.#updateBasicsHandler, {
+					owner: this?.name,
+					contract: UPDATE_CONTRACT
+				})
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.(
-					'DELETE',
-					this.#deleteBasics?.bind?.(this)
-				)
+				apiRegistry?.register?.('DELETE', this.#deleteBasicsHandler, {
+					owner: this?.name
+				})
 			);
 
 			registerResolutions =
@@ -118,28 +195,16 @@ export class Basics extends ServerUserBaseMiddleware {
 			let unregisterResolutions = [];
 
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.(
-					'DELETE',
-					this.#deleteBasics?.bind?.(this)
-				)
+				apiRegistry?.unregister?.('DELETE', this.#deleteBasicsHandler)
 			);
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.(
-					'UPDATE',
-					this.#updateBasics?.bind?.(this)
-				)
+				apiRegistry?.unregister?.('UPDATE', this.#updateBasicsHandler)
 			);
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.(
-					'READ',
-					this.#readBasics?.bind?.(this)
-				)
+				apiRegistry?.unregister?.('READ', this.#readBasicsHandler)
 			);
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.(
-					'CREATE',
-					this.#createBasics?.bind?.(this)
-				)
+				apiRegistry?.unregister?.('CREATE', this.#createBasicsHandler)
 			);
 
 			unregisterResolutions = await Promise?.allSettled?.(
@@ -194,12 +259,9 @@ export class Basics extends ServerUserBaseMiddleware {
 		);
 
 		if (serverUser?.otp !== otpNumber) {
-			const userError = new Error(
+			throw new EVASValidationError(
 				'EVASERVER::SERVER_USERS::PROFILE::INVALID_OTP'
 			);
-			userError.code = 'EVASERVER::SERVER_USERS::PROFILE::INVALID_OTP';
-
-			throw userError;
 		}
 
 		let existingServerUser = await this?._executeWithBackOff?.(async () => {
@@ -209,12 +271,9 @@ export class Basics extends ServerUserBaseMiddleware {
 		});
 
 		if (existingServerUser) {
-			const userError = new Error(
+			throw new EVASConflictError(
 				'EVASERVER::SERVER_USERS::PROFILE::DUPLICATE_USER'
 			);
-			userError.code = 'EVASERVER::SERVER_USERS::PROFILE::DUPLICATE_USER';
-
-			throw userError;
 		}
 
 		const currentTime = DateTime?.local?.();
@@ -222,12 +281,9 @@ export class Basics extends ServerUserBaseMiddleware {
 
 		const serverUserAge = currentTime?.diff?.(serverUserDob)?.as?.('years');
 		if (serverUserAge < 18) {
-			const userError = new Error(
+			throw new EVASValidationError(
 				'EVASERVER::SERVER_USERS::PROFILE::MINOR_USER'
 			);
-			userError.code = 'EVASERVER::SERVER_USERS::PROFILE::MINOR_USER';
-
-			throw userError;
 		}
 
 		// Step 3: Create the server-user profile basics / contact
@@ -403,6 +459,14 @@ export class Basics extends ServerUserBaseMiddleware {
 		};
 	}
 	// #endregion
+
+	// #region Private Fields
+	// Bound once - unregister needs the very functions that were registered
+	#createBasicsHandler = this.#createBasics?.bind?.(this);
+	#readBasicsHandler = this.#readBasics?.bind?.(this);
+	#updateBasicsHandler = this.#updateBasics?.bind?.(this);
+	#deleteBasicsHandler = this.#deleteBasics?.bind?.(this);
+	// #endregion
 }
 
 /**
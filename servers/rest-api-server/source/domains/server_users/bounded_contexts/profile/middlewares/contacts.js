@@ -6,6 +6,70 @@ import { EVASBaseFactory } from '@twyr/framework-classes';
 import { createErrorForPropagation } from '@twyr/error-serializer';
 import { ServerUserBaseMiddleware } from 'baseclass:middleware';
 
+/**
+ * API Contracts
+ * @ignore
+ */
+const SERVER_USER_SCHEMA = {
+	type: 'object',
+	required: ['id']
+};
+
+const CONTACT_RESOURCE_SCHEMA = {
+	type: 'object',
+	required: ['type', 'attributes'],
+	properties: {
+		type: { const: 'server_user_contact' },
+		attributes: { type: 'object' }
+	}
+};
+
+const CONTACT_RESPONSE_SCHEMA = {
+	type: 'object',
+	required: ['status'],
+	properties: {
+		status: { type: 'integer' }
+	}
+};
+
+const CREATE_CONTACT_CONTRACT = {
+	input: {
+		type: 'object',
+		required: ['user', 'data'],
+		properties: {
+			user: SERVER_USER_SCHEMA,
+			data: {
+				type: 'object',
+				required: ['data'],
+				properties: {
+					data: CONTACT_RESOURCE_SCHEMA
+				}
+			}
+		}
+	},
+	output: CONTACT_RESPONSE_SCHEMA
+};
+
+const UPDATE_CONTACT_CONTRACT = {
+	input: {
+		type: 'object',
+		required: ['user', 'data'],
+		properties: {
+			user: SERVER_USER_SCHEMA,
+			data: {
+				type: 'object',
+				required: ['data'],
+				properties: {
+					data: {
+						allOf: [CONTACT_RESOURCE_SCHEMA, { required: ['id'] }]
+					}
+				}
+			}
+		}
+	},
+	output: CONTACT_RESPONSE_SCHEMA
+};
+
 /**
  * @class Contacts
  * @extends ServerUserBaseMiddleware
@@ -48,32 +112,40 @@ export class Contacts extends ServerUserBaseMiddleware {
 			const baseApis = await super._registerApi?.();
 			for (const baseApi of baseApis ?? []) {
 				registerResolutions?.push?.(
-					apiRegistry?.register?.(baseApi?.pattern, baseApi?.handler)
+					apiRegistry?.register?.(
+						baseApi?.pattern,
+						baseApi?.handler,
+						{ owner: this?.name }
+					)
 				);
 			}
 
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'CREATE_CONTACT',
-					this.#createContacts?.bind?.(this)
+					this.#createContactsHandler,
+					{ owner: this?.name, contract: CREATE_CONTACT_CONTRACT }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'READ_CONTACT',
-					this.#readContacts?.bind?.(this)
+					this.#readContactsHandler,
+					{ owner: this?.name }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'UPDATE_CONTACT',
-					this.#updateContacts?.bind?.(this)
+					this.#updateContactsHandler,
+					{ owner: this?.name, contract: UPDATE_CONTACT_CONTRACT }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'DELETE_CONTACT',
-					this.#deleteContacts?.bind?.(this)
+					this.#deleteContactsHandler,
+					{ owner: this?.name }
 				)
 			);
 
@@ -121,25 +193,25 @@ export class Contacts extends ServerUserBaseMiddleware {
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'DELETE_CONTACT',
-					this.#deleteContacts?.bind?.(this)
+					this.#deleteContactsHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'UPDATE_CONTACT',
-					this.#updateContacts?.bind?.(this)
+					this.#updateContactsHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'READ_CONTACT',
-					this.#readContacts?.bind?.(this)
+					this.#readContactsHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'CREATE_CONTACT',
-					this.#createContacts?.bind?.(this)
+					this.#createContactsHandler
 				)
 			);
 
@@ -244,6 +316,14 @@ export class Contacts extends ServerUserBaseMiddleware {
 		};
 	}
 	// #endregion
+
+	// #region Private Fields
+	// Bound once - unregister needs the very functions that were registered
+	#createContactsHandler = this.#createContacts?.bind?.(this);
+	#readContactsHandler = this.#readContacts?.bind?.(this);
+	#updateContactsHandler = this.#updateContacts?.bind?.(this);
+	#deleteContactsHandler = this.#deleteContacts?.bind?.(this);
+	// #endregion
 }
 
 /**
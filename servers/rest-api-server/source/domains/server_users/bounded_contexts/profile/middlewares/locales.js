@@ -48,32 +48,40 @@ export class Locales extends ServerUserBaseMiddleware {
 			const baseApis = await super._registerApi?.();
 			for (const baseApi of baseApis ?? []) {
 				registerResolutions?.push?.(
-					apiRegistry?.register?.(baseApi?.pattern, baseApi?.handler)
+					apiRegistry?.register?.(
+						baseApi?.pattern,
+						baseApi?.handler,
+						{ owner: this?.name }
+					)
 				);
 			}
 
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'CREATE_LOCALE',
-					this.#createLocales?.bind?.(this)
+					this.#createLocalesHandler,
+					{ owner: this?.name }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'READ_LOCALE',
-					this.#readLocales?.bind?.(this)
+					this.#readLocalesHandler,
+					{ owner: this?.name }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'UPDATE_LOCALE',
-					this.#updateLocales?.bind?.(this)
+					this.#updateLocalesHandler,
+					{ owner: this?.name }
 				)
 			);
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'DELETE_LOCALE',
-					this.#deleteLocales?.bind?.(this)
+					this.#deleteLocalesHandler,
+					{ owner: this?.name }
 				)
 			);
 
@@ -121,25 +129,25 @@ export class Locales extends ServerUserBaseMiddleware {
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'DELETE_LOCALE',
-					this.#deleteLocales?.bind?.(this)
+					this.#deleteLocalesHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'UPDATE_LOCALE',
-					this.#updateLocales?.bind?.(this)
+					this.#updateLocalesHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'READ_LOCALE',
-					this.#readLocales?.bind?.(this)
+					this.#readLocalesHandler
 				)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'CREATE_LOCALE',
-					this.#createLocales?.bind?.(this)
+					this.#createLocalesHandler
 				)
 			);
 
@@ -248,6 +256,14 @@ export class Locales extends ServerUserBaseMiddleware {
 		};
 	}
 	// #endregion
+
+	// #region Private Fields
+	// Bound once - unregister needs the very functions that were registered
+	#createLocalesHandler = this.#createLocales?.bind?.(this);
+	#readLocalesHandler = this.#readLocales?.bind?.(this);
+	#updateLocalesHandler = this.#updateLocales?.bind?.(this);
+	#deleteLocalesHandler = this.#deleteLocales?.bind?.(this);
+	// #endregion
 }
 
 /**
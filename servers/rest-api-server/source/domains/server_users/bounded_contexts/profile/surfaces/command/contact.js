@@ -128,7 +128,7 @@ export class Contact extends BaseSurface {
 	async #createContact(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
 		const contactStatus = await apiRegistry?.execute?.('CREATE_CONTACT', {
-			user: ctxt?.state?.user,
+			user: await this?._getCurrentUser?.(ctxt),
 			data: ctxt.request.body
 		});
 
@@ -156,7 +156,7 @@ export class Contact extends BaseSurface {
 		const contactUpdateStatus = await apiRegistry?.execute?.(
 			'UPDATE_CONTACT',
 			{
-				user: ctxt?.state?.user,
+				user: await this?._getCurrentUser?.(ctxt),
 				data: ctxt.request.body
 			}
 		);
@@ -185,7 +185,7 @@ export class Contact extends BaseSurface {
 		const contactDeleteStatus = await apiRegistry?.execute?.(
 			'DELETE_CONTACT',
 			{
-				user: ctxt?.state?.user,
+				user: await this?._getCurrentUser?.(ctxt),
 				contactId: ctxt?.params?.contactId
 			}
 		);
@@ -128,7 +128,7 @@ export class Locale extends BaseSurface {
 	async #createLocale(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
 		const localeStatus = await apiRegistry?.execute?.('CREATE_LOCALE', {
-			user: ctxt?.state?.user,
+			user: await this?._getCurrentUser?.(ctxt),
 			data: ctxt.request.body
 		});
 
@@ -156,7 +156,7 @@ export class Locale extends BaseSurface {
 		const localeUpdateStatus = await apiRegistry?.execute?.(
 			'UPDATE_LOCALE',
 			{
-				user: ctxt?.state?.user,
+				user: await this?._getCurrentUser?.(ctxt),
 				data: ctxt.request.body
 			}
 		);
@@ -185,7 +185,7 @@ export class Locale extends BaseSurface {
 		const localeDeleteStatus = await apiRegistry?.execute?.(
 			'DELETE_LOCALE',
 			{
-				user: ctxt?.state?.user,
+				user: await this?._getCurrentUser?.(ctxt),
 				localeId: ctxt?.params?.localeId
 			}
 		);
@@ -149,7 +149,7 @@ export class Main extends BaseSurface {
 	async #updateProfile(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
 		const profileUpdateStatus = await apiRegistry?.execute?.('UPDATE', {
-			user: ctxt?.state?.user,
+			user: await this?._getCurrentUser?.(ctxt),
 			data: ctxt.request.body
 		});
 
@@ -174,7 +174,8 @@ export class Main extends BaseSurface {
 	 */
 	async #deleteProfile(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
-		const userId = ctxt?.state?.user?.id;
+		const currentUser = await this?._getCurrentUser?.(ctxt);
+		const userId = currentUser?.id;
 
 		const profileDeleteStatus = await apiRegistry?.execute?.('DELETE', {
 			userId: userId
@@ -195,7 +195,7 @@ export class Contact extends BaseSurface {
 	async #getContact(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
 		const contactStatus = await apiRegistry?.execute?.('READ_CONTACT', {
-			user: ctxt?.state?.user,
+			user: await this?._getCurrentUser?.(ctxt),
 			contactId: ctxt?.params?.['contactId']
 		});
 
@@ -193,7 +193,7 @@ export class Locale extends BaseSurface {
 	async #getLocale(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
 		const localeStatus = await apiRegistry?.execute?.('READ_LOCALE', {
-			user: ctxt?.state?.user,
+			user: await this?._getCurrentUser?.(ctxt),
 			localeId: ctxt?.params?.['localeId']
 		});
 
@@ -120,7 +120,7 @@ export class Main extends BaseSurface {
 	async #getProfile(ctxt) {
 		const apiRegistry = this?.domainInterface?.apiRegistry;
 		const profileStatus = await apiRegistry?.execute?.('READ', {
-			user: ctxt?.state?.user,
+			user: await this?._getCurrentUser?.(ctxt),
 			relationships: ctxt?.request?.query?.relationships
 		});
 
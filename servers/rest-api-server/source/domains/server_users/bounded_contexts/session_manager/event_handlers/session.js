@@ -55,7 +55,7 @@ export class Session extends BaseEventHandler {
 			registerResolutions?.push?.(
 				eventEmitter?.on?.(
 					'SERVER_USER::LOGOUT',
-					this.#postLogoutCleanup?.bind?.(this)
+					this.#postLogoutCleanupHandler
 				)
 			);
 
@@ -103,7 +103,7 @@ export class Session extends BaseEventHandler {
 			unregisterResolutions?.push?.(
 				eventEmitter?.off?.(
 					'SERVER_USER::LOGOUT',
-					this.#postLogoutCleanup?.bind?.(this)
+					this.#postLogoutCleanupHandler
 				)
 			);
 
@@ -146,6 +146,11 @@ export class Session extends BaseEventHandler {
 		);
 	}
 	// #endregion
+
+	// #region Private Fields
+	// Bound once, so that the same listener is removed on unload
+	#postLogoutCleanupHandler = this.#postLogoutCleanup?.bind?.(this);
+	// #endregion
 }
 
 /**
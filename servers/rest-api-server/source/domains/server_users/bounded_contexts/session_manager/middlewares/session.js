@@ -51,21 +51,30 @@ export class Session extends ServerUserBaseMiddleware {
 			const baseApis = await super._registerApi?.();
 			for (const baseApi of baseApis ?? []) {
 				registerResolutions?.push?.(
-					apiRegistry?.register?.(baseApi?.pattern, baseApi?.handler)
+					apiRegistry?.register?.(
+						baseApi?.pattern,
+						baseApi?.handler,
+						{ owner: this?.name }
+					)
 				);
 			}
 
 			registerResolutions?.push?.(
 				apiRegistry?.register?.(
 					'GENERATE_OTP',
-					this.#generateOtp?.bind?.(this)
+					this.#generateOtpHandler,
+					{ owner: this?.name }
 				)
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.('LOGIN', this.#login?.bind?.(this))
+				apiRegistry?.register?.('LOGIN', this.#loginHandler, {
+					owner: this?.name
+				})
 			);
 			registerResolutions?.push?.(
-				apiRegistry?.register?.('LOGOUT', this.#logout?.bind?.(this))
+				apiRegistry?.register?.('LOGOUT', this.#logoutHandler, {
+					owner: this?.name
+				})
 			);
 
 			registerResolutions =
@@ -110,15 +119,15 @@ export class Session extends ServerUserBaseMiddleware {
 			let unregisterResolutions = [];
 
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.('LOGIN', this.#login?.bind?.(this))
+				apiRegistry?.unregister?.('LOGIN', this.#loginHandler)
 			);
 			unregisterResolutions?.push?.(
-				apiRegistry?.unregister?.('LOGOUT', this.#logout?.bind?.(this))
+				apiRegistry?.unregister?.('LOGOUT', this.#logoutHandler)
 			);
 			unregisterResolutions?.push?.(
 				apiRegistry?.unregister?.(
 					'GENERATE_OTP',
-					this.#generateOtp?.bind?.(this)
+					this.#generateOtpHandler
 				)
 			);
 
@@ -271,6 +280,13 @@ export class Session extends ServerUserBaseMiddleware {
 		};
 	}
 	// #endregion
+
+	// #region Private Fields
+	// Bound once - unregister needs the very functions that were registered
+	#generateOtpHandler = this.#generateOtp?.bind?.(this);
+	#loginHandler = this.#login?.bind?.(this);
+	#logoutHandler = this.#logout?.bind?.(this);
+	// #endregion
 }
 
 /**
@@ -3,6 +3,7 @@
  * @ignore
  */
 import { EVASBaseFactory } from '@twyr/framework-classes';
+import { EVASConflictError } from '@twyr/error-serializer';
 import { BaseSurface } from 'baseclass:surface';
 
 /**
@@ -170,13 +171,9 @@ export class Main extends BaseSurface {
 	async #login(ctxt) {
 		// Sanity check...
 		if (ctxt?.isAuthenticated?.()) {
-			const userError = new Error(
-				`EVASERVER::SERVER_USERS::SESSION_MANAGER::EXISTING_ACTIVE_SESSION`
+			throw new EVASConflictError(
+				'EVASERVER::SERVER_USERS::SESSION_MANAGER::EXISTING_ACTIVE_SESSION'
 			);
-			userError.code =
-				'EVASERVER::SERVER_USERS::SESSION_MANAGER::EXISTING_ACTIVE_SESSION';
-
-			throw userError;
 		}
 
 		// Step 1: Login...
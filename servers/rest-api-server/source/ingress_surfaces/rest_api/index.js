@@ -13,6 +13,15 @@ import { v4 as uuidv4 } from 'uuid';
 import { EVASBaseIngressSurface } from '@twyr/framework-classes';
 import { EVASBaseFactory } from '@twyr/framework-classes';
 import { errorSerializer } from '@twyr/error-serializer';
+import {
+	EVASAuthenticationError,
+	EVASAuthorizationError,
+	EVASError
+} from '@twyr/error-serializer';
+import {
+	PROBLEM_CONTENT_TYPE,
+	problemSerializer
+} from '@twyr/error-serializer';
 
 /**
  * Magic Number constants
@@ -32,6 +41,8 @@ const DEFAULT_SESSION_MAX_AGE = 86_400_000;
 const DEFAULT_SERVER_PORT = 9090;
 
 const DEFAULT_MAX_API_VERSION = 1;
+const DEFAULT_ERROR_STATUS = 422;
+const DEFAULT_ADMIN_ROLES = ['administrator'];
 
 /**
  * @class RestApi
@@ -216,6 +227,10 @@ class RestApi extends EVASBaseIngressSurface {
 		this.#koaApp?.use?.(authRepository?.initialize?.());
 		this.#koaApp?.use?.(authRepository?.session?.());
 
+		// Step 2.11: The request-scoped IoC Container, for request-bound
+		// repositories / instances
+		this.#koaApp?.use?.(this.#requestScope?.bind?.(this));
+
 		// Finally, add in the router for each allowed version...
 		let Router = await import('@koa/router');
 		Router = Router?.['default'];
@@ -407,6 +422,128 @@ class RestApi extends EVASBaseIngressSurface {
 
 		this.#routers?.clear?.();
 	}
+
+	/**
+	 * @memberof RestApi
+	 * @async
+	 * @instance
+	 * @function
+	 * @name registerAdminRoutes
+	 *
+	 * @param {object} [serverInterface] - Server functionality (API Registry, etc.) to be exposed
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Adds the administrator-only debugging / documentation routes:
+	 * - GET /api/v1/admin/api-registry - every pattern registered in the API Registry
+	 * - GET /api/v1/admin/health - the readiness report of every repository in the IoC Container
+	 * - GET /api/v1/admin/boot-status - the artifacts quarantined during boot, if any
+	 * - GET /api/v1/admin/boot-profile - the boot time profile of the artifact tree - ?format=folded for flame graphs
+	 *
+	 * And the (public) health check routes for load balancers / orchestrators,
+	 * which respond with a 503 if unhealthy:
+	 * - GET /api/v1/health/liveness
+	 * - GET /api/v1/health/readiness
+	 */
+	async registerAdminRoutes(serverInterface) {
+		let configuration = this.configuration;
+		if (!configuration) {
+			const configRepository =
+				await this?.iocContainer?.resolve?.('Configuration');
+
+			configuration = await configRepository?.getConfig?.(this?.name);
+		}
+
+		const adminRoles =
+			configuration?.['ADMIN_ROLES'] ?? DEFAULT_ADMIN_ROLES;
+
+		let Router = await import('@koa/router');
+		Router = Router?.['default'];
+
+		const adminRouter = new Router({
+			prefix: '/admin'
+		});
+
+		adminRouter?.get?.(
+			'/api-registry',
+			this.#adminOnly?.bind?.(this, adminRoles),
+			async (ctxt) => {
+				const registrations =
+					await serverInterface?.apiRegistry?.introspect?.();
+
+				ctxt.status = 200;
+				ctxt.body = registrations;
+			}
+		);
+
+		adminRouter?.get?.(
+			'/health',
+			this.#adminOnly?.bind?.(this, adminRoles),
+			async (ctxt) => {
+				const healthReport =
+					await serverInterface?.iocContainer?.healthReport?.({
+						kind: 'readiness'
+					});
+
+				ctxt.status = healthReport?.healthy ? 200 : 503;
+				ctxt.body = healthReport;
+			}
+		);
+
+		adminRouter?.get?.(
+			'/boot-status',
+			this.#adminOnly?.bind?.(this, adminRoles),
+			async (ctxt) => {
+				ctxt.status = 200;
+				ctxt.body = (await serverInterface?.bootStatus?.()) ?? {
+					status: 'ok',
+					quarantined: []
+				};
+			}
+		);
+
+		adminRouter?.get?.(
+			'/boot-profile',
+			this.#adminOnly?.bind?.(this, adminRoles),
+			async (ctxt) => {
+				const bootProfiler = serverInterface?.bootProfiler;
+
+				ctxt.status = 200;
+				if (ctxt?.query?.format === 'folded') {
+					ctxt.type = 'text/plain';
+					ctxt.body = bootProfiler?.foldedStacks ?? '';
+					return;
+				}
+
+				ctxt.body = bootProfiler?.report ?? {};
+			}
+		);
+
+		const healthRouter = new Router({
+			prefix: '/health'
+		});
+
+		for (const kind of ['liveness', 'readiness']) {
+			healthRouter?.get?.(`/${kind}`, async (ctxt) => {
+				const healthReport =
+					await serverInterface?.iocContainer?.healthReport?.({
+						kind: kind
+					});
+
+				// Do not expose the details to the world at large...
+				ctxt.status = healthReport?.healthy ? 200 : 503;
+				ctxt.body = {
+					kind: healthReport?.kind,
+					healthy: healthReport?.healthy,
+					checkedAt: healthReport?.checkedAt
+				};
+			});
+		}
+
+		this.#routers?.get?.('v1')?.use?.(adminRouter?.routes?.());
+		this.#routers?.get?.('v1')?.use?.(healthRouter?.routes?.());
+	}
 	// #endregion
 
 	// #region Getters / Setters
@@ -415,21 +552,59 @@ class RestApi extends EVASBaseIngressSurface {
 			routers: this.#routers,
 
 			start: this?.start?.bind?.(this),
-			stop: this?.stop?.bind?.(this)
+			stop: this?.stop?.bind?.(this),
+
+			registerAdminRoutes: this?.registerAdminRoutes?.bind?.(this)
 		};
 	}
 	// #endregion
 
 	// #region Private Methods
+	async #adminOnly(adminRoles, ctxt, next) {
+		if (!ctxt?.state?.user) {
+			throw new EVASAuthenticationError(
+				'EVASERVER::SERVER_USERS::SESSION_MANAGER::NO_ACTIVE_SESSION'
+			);
+		}
+
+		const userRole =
+			ctxt?.session?.passport?.user?.['role'] ??
+			ctxt?.state?.user?.['role'];
+
+		if (!adminRoles?.includes?.(userRole)) {
+			throw new EVASAuthorizationError(
+				'EVASERVER::SERVER_USERS::SESSION_MANAGER::AUTHORIZATION_FAILURE'
+			);
+		}
+
+		await next?.();
+	}
+
 	async #errorLog(ctxt, next) {
 		try {
 			await next();
 		} catch (error) {
-			const userErrorMessage = await this.#translateError?.(ctxt, error);
+			// Bring the error into the taxonomy - which decides the status,
+			// and the message shown to the user. Errors without a status of
+			// their own remain a 422, as they've always been
+			const evasError = EVASError?.from?.(error, {
+				status: DEFAULT_ERROR_STATUS
+			});
+			const userErrorMessage = await this.#translateError?.(
+				ctxt,
+				evasError
+			);
 
-			ctxt.type = 'application/json; charset=utf-8';
-			ctxt.status = error?.status ?? 422;
-			ctxt.body = userErrorMessage;
+			// Respond with RFC 9457 problem details - and, outside production,
+			// with the cause chain as well
+			ctxt.status = evasError?.status;
+			ctxt.body = problemSerializer?.(evasError, {
+				detail: userErrorMessage,
+				instance: ctxt?.path,
+				requestId: ctxt?.state?.id,
+				includeCause: global.serverEnvironment !== 'production'
+			});
+			ctxt.type = `${PROBLEM_CONTENT_TYPE}; charset=utf-8`;
 		}
 	}
 
@@ -568,6 +743,37 @@ class RestApi extends EVASBaseIngressSurface {
 		throw throwableError;
 	}
 
+	async #requestScope(ctxt, next) {
+		const requestContainer = this?.iocContainer?.createScope?.(
+			`REQUEST!${ctxt?.state?.id}`
+		);
+
+		await requestContainer?.registerInstance?.('RequestContext', {
+			id: ctxt?.state?.id,
+			user: ctxt?.state?.user,
+			device: ctxt?.state?.device,
+			locale:
+				ctxt?.state?.user?.['primary_locale'] ??
+				ctxt?.acceptsLanguages?.()?.[0]
+		});
+
+		// Anonymous requests have no CurrentUser - see BaseSurface._getCurrentUser
+		if (ctxt?.state?.user) {
+			await requestContainer?.registerInstance?.(
+				'CurrentUser',
+				ctxt?.state?.user
+			);
+		}
+
+		ctxt.state.iocContainer = requestContainer;
+		try {
+			await next?.();
+		} finally {
+			ctxt.state.iocContainer = undefined;
+			await requestContainer?.dispose?.();
+		}
+	}
+
 	async #translateError(ctxt, error) {
 		const i18nRepository =
 			await this?.iocContainer?.resolve?.('MessageI18N');
@@ -577,18 +783,13 @@ class RestApi extends EVASBaseIngressSurface {
 			ctxt?.state?.user?.['primary_locale'] ??
 			'en-IN';
 
-		if (error?.code?.startsWith('EVASERVER')) {
-			error.code = error?.code?.replace('EVASERVER::', '');
-		} else {
-			error.code = 'UNKNOWN_ERROR';
-		}
-
 		const translatedMessage = await i18nRepository?.translate?.(
-			error?.code,
+			error?.messageKey,
 			userLocale,
 			{
 				user: ctxt?.state?.user,
-				body: ctxt?.body
+				body: ctxt?.body,
+				details: error?.details
 			}
 		);
 
@@ -743,6 +944,31 @@ export default class IngressSurfaceFactory extends EVASBaseFactory {
 	static get IngressSurfaceName() {
 		return 'RestApi';
 	}
+
+	/**
+	 * @memberof IngressSurfaceFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this ingress surface resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this ingress surface after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return [
+			'Configuration',
+			'Logger',
+			'Cache',
+			'Auth',
+			'Audit',
+			'MessageI18N'
+		];
+	}
 	// #endregion
 
 	// #region Private Static Members
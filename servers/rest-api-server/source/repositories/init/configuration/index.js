@@ -122,20 +122,52 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Configuration} - The configuration repository instance.
 	 *
+	 * @description
+	 * Creates a new {Configuration} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		if (!RepositoryFactory.#configurationInstance) {
-			const configurationInstance = new Configuration(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const configurationInstance = new Configuration(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
+
+		await configurationInstance?.load?.(configuration);
 
-			await configurationInstance?.load?.(configuration);
-			RepositoryFactory.#configurationInstance = configurationInstance;
-		}
+		const configurationInterface = configurationInstance?.interface;
+		RepositoryFactory.#configurationInstances?.set?.(
+			configurationInterface,
+			configurationInstance
+		);
 
-		return RepositoryFactory.#configurationInstance?.interface;
+		return configurationInterface;
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name disposeInstance
+	 *
+	 * @param {object} [configurationInterface] - the instance returned by createInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Configuration} instance, once the IoC Container is done with it
+	 */
+	static async disposeInstance(configurationInterface) {
+		const configurationInstance =
+			RepositoryFactory.#configurationInstances?.get?.(
+				configurationInterface
+			);
+		if (!configurationInstance) return;
+
+		RepositoryFactory.#configurationInstances?.delete?.(
+			configurationInterface
+		);
+		await configurationInstance?.unload?.();
 	}
 
 	/**
@@ -148,13 +180,18 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Configuration} instances
+	 * @description Unloads the {Configuration} instances the IoC Container hasn't disposed of
 	 */
 	static async destroyInstances() {
-		await RepositoryFactory.#configurationInstance?.unload?.();
-		RepositoryFactory.#configurationInstance = undefined;
+		const destroyResolutions = [];
+		RepositoryFactory.#configurationInstances?.forEach?.(
+			(configurationInstance) => {
+				destroyResolutions?.push?.(configurationInstance?.unload?.());
+			}
+		);
 
-		return;
+		await Promise?.allSettled?.(destroyResolutions);
+		RepositoryFactory.#configurationInstances?.clear?.();
 	}
 	// #endregion
 
@@ -175,9 +212,45 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Configuration';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Configuration instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return [];
+	}
 	// #endregion
 
 	// #region Private Static Members
-	static #configurationInstance = undefined;
+	static #configurationInstances = new Map();
 	// #endregion
 }
@@ -5,6 +5,7 @@
  */
 import { EVASBaseRepository } from '@twyr/framework-classes';
 import { EVASBaseFactory } from '@twyr/framework-classes';
+import { getRedactor } from '@twyr/error-serializer';
 
 import ModelFactory from './audit-trail-model.js';
 
@@ -82,7 +83,10 @@ class Audit extends EVASBaseRepository {
 	 * Sends data to an audit server.
 	 */
 	async publish(auditData) {
-		const auditPayload = this.#cleanBeforePublish?.(auditData);
+		// Secrets / PII go first - using the same rules as the error serializer
+		const auditPayload = this.#cleanBeforePublish?.(
+			getRedactor?.()?.redact?.(auditData)
+		);
 
 		const logger = await this?.iocContainer?.resolve?.('Logger');
 		logger?.debug?.(
@@ -125,7 +129,9 @@ class Audit extends EVASBaseRepository {
 	#cleanBeforePublish(auditPayload) {
 		if (!auditPayload) return;
 
-		const confidentialKeyList = ['password', 'image', 'random'];
+		// Passwords, et al, are taken care of by the redactor - these are
+		// merely too bulky to be worth storing
+		const confidentialKeyList = ['image', 'random'];
 
 		const keys = Object?.keys?.(auditPayload);
 		for (const key of keys) {
@@ -188,58 +194,67 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Audit} - The Audit repository instance.
 	 *
+	 * @description
+	 * Creates a new {Audit} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const scope = configuration ?? 'server';
-		if (!RepositoryFactory.#auditInstances?.has(scope)) {
-			const auditInstance = new Audit(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				scope
-			);
-
-			await auditInstance?.load?.();
-			RepositoryFactory.#auditInstances?.set?.(scope, auditInstance);
-		}
+		const auditInstance = new Audit(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration ?? 'server'
+		);
+
+		await auditInstance?.load?.();
+
+		const auditInterface = auditInstance?.interface;
+		RepositoryFactory.#auditInstances?.set?.(auditInterface, auditInstance);
 
-		return RepositoryFactory.#auditInstances?.get(scope)?.interface;
+		return auditInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [auditInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Audit} instances
+	 * @description Unloads the {Audit} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			if (!RepositoryFactory.#auditInstances?.has(configuration)) return;
+	static async disposeInstance(auditInterface) {
+		const auditInstance =
+			RepositoryFactory.#auditInstances?.get?.(auditInterface);
+		if (!auditInstance) return;
 
-			const auditInstance =
-				RepositoryFactory.#auditInstances?.get(configuration);
-			await auditInstance?.unload?.();
-
-			RepositoryFactory.#auditInstances?.delete?.(configuration);
-			return;
-		}
+		RepositoryFactory.#auditInstances?.delete?.(auditInterface);
+		await auditInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Audit} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#auditInstances?.forEach?.((auditInstance) => {
+		RepositoryFactory.#auditInstances?.forEach?.((auditInstance) => {
 			destroyResolutions?.push?.(auditInstance?.unload?.());
 		});
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#auditInstances?.clear?.();
-
-		return;
+		RepositoryFactory.#auditInstances?.clear?.();
 	}
 	// #endregion
 
@@ -260,6 +275,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Audit';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Audit instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Logger', 'MongoDB'];
+	}
 	// #endregion
 
 	// #region Private Static Members
@@ -1,3 +1,9 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { EVASAuthenticationError, EVASError } from '@twyr/error-serializer';
+
 // MAGIC NUMBERS
 const SESSION_CACHE_TIMEOUT_DEVELOPMENT = 3_600; // 1 hours in seconds
 const SESSION_CACHE_TIMEOUT_PRODUCTION = 86_400; // 24 hours in seconds
@@ -24,12 +30,9 @@ const getUserDetails = async function getUserDetails(
 	);
 
 	if (!cachedUser?.rows?.length) {
-		const userError = new Error(
-			`EVASERVER::AUTH_REPOSITORY::USER_NOT_FOUND_IN_DB`
+		throw new EVASAuthenticationError(
+			'EVASERVER::AUTH_REPOSITORY::USER_NOT_FOUND_IN_DB'
 		);
-		userError.code = 'EVASERVER::AUTH_REPOSITORY::USER_NOT_FOUND_IN_DB';
-
-		throw userError;
 	}
 
 	cachedUser = cachedUser?.rows?.[0];
@@ -108,16 +111,7 @@ export default async function userSessionCache(
 			databaseRepository
 		);
 	} catch (error) {
-		if (error?.code?.startsWith?.('EVASERVER')) {
-			throw error;
-		}
-
-		const userError = new Error(`EVASERVER::UNKNOWN_ERROR`);
-
-		userError.code = 'EVASERVER::UNKNOWN_ERROR';
-		userError.cause = error;
-
-		throw userError;
+		throw EVASError.from(error);
 	}
 
 	return userDetails;
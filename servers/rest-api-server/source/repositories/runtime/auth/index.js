@@ -2,7 +2,6 @@
  * Imports for this file
  * @ignore
  */
-import { Buffer } from 'node:buffer';
 import { readdir } from 'node:fs/promises';
 import { extname, join, resolve } from 'node:path';
 
@@ -135,68 +134,67 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Auth} - The Auth repository instance.
 	 *
+	 * @description
+	 * Creates a new {Auth} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const repositoryKey = Buffer?.from?.(
-			JSON?.stringify?.(configuration ?? {})
-		)?.toString?.('base64');
-
-		if (!RepositoryFactory.#authInstances?.has(repositoryKey)) {
-			const authInstance = new Auth(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const authInstance = new Auth(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-			await authInstance?.load?.();
-			RepositoryFactory.#authInstances?.set?.(
-				repositoryKey,
-				authInstance
-			);
-		}
+		await authInstance?.load?.();
+
+		const authInterface = authInstance?.interface;
+		RepositoryFactory.#authInstances?.set?.(authInterface, authInstance);
 
-		return RepositoryFactory.#authInstances?.get(repositoryKey)?.interface;
+		return authInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [authInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Auth} instances
+	 * @description Unloads the {Auth} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			const repositoryKey = Buffer?.from?.(
-				JSON?.stringify?.(configuration)
-			)?.toString?.('base64');
-
-			if (!RepositoryFactory.#authInstances?.has(repositoryKey)) return;
+	static async disposeInstance(authInterface) {
+		const authInstance =
+			RepositoryFactory.#authInstances?.get?.(authInterface);
+		if (!authInstance) return;
 
-			const authInstance =
-				RepositoryFactory.#authInstances?.get(repositoryKey);
-			await authInstance?.unload?.();
-
-			RepositoryFactory.#authInstances?.delete?.(repositoryKey);
-			return;
-		}
+		RepositoryFactory.#authInstances?.delete?.(authInterface);
+		await authInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Auth} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#authInstances?.forEach?.((authInstance) => {
+		RepositoryFactory.#authInstances?.forEach?.((authInstance) => {
 			destroyResolutions?.push?.(authInstance?.unload?.());
 		});
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#authInstances?.clear?.();
-
-		return;
+		RepositoryFactory.#authInstances?.clear?.();
 	}
 	// #endregion
 
@@ -217,6 +215,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Auth';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Auth instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Cache', 'SQLDatabase'];
+	}
 	// #endregion
 
 	// #region Private Static Members
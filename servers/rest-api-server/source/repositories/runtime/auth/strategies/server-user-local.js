@@ -1,3 +1,9 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { EVASAuthenticationError } from '@twyr/error-serializer';
+
 /**
  * @async
  * @function
@@ -33,13 +39,9 @@ export default async function localStrategy(
 					);
 					serverUserRecord = serverUserRecord?.rows?.[0];
 					if (!serverUserRecord) {
-						const userError = new Error(
+						throw new EVASAuthenticationError(
 							'EVASERVER::AUTH_REPOSITORY::USER_NOT_FOUND_IN_DB'
 						);
-						userError.code =
-							'EVASERVER::AUTH_REPOSITORY::USER_NOT_FOUND_IN_DB';
-
-						throw userError;
 					}
 
 					const otpNumber = await cacheRepository?.get?.(
@@ -47,23 +49,15 @@ export default async function localStrategy(
 					);
 
 					if (!otpNumber) {
-						const userError = new Error(
+						throw new EVASAuthenticationError(
 							'EVASERVER::AUTH_REPOSITORY::OTP_EXPIRED_OR_INVALID'
 						);
-						userError.code =
-							'EVASERVER::AUTH_REPOSITORY::OTP_EXPIRED_OR_INVALID';
-
-						throw userError;
 					}
 
 					if (otpNumber !== password) {
-						const userError = new Error(
+						throw new EVASAuthenticationError(
 							'EVASERVER::AUTH_REPOSITORY::OTP_EXPIRED_OR_INVALID'
 						);
-						userError.code =
-							'EVASERVER::AUTH_REPOSITORY::OTP_EXPIRED_OR_INVALID';
-
-						throw userError;
 					}
 
 					callback?.(undefined, serverUserRecord);
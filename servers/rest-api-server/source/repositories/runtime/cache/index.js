@@ -2,7 +2,6 @@
  * Imports for this file
  * @ignore
  */
-import { Buffer } from 'node:buffer';
 import { createClient } from 'redis';
 
 import { EVASBaseRepository } from '@twyr/framework-classes';
@@ -143,6 +142,47 @@ class Cache extends EVASBaseRepository {
 	}
 	// #endregion
 
+	// #region Health Check API
+	/**
+	 * @memberof Cache
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" or "liveness"
+	 *
+	 * @returns {object} - The state of the Redis connection
+	 *
+	 * @description
+	 * Checks that the Redis connection is open - and, for readiness, that
+	 * Redis responds to a PING.
+	 *
+	 */
+	async healthCheck(kind) {
+		if (!this.#redis?.isOpen) {
+			throw new Error(
+				`${this?.name}::healthCheck: Redis connection is not open`
+			);
+		}
+
+		if (kind === 'liveness') {
+			return {
+				isOpen: this.#redis?.isOpen,
+				isReady: this.#redis?.isReady
+			};
+		}
+
+		const pong = await this.#redis?.ping?.();
+		return {
+			isOpen: this.#redis?.isOpen,
+			isReady: this.#redis?.isReady,
+			ping: pong
+		};
+	}
+	// #endregion
+
 	// #region Getters / Setters
 	get interface() {
 		return this.#redis;
@@ -212,68 +252,90 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Cache} - The cache repository instance.
 	 *
+	 * @description
+	 * Creates a new {Cache} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const repositoryKey = Buffer?.from?.(
-			JSON?.stringify?.(configuration ?? {})
-		)?.toString?.('base64');
-
-		if (!RepositoryFactory.#cacheInstances?.has(repositoryKey)) {
-			const cacheInstance = new Cache(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const cacheInstance = new Cache(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-			await cacheInstance?.load?.();
-			RepositoryFactory.#cacheInstances?.set?.(
-				repositoryKey,
-				cacheInstance
-			);
-		}
+		await cacheInstance?.load?.();
 
-		return RepositoryFactory.#cacheInstances?.get(repositoryKey)?.interface;
+		const cacheInterface = cacheInstance?.interface;
+		RepositoryFactory.#cacheInstances?.set?.(cacheInterface, cacheInstance);
+
+		return cacheInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [cacheInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Cache} instances
+	 * @description Unloads the {Cache} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			const repositoryKey = Buffer?.from?.(
-				JSON?.stringify?.(configuration)
-			)?.toString?.('base64');
-
-			if (!RepositoryFactory.#cacheInstances?.has(repositoryKey)) return;
+	static async disposeInstance(cacheInterface) {
+		const cacheInstance =
+			RepositoryFactory.#cacheInstances?.get?.(cacheInterface);
+		if (!cacheInstance) return;
 
-			const cacheInstance =
-				RepositoryFactory.#cacheInstances?.get(repositoryKey);
-			await cacheInstance?.unload?.();
-
-			RepositoryFactory.#cacheInstances?.delete?.(repositoryKey);
-			return;
-		}
+		RepositoryFactory.#cacheInstances?.delete?.(cacheInterface);
+		await cacheInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Cache} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#cacheInstances?.forEach?.((cacheInstance) => {
+		RepositoryFactory.#cacheInstances?.forEach?.((cacheInstance) => {
 			destroyResolutions?.push?.(cacheInstance?.unload?.());
 		});
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#cacheInstances?.clear?.();
+		RepositoryFactory.#cacheInstances?.clear?.();
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" or "liveness"
+	 *
+	 * @returns {Array} - The details reported by each of the {Cache} instances.
+	 *
+	 * @description Checks the health of the {Cache} instances - throws if any of them is not healthy
+	 */
+	static async healthCheck(kind) {
+		const healthChecks = [];
+		RepositoryFactory.#cacheInstances?.forEach?.((cacheInstance) => {
+			healthChecks?.push?.(cacheInstance?.healthCheck?.(kind));
+		});
 
-		return;
+		const healthDetails = await Promise?.all?.(healthChecks);
+		return healthDetails;
 	}
 	// #endregion
 
@@ -294,6 +356,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Cache';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Cache instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Configuration', 'Logger'];
+	}
 	// #endregion
 
 	// #region Private Static Members
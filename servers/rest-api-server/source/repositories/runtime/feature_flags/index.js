@@ -0,0 +1,516 @@
+/**
+ * Imports for this file
+ * @ignore
+ */
+import { setTimeout } from 'node:timers/promises';
+
+import { EVASBaseRepository } from '@twyr/framework-classes';
+import { EVASBaseFactory } from '@twyr/framework-classes';
+import { errorSerializer } from '@twyr/error-serializer';
+
+/**
+ * Magic Number constants
+ * @ignore
+ */
+const DEFAULT_FEATURE_FLAG_CACHE_TIMEOUT = 300;
+const DEFAULT_FEATURE_FLAG_CHANNEL = 'FEATURE_FLAG_CHANGE';
+const DEFAULT_LISTENER_RECONNECT_BACKOFF = 250;
+const DEFAULT_LISTENER_MAX_RECONNECT_DELAY = 5000;
+
+const FEATURE_FLAG_CACHE_PREFIX = 'twyr!entity!value!aggregate!feature!flag!';
+
+/**
+ * @class FeatureFlags
+ * @extends EVASBaseRepository
+ *
+ * @param {string} [location] - __dirname for this file in CJS, basically
+ * @param {object} [iocContainer] - IoC module providing DI repositories
+ * @param {object} [configuration] - requested repository configuration
+ *
+ * @classdesc The FeatureFlags Repository Class.
+ *
+ * The flags live in the feature_flag_master table, and are cached in the
+ * Cache repository. The table notifies every change, so the cached flag is
+ * dropped - and the listeners told - as soon as a flag flips, in every
+ * process running the server.
+ *
+ */
+class FeatureFlags extends EVASBaseRepository {
+	// #region Constructor
+	constructor(location, iocContainer, configuration) {
+		super(location, iocContainer, configuration);
+	}
+	// #endregion
+
+	// #region Lifecycle Methods
+	/**
+	 * @memberof FeatureFlags
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name load
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Sets up the configuration, and starts listening for flag changes on a
+	 * dedicated database connection - LISTEN cannot share the pool. The
+	 * connection is re-established, with backoff, if it is lost.
+	 *
+	 */
+	async load() {
+		await super.load?.();
+
+		// Step 1: Setup the configuration
+		const defaultConfiguration = {
+			cacheTimeout: DEFAULT_FEATURE_FLAG_CACHE_TIMEOUT,
+			channel: DEFAULT_FEATURE_FLAG_CHANNEL,
+			reconnectBackoff: DEFAULT_LISTENER_RECONNECT_BACKOFF,
+			maxReconnectDelay: DEFAULT_LISTENER_MAX_RECONNECT_DELAY
+		};
+
+		this.#configuration =
+			await this?._mergeConfiguration?.(defaultConfiguration);
+
+		// Step 2: Listen for changes
+		this.#reconnectAbortController = new AbortController();
+		await this.#listen?.();
+	}
+
+	/**
+	 * @memberof FeatureFlags
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name unload
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Stops listening for flag changes, and forgets the listeners.
+	 *
+	 */
+	async unload() {
+		this.#changeListeners?.clear?.();
+
+		// Stop trying to re-establish a lost connection, if that's underway
+		this.#reconnectAbortController?.abort?.();
+		this.#reconnectAbortController = undefined;
+
+		const listenerConnection = this.#listenerConnection;
+		this.#listenerConnection = undefined;
+
+		if (listenerConnection) {
+			listenerConnection?.removeAllListeners?.('notification');
+			await listenerConnection?.end?.();
+		}
+
+		this.#configuration = undefined;
+		await super.unload?.();
+	}
+	// #endregion
+
+	// #region Getters / Setters
+	get interface() {
+		return {
+			isEnabled: this.#isEnabled?.bind?.(this),
+			onChange: this.#onChange?.bind?.(this),
+			offChange: this.#offChange?.bind?.(this)
+		};
+	}
+	// #endregion
+
+	// #region Private Methods
+	/**
+	 * @memberof FeatureFlags
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #isEnabled
+	 *
+	 * @param {string} [flagName] - name of the feature flag
+	 * @param {object} [options] - what the flag is being checked for
+	 * @param {string} [options.tenant] - the tenant (sub-domain) making the request
+	 *
+	 * @returns {boolean} - whether the feature is on
+	 *
+	 * @description
+	 * A flag that doesn't exist is off - artifacts behind it stay dark till
+	 * somebody adds it. A flag that is on is restricted to its environments
+	 * and tenants, if any.
+	 *
+	 * Without a tenant, the question is whether the feature is on for anybody
+	 * in this environment - i.e., whether the artifacts behind it should be
+	 * loaded at all.
+	 */
+	async #isEnabled(flagName, options) {
+		const featureFlag = await this.#getFeatureFlag?.(flagName);
+		if (!featureFlag?.is_enabled) return false;
+
+		if (
+			featureFlag?.environments &&
+			!featureFlag?.environments?.includes?.(global.serverEnvironment)
+		)
+			return false;
+
+		if (!options?.tenant || !featureFlag?.tenants) return true;
+		return featureFlag?.tenants?.includes?.(options?.tenant);
+	}
+
+	#onChange(listener) {
+		this.#changeListeners?.add?.(listener);
+	}
+
+	#offChange(listener) {
+		this.#changeListeners?.delete?.(listener);
+	}
+
+	/**
+	 * @memberof FeatureFlags
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #getFeatureFlag
+	 *
+	 * @param {string} [flagName] - name of the feature flag
+	 *
+	 * @returns {object} - the feature_flag_master row - null, if there isn't one
+	 *
+	 * @description
+	 * Returns the cached flag - reading it from the database, and caching it,
+	 * if required. Missing flags are cached as well, so that artifacts kept
+	 * dark do not cost a query every time they are checked.
+	 */
+	async #getFeatureFlag(flagName) {
+		const cacheKey = `${FEATURE_FLAG_CACHE_PREFIX}${flagName}`;
+		const cacheRepository = await this?.iocContainer?.resolve?.('Cache');
+
+		const cachedFeatureFlag = await cacheRepository?.get?.(cacheKey);
+		if (cachedFeatureFlag) return JSON?.parse?.(cachedFeatureFlag);
+
+		const databaseRepository =
+			await this?.iocContainer?.resolve?.('SQLDatabase');
+
+		const featureFlag =
+			(await databaseRepository?.('feature_flag_master')
+				?.select?.('name', 'is_enabled', 'environments', 'tenants')
+				?.where?.('name', flagName)
+				?.first?.()) ?? null;
+
+		const cacheMulti = await cacheRepository?.multi?.();
+		cacheMulti?.set?.(cacheKey, JSON?.stringify?.(featureFlag));
+		cacheMulti?.expire?.(cacheKey, this.#configuration?.cacheTimeout);
+		await cacheMulti?.exec?.();
+
+		return featureFlag;
+	}
+
+	/**
+	 * @memberof FeatureFlags
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #listen
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Acquires a dedicated connection, and LISTENs for flag changes on it.
+	 * Losing the connection - an error, or the server ending it - sets off
+	 * #reconnectListener.
+	 */
+	async #listen() {
+		const databaseRepository =
+			await this?.iocContainer?.resolve?.('SQLDatabase');
+
+		const listenerConnection =
+			await databaseRepository?.client?.acquireRawConnection?.();
+
+		const handleDisconnect = (error) => {
+			return this.#reconnectListener?.(listenerConnection, error);
+		};
+
+		listenerConnection?.on?.(
+			'notification',
+			this.#handleFeatureFlagNotification?.bind?.(this)
+		);
+		listenerConnection?.on?.('error', handleDisconnect);
+		listenerConnection?.on?.('end', handleDisconnect);
+
+		this.#listenerConnection = listenerConnection;
+
+		await listenerConnection?.query?.(
+			`LISTEN "${this.#configuration?.channel}"`
+		);
+	}
+
+	/**
+	 * @memberof FeatureFlags
+	 * @async
+	 * @instance
+	 * @private
+	 * @function
+	 * @name #reconnectListener
+	 *
+	 * @param {object} [lostConnection] - the connection that errored / ended
+	 * @param {Error} [error] - what went wrong - nothing, if it just ended
+	 *
+	 * @returns {null} - Nothing
+	 *
+	 * @description
+	 * Throws away the lost connection, and keeps trying to LISTEN on a new
+	 * one - with exponential backoff, capped at maxReconnectDelay - till it
+	 * succeeds, or the repository is unloaded.
+	 *
+	 * Flags flipped in the meantime aren't notified - their cached copies
+	 * expire within cacheTimeout anyway.
+	 */
+	async #reconnectListener(lostConnection, error) {
+		// Stale connection (error, then end), or unload ended it
+		if (this.#listenerConnection !== lostConnection) return;
+		this.#listenerConnection = undefined;
+
+		if (error) await this.#handleListenerError?.(error);
+
+		lostConnection?.removeAllListeners?.('notification');
+		lostConnection?.end?.()?.catch?.(() => {});
+
+		const abortSignal = this.#reconnectAbortController?.signal;
+		for (let attempt = 0; !abortSignal?.aborted; attempt++) {
+			const reconnectDelay = Math?.min?.(
+				this.#configuration?.reconnectBackoff * 2 ** attempt,
+				this.#configuration?.maxReconnectDelay
+			);
+
+			try {
+				await setTimeout(reconnectDelay, undefined, {
+					signal: abortSignal
+				});
+
+				await this.#listen?.();
+				if (!abortSignal?.aborted) return;
+			} catch (reconnectError) {
+				if (abortSignal?.aborted) break;
+
+				// The attempt may have got as far as acquiring a connection
+				const failedConnection = this.#listenerConnection;
+				this.#listenerConnection = undefined;
+				failedConnection?.removeAllListeners?.('notification');
+				failedConnection?.end?.()?.catch?.(() => {});
+
+				await this.#handleListenerError?.(reconnectError);
+			}
+		}
+
+		// Unloaded while the connection was being re-established
+		const listenerConnection = this.#listenerConnection;
+		this.#listenerConnection = undefined;
+
+		listenerConnection?.removeAllListeners?.('notification');
+		await listenerConnection?.end?.()?.catch?.(() => {});
+	}
+
+	async #handleFeatureFlagNotification(notification) {
+		if (notification?.channel !== this.#configuration?.channel) return;
+		const flagName = notification?.payload;
+
+		try {
+			const cacheRepository =
+				await this?.iocContainer?.resolve?.('Cache');
+			await cacheRepository?.del?.(
+				`${FEATURE_FLAG_CACHE_PREFIX}${flagName}`
+			);
+		} catch (error) {
+			await this.#handleListenerError?.(error);
+		}
+
+		for (const changeListener of this.#changeListeners) {
+			try {
+				await changeListener?.(flagName);
+			} catch (error) {
+				await this.#handleListenerError?.(error);
+			}
+		}
+	}
+
+	async #handleListenerError(error) {
+		const logger = await this?.iocContainer?.resolve?.('Logger');
+		logger?.error?.(
+			`${this?.name}::change listener error:\n${JSON?.stringify?.(errorSerializer?.(error), undefined, '\t')}`
+		);
+	}
+	// #endregion
+
+	// #region Private Fields
+	#configuration = undefined;
+	#listenerConnection = undefined;
+	#reconnectAbortController = undefined;
+	#changeListeners = new Set();
+	// #endregion
+}
+
+/**
+ * @class RepositoryFactory
+ * @extends EVASBaseFactory
+ *
+ * @classdesc The FeatureFlags Repository Class Factory.
+ */
+export default class RepositoryFactory extends EVASBaseFactory {
+	// #region Constructor
+	// eslint-disable-next-line jsdoc/require-jsdoc
+	constructor() {
+		super();
+	}
+	// #endregion
+
+	// #region Lifecycle API
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name createInstance
+	 *
+	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [iocContainer] - IoC Container providing DI Repositories
+	 *
+	 * @returns {FeatureFlags} - The FeatureFlags repository instance.
+	 *
+	 * @description
+	 * Creates a new {FeatureFlags} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
+	 */
+	static async createInstances(configuration, iocContainer) {
+		const featureFlagsInstance = new FeatureFlags(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
+
+		await featureFlagsInstance?.load?.();
+
+		const featureFlagsInterface = featureFlagsInstance?.interface;
+		RepositoryFactory.#featureFlagsInstances?.set?.(
+			featureFlagsInterface,
+			featureFlagsInstance
+		);
+
+		return featureFlagsInterface;
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name disposeInstance
+	 *
+	 * @param {object} [featureFlagsInterface] - the instance returned by createInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {FeatureFlags} instance, once the IoC Container is done with it
+	 */
+	static async disposeInstance(featureFlagsInterface) {
+		const featureFlagsInstance =
+			RepositoryFactory.#featureFlagsInstances?.get?.(
+				featureFlagsInterface
+			);
+		if (!featureFlagsInstance) return;
+
+		RepositoryFactory.#featureFlagsInstances?.delete?.(
+			featureFlagsInterface
+		);
+		await featureFlagsInstance?.unload?.();
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {FeatureFlags} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
+		const destroyResolutions = [];
+		RepositoryFactory.#featureFlagsInstances?.forEach?.(
+			(featureFlagsInstance) => {
+				destroyResolutions?.push?.(featureFlagsInstance?.unload?.());
+			}
+		);
+
+		await Promise?.allSettled?.(destroyResolutions);
+		RepositoryFactory.#featureFlagsInstances?.clear?.();
+	}
+	// #endregion
+
+	// #region Getters
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name RepositoryName
+	 *
+	 * @returns {string} - Name of this repository.
+	 *
+	 * @description
+	 * Returns the name of this repository - FeatureFlags
+	 */
+	static get RepositoryName() {
+		return 'FeatureFlags';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the FeatureFlags instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Logger', 'SQLDatabase', 'Cache'];
+	}
+	// #endregion
+
+	// #region Private Static Members
+	static #featureFlagsInstances = new Map();
+	// #endregion
+}
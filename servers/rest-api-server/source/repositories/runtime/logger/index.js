@@ -2,7 +2,6 @@
  * Imports for this file
  * @ignore
  */
-import { Buffer } from 'node:buffer';
 import { dirname, join } from 'node:path';
 
 import { EVASBaseRepository } from '@twyr/framework-classes';
@@ -181,69 +180,70 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Logger} - The logger repository instance.
 	 *
+	 * @description
+	 * Creates a new {Logger} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const repositoryKey = Buffer?.from?.(
-			JSON?.stringify?.(configuration ?? {})
-		)?.toString?.('base64');
+		const loggerInstance = new Logger(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-		if (!RepositoryFactory.#loggerInstances?.has(repositoryKey)) {
-			const loggerInstance = new Logger(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		await loggerInstance?.load?.();
 
-			await loggerInstance?.load?.();
-			RepositoryFactory.#loggerInstances?.set?.(
-				repositoryKey,
-				loggerInstance
-			);
-		}
+		const loggerInterface = loggerInstance?.interface;
+		RepositoryFactory.#loggerInstances?.set?.(
+			loggerInterface,
+			loggerInstance
+		);
 
-		return RepositoryFactory.#loggerInstances?.get(repositoryKey)
-			?.interface;
+		return loggerInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [loggerInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Logger} instances
+	 * @description Unloads the {Logger} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			const repositoryKey = Buffer?.from?.(
-				JSON?.stringify?.(configuration)
-			)?.toString?.('base64');
-
-			if (!RepositoryFactory.#loggerInstances?.has(repositoryKey)) return;
+	static async disposeInstance(loggerInterface) {
+		const loggerInstance =
+			RepositoryFactory.#loggerInstances?.get?.(loggerInterface);
+		if (!loggerInstance) return;
 
-			const loggerInstance =
-				RepositoryFactory.#loggerInstances?.get(repositoryKey);
-			await loggerInstance?.unload?.();
-
-			RepositoryFactory.#loggerInstances?.delete?.(repositoryKey);
-			return;
-		}
+		RepositoryFactory.#loggerInstances?.delete?.(loggerInterface);
+		await loggerInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Logger} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#loggerInstances?.forEach?.((loggerInstance) => {
+		RepositoryFactory.#loggerInstances?.forEach?.((loggerInstance) => {
 			destroyResolutions?.push?.(loggerInstance?.unload?.());
 		});
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#loggerInstances?.clear?.();
-
-		return;
+		RepositoryFactory.#loggerInstances?.clear?.();
 	}
 	// #endregion
 
@@ -264,6 +264,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Logger';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Logger instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Configuration'];
+	}
 	// #endregion
 
 	// #region Private Static Members
@@ -257,70 +257,74 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {MessageI18N} - The MessageI18N repository instance.
 	 *
+	 * @description
+	 * Creates a new {MessageI18N} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const repositoryKey = Buffer?.from?.(
-			JSON?.stringify?.(configuration ?? {})
-		)?.toString?.('base64');
-
-		if (!RepositoryFactory.#messageI18NInstances?.has(repositoryKey)) {
-			const messageI18NInstance = new MessageI18N(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const messageI18NInstance = new MessageI18N(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-			await messageI18NInstance?.load?.();
-			RepositoryFactory.#messageI18NInstances?.set?.(
-				repositoryKey,
-				messageI18NInstance
-			);
-		}
+		await messageI18NInstance?.load?.();
+
+		const messageI18NInterface = messageI18NInstance?.interface;
+		RepositoryFactory.#messageI18NInstances?.set?.(
+			messageI18NInterface,
+			messageI18NInstance
+		);
 
-		return RepositoryFactory.#messageI18NInstances?.get(repositoryKey)
-			?.interface;
+		return messageI18NInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [messageI18NInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {MessageI18N} instances
+	 * @description Unloads the {MessageI18N} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			const repositoryKey = Buffer?.from?.(
-				JSON?.stringify?.(configuration)
-			)?.toString?.('base64');
-
-			if (!RepositoryFactory.#messageI18NInstances?.has(repositoryKey))
-				return;
-
-			const messageI18NInstance =
-				RepositoryFactory.#messageI18NInstances?.get(repositoryKey);
-			await messageI18NInstance?.unload?.();
+	static async disposeInstance(messageI18NInterface) {
+		const messageI18NInstance =
+			RepositoryFactory.#messageI18NInstances?.get?.(
+				messageI18NInterface
+			);
+		if (!messageI18NInstance) return;
 
-			RepositoryFactory.#messageI18NInstances?.delete?.(configuration);
-			return;
-		}
+		RepositoryFactory.#messageI18NInstances?.delete?.(messageI18NInterface);
+		await messageI18NInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {MessageI18N} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#messageI18NInstances?.forEach?.((sqlDatabaseInstance) => {
-			destroyResolutions?.push?.(sqlDatabaseInstance?.unload?.());
-		});
+		RepositoryFactory.#messageI18NInstances?.forEach?.(
+			(messageI18NInstance) => {
+				destroyResolutions?.push?.(messageI18NInstance?.unload?.());
+			}
+		);
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#messageI18NInstances?.clear?.();
-
-		return;
+		RepositoryFactory.#messageI18NInstances?.clear?.();
 	}
 	// #endregion
 
@@ -341,6 +345,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'MessageI18N';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the MessageI18N instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Logger', 'SQLDatabase'];
+	}
 	// #endregion
 
 	// #region Private Static Members
@@ -115,6 +115,43 @@ class MongoDB extends EVASBaseRepository {
 	}
 	// #endregion
 
+	// #region Health Check API
+	/**
+	 * @memberof MongoDB
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" or "liveness"
+	 *
+	 * @returns {object} - The state of the MongoDB connection
+	 *
+	 * @description
+	 * Checks that the MongoDB connection is connected - and, for readiness,
+	 * that the server responds to a ping.
+	 *
+	 */
+	async healthCheck(kind) {
+		// Mongoose readyState: 0 = disconnected, 1 = connected, 2 = connecting, 3 = disconnecting
+		const readyState = this.#mongoose?.readyState;
+		if (readyState !== 1) {
+			throw new Error(
+				`${this?.name}::healthCheck: MongoDB connection is not connected (readyState = ${readyState})`
+			);
+		}
+
+		if (kind !== 'liveness') {
+			await this.#mongoose?.db?.admin?.()?.ping?.();
+		}
+
+		return {
+			readyState: readyState
+		};
+	}
+	// #endregion
+
 	// #region Getters / Setters
 	get interface() {
 		return this.#mongoose;
@@ -163,70 +200,93 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {MongoDB} - The MongoDB repository instance.
 	 *
+	 * @description
+	 * Creates a new {MongoDB} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const repositoryKey = Buffer?.from?.(
-			JSON?.stringify?.(configuration ?? {})
-		)?.toString?.('base64');
-
-		if (!RepositoryFactory.#mongodbInstances?.has(repositoryKey)) {
-			const mongodbInstance = new MongoDB(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const mongodbInstance = new MongoDB(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-			await mongodbInstance?.load?.();
-			RepositoryFactory.#mongodbInstances?.set?.(
-				repositoryKey,
-				mongodbInstance
-			);
-		}
+		await mongodbInstance?.load?.();
 
-		return RepositoryFactory.#mongodbInstances?.get(repositoryKey)
-			?.interface;
+		const mongodbInterface = mongodbInstance?.interface;
+		RepositoryFactory.#mongodbInstances?.set?.(
+			mongodbInterface,
+			mongodbInstance
+		);
+
+		return mongodbInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [mongodbInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {MongoDB} instances
+	 * @description Unloads the {MongoDB} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			const repositoryKey = Buffer?.from?.(
-				JSON?.stringify?.(configuration)
-			)?.toString?.('base64');
+	static async disposeInstance(mongodbInterface) {
+		const mongodbInstance =
+			RepositoryFactory.#mongodbInstances?.get?.(mongodbInterface);
+		if (!mongodbInstance) return;
 
-			if (!RepositoryFactory.#mongodbInstances?.has(repositoryKey))
-				return;
-
-			const mongodbInstance =
-				RepositoryFactory.#mongodbInstances?.get(repositoryKey);
-			await mongodbInstance?.unload?.();
-
-			RepositoryFactory.#mongodbInstances?.delete?.(configuration);
-			return;
-		}
+		RepositoryFactory.#mongodbInstances?.delete?.(mongodbInterface);
+		await mongodbInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {MongoDB} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#mongodbInstances?.forEach?.((MongoDBInstance) => {
-			destroyResolutions?.push?.(MongoDBInstance?.unload?.());
+		RepositoryFactory.#mongodbInstances?.forEach?.((mongodbInstance) => {
+			destroyResolutions?.push?.(mongodbInstance?.unload?.());
 		});
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#mongodbInstances?.clear?.();
+		RepositoryFactory.#mongodbInstances?.clear?.();
+	}
 
-		return;
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" or "liveness"
+	 *
+	 * @returns {Array} - The details reported by each of the {MongoDB} instances.
+	 *
+	 * @description Checks the health of the {MongoDB} instances - throws if any of them is not healthy
+	 */
+	static async healthCheck(kind) {
+		const healthChecks = [];
+		RepositoryFactory.#mongodbInstances?.forEach?.((mongodbInstance) => {
+			healthChecks?.push?.(mongodbInstance?.healthCheck?.(kind));
+		});
+
+		const healthDetails = await Promise?.all?.(healthChecks);
+		return healthDetails;
 	}
 	// #endregion
 
@@ -247,6 +307,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'MongoDB';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the MongoDB instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Configuration', 'Logger'];
+	}
 	// #endregion
 
 	// #region Private Static Members
@@ -133,20 +133,52 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Notification} - The Notification repository instance.
 	 *
+	 * @description
+	 * Creates a new {Notification} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		if (!RepositoryFactory.#notificationInstance) {
-			const notificationInstance = new Notification(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const notificationInstance = new Notification(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
+
+		await notificationInstance?.load?.();
+
+		const notificationInterface = notificationInstance?.interface;
+		RepositoryFactory.#notificationInstances?.set?.(
+			notificationInterface,
+			notificationInstance
+		);
 
-			await notificationInstance?.load?.();
-			RepositoryFactory.#notificationInstance = notificationInstance;
-		}
+		return notificationInterface;
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name disposeInstance
+	 *
+	 * @param {object} [notificationInterface] - the instance returned by createInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Notification} instance, once the IoC Container is done with it
+	 */
+	static async disposeInstance(notificationInterface) {
+		const notificationInstance =
+			RepositoryFactory.#notificationInstances?.get?.(
+				notificationInterface
+			);
+		if (!notificationInstance) return;
 
-		return RepositoryFactory.#notificationInstance?.interface;
+		RepositoryFactory.#notificationInstances?.delete?.(
+			notificationInterface
+		);
+		await notificationInstance?.unload?.();
 	}
 
 	/**
@@ -157,18 +189,20 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 * @function
 	 * @name destroyInstances
 	 *
-	 * @param {object} [configuration] - requested repository configuration
-	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Notification} instances
+	 * @description Unloads the {Notification} instances the IoC Container hasn't disposed of
 	 */
-	static async destroyInstances(configuration) {
-		configuration;
-		if (!RepositoryFactory.#notificationInstance) return;
+	static async destroyInstances() {
+		const destroyResolutions = [];
+		RepositoryFactory.#notificationInstances?.forEach?.(
+			(notificationInstance) => {
+				destroyResolutions?.push?.(notificationInstance?.unload?.());
+			}
+		);
 
-		await RepositoryFactory.#notificationInstance?.unload?.();
-		RepositoryFactory.#notificationInstance = undefined;
+		await Promise?.allSettled?.(destroyResolutions);
+		RepositoryFactory.#notificationInstances?.clear?.();
 	}
 	// #endregion
 
@@ -189,9 +223,45 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Notification';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Notification instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Logger'];
+	}
 	// #endregion
 
 	// #region Private Static Members
-	static #notificationInstance = undefined;
+	static #notificationInstances = new Map();
 	// #endregion
 }
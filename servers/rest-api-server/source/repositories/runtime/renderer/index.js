@@ -151,20 +151,48 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {Renderer} - The Renderer repository instance.
 	 *
+	 * @description
+	 * Creates a new {Renderer} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		if (!RepositoryFactory.#rendererInstance) {
-			const rendererInstance = new Renderer(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const rendererInstance = new Renderer(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-			await rendererInstance?.load?.();
-			RepositoryFactory.#rendererInstance = rendererInstance;
-		}
+		await rendererInstance?.load?.();
+
+		const rendererInterface = rendererInstance?.interface;
+		RepositoryFactory.#rendererInstances?.set?.(
+			rendererInterface,
+			rendererInstance
+		);
+
+		return rendererInterface;
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name disposeInstance
+	 *
+	 * @param {object} [rendererInterface] - the instance returned by createInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {Renderer} instance, once the IoC Container is done with it
+	 */
+	static async disposeInstance(rendererInterface) {
+		const rendererInstance =
+			RepositoryFactory.#rendererInstances?.get?.(rendererInterface);
+		if (!rendererInstance) return;
 
-		return RepositoryFactory.#rendererInstance?.interface;
+		RepositoryFactory.#rendererInstances?.delete?.(rendererInterface);
+		await rendererInstance?.unload?.();
 	}
 
 	/**
@@ -175,18 +203,18 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 * @function
 	 * @name destroyInstances
 	 *
-	 * @param {object} [configuration] - requested repository configuration
-	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {Renderer} instances
+	 * @description Unloads the {Renderer} instances the IoC Container hasn't disposed of
 	 */
-	static async destroyInstances(configuration) {
-		configuration;
-		if (!RepositoryFactory.#rendererInstance) return;
+	static async destroyInstances() {
+		const destroyResolutions = [];
+		RepositoryFactory.#rendererInstances?.forEach?.((rendererInstance) => {
+			destroyResolutions?.push?.(rendererInstance?.unload?.());
+		});
 
-		await RepositoryFactory.#rendererInstance?.unload?.();
-		RepositoryFactory.#rendererInstance = undefined;
+		await Promise?.allSettled?.(destroyResolutions);
+		RepositoryFactory.#rendererInstances?.clear?.();
 	}
 	// #endregion
 
@@ -207,9 +235,45 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'Renderer';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the Renderer instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return [];
+	}
 	// #endregion
 
 	// #region Private Static Members
-	static #rendererInstance = undefined;
+	static #rendererInstances = new Map();
 	// #endregion
 }
@@ -2,7 +2,7 @@
  * Imports for this file
  * @ignore
  */
-import { errorSerializer } from '@twyr/error-serializer';
+import { errorSerializer, getRedactor } from '@twyr/error-serializer';
 import { EVASBaseRepository } from '@twyr/framework-classes';
 import { EVASBaseFactory } from '@twyr/framework-classes';
 
@@ -146,6 +146,44 @@ class SQLDatabase extends EVASBaseRepository {
 	}
 	// #endregion
 
+	// #region Health Check API
+	/**
+	 * @memberof SQLDatabase
+	 * @async
+	 * @instance
+	 * @override
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" or "liveness"
+	 *
+	 * @returns {object} - The state of the connection pool
+	 *
+	 * @description
+	 * Checks that the connection pool exists - and, for readiness, that the
+	 * database responds to a trivial query.
+	 *
+	 */
+	async healthCheck(kind) {
+		const pool = this.#knex?.client?.pool;
+		if (!pool) {
+			throw new Error(
+				`${this?.name}::healthCheck: Connection pool is not available`
+			);
+		}
+
+		if (kind !== 'liveness') {
+			await this.#knex?.raw?.('SELECT 1');
+		}
+
+		return {
+			used: pool?.numUsed?.(),
+			free: pool?.numFree?.(),
+			pendingAcquires: pool?.numPendingAcquires?.()
+		};
+	}
+	// #endregion
+
 	// #region Getters / Setters
 	get interface() {
 		return this.#knex;
@@ -160,7 +198,7 @@ class SQLDatabase extends EVASBaseRepository {
 		const logger = await this?.iocContainer?.resolve?.('Logger');
 		logger?.debug?.(
 			`${this?.name}#databaseQuery: ${safeJsonStringify?.(
-				queryData,
+				this.#redactQuery?.(queryData),
 				undefined,
 				'\t'
 			)}`
@@ -176,7 +214,7 @@ class SQLDatabase extends EVASBaseRepository {
 		const logger = await this?.iocContainer?.resolve?.('Logger');
 		logger?.debug?.(
 			`${this?.name}#databaseQueryResponse: ${safeJsonStringify?.(
-				query,
+				this.#redactQuery?.(query),
 				undefined,
 				'\t'
 			)}`
@@ -184,7 +222,7 @@ class SQLDatabase extends EVASBaseRepository {
 	}
 
 	async #databaseQueryError(error, query) {
-		const queryLog = Object?.assign?.({}, query);
+		const queryLog = this.#redactQuery?.(query);
 		queryLog.error = errorSerializer?.(error);
 
 		const logger = await this?.iocContainer?.resolve?.('Logger');
@@ -197,6 +235,17 @@ class SQLDatabase extends EVASBaseRepository {
 		);
 	}
 
+	#redactQuery(query) {
+		// The bindings are positional - so there are no key names to go by
+		const redactor = getRedactor?.();
+		return {
+			...redactor?.redact?.({ ...query, bindings: undefined }),
+			bindings: query?.bindings?.map?.((binding) => {
+				return redactor?.redactString?.(binding);
+			})
+		};
+	}
+
 	async #databaseNotice(notice) {
 		let safeJsonStringify = await import('safe-json-stringify');
 		safeJsonStringify = safeJsonStringify?.['default'];
@@ -245,68 +294,90 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	 *
 	 * @returns {SQLDatabase} - The SQLDatabase repository instance.
 	 *
+	 * @description
+	 * Creates a new {SQLDatabase} instance - the IoC Container holds on to it, as
+	 * per the Lifetime of this repository.
 	 */
 	static async createInstances(configuration, iocContainer) {
-		const repositoryKey = Buffer?.from?.(
-			JSON?.stringify?.(configuration ?? {})
-		)?.toString?.('base64');
-
-		if (!RepositoryFactory.#sqldbInstances?.has(repositoryKey)) {
-			const sqldbInstance = new SQLDatabase(
-				RepositoryFactory['$disk_unc'],
-				iocContainer,
-				configuration
-			);
+		const sqldbInstance = new SQLDatabase(
+			RepositoryFactory['$disk_unc'],
+			iocContainer,
+			configuration
+		);
 
-			await sqldbInstance?.load?.();
-			RepositoryFactory.#sqldbInstances?.set?.(
-				repositoryKey,
-				sqldbInstance
-			);
-		}
+		await sqldbInstance?.load?.();
+
+		const sqldbInterface = sqldbInstance?.interface;
+		RepositoryFactory.#sqldbInstances?.set?.(sqldbInterface, sqldbInstance);
 
-		return RepositoryFactory.#sqldbInstances?.get(repositoryKey)?.interface;
+		return sqldbInterface;
 	}
 
 	/**
 	 * @memberof RepositoryFactory
 	 * @async
 	 * @static
-	 * @override
 	 * @function
-	 * @name destroyInstances
+	 * @name disposeInstance
 	 *
-	 * @param {object} [configuration] - requested repository configuration
+	 * @param {object} [sqldbInterface] - the instance returned by createInstances
 	 *
 	 * @returns {undefined} - Nothing.
 	 *
-	 * @description Clears the cached {SQLDatabase} instances
+	 * @description Unloads the {SQLDatabase} instance, once the IoC Container is done with it
 	 */
-	static async destroyInstances(configuration) {
-		if (configuration) {
-			const repositoryKey = Buffer?.from?.(
-				JSON?.stringify?.(configuration)
-			)?.toString?.('base64');
-
-			if (!RepositoryFactory.#sqldbInstances?.has(repositoryKey)) return;
-
-			const sqldbInstance =
-				RepositoryFactory.#sqldbInstances?.get(repositoryKey);
-			await sqldbInstance?.unload?.();
+	static async disposeInstance(sqldbInterface) {
+		const sqldbInstance =
+			RepositoryFactory.#sqldbInstances?.get?.(sqldbInterface);
+		if (!sqldbInstance) return;
 
-			RepositoryFactory.#sqldbInstances?.delete?.(configuration);
-			return;
-		}
+		RepositoryFactory.#sqldbInstances?.delete?.(sqldbInterface);
+		await sqldbInstance?.unload?.();
+	}
 
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name destroyInstances
+	 *
+	 * @returns {undefined} - Nothing.
+	 *
+	 * @description Unloads the {SQLDatabase} instances the IoC Container hasn't disposed of
+	 */
+	static async destroyInstances() {
 		const destroyResolutions = [];
-		this.#sqldbInstances?.forEach?.((sqlDatabaseInstance) => {
-			destroyResolutions?.push?.(sqlDatabaseInstance?.unload?.());
+		RepositoryFactory.#sqldbInstances?.forEach?.((sqldbInstance) => {
+			destroyResolutions?.push?.(sqldbInstance?.unload?.());
 		});
 
 		await Promise?.allSettled?.(destroyResolutions);
-		this.#sqldbInstances?.clear?.();
+		RepositoryFactory.#sqldbInstances?.clear?.();
+	}
 
-		return;
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @function
+	 * @name healthCheck
+	 *
+	 * @param {string} [kind] - "readiness" or "liveness"
+	 *
+	 * @returns {Array} - The details reported by each of the {SQLDatabase} instances.
+	 *
+	 * @description Checks the health of the {SQLDatabase} instances - throws if any of them is not healthy
+	 */
+	static async healthCheck(kind) {
+		const healthChecks = [];
+		RepositoryFactory.#sqldbInstances?.forEach?.((sqldbInstance) => {
+			healthChecks?.push?.(sqldbInstance?.healthCheck?.(kind));
+		});
+
+		const healthDetails = await Promise?.all?.(healthChecks);
+		return healthDetails;
 	}
 	// #endregion
 
@@ -327,6 +398,42 @@ export default class RepositoryFactory extends EVASBaseFactory {
 	static get RepositoryName() {
 		return 'SQLDatabase';
 	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Lifetime
+	 *
+	 * @returns {string} - Lifetime of the SQLDatabase instances.
+	 *
+	 * @description
+	 * One instance per configuration, shared by the container registering
+	 * this repository and every container below it
+	 */
+	static get Lifetime() {
+		return 'singleton';
+	}
+
+	/**
+	 * @memberof RepositoryFactory
+	 * @async
+	 * @static
+	 * @override
+	 * @function
+	 * @name Dependencies
+	 *
+	 * @returns {Array} - Names of the repositories this repository resolves.
+	 *
+	 * @description
+	 * Used by the IoC Container to start this repository after, and tear it
+	 * down before, the ones it depends on
+	 */
+	static get Dependencies() {
+		return ['Configuration', 'Logger'];
+	}
 	// #endregion
 
 	// #region Private Static Members
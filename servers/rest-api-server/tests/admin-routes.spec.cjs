@@ -0,0 +1,150 @@
+describe('REST API Server - Admin Route Test Cases', function () {
+	const SERVER_PORT = 39_090;
+	const adminUrl = `http://127.0.0.1:${SERVER_PORT}/api/v1/admin/api-registry`;
+	const healthUrl = `http://127.0.0.1:${SERVER_PORT}/api/v1/admin/health`;
+
+	let IngressSurfaceFactory = undefined;
+	let apiRegistry = undefined;
+	let currentUser = undefined;
+
+	before(async function () {
+		const { EventEmitter } = await import('node:events');
+		const { APIRegistry } = await import('@twyr/api-registry');
+
+		apiRegistry = new APIRegistry('Server');
+		await apiRegistry?.register?.('PROFILE::READ', async () => {}, {
+			owner: 'Basics'
+		});
+
+		// Stand-ins for the repositories the REST API resolves
+		const repositories = {
+			Audit: {
+				publish: () => {}
+			},
+			Auth: {
+				initialize: () => {
+					return async (ctxt, next) => {
+						await next?.();
+					};
+				},
+				session: () => {
+					return async (ctxt, next) => {
+						ctxt.state.user = currentUser;
+						await next?.();
+					};
+				}
+			},
+			Cache: new EventEmitter(),
+			Logger: {
+				debug: () => {},
+				info: () => {},
+				error: () => {}
+			},
+			MessageI18N: {
+				translate: async (code) => {
+					return code;
+				}
+			}
+		};
+
+		const iocContainer = {
+			resolve: async (name) => {
+				// eslint-disable-next-line security/detect-object-injection
+				return repositories?.[name];
+			}
+		};
+
+		IngressSurfaceFactory =
+			await import('../source/ingress_surfaces/rest_api/index.js');
+		IngressSurfaceFactory = IngressSurfaceFactory?.['default'];
+
+		const restApi = await IngressSurfaceFactory?.createInstances?.(
+			{ SERVER_PORT: SERVER_PORT },
+			iocContainer
+		);
+
+		await restApi?.registerAdminRoutes?.({
+			apiRegistry: apiRegistry,
+			iocContainer: {
+				healthReport: async () => {
+					throw new Error('Health report failed');
+				}
+			}
+		});
+		await restApi?.start?.();
+	});
+
+	after(async function () {
+		await IngressSurfaceFactory?.destroyInstances?.();
+		await apiRegistry?.unregisterAll?.();
+	});
+
+	it('Refuses requests without an active session', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		currentUser = undefined;
+
+		const response = await fetch(adminUrl);
+		assert?.strictEqual?.(response?.status, 401);
+		assert?.include?.(
+			response?.headers?.get?.('content-type'),
+			'application/problem+json'
+		);
+
+		const problem = await response?.json?.();
+		assert?.strictEqual?.(problem?.status, 401);
+		assert?.strictEqual?.(problem?.title, 'Unauthorized');
+		assert?.strictEqual?.(problem?.instance, '/api/v1/admin/api-registry');
+		assert?.strictEqual?.(
+			problem?.code,
+			'EVASERVER::SERVER_USERS::SESSION_MANAGER::NO_ACTIVE_SESSION'
+		);
+	});
+
+	it('Refuses requests from users who are not administrators', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		currentUser = { id: 'user', role: 'user' };
+
+		const response = await fetch(adminUrl);
+		assert?.strictEqual?.(response?.status, 403);
+		assert?.include?.(
+			await response?.text?.(),
+			'SERVER_USERS::SESSION_MANAGER::AUTHORIZATION_FAILURE'
+		);
+	});
+
+	it('Returns the API Registry registrations to administrators', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		currentUser = { id: 'administrator', role: 'administrator' };
+
+		const response = await fetch(adminUrl);
+		assert?.strictEqual?.(response?.status, 200);
+
+		const registrations = await response?.json?.();
+		assert?.deepEqual?.(
+			registrations?.map?.((registration) => {
+				return registration?.pattern;
+			}),
+			['SERVER::PROFILE::READ']
+		);
+		assert?.strictEqual?.(
+			registrations?.[0]?.handlers?.[0]?.owner,
+			'Basics'
+		);
+	});
+
+	it('Responds with a 422 to errors without a status of their own', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		currentUser = { id: 'administrator', role: 'administrator' };
+
+		const response = await fetch(healthUrl);
+		assert?.strictEqual?.(response?.status, 422);
+	});
+});
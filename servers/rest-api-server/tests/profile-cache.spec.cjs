@@ -0,0 +1,111 @@
+describe('REST API Server - Profile Cache Test Cases', function () {
+	it('Invalidates the cached profile when a contact changes', async function () {
+		const chai = await import('chai');
+		const assert = chai?.assert;
+
+		const { EventEmitter } = await import('node:events');
+		const { APIRegistry } = await import('@twyr/api-registry');
+
+		const { ServerUserBaseMiddleware } =
+			await import('../source/domains/server_users/base_classes/middleware.js');
+
+		let EventHandlerFactory =
+			await import('../source/domains/server_users/bounded_contexts/profile/event_handlers/profile-cache.js');
+		EventHandlerFactory = EventHandlerFactory?.['default'];
+
+		// Stand-ins for the model, and the rest of the domain interface
+		const ContactModel = {
+			query: () => {
+				return {
+					patchAndFetchById: (id, entity) => {
+						return {
+							withGraphFetched: async () => {
+								return { ...entity };
+							}
+						};
+					}
+				};
+			}
+		};
+
+		const domainInterface = {
+			apiRegistry: new APIRegistry('Profile'),
+			eventEmitter: new EventEmitter(),
+			iocContainer: {
+				resolve: async () => {
+					return undefined;
+				}
+			},
+			models: async () => {
+				return [{ model: ContactModel }];
+			},
+			serializer: {
+				deserializeAsync: async (type, payload) => {
+					return {
+						id: payload?.data?.id,
+						...payload?.data?.attributes
+					};
+				},
+				serializeAsync: async (type, entity) => {
+					return entity;
+				}
+			}
+		};
+
+		// The profile READ, cached per user - as in the Basics middleware
+		let readCount = 0;
+		await domainInterface?.apiRegistry?.register?.(
+			'READ',
+			async () => {
+				readCount++;
+				return { contacts: readCount };
+			},
+			{
+				cache: {
+					ttl: 60_000,
+					key: ({ user, relationships }) => {
+						return `${user?.id}!${relationships ?? ''}`;
+					}
+				}
+			}
+		);
+
+		await EventHandlerFactory?.createInstances?.(domainInterface);
+		const contacts = new ServerUserBaseMiddleware(
+			undefined,
+			domainInterface
+		);
+
+		const readData = { user: { id: 'user-1' } };
+		await domainInterface?.apiRegistry?.execute?.('READ', readData);
+		await domainInterface?.apiRegistry?.execute?.('READ', readData);
+		assert?.strictEqual?.(readCount, 1);
+
+		await contacts?._updateServerUserEntity?.({
+			user: { id: 'user-1' },
+			model: 'ServerUserContact',
+			eventName: 'SERVER_USER_CONTACT_UPDATED',
+			payload: {
+				data: {
+					type: 'server-user-contacts',
+					id: 'contact-1',
+					attributes: { contact: '+91 99999 99999' }
+				}
+			}
+		});
+
+		// Let the event handler clear the cache...
+		// eslint-disable-next-line no-undef
+		await snooze?.(10);
+
+		const profile = await domainInterface?.apiRegistry?.execute?.(
+			'READ',
+			readData
+		);
+		assert?.strictEqual?.(readCount, 2);
+		assert?.deepEqual?.(profile, { contacts: 2 });
+
+		await EventHandlerFactory?.destroyInstances?.();
+		await domainInterface?.apiRegistry?.unregisterAll?.();
+	});
+});
@@ -2,8 +2,18 @@ const SERVER_NAME =
 	process.env.SERVER_NAME || 'Entity Value Aggregate Server by Twyr';
 process.title = SERVER_NAME;
 
+// Register the loader for the "baseclass:..." imports, as the server does
+const { pathToFileURL } = require('node:url');
+const { register } = require('node:module');
+
+register(pathToFileURL('./custom_loaders/baseclass-loader.js'), {
+	parentURL: pathToFileURL(__filename)
+});
+
 global.snooze = async (ms) => {
 	return new Promise((resolve) => {
 		setTimeout(resolve, ms);
 	});
 };
+
+global.serverEnvironment = 'test';